@@ -1,19 +1,39 @@
 import { CanvasRenderer } from './core/Canvas.js';
 import { PointManager } from './data/PointManager.js';
 import { AreaManager } from './data/AreaManager.js';
+import { RouteManager } from './data/RouteManager.js';
+import { SpotManager } from './data/SpotManager.js';
 import { FileHandler } from './data/FileHandler.js';
+import { MeasurementManager } from './data/MeasurementManager.js';
+import { GeoReferenceManager } from './data/GeoReferenceManager.js';
+import { CoverageManager } from './data/CoverageManager.js';
+import { AttributeSchemaManager } from './data/AttributeSchemaManager.js';
+import { AreaStyleManager } from './data/AreaStyleManager.js';
+import { ClipboardManager } from './data/ClipboardManager.js';
 import { InputManager } from './ui/InputManager.js';
 import { LayoutManager } from './ui/LayoutManager.js';
 import { UIHelper } from './ui/UIHelper.js';
 import { ValidationManager } from './ui/ValidationManager.js';
 import { ViewportManager } from './ui/ViewportManager.js';
 import { MarkerSettingsManager } from './ui/MarkerSettingsManager.js';
+import { AreaToolManager } from './ui/AreaToolManager.js';
+import { SnapManager } from './ui/SnapManager.js';
+import { MultiSelectManager } from './ui/MultiSelectManager.js';
+import { AttributeDialog } from './ui/AttributeDialog.js';
+import { AreaTreeView } from './ui/AreaTreeView.js';
+import { DuplicateDialog } from './ui/DuplicateDialog.js';
 import { CoordinateUtils } from './utils/Coordinates.js';
 import { Validators } from './utils/Validators.js';
 import { ObjectDetector } from './utils/ObjectDetector.js';
 import { DragDropHandler } from './utils/DragDropHandler.js';
 import { ResizeHandler } from './utils/ResizeHandler.js';
 import { FirebaseSyncManager } from './firebase/FirebaseSyncManager.js';
+import { PolygonBoolean } from './utils/PolygonBoolean.js';
+import { GeometryUtils } from './utils/Geometry.js';
+import { AreaMembership } from './utils/AreaMembership.js';
+import { ShapePrimitives } from './utils/ShapePrimitives.js';
+import { AreaTransform } from './utils/AreaTransform.js';
+import { GeoTransform } from './utils/GeoTransform.js';
 
 /**
  * PointMarkerアプリケーションのメインクラス
@@ -27,6 +47,8 @@ export class PointMarkerApp {
         this.canvasRenderer = new CanvasRenderer(this.canvas);
         this.pointManager = new PointManager();
         this.areaManager = new AreaManager();
+        this.routeManager = new RouteManager();
+        this.spotManager = new SpotManager();
         this.fileHandler = new FileHandler();
         this.inputManager = new InputManager(this.canvas);
         this.layoutManager = new LayoutManager();
@@ -34,17 +56,32 @@ export class PointMarkerApp {
         this.dragDropHandler = new DragDropHandler();
         this.resizeHandler = new ResizeHandler();
         this.markerSettingsManager = new MarkerSettingsManager();
+        this.measurementManager = new MeasurementManager();
+        this.geoReferenceManager = new GeoReferenceManager();
+        this.coverageManager = new CoverageManager();
+        this.attributeSchemaManager = new AttributeSchemaManager();
+        this.areaStyleManager = new AreaStyleManager();
+        this.clipboardManager = new ClipboardManager();
+        this.attributeDialog = new AttributeDialog();
+        this.duplicateDialog = new DuplicateDialog();
+        this.areaTreeView = new AreaTreeView('areaTree');
+        this.areaToolManager = new AreaToolManager();
+        this.snapManager = new SnapManager();
+        this.multiSelectManager = new MultiSelectManager();
 
         // ビューポート管理とFirebase同期の初期化
         this.viewportManager = new ViewportManager(
             this.canvasRenderer,
             this.inputManager,
             this.pointManager,
-            this.areaManager
+            this.areaManager,
+            this.spotManager
         );
         this.firebaseSyncManager = new FirebaseSyncManager(
             this.pointManager,
             this.areaManager,
+            this.routeManager,
+            this.spotManager,
             this.fileHandler
         );
 
@@ -80,6 +117,8 @@ export class PointMarkerApp {
             if (!skipRedrawInput) {
                 this.inputManager.redrawInputBoxes(points);
             }
+            this.updatePointMembership();
+            this.updateRoutePointIdList();
         });
 
         this.pointManager.setCallback('onCountChange', (count) => {
@@ -89,6 +128,10 @@ export class PointMarkerApp {
         // エリア管理のコールバック
         this.areaManager.setCallback('onChange', () => {
             this.redrawCanvas();
+            this.updateAreaMeasurementDisplay();
+            this.updateAreaValidationDisplay();
+            this.updatePointMembership();
+            this.updateAreaAttributeDisplay();
         });
 
         this.areaManager.setCallback('onCountChange', (count) => {
@@ -101,36 +144,211 @@ export class PointMarkerApp {
         });
 
         this.areaManager.setCallback('onAreaListChange', (areas) => {
-            this.updateAreaDropdown(areas);
+            this.updateAreaTree();
+            this.updateAreaParentDropdown();
+            this.updateRingDropdown();
+            this.updateBooleanTargetDropdown(areas);
+            this.updateGapBoundaryDropdown(areas);
         });
 
         this.areaManager.setCallback('onSelectionChange', (index) => {
-            const dropdown = document.getElementById('areaSelectDropdown');
+            // 頂点の複数選択は選択中エリアの編集対象リングが対象のため解除
+            this.multiSelectManager.clear();
+            // 選択したエリアが折りたたまれた親の中にあれば展開する
+            let parentIndex = this.areaManager.getParentIndex(index);
+            const ancestorIds = [];
+            while (parentIndex >= 0 && ancestorIds.length < this.areaManager.getAllAreas().length) {
+                ancestorIds.push(this.areaManager.getAllAreas()[parentIndex].areaId);
+                parentIndex = this.areaManager.getParentIndex(parentIndex);
+            }
+            this.areaTreeView.expand(ancestorIds);
+            this.updateAreaTree();
+            this.updateAreaParentDropdown();
+            this.updateRingDropdown();
+            this.updatePointMembership();
+            this.updateAreaAttributeDisplay();
+            this.updateAreaStyleEditor();
+        });
+
+        this.areaManager.setCallback('onRingSelectionChange', (ringIndex) => {
+            this.multiSelectManager.clear();
+            const dropdown = document.getElementById('ringSelectDropdown');
             if (dropdown) {
-                dropdown.value = index >= 0 ? index.toString() : '';
+                dropdown.value = ringIndex.toString();
             }
         });
 
         this.areaManager.setCallback('onModifiedStateChange', (data) => {
-            this.updateAreaDropdown(this.areaManager.getAllAreas());
+            this.updateAreaTree();
         });
 
         this.areaManager.setCallback('onNoAreaSelected', (message) => {
             UIHelper.showMessage(message);
         });
 
+        // 境界共有編集で隣接エリアが変更された場合はFirebaseにも反映
+        this.areaManager.setCallback('onLinkedAreasChange', (areaIndices) => {
+            areaIndices.forEach(index => this.firebaseSyncManager.updateAreaToFirebase(index));
+        });
+
+        // 図形エリアの頂点を直接編集した場合は通常の多角形として扱う
+        this.areaManager.setCallback('onShapeDetached', (areaIndex) => {
+            const area = this.areaManager.getAllAreas()[areaIndex];
+            UIHelper.showMessage(`エリア "${area.areaName}" を図形から通常の多角形に変換しました`, 'info');
+        });
+
+        // エリアツリーで選択（選択中のエリアを再度クリックすると選択解除）
+        this.areaTreeView.setCallback('onSelect', (index) => {
+            if (index === this.areaManager.selectedAreaIndex) {
+                this.areaManager.selectArea(-1);
+                UIHelper.showMessage('エリア選択を解除しました', 'info');
+                return;
+            }
+
+            this.areaManager.selectArea(index);
+            const selectedArea = this.areaManager.getSelectedArea();
+            if (selectedArea) {
+                UIHelper.showMessage(`エリア "${selectedArea.areaName}" を選択しました`, 'info');
+            }
+        });
+
+        // ルート管理のコールバック
+        this.routeManager.setCallback('onChange', () => {
+            this.redrawCanvas();
+        });
+
+        this.routeManager.setCallback('onCountChange', (count) => {
+            const el = document.getElementById('waypointCount');
+            if (el) el.textContent = count;
+            // ドロップダウンの表示名に中間点数を含めるため更新
+            this.updateRouteDropdown();
+        });
+
+        this.routeManager.setCallback('onRouteListChange', () => {
+            this.updateRouteDropdown();
+        });
+
+        this.routeManager.setCallback('onSelectionChange', () => {
+            this.updateRouteDropdown();
+            this.updateRouteEndpointInputs();
+        });
+
+        // スポット管理のコールバック
+        this.spotManager.setCallback('onChange', (spots, skipRedrawInput = false) => {
+            this.redrawCanvas();
+            if (!skipRedrawInput) {
+                this.inputManager.redrawSpotInputBoxes(spots);
+            }
+        });
+
+        this.spotManager.setCallback('onCountChange', (count) => {
+            const el = document.getElementById('spotCount');
+            if (el) el.textContent = count;
+        });
+
+        // エリア属性の項目定義のコールバック
+        this.attributeSchemaManager.setCallback('onSchemaChange', () => {
+            this.updateAreaAttributeDisplay();
+        });
+
+        // エリアの表示スタイルのコールバック
+        this.areaStyleManager.setCallback('onStyleChange', () => {
+            this.redrawCanvas();
+            this.updateAreaStyleEditor();
+        });
+
+        // 重なり・隙間検査のコールバック
+        this.coverageManager.setCallback('onResultsChange', (results) => {
+            this.updateCoverageResultList(results);
+            this.redrawCanvas();
+        });
+
+        // 計測・縮尺キャリブレーションのコールバック
+        this.measurementManager.setCallback('onCalibrationChange', (calibration) => {
+            const scaleValue = document.getElementById('scaleValue');
+            if (scaleValue) {
+                scaleValue.textContent = calibration
+                    ? `1px = ${calibration.metersPerPixel.toPrecision(4)} m`
+                    : '未設定';
+            }
+            this.updateAreaMeasurementDisplay();
+        });
+
+        this.measurementManager.setCallback('onPickingChange', () => {
+            const calibrateBtn = document.getElementById('calibrateScaleBtn');
+            if (calibrateBtn) {
+                calibrateBtn.textContent = this.measurementManager.isPicking ? '縮尺設定を中止' : '縮尺設定';
+            }
+            this.redrawCanvas();
+        });
+
+        // 位置合わせ（ジオリファレンス）のコールバック
+        this.geoReferenceManager.setCallback('onChange', () => {
+            this.updateControlPointList();
+            this.redrawCanvas();
+        });
+
+        this.geoReferenceManager.setCallback('onPickingChange', (isPicking) => {
+            const addControlPointBtn = document.getElementById('addControlPointBtn');
+            if (addControlPointBtn) {
+                addControlPointBtn.textContent = isPicking ? '基準点の追加を中止' : '基準点を追加';
+            }
+        });
+
+        // エリア編集ツールのコールバック
+        this.areaToolManager.setCallback('onToolChange', (tool) => {
+            this.multiSelectManager.clear();
+            if (tool === 'split') {
+                UIHelper.showMessage('分割線をクリックで描き、ダブルクリックまたはEnterで分割します（Escで中止）');
+            } else if (tool === 'lasso') {
+                UIHelper.showMessage('マウスボタンを押したままなぞると、その形のエリアを作成します（Escで中止）');
+            } else if (tool === 'transform') {
+                UIHelper.showMessage('選択中のエリアを枠内のドラッグで移動、四隅・辺のハンドルで拡大縮小、上のハンドルで回転します（Shiftで制約、Escで取り消し）');
+            } else if (tool === 'shape') {
+                UIHelper.showMessage('ドラッグで図形のエリアを作成します。回転矩形は基準辺をドラッグした後、奥行きの位置をクリックします（Escで中止）');
+            }
+            this.redrawCanvas();
+        });
+
+        // 円・楕円の分割数の変更は選択中の図形エリアにも反映
+        this.areaToolManager.setCallback('onShapeSegmentsChange', (segments) => {
+            const index = this.areaManager.selectedAreaIndex;
+            const area = this.areaManager.getSelectedArea();
+            if (!area || !area.shape || area.shape.type === 'rectangle') return;
+
+            this.areaManager.setAreaShape(index, { ...area.shape, segments });
+            this.firebaseSyncManager.updateAreaToFirebase(index);
+            UIHelper.showMessage(`エリア "${area.areaName}" の分割数を ${segments} に変更しました`, 'info');
+        });
+
+        this.areaToolManager.setCallback('onDraftChange', () => {
+            this.redrawCanvas();
+        });
+
+        // 複数選択のコールバック
+        this.multiSelectManager.setCallback('onSelectionChange', () => {
+            this.redrawCanvas();
+        });
+
+        // スナップ設定のコールバック
+        this.snapManager.setCallback('onSettingsChange', () => {
+            this.redrawCanvas();
+        });
+
         // マーカー設定のコールバック
         this.markerSettingsManager.setCallback((sizes) => {
-            // Canvas Rendererにマーカーサイズを設定
+            // Canvas Rendererにマーカーサイズとラベル配置を設定
             this.canvasRenderer.setMarkerSizes(sizes);
+            this.canvasRenderer.setLabelSettings(this.markerSettingsManager.getLabelSettings());
             // キャンバスを再描画
             this.redrawCanvas();
-            console.log('マーカーサイズが更新されました:', sizes);
+            console.log('マーカー・ラベル設定が更新されました:', sizes);
         });
 
         // 初期設定を読み込み
         const initialSizes = this.markerSettingsManager.getSizes();
         this.canvasRenderer.setMarkerSizes(initialSizes);
+        this.canvasRenderer.setLabelSettings(this.markerSettingsManager.getLabelSettings());
 
         // 入力管理のコールバック
         this.inputManager.setCallback('onPointIdChange', (data) => {
@@ -205,7 +423,17 @@ export class PointMarkerApp {
             }
         });
 
+        this.inputManager.setCallback('onSpotNameChange', (data) => {
+            this.handleSpotNameChange(data);
+        });
 
+        this.inputManager.setCallback('onSpotRemove', (data) => {
+            if (this.layoutManager.getCurrentEditingMode() !== 'spot') return;
+            const index = this.spotManager.getSpots().indexOf(data.spot);
+            if (index < 0) return;
+            this.firebaseSyncManager.deleteSpotFromFirebase(data.spot);
+            this.spotManager.removeSpot(index);
+        });
 
         // レイアウト管理のコールバック
         this.layoutManager.setCallback('onLayoutChange', (layout) => {
@@ -218,6 +446,11 @@ export class PointMarkerApp {
 
         this.layoutManager.setCallback('onModeChange', (mode) => {
             this.inputManager.setEditMode(mode);
+            this.areaToolManager.clearDraft();
+            this.multiSelectManager.clear();
+            if (mode === 'area') {
+                this.updatePointMembership();
+            }
             const pointIdCheckbox = document.getElementById('showPointIdsCheckbox');
 
             if (mode === 'area') {
@@ -248,8 +481,26 @@ export class PointMarkerApp {
             await this.handleImageSelection();
         });
 
+        // ポイントのJSON出力
+        const exportPointsBtn = document.getElementById('exportPointsBtn');
+        if (exportPointsBtn) {
+            exportPointsBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.handleExportPoints();
+            });
+        }
+
         // キャンバスクリック
         this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleCanvasDoubleClick(e));
+
+        // キーボード操作（作図の確定・中止）
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // コピー・切り取り・貼り付け（システムのクリップボードとJSONでやり取り）
+        ['copy', 'cut', 'paste'].forEach(type => {
+            document.addEventListener(type, (e) => this.handleClipboardEvent(e));
+        });
 
         // キャンバス右クリック（コンテキストメニュー）
         this.canvas.addEventListener('contextmenu', (e) => this.handleCanvasContextMenu(e));
@@ -258,27 +509,105 @@ export class PointMarkerApp {
         this.canvas.addEventListener('mousemove', (e) => this.handleCanvasMouseMove(e));
         this.canvas.addEventListener('mousedown', (e) => this.handleCanvasMouseDown(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleCanvasMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => {
+            this.updateCursorReadout(null);
+            if (this.snapManager.clearCurrentSnap()) {
+                this.redrawCanvas();
+            }
+        });
 
 
 
 
 
-        // エリア選択ドロップダウン
-        const areaDropdown = document.getElementById('areaSelectDropdown');
-        if (areaDropdown) {
-            areaDropdown.addEventListener('change', (e) => {
-                const selectedIndex = e.target.value === '' ? -1 : parseInt(e.target.value);
-                this.areaManager.selectArea(selectedIndex);
+        // 親エリア選択ドロップダウン
+        const parentDropdown = document.getElementById('areaParentDropdown');
+        if (parentDropdown) {
+            parentDropdown.addEventListener('change', (e) => {
+                this.handleSetAreaParent(e.target.value === '' ? -1 : parseInt(e.target.value));
+            });
+        }
 
-                if (selectedIndex >= 0) {
-                    const areas = this.areaManager.getAllAreas();
-                    const selectedArea = areas[selectedIndex];
-                    if (selectedArea) {
-                        UIHelper.showMessage(`エリア "${selectedArea.areaName}" を選択しました`, 'info');
-                    }
-                } else {
-                    UIHelper.showMessage('エリア選択を解除しました', 'info');
-                }
+        // 編集対象リング（外周/穴）選択ドロップダウン
+        const ringDropdown = document.getElementById('ringSelectDropdown');
+        if (ringDropdown) {
+            ringDropdown.addEventListener('change', (e) => {
+                this.areaManager.selectRing(parseInt(e.target.value));
+            });
+        }
+
+        const addHoleBtn = document.getElementById('addHoleBtn');
+        if (addHoleBtn) {
+            addHoleBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAddHole();
+            });
+        }
+
+        const deleteHoleBtn = document.getElementById('deleteHoleBtn');
+        if (deleteHoleBtn) {
+            deleteHoleBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleDeleteHole();
+            });
+        }
+
+        // 図形演算ボタン
+        const booleanButtons = {
+            unionAreaBtn: 'union',
+            intersectAreaBtn: 'intersection',
+            differenceAreaBtn: 'difference'
+        };
+        Object.entries(booleanButtons).forEach(([buttonId, operation]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.handleAreaBooleanOperation(operation);
+                });
+            }
+        });
+
+        // 重なり・隙間の検査ボタン
+        const analyzeCoverageBtn = document.getElementById('analyzeCoverageBtn');
+        if (analyzeCoverageBtn) {
+            analyzeCoverageBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAnalyzeCoverage();
+            });
+        }
+
+        const clearCoverageBtn = document.getElementById('clearCoverageBtn');
+        if (clearCoverageBtn) {
+            clearCoverageBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.coverageManager.clear();
+            });
+        }
+
+        // 縮尺キャリブレーションボタン
+        const calibrateScaleBtn = document.getElementById('calibrateScaleBtn');
+        if (calibrateScaleBtn) {
+            calibrateScaleBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleCalibrateScale();
+            });
+        }
+
+        // 位置合わせ（ジオリファレンス）
+        const addControlPointBtn = document.getElementById('addControlPointBtn');
+        if (addControlPointBtn) {
+            addControlPointBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAddControlPoint();
+            });
+        }
+
+        const georeferenceMethodSelect = document.getElementById('georeferenceMethodSelect');
+        if (georeferenceMethodSelect) {
+            georeferenceMethodSelect.addEventListener('change', (e) => {
+                this.geoReferenceManager.setMethod(e.target.value);
+                this.saveGeoReferenceToFirebase();
             });
         }
 
@@ -291,6 +620,57 @@ export class PointMarkerApp {
             });
         }
 
+        const editAreaAttributesBtn = document.getElementById('editAreaAttributesBtn');
+        if (editAreaAttributesBtn) {
+            editAreaAttributesBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleEditAreaAttributes();
+            });
+        }
+
+        const editAttributeSchemaBtn = document.getElementById('editAttributeSchemaBtn');
+        if (editAttributeSchemaBtn) {
+            editAttributeSchemaBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleEditAttributeSchema();
+            });
+        }
+
+        // エリアの表示スタイル
+        const hatchSelect = document.getElementById('styleHatchSelect');
+        if (hatchSelect) {
+            Object.entries(this.areaStyleManager.HATCH_TYPES).forEach(([type, label]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = `ハッチング: ${label}`;
+                hatchSelect.appendChild(option);
+            });
+        }
+
+        const styleButtons = {
+            applyAreaStyleBtn: () => this.handleApplyAreaStyle(),
+            applyCategoryStyleBtn: () => this.handleApplyCategoryStyle(),
+            resetAreaStyleBtn: () => this.handleResetAreaStyle()
+        };
+        Object.entries(styleButtons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    handler();
+                });
+            }
+        });
+
+        // 数値指定の変形
+        const applyTransformBtn = document.getElementById('applyTransformBtn');
+        if (applyTransformBtn) {
+            applyTransformBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleApplyNumericTransform();
+            });
+        }
+
         const deleteAreaBtn = document.getElementById('deleteAreaBtn');
         if (deleteAreaBtn) {
             deleteAreaBtn.addEventListener('click', (e) => {
@@ -299,6 +679,172 @@ export class PointMarkerApp {
             });
         }
 
+        // エリアのコピー・切り取り・貼り付け・複製
+        const clipboardButtons = {
+            copyAreaBtn: () => this.handleCopy(),
+            cutAreaBtn: () => this.handleCut(),
+            pasteAreaBtn: () => this.handlePaste(),
+            duplicateAreaBtn: () => this.handleDuplicate()
+        };
+        Object.entries(clipboardButtons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    handler();
+                });
+            }
+        });
+
+        // ルート選択ドロップダウン
+        const routeDropdown = document.getElementById('routeSelectDropdown');
+        if (routeDropdown) {
+            routeDropdown.addEventListener('change', (e) => {
+                this.routeManager.selectRoute(e.target.value === '' ? -1 : parseInt(e.target.value));
+            });
+        }
+
+        // ルート操作ボタン
+        const routeButtons = {
+            addRouteBtn: () => this.handleAddRoute(),
+            deleteRouteBtn: () => this.handleDeleteRoute(),
+            clearWaypointsBtn: () => this.handleClearWaypoints(),
+            exportRouteBtn: () => this.handleExportRoute(),
+            importRouteBtn: () => document.getElementById('routeFileInput').click()
+        };
+        Object.entries(routeButtons).forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    handler();
+                });
+            }
+        });
+
+        const routeFileInput = document.getElementById('routeFileInput');
+        if (routeFileInput) {
+            routeFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                // 同じファイルを続けて選択できるようにする
+                e.target.value = '';
+                if (file) {
+                    await this.handleImportRoute(file);
+                }
+            });
+        }
+
+        // 開始・終了ポイントの入力（確定時に反映）
+        [['startPointInput', 'start'], ['endPointInput', 'end']].forEach(([inputId, which]) => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('change', (e) => {
+                    this.handleRouteEndpointChange(which, e.target.value);
+                });
+            }
+        });
+
+        // GeoJSONの出力・読み込み
+        const exportGeoJsonBtn = document.getElementById('exportGeoJsonBtn');
+        if (exportGeoJsonBtn) {
+            exportGeoJsonBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.handleExportGeoJSON();
+            });
+        }
+
+        const importGeoJsonBtn = document.getElementById('importGeoJsonBtn');
+        const geoJsonFileInput = document.getElementById('geoJsonFileInput');
+        if (importGeoJsonBtn && geoJsonFileInput) {
+            importGeoJsonBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                geoJsonFileInput.click();
+            });
+            geoJsonFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) {
+                    await this.handleImportGeoJSON(file);
+                }
+            });
+        }
+
+        // エリアのJSON出力・読み込み
+        const exportAreasBtn = document.getElementById('exportAreasBtn');
+        if (exportAreasBtn) {
+            exportAreasBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.handleExportAreas();
+            });
+        }
+
+        const importAreasBtn = document.getElementById('importAreasBtn');
+        const areaFileInput = document.getElementById('areaFileInput');
+        if (importAreasBtn && areaFileInput) {
+            importAreasBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                areaFileInput.click();
+            });
+            areaFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                // 同じファイルを続けて選択できるようにする
+                e.target.value = '';
+                if (file) {
+                    await this.handleImportAreas(file);
+                }
+            });
+        }
+
+        // スポットのJSON出力・読み込み
+        const exportSpotsBtn = document.getElementById('exportSpotsBtn');
+        if (exportSpotsBtn) {
+            exportSpotsBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                await this.handleExportSpots();
+            });
+        }
+
+        const importSpotsBtn = document.getElementById('importSpotsBtn');
+        const spotFileInput = document.getElementById('spotFileInput');
+        if (importSpotsBtn && spotFileInput) {
+            importSpotsBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                spotFileInput.click();
+            });
+            spotFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                // 同じファイルを続けて選択できるようにする
+                e.target.value = '';
+                if (file) {
+                    await this.handleImportSpots(file);
+                }
+            });
+        }
+
+        const autoOrderVerticesBtn = document.getElementById('autoOrderVerticesBtn');
+        if (autoOrderVerticesBtn) {
+            autoOrderVerticesBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAutoOrderVertices();
+            });
+        }
+
+        // 頂点追加方法の切り替え
+        const vertexInsertModeSelect = document.getElementById('vertexInsertModeSelect');
+        if (vertexInsertModeSelect) {
+            vertexInsertModeSelect.addEventListener('change', (e) => {
+                this.areaManager.setVertexInsertMode(e.target.value);
+            });
+        }
+
+        // 境界共有編集チェックボックス
+        const topologyEditCheckbox = document.getElementById('topologyEditCheckbox');
+        if (topologyEditCheckbox) {
+            topologyEditCheckbox.addEventListener('change', (e) => {
+                this.areaManager.setTopologyEditing(e.target.checked);
+            });
+        }
+
         // ポイントID表示切り替えチェックボックス
         document.getElementById('showPointIdsCheckbox').addEventListener('change', (e) => {
             this.handlePointIdVisibilityChange(e.target.checked);
@@ -385,6 +931,13 @@ export class PointMarkerApp {
         document.getElementById('panLeftBtn').disabled = false;
         document.getElementById('panRightBtn').disabled = false;
         document.getElementById('resetViewBtn').disabled = false;
+
+        ['exportPointsBtn', 'exportGeoJsonBtn', 'importGeoJsonBtn', 'addControlPointBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = false;
+            }
+        });
     }
 
     /**
@@ -425,9 +978,28 @@ export class PointMarkerApp {
 
         // FirebaseSyncManagerに画像とキャンバスを設定
         this.firebaseSyncManager.setImageAndCanvas(image, this.canvas);
+        this.measurementManager.setImageAndCanvas(image, this.canvas);
+        this.measurementManager.cancelCalibration();
+        this.measurementManager.setCalibration(null);
+        this.geoReferenceManager.setImageAndCanvas(image, this.canvas);
+        this.geoReferenceManager.cancelPicking();
+        this.geoReferenceManager.reset();
+        this.attributeSchemaManager.setSchema(null);
+        this.areaStyleManager.setCategoryStyles(null);
+        // 前の画像の重なり・隙間の検査結果を消す
+        this.coverageManager.clear();
 
         // Firebaseから自動的にデータを読み込み
-        await this.firebaseSyncManager.loadFromFirebase((loadedPoints, loadedAreas) => {
+        // プロジェクト単位の設定は、確認で読み込みを取りやめた場合も復元する
+        // （復元しないまま編集すると、保存済みの設定を上書きしてしまうため）
+        const restoreProjectSettings = (projectMetadata) => {
+            this.measurementManager.setCalibration(projectMetadata ? projectMetadata.scaleCalibration : null);
+            this.attributeSchemaManager.setSchema(projectMetadata ? projectMetadata.attributeSchema : null);
+            this.areaStyleManager.setCategoryStyles(projectMetadata ? projectMetadata.categoryStyles : null);
+            this.geoReferenceManager.setGeoReference(projectMetadata ? projectMetadata.georeference : null);
+        };
+
+        await this.firebaseSyncManager.loadFromFirebase((loadedPoints) => {
             // UIを更新
             this.inputManager.redrawInputBoxes(this.pointManager.getPoints());
             this.viewportManager.updatePopupPositions();
@@ -435,54 +1007,334 @@ export class PointMarkerApp {
 
             // カウントを更新
             document.getElementById('pointCount').textContent = loadedPoints;
-        });
+        }, restoreProjectSettings);
     }
 
     /**
-     * 指定座標上のオブジェクト（ポイント/スポット）を検出
-     * @param {number} mouseX - マウスX座標
-     * @param {number} mouseY - マウスY座標
-     * @returns {{type: string, index: number} | null} 検出されたオブジェクト情報
+     * ポイントデータ（エリア所属情報を含む）をJSON出力
      */
-    findObjectAtMouse(mouseX, mouseY) {
-        const managers = {
-            pointManager: this.pointManager,
-            areaManager: this.areaManager
-        };
-        const mode = this.layoutManager.getCurrentEditingMode();
-        const result = ObjectDetector.findObjectAt(mouseX, mouseY, managers, mode);
-        return result ? { type: result.type, index: result.index } : null;
-    }
-
+    async handleExportPoints() {
+        if (!this.currentImage) return;
 
+        const imageFileName = this.fileHandler.getCurrentImageFileName();
+        try {
+            await this.fileHandler.exportPointData(
+                this.pointManager,
+                imageFileName,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                `${imageFileName || 'points'}_points.json`,
+                this.areaManager,
+                this.geoReferenceManager.getGeoreference(),
+                this.measurementManager
+            );
+        } catch (error) {
+            UIHelper.showError('ポイントの出力に失敗しました: ' + error.message);
+        }
+    }
 
+    /**
+     * ポイント・エリアをGeoJSON出力
+     */
+    async handleExportGeoJSON() {
+        if (!this.currentImage) return;
 
+        const imageFileName = this.fileHandler.getCurrentImageFileName();
+        try {
+            await this.fileHandler.exportGeoJSON(
+                this.pointManager,
+                this.areaManager,
+                imageFileName,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                `${imageFileName || 'map'}.geojson`,
+                this.geoReferenceManager.getGeoreference()
+            );
+        } catch (error) {
+            UIHelper.showError('GeoJSONの出力に失敗しました: ' + error.message);
+        }
+    }
 
     /**
-     * キャンバスクリック処理
-     * @param {MouseEvent} event - マウスイベント
+     * GeoJSONのポイント・エリアを読み込み
+     * @param {File} file - GeoJSONファイル
      */
-    async handleCanvasClick(event) {
-        if (!this.currentImage || this.justFinishedDragging) {
-            this.justFinishedDragging = false;
+    async handleImportGeoJSON(file) {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
             return;
         }
 
-        const scale = this.canvasRenderer.getScale();
-        const offset = this.canvasRenderer.getOffset();
-        const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
-        const mode = this.layoutManager.getCurrentEditingMode();
-
-        // 既存オブジェクトのクリック判定
-        const objectInfo = this.findObjectAtMouse(coords.x, coords.y);
+        const hasData = this.pointManager.getUserPointCount() > 0 || this.areaManager.getAllAreas().length > 0;
+        if (hasData && !confirm('GeoJSONに含まれるポイント・エリアで現在のデータを置き換えますか？')) {
+            return;
+        }
 
-        if (objectInfo) {
-            this.handleExistingObjectClick(objectInfo, mode);
+        let result;
+        try {
+            result = await this.fileHandler.importGeoJSON(
+                this.pointManager,
+                this.areaManager,
+                file,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                this.geoReferenceManager.getGeoreference()
+            );
+        } catch (error) {
+            UIHelper.showError('GeoJSONの読み込みに失敗しました: ' + error.message);
             return;
         }
 
-        // 新規作成
-        await this.handleNewObjectCreation(coords, mode);
+        // 置き換えたデータをFirestoreから削除してから、読み込んだデータを順に保存
+        await this.firebaseSyncManager.deletePointsFromFirebase(
+            result.removedPoints.filter(point => point.id).map(point => ({ x: point.x, y: point.y })));
+        await this.firebaseSyncManager.deleteAreasFromFirebase(result.removedAreas);
+        if (result.pointCount > 0) {
+            const pointCount = this.pointManager.getPoints().length;
+            for (let index = 0; index < pointCount; index++) {
+                await this.firebaseSyncManager.updatePointToFirebase(index);
+            }
+        }
+        const areas = this.areaManager.getAllAreas();
+        result.importedAreas.forEach(area => this.firebaseSyncManager.updateAreaToFirebase(areas.indexOf(area)));
+        if (result.importedAreas.length > 0) {
+            this.areaManager.selectArea(areas.indexOf(result.importedAreas[0]));
+        }
+
+        UIHelper.showMessage(`GeoJSONを読み込みました（ポイント${result.pointCount}件、エリア${result.importedAreas.length}件）`);
+        if (result.skipped > 0) {
+            UIHelper.showWarning(`読み込めない ${result.skipped} 件のFeatureをスキップしました`);
+        }
+    }
+
+    /**
+     * エリアデータ（穴・属性・スタイル・面積・所属ポイントを含む）をJSON出力
+     */
+    async handleExportAreas() {
+        if (!this.currentImage) return;
+
+        if (this.areaManager.getAllAreas().length === 0) {
+            UIHelper.showError('出力するエリアがありません');
+            return;
+        }
+
+        const imageFileName = this.fileHandler.getCurrentImageFileName();
+        try {
+            await this.fileHandler.exportAreaData(
+                this.areaManager,
+                imageFileName,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                `${imageFileName || 'areas'}_areas.json`,
+                this.measurementManager,
+                this.pointManager,
+                this.geoReferenceManager.getGeoreference()
+            );
+        } catch (error) {
+            UIHelper.showError('エリアの出力に失敗しました: ' + error.message);
+        }
+    }
+
+    /**
+     * JSONファイルのエリアを読み込み（読み込み方法は置き換え・追加から選択）
+     * @param {File} file - JSONファイル
+     */
+    async handleImportAreas(file) {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
+            return;
+        }
+
+        const modeSelect = document.getElementById('areaImportModeSelect');
+        const mode = modeSelect ? modeSelect.value : 'replace';
+        if (mode === 'replace' && this.areaManager.getAllAreas().length > 0 &&
+            !confirm('現在のエリアをすべて削除して読み込みますか？')) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.fileHandler.importAreaData(
+                this.areaManager,
+                file,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                mode
+            );
+        } catch (error) {
+            UIHelper.showError('エリアの読み込みに失敗しました: ' + error.message);
+            return;
+        }
+
+        await this.firebaseSyncManager.deleteAreasFromFirebase(result.removedAreas);
+        const areas = this.areaManager.getAllAreas();
+        const importedIndices = result.importedAreas.map(area => areas.indexOf(area));
+        importedIndices.forEach(index => this.firebaseSyncManager.updateAreaToFirebase(index));
+        this.areaManager.selectArea(importedIndices.length > 0 ? importedIndices[0] : -1);
+
+        UIHelper.showMessage(`エリアを読み込みました（追加${result.added}件、更新${result.updated}件）`);
+        if (result.skipped > 0) {
+            UIHelper.showWarning(`頂点が不足している ${result.skipped} 件のエリアは読み込みませんでした`);
+        }
+    }
+
+    /**
+     * ポイントとエリアの所属関係を更新
+     * 各ポイントの所属エリアをツールチップに表示し、選択中エリアに含まれるポイントを強調表示する
+     */
+    updatePointMembership() {
+        const points = this.pointManager.getPoints();
+        const areas = this.areaManager.getAllAreas();
+
+        this.inputManager.setPointAreaNames(
+            points.map(point => AreaMembership.getAreasForPoint(point, areas).map(area => area.areaName))
+        );
+
+        const selectedArea = this.areaManager.getSelectedArea();
+        const memberIds = AreaMembership.getPointsInArea(selectedArea, points)
+            .map(point => point.id)
+            .filter(id => id && id.trim() !== '');
+        this.inputManager.setHighlightedPoints(memberIds);
+
+        const memberEl = document.getElementById('areaMemberPoints');
+        if (memberEl) {
+            memberEl.textContent = selectedArea ? (memberIds.length > 0 ? memberIds.join(', ') : 'なし') : '-';
+        }
+    }
+
+    /**
+     * 指定座標上のオブジェクト（ポイント/スポット）を検出
+     * @param {number} mouseX - マウスX座標
+     * @param {number} mouseY - マウスY座標
+     * @returns {{type: string, index: number} | null} 検出されたオブジェクト情報
+     */
+    findObjectAtMouse(mouseX, mouseY) {
+        const managers = {
+            pointManager: this.pointManager,
+            areaManager: this.areaManager,
+            routeManager: this.routeManager,
+            spotManager: this.spotManager
+        };
+        const mode = this.layoutManager.getCurrentEditingMode();
+        const result = ObjectDetector.findObjectAt(mouseX, mouseY, managers, mode);
+        return result ? { type: result.type, index: result.index, object: result.object } : null;
+    }
+
+
+
+
+
+    /**
+     * キャンバスクリック処理
+     * @param {MouseEvent} event - マウスイベント
+     */
+    async handleCanvasClick(event) {
+        if (!this.currentImage || this.justFinishedDragging) {
+            this.justFinishedDragging = false;
+            return;
+        }
+
+        const scale = this.canvasRenderer.getScale();
+        const offset = this.canvasRenderer.getOffset();
+        const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
+        const mode = this.layoutManager.getCurrentEditingMode();
+
+        // 縮尺キャリブレーションの2点選択中
+        if (this.measurementManager.isPicking) {
+            this.handleCalibrationPointPick(coords);
+            return;
+        }
+
+        // 位置合わせの基準点の選択中
+        if (this.geoReferenceManager.isPicking) {
+            this.handleControlPointPick(coords);
+            return;
+        }
+
+        // 分割線の作図中
+        if (mode === 'area' && this.areaToolManager.getCurrentTool() === 'split') {
+            this.areaToolManager.addDraftPoint(coords.x, coords.y);
+            return;
+        }
+
+        // 投げ縄・図形・変形はドラッグで操作するためクリックでは何もしない
+        if (mode === 'area' && ['lasso', 'shape', 'transform'].includes(this.areaToolManager.getCurrentTool())) {
+            return;
+        }
+
+        // 既存オブジェクトのクリック判定（エリア編集中のポイントはスナップ先として頂点追加を優先）
+        // ルート編集中のポイントは開始・終了ポイントとして設定する
+        const objectInfo = this.findObjectAtMouse(coords.x, coords.y);
+
+        if (objectInfo && !(mode === 'area' && objectInfo.type === 'point')) {
+            this.handleExistingObjectClick(objectInfo, mode);
+            return;
+        }
+
+        // 新規作成
+        await this.handleNewObjectCreation(coords, mode, event);
+    }
+
+    /**
+     * キャンバスダブルクリック処理（作図の確定）
+     * @param {MouseEvent} event - マウスイベント
+     */
+    handleCanvasDoubleClick(event) {
+        if (!this.currentImage) return;
+
+        const mode = this.layoutManager.getCurrentEditingMode();
+        if (mode === 'area' && this.areaToolManager.getCurrentTool() === 'split') {
+            event.preventDefault();
+            this.handleSplitArea();
+        }
+    }
+
+    /**
+     * キーボード操作処理
+     * @param {KeyboardEvent} event - キーボードイベント
+     */
+    handleKeyDown(event) {
+        // 入力欄での操作は対象外
+        const tagName = event.target && event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+        if (!this.currentImage) return;
+
+        const mode = this.layoutManager.getCurrentEditingMode();
+        const tool = this.areaToolManager.getCurrentTool();
+
+        if (event.key === 'Escape') {
+            const transformDrag = this.areaToolManager.getTransformDrag();
+            if (transformDrag) {
+                // 変形前の形状に戻す
+                this.areaToolManager.endTransformDrag();
+                this.areaManager.transformArea(
+                    transformDrag.areaIndex, transformDrag.rings, transformDrag.shape,
+                    AreaTransform.identity(transformDrag.bounds.cx, transformDrag.bounds.cy)
+                );
+                UIHelper.showMessage('変形を取り消しました');
+            } else if (this.areaToolManager.getDraftPoints().length > 0 || this.areaToolManager.isLassoDrawing ||
+                this.areaToolManager.isDrawingShape()) {
+                this.areaToolManager.clearDraft();
+                UIHelper.showMessage('作図を中止しました');
+            } else if (this.measurementManager.isPicking) {
+                this.measurementManager.cancelCalibration();
+                UIHelper.showMessage('縮尺設定を中止しました');
+            } else if (this.geoReferenceManager.isPicking) {
+                this.geoReferenceManager.cancelPicking();
+                UIHelper.showMessage('基準点の追加を中止しました');
+            } else if (this.multiSelectManager.clear()) {
+                UIHelper.showMessage('選択を解除しました');
+            }
+        } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'd') {
+            event.preventDefault();
+            this.handleDuplicate();
+        } else if ((event.key === 'Delete' || event.key === 'Backspace') && this.multiSelectManager.getCount() > 0) {
+            event.preventDefault();
+            this.handleDeleteMultiSelection();
+        } else if (event.key === 'Enter' && mode === 'area' && tool === 'split') {
+            event.preventDefault();
+            this.handleSplitArea();
+        }
     }
 
     /**
@@ -491,8 +1343,28 @@ export class PointMarkerApp {
     handleCanvasContextMenu(event) {
         event.preventDefault();
         const mode = this.layoutManager.getCurrentEditingMode();
+
+        // ルートの中間点を削除
+        if (mode === 'route') {
+            const scale = this.canvasRenderer.getScale();
+            const offset = this.canvasRenderer.getOffset();
+            const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
+            const waypointIndex = this.routeManager.findRoutePointAt(coords.x, coords.y, 8);
+            if (waypointIndex >= 0 && this.routeManager.removeRoutePoint(waypointIndex)) {
+                UIHelper.showMessage('中間点を削除しました');
+                this.firebaseSyncManager.updateRouteToFirebase(this.routeManager.selectedRouteIndex);
+            }
+            return;
+        }
+
         if (mode !== 'area') return;
 
+        // 作図中は最後の点を取り消し
+        if (this.areaToolManager.getCurrentTool() !== 'vertex') {
+            this.areaToolManager.removeLastDraftPoint();
+            return;
+        }
+
         const scale = this.canvasRenderer.getScale();
         const offset = this.canvasRenderer.getOffset();
         const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
@@ -521,24 +1393,139 @@ export class PointMarkerApp {
         const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
         const mode = this.layoutManager.getCurrentEditingMode();
 
+        // 投げ縄の作図開始（左ボタンのみ）
+        if (mode === 'area' && this.areaToolManager.getCurrentTool() === 'lasso') {
+            if (event.button === 0) {
+                this.areaToolManager.startLasso(coords.x, coords.y);
+                event.preventDefault();
+            }
+            return;
+        }
+
+        // 図形の作図開始（回転矩形の奥行き指定中はここで確定）
+        if (mode === 'area' && this.areaToolManager.getCurrentTool() === 'shape') {
+            if (event.button === 0) {
+                const shape = this.areaToolManager.startShape(coords.x, coords.y);
+                if (shape) {
+                    this.handleShapeComplete(shape);
+                }
+                event.preventDefault();
+            }
+            return;
+        }
+
+        // 選択中エリア全体の変形
+        if (mode === 'area' && this.areaToolManager.getCurrentTool() === 'transform') {
+            if (event.button === 0) {
+                this.startAreaTransform(coords, scale);
+                event.preventDefault();
+            }
+            return;
+        }
+
+        // 選択中の図形エリアのハンドル操作
+        const selectedArea = this.areaManager.getSelectedArea();
+        if (mode === 'area' && this.areaToolManager.getCurrentTool() === 'vertex' && selectedArea && selectedArea.shape) {
+            const handle = ShapePrimitives.findHandleAt(selectedArea.shape, coords.x, coords.y, 10 / scale, 24 / scale);
+            if (handle) {
+                this.areaToolManager.startHandleDrag(this.areaManager.selectedAreaIndex, handle.type, coords, selectedArea.shape);
+                event.preventDefault();
+                return;
+            }
+        }
+
         // ドラッグ処理
         const objectInfo = this.findObjectAtMouse(coords.x, coords.y);
-        if (!objectInfo) return;
+        const canMultiSelect = mode === 'point' || (mode === 'area' && this.areaToolManager.getCurrentTool() === 'vertex');
+        const operation = MultiSelectManager.getOperation(event);
+
+        // 何もない位置からのドラッグは範囲選択（移動しなければ通常のクリックとして扱う）
+        if (!objectInfo) {
+            if (canMultiSelect && event.button === 0) {
+                if (operation === 'replace') {
+                    this.multiSelectManager.clear();
+                }
+                this.multiSelectManager.startBand(coords.x, coords.y, operation);
+            }
+            return;
+        }
+
+        // 辺の中点・辺上を押した場合は、その位置に頂点を挿入してそのままドラッグする
+        if ((objectInfo.type === 'midpoint' || objectInfo.type === 'edge') &&
+            mode === 'area' && this.areaToolManager.getCurrentTool() === 'vertex') {
+            const vertexIndex = this.areaManager.insertVertexOnEdge(objectInfo.index, objectInfo.object.x, objectInfo.object.y);
+            if (vertexIndex < 0) return;
+
+            this.dragDropHandler.startDrag(
+                'vertex',
+                vertexIndex,
+                coords.x,
+                coords.y,
+                this.areaManager.getAreaVertex(vertexIndex),
+                this.areaManager.getLinkedVertices(this.areaManager.selectedRingIndex, vertexIndex)
+            );
+            event.preventDefault();
+            return;
+        }
+
+        // 選択中ルートの中間点のドラッグ
+        if (objectInfo.type === 'waypoint' && mode === 'route') {
+            this.dragDropHandler.startDrag('waypoint', objectInfo.index, coords.x, coords.y, objectInfo.object);
+            event.preventDefault();
+            return;
+        }
+
+        // スポットのドラッグ
+        if (objectInfo.type === 'spot' && mode === 'spot') {
+            this.dragDropHandler.startDrag('spot', objectInfo.index, coords.x, coords.y, objectInfo.object);
+            event.preventDefault();
+            return;
+        }
 
+        // 図形エリアの頂点は表示しないためドラッグ対象外（ハンドルで編集する）
         const canDrag = (objectInfo.type === 'point' && mode === 'point') ||
-            (objectInfo.type === 'vertex' && mode === 'area');
+            (objectInfo.type === 'vertex' && mode === 'area' && this.areaToolManager.getCurrentTool() === 'vertex' &&
+                !(selectedArea && selectedArea.shape));
 
         if (canDrag) {
             const object = objectInfo.type === 'point'
                 ? this.pointManager.getPoints()[objectInfo.index]
                 : this.areaManager.getAreaVertex(objectInfo.index);
 
+            // Shift / Ctrl + クリックは選択への追加・反転
+            if (operation !== 'replace') {
+                this.multiSelectManager.select(objectInfo.type, [object], operation);
+                event.preventDefault();
+                return;
+            }
+
+            // 選択中のオブジェクトを押した場合は選択全体をまとめてドラッグ
+            if (this.multiSelectManager.isSelected(object) && this.multiSelectManager.getCount() > 1) {
+                const selection = this.getMultiSelection();
+                const linkedVertices = selection.type === 'vertex'
+                    ? selection.objects.map(vertex => this.areaManager.getLinkedVertices(
+                        this.areaManager.selectedRingIndex,
+                        this.areaManager.getActiveRing().indexOf(vertex)
+                    ))
+                    : [];
+                this.dragDropHandler.startGroupDrag(selection.type, selection.objects, coords.x, coords.y, linkedVertices);
+                event.preventDefault();
+                return;
+            }
+            this.multiSelectManager.clear();
+
+            // 境界共有編集時は位置が一致する他エリアの頂点も一緒に動かす
+            const linkedVertices = objectInfo.type === 'vertex'
+                ? this.areaManager.getLinkedVertices(this.areaManager.selectedRingIndex, objectInfo.index)
+                : [];
+
             this.dragDropHandler.startDrag(
                 objectInfo.type,
                 objectInfo.index,
                 coords.x,
                 coords.y,
-                object
+                object,
+                linkedVertices
             );
             event.preventDefault();
         }
@@ -550,28 +1537,101 @@ export class PointMarkerApp {
     handleCanvasMouseUp(event) {
         if (!this.currentImage) return;
 
+        if (this.areaToolManager.isLassoDrawing) {
+            this.handleLassoComplete();
+            return;
+        }
+
+        if (this.areaToolManager.isDrawingShape()) {
+            const scale = this.canvasRenderer.getScale();
+            const offset = this.canvasRenderer.getOffset();
+            const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
+            const shape = this.areaToolManager.releaseShape(coords.x, coords.y);
+            if (shape) {
+                this.handleShapeComplete(shape);
+            }
+            return;
+        }
+
+        if (this.multiSelectManager.hasBand()) {
+            this.finishMultiSelectBand();
+            return;
+        }
+
+        const transformDrag = this.areaToolManager.endTransformDrag();
+        if (transformDrag) {
+            if (transformDrag.hasMoved) {
+                this.firebaseSyncManager.updateAreaToFirebase(transformDrag.areaIndex);
+                // ドラッグ中は求め直さなかった共有辺を更新
+                if (this.areaManager.topologyEditing) {
+                    this.redrawCanvas();
+                }
+            }
+            this.justFinishedDragging = true;
+            return;
+        }
+
+        const handleResult = this.areaToolManager.endHandleDrag();
+        if (handleResult) {
+            if (handleResult.hasMoved) {
+                this.firebaseSyncManager.updateAreaToFirebase(handleResult.areaIndex);
+                // ドラッグ中は求め直さなかった共有辺を更新
+                if (this.areaManager.topologyEditing) {
+                    this.redrawCanvas();
+                }
+            }
+            // ハンドルのクリックで頂点が追加されないようにする
+            this.justFinishedDragging = true;
+            return;
+        }
+
         const result = this.dragDropHandler.endDrag(
             this.inputManager,
             this.pointManager,
             // ポイントドラッグ終了時
             (index) => this.firebaseSyncManager.updatePointToFirebase(index),
             // エリア頂点ドラッグ終了時
-            () => {
+            (index, linkedAreaIndices) => {
                 const areaIndex = this.areaManager.selectedAreaIndex;
                 if (areaIndex >= 0) {
-                    this.areaManager.reorderVertices(areaIndex);
                     // Firebase更新
                     this.firebaseSyncManager.updateAreaToFirebase(areaIndex);
                 }
+                linkedAreaIndices.forEach(linkedIndex => this.firebaseSyncManager.updateAreaToFirebase(linkedIndex));
                 this.redrawCanvas();
-            }
+            },
+            // ルートの中間点ドラッグ終了時
+            () => this.firebaseSyncManager.updateRouteToFirebase(this.routeManager.selectedRouteIndex),
+            // スポットドラッグ終了時
+            (index, origin) => this.handleSpotDragEnd(index, origin)
         );
 
         if (result.wasDragging) {
             this.justFinishedDragging = result.hasMoved;
+            // 頂点のドラッグ中は求め直さなかった共有辺を更新
+            if (result.hasMoved && this.areaManager.topologyEditing) {
+                this.redrawCanvas();
+            }
         }
     }
 
+    /**
+     * 頂点の追加・移動先にスナップを適用
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @param {MouseEvent|null} event - マウスイベント（修飾キー判定用）
+     * @param {Array} excludeVertices - スナップ対象外の頂点（一緒に動く共有頂点）
+     * @returns {{x: number, y: number}} スナップ後の座標
+     */
+    snapVertexPosition(x, y, event, excludeVertices = []) {
+        return this.snapManager.snap(
+            x, y, event,
+            { pointManager: this.pointManager, areaManager: this.areaManager },
+            this.canvasRenderer.getScale(),
+            excludeVertices
+        );
+    }
+
     /**
      * キャンバスマウス移動処理
      */
@@ -581,105 +1641,1942 @@ export class PointMarkerApp {
         const scale = this.canvasRenderer.getScale();
         const offset = this.canvasRenderer.getOffset();
         const coords = CoordinateUtils.mouseToCanvas(event, this.canvas, scale, offset.x, offset.y);
+        this.updateCursorReadout(coords);
+
+        // 投げ縄の作図中（キャンバス外でボタンを離した場合はここで確定）
+        if (this.areaToolManager.isLassoDrawing) {
+            if ((event.buttons & 1) === 0) {
+                this.handleLassoComplete();
+            } else {
+                this.areaToolManager.extendLasso(coords.x, coords.y, 2 / scale);
+            }
+            return;
+        }
+
+        // 図形の作図中（キャンバス外でボタンを離した場合はここでドラッグを終える）
+        if (this.areaToolManager.isDrawingShape()) {
+            if (this.areaToolManager.isDraggingShape() && (event.buttons & 1) === 0) {
+                const shape = this.areaToolManager.releaseShape(coords.x, coords.y);
+                if (shape) {
+                    this.handleShapeComplete(shape);
+                }
+            } else {
+                this.areaToolManager.updateShape(coords.x, coords.y);
+            }
+            return;
+        }
+
+        // 範囲選択中（キャンバス外でボタンを離した場合はここで確定）
+        if (this.multiSelectManager.hasBand()) {
+            if ((event.buttons & 1) === 0) {
+                this.finishMultiSelectBand();
+            } else if (this.multiSelectManager.updateBand(coords.x, coords.y)) {
+                this.redrawCanvas();
+            }
+            return;
+        }
+
+        // エリア全体の変形をドラッグ中（Shiftで制約）
+        const transformDrag = this.areaToolManager.getTransformDrag();
+        if (transformDrag) {
+            const transform = AreaTransform.fromHandleDrag(
+                transformDrag.handleType, transformDrag.bounds, transformDrag.start, coords, event.shiftKey
+            );
+            transformDrag.hasMoved = true;
+            this.areaManager.transformArea(transformDrag.areaIndex, transformDrag.rings, transformDrag.shape, transform);
+            return;
+        }
+
+        // 図形エリアのハンドルをドラッグ中
+        const draggedShape = this.areaToolManager.dragHandle(coords.x, coords.y);
+        if (draggedShape) {
+            this.areaManager.setAreaShape(this.areaToolManager.handleDrag.areaIndex, draggedShape);
+            return;
+        }
 
-        // ドラッグ中の更新
-        if (this.dragDropHandler.updateDrag(coords.x, coords.y, this.pointManager, this.areaManager)) {
+        // ドラッグ中の更新（頂点はスナップを適用）
+        const snapPosition = (x, y) => this.snapVertexPosition(x, y, event, this.dragDropHandler.linkedVertices);
+        if (this.dragDropHandler.updateDrag(coords.x, coords.y, this.pointManager, this.areaManager, snapPosition,
+            this.routeManager, this.spotManager)) {
             this.redrawCanvas();
             return;
         }
 
+        // 頂点編集中はスナップ先の候補を表示
+        if (this.layoutManager.getCurrentEditingMode() === 'area' &&
+            this.areaToolManager.getCurrentTool() === 'vertex' &&
+            this.areaManager.selectedAreaIndex >= 0) {
+            const previous = this.snapManager.getCurrentSnap();
+            this.snapVertexPosition(coords.x, coords.y, event);
+            if (!this.snapManager.isSameSnap(previous, this.snapManager.getCurrentSnap())) {
+                this.redrawCanvas();
+            }
+        } else if (this.snapManager.clearCurrentSnap()) {
+            this.redrawCanvas();
+        }
+
+        // 作図中のプレビュー
+        if (this.layoutManager.getCurrentEditingMode() === 'area' && this.areaToolManager.getCurrentTool() === 'split') {
+            this.areaToolManager.setPreviewPoint({ x: coords.x, y: coords.y });
+        }
+
         // ホバー処理
         const hasObject = this.findObjectAtMouse(coords.x, coords.y) !== null;
         this.canvas.style.cursor = 'crosshair';
     }
 
     /**
-     * 既存オブジェクトクリック時の処理
+     * 投げ縄で描いた軌跡からエリアを作成
+     * 軌跡は許容距離で間引き、描画の交差で分かれた場合は最も大きい部分を使う
      */
-    handleExistingObjectClick(objectInfo, mode) {
-        if (objectInfo.type === 'point' && mode === 'point') {
-            UIHelper.focusInputForPoint(objectInfo.index);
+    async handleLassoComplete() {
+        const path = this.areaToolManager.finishLasso();
+        const tolerance = this.areaToolManager.lassoTolerance / this.canvasRenderer.getScale();
+        const vertices = GeometryUtils.simplifyPath(path, tolerance);
+        // 描き終わりが描き始めの近くに戻っている場合は重複になるため除く
+        if (vertices.length > 3) {
+            const first = vertices[0];
+            const last = vertices[vertices.length - 1];
+            if (Math.hypot(last.x - first.x, last.y - first.y) <= Math.max(tolerance, 1)) {
+                vertices.pop();
+            }
+        }
+        let shape = { vertices, holes: [] };
+
+        if (shape.vertices.length < 3 || GeometryUtils.ringArea(shape.vertices) < this.areaManager.MIN_AREA) {
+            UIHelper.showWarning('投げ縄の範囲が小さすぎるためエリアを作成しませんでした');
+            return;
         }
+
+        if (!this.areaManager.getGeometryIssues(shape).isValid) {
+            let shapes;
+            try {
+                shapes = PolygonBoolean.resolveSelfIntersections(shape);
+            } catch (error) {
+                UIHelper.showError(error.message);
+                return;
+            }
+            if (shapes.length === 0) {
+                UIHelper.showWarning('投げ縄の形状からエリアを作成できませんでした');
+                return;
+            }
+            shape = shapes.reduce((largest, candidate) =>
+                (GeometryUtils.polygonArea(candidate.vertices, candidate.holes) >
+                    GeometryUtils.polygonArea(largest.vertices, largest.holes) ? candidate : largest));
+            if (shapes.length > 1) {
+                UIHelper.showWarning('軌跡が交差して分かれた部分のうち、最も大きい部分でエリアを作成します');
+            }
+        }
+
+        await this.handleAddArea(shape);
     }
 
     /**
-     * 新規オブジェクト作成処理
+     * 複数選択の対象（ポイント編集モードはポイント、エリア編集モードは選択中エリアの編集対象リングの頂点）
+     * @returns {{type: string, candidates: Array, objects: Array}} 種類、選択候補、選択中のオブジェクト
      */
-    async handleNewObjectCreation(coords, mode) {
-        if (mode === 'area') {
-            this.areaManager.addVertex(coords.x, coords.y);
-            // Firebase更新
-            const areaIndex = this.areaManager.selectedAreaIndex;
-            if (areaIndex >= 0) {
-                this.firebaseSyncManager.updateAreaToFirebase(areaIndex);
-            }
-        } else if (mode === 'point') {
-            this.pointManager.removeTrailingEmptyUserPoints();
-            this.pointManager.addPoint(coords.x, coords.y);
-            const newIndex = this.pointManager.getPoints().length - 1;
-            setTimeout(() => UIHelper.focusInputForPoint(newIndex), 30);
+    getMultiSelection() {
+        let type = 'point';
+        let candidates = this.pointManager.getPoints();
+        if (this.layoutManager.getCurrentEditingMode() === 'area') {
+            const area = this.areaManager.getSelectedArea();
+            type = 'vertex';
+            // 図形エリアの頂点はハンドルで編集するため対象外
+            candidates = area && !area.shape ? this.areaManager.getActiveRing() || [] : [];
         }
+        return { type, candidates, objects: this.multiSelectManager.getSelected(candidates) };
     }
 
     /**
-     * エリア選択ドロップダウンを更新
+     * 範囲選択を確定
      */
-    updateAreaDropdown(areas) {
-        const dropdown = document.getElementById('areaSelectDropdown');
-        if (!dropdown) return;
-
-        const currentSelectedIndex = this.areaManager.selectedAreaIndex;
-        dropdown.innerHTML = '<option value="">-- エリアを選択 --</option>';
+    finishMultiSelectBand() {
+        const { type, candidates } = this.getMultiSelection();
+        if (!this.multiSelectManager.finishBand(type, candidates)) return;
+
+        // 範囲選択の終了時に頂点・ポイントが追加されないようにする
+        this.justFinishedDragging = true;
+        const count = this.multiSelectManager.getCount();
+        const label = type === 'vertex' ? '頂点' : 'ポイント';
+        UIHelper.showMessage(count > 0
+            ? `${count} 個の${label}を選択しています（ドラッグで移動、Deleteで削除）`
+            : `範囲内に${label}がありません`);
+    }
 
-        areas.forEach((area, index) => {
+    /**
+     * 複数選択したポイント・頂点をまとめて削除
+     * Firebaseへの反映はエリアごとに1回（ポイントは一括）で行う
+     */
+    handleDeleteMultiSelection() {
+        const { type, candidates, objects } = this.getMultiSelection();
+        if (objects.length === 0) {
+            this.multiSelectManager.clear();
+            return;
+        }
+
+        const label = type === 'vertex' ? '頂点' : 'ポイント';
+        if (!confirm(`選択中の${label} ${objects.length} 個を削除しますか？`)) return;
+
+        const indices = objects.map(object => candidates.indexOf(object));
+        if (type === 'vertex') {
+            // 共有先のエリアは onLinkedAreasChange でそれぞれ1回反映される
+            const areaIndex = this.areaManager.selectedAreaIndex;
+            this.areaManager.removeVertices(indices);
+            this.firebaseSyncManager.updateAreaToFirebase(areaIndex);
+        } else {
+            this.firebaseSyncManager.deletePointsFromFirebase(objects.map(point => ({ x: point.x, y: point.y })));
+            this.pointManager.removePoints(indices);
+        }
+
+        this.multiSelectManager.clear();
+        UIHelper.showMessage(`${label} ${objects.length} 個を削除しました`);
+    }
+
+    /**
+     * 変形ツールで押した位置のハンドルから、選択中エリアの変形のドラッグを開始
+     * @param {{x: number, y: number}} coords - マウス位置（キャンバス座標）
+     * @param {number} scale - キャンバスのスケール値
+     */
+    startAreaTransform(coords, scale) {
+        const areaIndex = this.areaManager.selectedAreaIndex;
+        const area = this.areaManager.getSelectedArea();
+        const rings = this.areaManager.getRings(area);
+        const bounds = AreaTransform.getBounds(rings);
+        if (!bounds) {
+            UIHelper.showMessage('変形するエリアを選択してください');
+            return;
+        }
+
+        const handleType = AreaTransform.findHandleAt(bounds, coords.x, coords.y, 10 / scale, 24 / scale);
+        if (!handleType) return;
+
+        this.areaToolManager.startTransformDrag(
+            areaIndex,
+            handleType,
+            { x: coords.x, y: coords.y },
+            bounds,
+            rings.map(ring => ring.map(v => ({ x: v.x, y: v.y }))),
+            area.shape ? { ...area.shape } : null
+        );
+    }
+
+    /**
+     * 数値指定で選択中のエリアを変形（外接矩形の中心を基準に適用）
+     * 移動量は画像のピクセル単位で指定する
+     */
+    handleApplyNumericTransform() {
+        const areaIndex = this.areaManager.selectedAreaIndex;
+        const area = this.areaManager.getSelectedArea();
+        const rings = this.areaManager.getRings(area);
+        const bounds = AreaTransform.getBounds(rings);
+        if (!area || !bounds) {
+            UIHelper.showError('変形するエリアを選択してください');
+            return;
+        }
+
+        const readNumber = (id, defaultValue) => {
+            const input = document.getElementById(id);
+            if (!input || input.value.trim() === '') return defaultValue;
+            return Number(input.value);
+        };
+        const dx = readNumber('transformDxInput', 0);
+        const dy = readNumber('transformDyInput', 0);
+        const angle = readNumber('transformAngleInput', 0);
+        const scalePercent = readNumber('transformScaleInput', 100);
+        if (![dx, dy, angle, scalePercent].every(Number.isFinite) || scalePercent <= 0) {
+            UIHelper.showError('変形の値が正しくありません（拡大率は0より大きい値を指定してください）');
+            return;
+        }
+
+        // 画像のピクセルをキャンバス座標に換算
+        const ratio = this.currentImage ? this.canvas.width / this.currentImage.width : 1;
+        const transform = {
+            ...AreaTransform.identity(bounds.cx, bounds.cy),
+            dx: dx * ratio,
+            dy: dy * ratio,
+            angle: angle * Math.PI / 180,
+            scaleX: scalePercent / 100,
+            scaleY: scalePercent / 100
+        };
+        this.areaManager.transformArea(
+            areaIndex,
+            rings.map(ring => ring.map(v => ({ x: v.x, y: v.y }))),
+            area.shape ? { ...area.shape } : null,
+            transform
+        );
+        this.firebaseSyncManager.updateAreaToFirebase(areaIndex);
+
+        // 同じ変形を重ねて適用しないよう入力を初期値に戻す
+        [['transformDxInput', '0'], ['transformDyInput', '0'], ['transformAngleInput', '0'], ['transformScaleInput', '100']]
+            .forEach(([id, value]) => {
+                const input = document.getElementById(id);
+                if (input) input.value = value;
+            });
+        UIHelper.showMessage(`エリア "${area.areaName}" を変形しました`);
+    }
+
+    /**
+     * 作図した図形からエリアを作成
+     * @param {Object} shape - 図形のパラメータ
+     */
+    async handleShapeComplete(shape) {
+        if (!ShapePrimitives.isValidSize(shape)) {
+            UIHelper.showWarning('図形が小さすぎるためエリアを作成しませんでした');
+            return;
+        }
+
+        await this.handleAddArea({ vertices: ShapePrimitives.toPolygon(shape), holes: [], shape });
+    }
+
+    /**
+     * 既存オブジェクトクリック時の処理
+     */
+    handleExistingObjectClick(objectInfo, mode) {
+        if (objectInfo.type === 'point' && mode === 'point') {
+            UIHelper.focusInputForPoint(objectInfo.index);
+        } else if (objectInfo.type === 'point' && mode === 'route') {
+            this.handleRoutePointClick(objectInfo.object);
+        } else if (objectInfo.type === 'spot' && mode === 'spot') {
+            UIHelper.focusInputForSpot(objectInfo.index);
+        }
+    }
+
+    /**
+     * 新規オブジェクト作成処理
+     * @param {{x: number, y: number}} coords - クリック座標（キャンバス座標）
+     * @param {string} mode - 編集モード
+     * @param {MouseEvent|null} event - マウスイベント（スナップの修飾キー判定用）
+     */
+    async handleNewObjectCreation(coords, mode, event = null) {
+        if (mode === 'area') {
+            const position = this.snapVertexPosition(coords.x, coords.y, event);
+            this.areaManager.addVertex(position.x, position.y);
+            // Firebase更新
+            const areaIndex = this.areaManager.selectedAreaIndex;
+            if (areaIndex >= 0) {
+                this.firebaseSyncManager.updateAreaToFirebase(areaIndex);
+            }
+        } else if (mode === 'point') {
+            this.pointManager.removeTrailingEmptyUserPoints();
+            this.pointManager.addPoint(coords.x, coords.y);
+            const newIndex = this.pointManager.getPoints().length - 1;
+            setTimeout(() => UIHelper.focusInputForPoint(newIndex), 30);
+        } else if (mode === 'route') {
+            this.routeManager.addRoutePoint(coords.x, coords.y);
+            this.firebaseSyncManager.updateRouteToFirebase(this.routeManager.selectedRouteIndex);
+        } else if (mode === 'spot') {
+            this.spotManager.removeTrailingEmptySpots();
+            this.spotManager.addSpot(coords.x, coords.y);
+            const newIndex = this.spotManager.getSpots().length - 1;
+            setTimeout(() => UIHelper.focusInputForSpot(newIndex), 30);
+        }
+    }
+
+    /**
+     * エリアツリーを更新
+     */
+    updateAreaTree() {
+        this.areaTreeView.render(
+            this.areaManager.getHierarchy(),
+            this.areaManager.selectedAreaIndex,
+            (index) => this.areaManager.getHierarchyIssues(index)
+        );
+    }
+
+    /**
+     * 親エリアのドロップダウンを更新（自分自身と子孫は選択肢から除く）
+     */
+    updateAreaParentDropdown() {
+        const dropdown = document.getElementById('areaParentDropdown');
+        if (!dropdown) return;
+
+        const index = this.areaManager.selectedAreaIndex;
+        dropdown.innerHTML = '<option value="">（最上位）</option>';
+        dropdown.disabled = index < 0;
+        if (index < 0) return;
+
+        this.areaManager.getAllAreas().forEach((area, candidateIndex) => {
+            if (!this.areaManager.canSetParent(index, candidateIndex)) return;
+            const option = document.createElement('option');
+            option.value = candidateIndex.toString();
+            option.textContent = area.areaName || `エリア ${candidateIndex + 1}`;
+            dropdown.appendChild(option);
+        });
+
+        const parentIndex = this.areaManager.getParentIndex(index);
+        dropdown.value = parentIndex >= 0 ? parentIndex.toString() : '';
+    }
+
+    /**
+     * 選択中のエリアの親エリアを設定
+     * 子エリアが親エリアの内側に収まっていない場合は設定しない
+     * @param {number} parentIndex - 親エリアのインデックス（-1 = 最上位）
+     */
+    handleSetAreaParent(parentIndex) {
+        const index = this.areaManager.selectedAreaIndex;
+        if (index < 0) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+        if (!this.areaManager.canSetParent(index, parentIndex)) {
+            UIHelper.showError('自分自身や子エリアを親エリアにすることはできません');
+            this.updateAreaParentDropdown();
+            return;
+        }
+
+        const areas = this.areaManager.getAllAreas();
+        const area = areas[index];
+        if (parentIndex < 0) {
+            this.areaManager.setAreaParent(index, -1);
+            this.firebaseSyncManager.updateAreaToFirebase(index);
+            UIHelper.showMessage(`エリア「${area.areaName}」を最上位に移動しました`);
+            return;
+        }
+
+        const parent = areas[parentIndex];
+        const inside = this.areaManager.isAreaInside(area, parent);
+        if (inside === false) {
+            UIHelper.showError(`エリア「${area.areaName}」は「${parent.areaName}」の内側に収まっていないため子エリアにできません`);
+            this.updateAreaParentDropdown();
+            return;
+        }
+
+        this.areaManager.setAreaParent(index, parentIndex);
+        this.firebaseSyncManager.updateAreaToFirebase(index);
+        if (inside === null) {
+            UIHelper.showWarning(`親エリアを設定しましたが、形状が未完成のため「${parent.areaName}」の内側にあるか確認できませんでした`);
+        } else {
+            UIHelper.showMessage(`エリア「${area.areaName}」を「${parent.areaName}」の子エリアにしました`);
+        }
+    }
+
+    /**
+     * 図形演算の相手エリアのドロップダウンを更新
+     * @param {Array} areas - 全エリア配列
+     */
+    updateBooleanTargetDropdown(areas) {
+        this.populateAreaDropdown('booleanTargetDropdown', '-- 演算の相手エリア --', areas);
+    }
+
+    /**
+     * 隙間検査の外枠エリアのドロップダウンを更新
+     * @param {Array} areas - 全エリア配列
+     */
+    updateGapBoundaryDropdown(areas) {
+        this.populateAreaDropdown('gapBoundaryDropdown', '-- 隙間検査の外枠（なし） --', areas);
+    }
+
+    /**
+     * エリア一覧の選択肢をドロップダウンに設定（選択値は可能な限り維持）
+     * @param {string} dropdownId - ドロップダウンのID
+     * @param {string} placeholder - 未選択時の表示文字列
+     * @param {Array} areas - 全エリア配列
+     */
+    populateAreaDropdown(dropdownId, placeholder, areas) {
+        const dropdown = document.getElementById(dropdownId);
+        if (!dropdown) return;
+
+        const currentValue = dropdown.value;
+        dropdown.innerHTML = `<option value="">${placeholder}</option>`;
+
+        areas.forEach((area, index) => {
             const option = document.createElement('option');
             option.value = index.toString();
             option.textContent = area.areaName || `エリア ${index + 1}`;
             dropdown.appendChild(option);
         });
 
-        dropdown.value = currentSelectedIndex >= 0 ? currentSelectedIndex.toString() : '';
+        dropdown.value = currentValue !== '' && parseInt(currentValue) < areas.length ? currentValue : '';
+    }
+
+    /**
+     * 全エリアの重なりと外枠内の隙間を検査
+     */
+    handleAnalyzeCoverage() {
+        const dropdown = document.getElementById('gapBoundaryDropdown');
+        const boundaryIndex = dropdown && dropdown.value !== '' ? parseInt(dropdown.value) : -1;
+
+        let report;
+        try {
+            report = this.coverageManager.analyze(
+                this.areaManager.getAllAreas(),
+                boundaryIndex,
+                (area) => this.areaManager.getGeometryIssues(area).isValid
+            );
+        } catch (error) {
+            UIHelper.showError(error.message);
+            return;
+        }
+
+        const overlapCount = report.results.filter(result => result.type === 'overlap').length;
+        const gapCount = report.results.length - overlapCount;
+        let message = boundaryIndex >= 0
+            ? `重なり ${overlapCount} 件、隙間 ${gapCount} 件が見つかりました`
+            : `重なり ${overlapCount} 件が見つかりました`;
+        if (report.skippedAreas.length > 0) {
+            message += `（形状が不正な ${report.skippedAreas.length} 件のエリアは対象外）`;
+        }
+        UIHelper.showMessage(message, report.results.length > 0 ? 'warning' : 'info');
+    }
+
+    /**
+     * 重なり・隙間の検査結果一覧を更新
+     * @param {Array} results - 検査結果
+     */
+    updateCoverageResultList(results) {
+        const list = document.getElementById('coverageResultList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        list.style.display = results.length > 0 ? 'block' : 'none';
+
+        results.forEach((result, index) => {
+            // 重なりが複数の部分に分かれる場合は合計
+            const measurements = result.shapes
+                .map(shape => this.measurementManager.measureArea(shape))
+                .filter(measurement => measurement !== null);
+            const total = (key) => measurements.reduce((sum, measurement) => sum + measurement[key], 0);
+            const calibrated = this.measurementManager.isCalibrated();
+            const { areaText } = this.measurementManager.formatMeasurement({
+                areaPx: total('areaPx'),
+                perimeterPx: total('perimeterPx'),
+                areaM2: calibrated ? total('areaM2') : null,
+                perimeterM: calibrated ? total('perimeterM') : null
+            });
+
+            const names = result.areas.map(area => area.areaName).join(' × ');
+            const item = document.createElement('li');
+            item.className = 'coverage-result-item';
+            item.classList.toggle('selected', index === this.coverageManager.selectedResultIndex);
+            item.textContent = result.type === 'overlap'
+                ? `重なり: ${names}（${areaText}）`
+                : `隙間: ${names} 内（${areaText}）`;
+            item.title = 'クリックで該当エリアを選択';
+            item.addEventListener('click', () => this.handleCoverageResultClick(index));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 検査結果のクリックで該当エリアを選択
+     * @param {number} index - 結果のインデックス
+     */
+    handleCoverageResultClick(index) {
+        const result = this.coverageManager.getResults()[index];
+        if (!result) return;
+
+        // 検査後にエリアが追加・削除されてもよいようにインデックスではなく参照で探す
+        const areaIndex = this.areaManager.getAllAreas().indexOf(result.areas[0]);
+        if (areaIndex < 0) {
+            UIHelper.showWarning('該当エリアは削除されています。再度検査してください');
+            return;
+        }
+
+        this.areaManager.selectArea(areaIndex);
+        this.coverageManager.selectResult(index);
+        UIHelper.showMessage(`エリア "${result.areas[0].areaName}" を選択しました`, 'info');
+    }
+
+    /**
+     * 選択中エリアと相手エリアの図形演算（和・積・差）を実行
+     * @param {string} operation - 'union' | 'intersection' | 'difference'
+     */
+    handleAreaBooleanOperation(operation) {
+        const indexA = this.areaManager.selectedAreaIndex;
+        const dropdown = document.getElementById('booleanTargetDropdown');
+        const indexB = dropdown && dropdown.value !== '' ? parseInt(dropdown.value) : -1;
+
+        if (indexA < 0) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+        if (indexB < 0 || indexB === indexA) {
+            UIHelper.showError('演算の相手となる別のエリアを選択してください');
+            return;
+        }
+
+        const areas = this.areaManager.getAllAreas();
+        const areaA = areas[indexA];
+        const areaB = areas[indexB];
+
+        for (const area of [areaA, areaB]) {
+            const issues = this.areaManager.getGeometryIssues(area);
+            if ((area.vertices || []).length < 3 || !issues.isValid) {
+                UIHelper.showError(`エリア「${area.areaName}」の形状が不正なため演算できません`);
+                return;
+            }
+        }
+
+        let shapes;
+        try {
+            shapes = PolygonBoolean.compute(operation, areaA, areaB);
+        } catch (error) {
+            UIHelper.showError(error.message);
+            return;
+        }
+
+        if (shapes.length === 0) {
+            UIHelper.showWarning('演算結果が空になりました（重なりがありません）');
+            return;
+        }
+
+        const operatorLabels = { union: '+', intersection: '∩', difference: '-' };
+        const baseName = `${areaA.areaName}${operatorLabels[operation]}${areaB.areaName}`;
+        const names = this.areaManager.createDerivedAreaNames(baseName, shapes.length);
+        // 演算結果は選択中のエリアの属性・スタイル・親エリアを引き継ぐ
+        const newAreas = shapes.map((shape, i) => ({
+            areaName: names[i],
+            vertices: shape.vertices,
+            holes: shape.holes,
+            attributes: { ...areaA.attributes },
+            style: areaA.style ? { ...areaA.style } : null,
+            parentId: areaA.parentId
+        }));
+
+        const removeCheckbox = document.getElementById('removeSourceAreasCheckbox');
+        const removeSources = !!(removeCheckbox && removeCheckbox.checked);
+
+        this.applyAreaReplacement([indexA, indexB], newAreas, removeSources);
+        UIHelper.showMessage(`図形演算の結果 ${newAreas.length} 件のエリアを作成しました`);
+    }
+
+    /**
+     * 描いた分割線で選択中のエリアを分割
+     */
+    handleSplitArea() {
+        const index = this.areaManager.selectedAreaIndex;
+        const cutLine = [...this.areaToolManager.getDraftPoints()];
+
+        if (index < 0) {
+            UIHelper.showError('分割するエリアを選択してください');
+            return;
+        }
+        if (cutLine.length < 2) {
+            UIHelper.showError('分割線には2点以上が必要です');
+            return;
+        }
+
+        const area = this.areaManager.getAllAreas()[index];
+        if ((area.vertices || []).length < 3 || !this.areaManager.getGeometryIssues(area).isValid) {
+            UIHelper.showError(`エリア「${area.areaName}」の形状が不正なため分割できません`);
+            return;
+        }
+
+        let shapes;
+        try {
+            shapes = PolygonBoolean.split(area, cutLine);
+        } catch (error) {
+            UIHelper.showError(error.message);
+            return;
+        }
+
+        if (shapes.length < 2) {
+            UIHelper.showWarning('分割線がエリアを横切っていません');
+            return;
+        }
+
+        const names = this.areaManager.createDerivedAreaNames(area.areaName, shapes.length);
+        // 分割後の各エリアは元のエリアの属性・スタイル・親エリアを引き継ぐ
+        const newAreas = shapes.map((shape, i) => ({
+            areaName: names[i],
+            vertices: shape.vertices,
+            holes: shape.holes,
+            attributes: { ...area.attributes },
+            style: area.style ? { ...area.style } : null,
+            parentId: area.parentId
+        }));
+
+        this.areaToolManager.clearDraft();
+        this.applyAreaReplacement([index], newAreas, true);
+        UIHelper.showMessage(`エリア「${area.areaName}」を ${newAreas.length} つに分割しました`);
+    }
+
+    /**
+     * 新しいエリアを追加し、必要に応じて元のエリアを削除してFirebaseに同期
+     * @param {Array<number>} sourceIndices - 元のエリアのインデックス
+     * @param {Array<Object>} newAreas - 追加するエリアデータ
+     * @param {boolean} removeSources - 元のエリアを削除するかどうか
+     */
+    applyAreaReplacement(sourceIndices, newAreas, removeSources) {
+        const firstNewIndex = this.areaManager.getAllAreas().length;
+        newAreas.forEach(area => this.areaManager.addArea(area));
+        newAreas.forEach((area, i) => {
+            this.areaManager.checkAndUpdateModifiedState(firstNewIndex + i);
+            this.firebaseSyncManager.updateAreaToFirebase(firstNewIndex + i);
+        });
+
+        let selectIndex = firstNewIndex;
+        if (removeSources) {
+            // 元のエリアの子エリアは、その子を含む新しいエリアに付け替える
+            // （含むエリアがない場合は deleteArea により元のエリアの親に付け替わる）
+            const areas = this.areaManager.getAllAreas();
+            const sourceIds = sourceIndices.map(index => areas[index].areaId);
+            const reparentedAreas = areas.filter(child => {
+                if (!sourceIds.includes(child.parentId) || sourceIds.includes(child.areaId)) return false;
+                const container = newAreas.find(area => this.areaManager.isAreaInside(child, area));
+                if (!container) return false;
+                child.parentId = container.areaId;
+                return true;
+            });
+
+            // インデックスがずれないよう後ろから削除
+            [...sourceIndices].sort((a, b) => b - a).forEach(index => {
+                this.firebaseSyncManager.deleteAreaFromFirebase(index);
+                this.areaManager.deleteArea(index);
+            });
+            selectIndex -= sourceIndices.length;
+
+            reparentedAreas.forEach(area => {
+                this.firebaseSyncManager.updateAreaToFirebase(this.areaManager.getAllAreas().indexOf(area));
+            });
+        }
+
+        this.areaManager.selectArea(selectIndex);
+    }
+
+    /**
+     * 編集対象リング（外周/穴）のドロップダウンを更新
+     */
+    updateRingDropdown() {
+        const dropdown = document.getElementById('ringSelectDropdown');
+        if (!dropdown) return;
+
+        const area = this.areaManager.getSelectedArea();
+        dropdown.innerHTML = '<option value="0">外周</option>';
+        dropdown.disabled = !area;
+
+        if (area) {
+            (area.holes || []).forEach((hole, holeIndex) => {
+                const option = document.createElement('option');
+                option.value = (holeIndex + 1).toString();
+                option.textContent = `穴 ${holeIndex + 1}`;
+                dropdown.appendChild(option);
+            });
+        }
+
+        dropdown.value = this.areaManager.selectedRingIndex.toString();
+    }
+
+    /**
+     * 選択中エリアに穴を追加
+     */
+    handleAddHole() {
+        if (this.areaManager.addHole() > 0) {
+            UIHelper.showMessage('穴を追加しました。画像上で穴の頂点をクリックして追加してください');
+        }
+    }
+
+    /**
+     * 選択中の穴を削除
+     */
+    handleDeleteHole() {
+        const areaIndex = this.areaManager.selectedAreaIndex;
+        const ringIndex = this.areaManager.selectedRingIndex;
+        if (areaIndex < 0 || ringIndex < 1) {
+            UIHelper.showError('削除する穴が選択されていません');
+            return;
+        }
+
+        if (confirm(`穴 ${ringIndex} を削除しますか？`)) {
+            this.areaManager.deleteHole(ringIndex);
+            this.firebaseSyncManager.updateAreaToFirebase(areaIndex);
+            UIHelper.showMessage('穴を削除しました');
+        }
+    }
+
+    /**
+     * 新しいエリアを追加
+     * @param {{vertices: Array, holes: Array, shape: Object|undefined}|null} shape - 作成済みの形状
+     *        （投げ縄・図形など。図形の場合は shape に図形のパラメータを持つ。nullの場合は頂点なしで追加）
+     */
+    async handleAddArea(shape = null) {
+        const defaultName = `エリア ${this.areaManager.getAllAreas().length + 1}`;
+        const result = await this.attributeDialog.showAreaDialog(
+            { title: '新しいエリア', areaName: defaultName, attributes: {} },
+            this.attributeSchemaManager.getSchema(),
+            (attributes) => this.attributeSchemaManager.validateAttributes(attributes)
+        );
+
+        if (result === null) {
+            return; // Cancelled
+        }
+
+        const newArea = {
+            areaName: result.areaName,
+            vertices: shape ? shape.vertices : [],
+            holes: shape ? shape.holes : [],
+            attributes: this.attributeSchemaManager.normalizeAttributes(result.attributes),
+            shape: shape && shape.shape ? { ...shape.shape } : null
+        };
+        this.areaManager.addArea(newArea);
+        const newIndex = this.areaManager.getAllAreas().length - 1;
+        this.areaManager.selectArea(newIndex);
+
+        if (shape) {
+            this.areaManager.checkAndUpdateModifiedState(newIndex);
+            this.firebaseSyncManager.updateAreaToFirebase(newIndex);
+            UIHelper.showMessage(`頂点 ${shape.vertices.length} 個のエリアを追加しました`);
+            return;
+        }
+
+        UIHelper.showMessage('新しいエリアを追加しました。画像上で頂点をクリックして追加してください');
+    }
+
+    /**
+     * 選択中のエリアの名称と属性を編集
+     */
+    async handleEditAreaAttributes() {
+        const index = this.areaManager.selectedAreaIndex;
+        const area = this.areaManager.getSelectedArea();
+        if (!area) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+
+        const result = await this.attributeDialog.showAreaDialog(
+            { title: 'エリアの属性', areaName: area.areaName, attributes: area.attributes },
+            this.attributeSchemaManager.getSchema(),
+            (attributes) => this.attributeSchemaManager.validateAttributes(attributes)
+        );
+        if (result === null) return;
+
+        if (result.areaName !== area.areaName) {
+            this.areaManager.setAreaName(result.areaName);
+        }
+        this.areaManager.setAreaAttributes(this.attributeSchemaManager.normalizeAttributes(result.attributes));
+        this.firebaseSyncManager.updateAreaToFirebase(index);
+        UIHelper.showMessage(`エリア「${result.areaName}」の属性を更新しました`);
+    }
+
+    /**
+     * エリア属性の項目定義を編集
+     */
+    async handleEditAttributeSchema() {
+        const schema = await this.attributeDialog.showSchemaDialog(
+            this.attributeSchemaManager.getSchema(),
+            this.attributeSchemaManager.FIELD_TYPES,
+            (newSchema) => this.attributeSchemaManager.validateSchema(newSchema)
+        );
+        if (schema === null) return;
+
+        this.attributeSchemaManager.setSchema(schema);
+        this.firebaseSyncManager.saveProjectSettingsToFirebase({ attributeSchema: this.attributeSchemaManager.getSchema() });
+        UIHelper.showMessage('エリア属性の項目を更新しました');
+    }
+
+    /**
+     * 選択中のエリアの属性の要約を表示
+     */
+    updateAreaAttributeDisplay() {
+        const summaryEl = document.getElementById('areaAttributeSummary');
+        if (!summaryEl) return;
+
+        const area = this.areaManager.getSelectedArea();
+        if (!area) {
+            summaryEl.textContent = '-';
+            return;
+        }
+        summaryEl.textContent = this.attributeSchemaManager.formatSummary(area.attributes) || '未設定';
+    }
+
+    /**
+     * スタイル編集欄に選択中エリアの現在のスタイルを表示
+     */
+    updateAreaStyleEditor() {
+        const style = this.areaStyleManager.resolveStyle(this.areaManager.getSelectedArea());
+        const values = {
+            styleFillColorInput: style.fillColor,
+            styleStrokeColorInput: style.strokeColor,
+            styleStrokeWidthInput: style.strokeWidth,
+            styleOpacityInput: style.opacity,
+            styleHatchSelect: style.hatch
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+    }
+
+    /**
+     * スタイル編集欄の入力値を取得
+     * @returns {Object} スタイル
+     */
+    readAreaStyleInputs() {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value : undefined;
+        };
+        return this.areaStyleManager.normalizeStyle({
+            fillColor: value('styleFillColorInput'),
+            strokeColor: value('styleStrokeColorInput'),
+            strokeWidth: value('styleStrokeWidthInput'),
+            opacity: value('styleOpacityInput'),
+            hatch: value('styleHatchSelect')
+        });
+    }
+
+    /**
+     * 選択中のエリアに個別スタイルを適用
+     */
+    handleApplyAreaStyle() {
+        const index = this.areaManager.selectedAreaIndex;
+        if (index < 0) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+
+        this.areaManager.setAreaStyle(this.readAreaStyleInputs());
+        this.firebaseSyncManager.updateAreaToFirebase(index);
+        UIHelper.showMessage('エリアのスタイルを更新しました');
+    }
+
+    /**
+     * 選択中のエリアと同じカテゴリのエリアにスタイルを適用
+     */
+    handleApplyCategoryStyle() {
+        const area = this.areaManager.getSelectedArea();
+        if (!area) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+
+        const category = this.areaStyleManager.getCategory(area);
+        if (!category) {
+            UIHelper.showError('選択中のエリアにカテゴリ属性が設定されていません');
+            return;
+        }
+
+        this.areaStyleManager.setCategoryStyle(category, this.readAreaStyleInputs());
+        this.firebaseSyncManager.saveProjectSettingsToFirebase({ categoryStyles: this.areaStyleManager.getCategoryStyles() });
+
+        let message = `カテゴリ「${category}」のスタイルを更新しました`;
+        if (area.style) {
+            message += '（このエリアは個別設定が優先されます）';
+        }
+        UIHelper.showMessage(message);
+    }
+
+    /**
+     * 選択中のエリアの個別スタイルを解除
+     */
+    handleResetAreaStyle() {
+        const index = this.areaManager.selectedAreaIndex;
+        if (index < 0) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+
+        this.areaManager.setAreaStyle(null);
+        this.updateAreaStyleEditor();
+        this.firebaseSyncManager.updateAreaToFirebase(index);
+        UIHelper.showMessage('エリアの個別スタイルを解除しました');
+    }
+
+    /**
+     * エリアを削除
+     */
+    async handleDeleteArea() {
+        const index = this.areaManager.selectedAreaIndex;
+        if (index < 0) {
+            UIHelper.showError('エリアが選択されていません');
+            return;
+        }
+
+        const area = this.areaManager.getSelectedArea();
+        const childCount = this.areaManager.getChildIndices(index).length;
+        if (childCount === 0) {
+            if (confirm(`エリア「${area.areaName}」を削除しますか？`)) {
+                // Firebaseから削除
+                await this.firebaseSyncManager.deleteAreaFromFirebase(index);
+                this.areaManager.deleteArea(index);
+                UIHelper.showMessage('エリアを削除しました');
+            }
+            return;
+        }
+
+        const descendants = this.areaManager.getDescendantIndices(index);
+        const action = await this.attributeDialog.showDeleteParentDialog(area.areaName, childCount, descendants.length);
+        if (action === 'promote') {
+            // 子エリアは deleteArea で1つ上の階層に付け替えられる
+            await this.firebaseSyncManager.deleteAreaFromFirebase(index);
+            this.areaManager.deleteArea(index);
+            UIHelper.showMessage(`エリアを削除し、子エリア ${childCount} 件を1つ上の階層に移動しました`);
+        } else if (action === 'cascade') {
+            await this.deleteAreaWithDescendants(index);
+            UIHelper.showMessage(`エリアと子エリア ${descendants.length} 件を削除しました`);
+        }
+    }
+
+    /**
+     * エリアとその子孫をまとめて削除
+     * @param {number} index - エリアのインデックス
+     */
+    async deleteAreaWithDescendants(index) {
+        // 子孫から先に削除する（親を先に削除すると子が付け替えられるため）
+        // 削除ごとにインデックスがずれるので、エリアの参照から毎回インデックスを求める
+        const areas = this.areaManager.getAllAreas();
+        const targets = [index, ...this.areaManager.getDescendantIndices(index)].map(i => areas[i]).reverse();
+        for (const target of targets) {
+            const targetIndex = areas.indexOf(target);
+            await this.firebaseSyncManager.deleteAreaFromFirebase(targetIndex);
+            this.areaManager.deleteArea(targetIndex);
+        }
+    }
+
+    /**
+     * 画像・キャンバスのサイズ（クリップボードの座標変換用）
+     * @returns {{canvasWidth: number, canvasHeight: number, imageWidth: number, imageHeight: number}}
+     */
+    getCoordinateSize() {
+        return {
+            canvasWidth: this.canvas.width,
+            canvasHeight: this.canvas.height,
+            imageWidth: this.currentImage.width,
+            imageHeight: this.currentImage.height
+        };
+    }
+
+    /**
+     * 選択中のオブジェクトからクリップボードの内容を作成
+     * エリア編集モードは選択中のエリアと子孫エリア、ポイント編集モードは範囲選択したポイント
+     * @returns {Object|null} クリップボードの内容（対象がない場合はnull）
+     */
+    createClipboardContent() {
+        if (!this.currentImage) return null;
+
+        const source = { areas: [], points: [] };
+        if (this.layoutManager.getCurrentEditingMode() === 'area') {
+            const index = this.areaManager.selectedAreaIndex;
+            if (index < 0) return null;
+            const areas = this.areaManager.getAllAreas();
+            source.areas = [index, ...this.areaManager.getDescendantIndices(index)].map(i => areas[i]);
+        } else {
+            source.points = this.getMultiSelection().objects;
+            if (source.points.length === 0) return null;
+        }
+
+        return this.clipboardManager.createContent(
+            source,
+            this.getCoordinateSize(),
+            this.fileHandler.getCurrentImageFileName()
+        );
+    }
+
+    /**
+     * クリップボードの内容の件数表示
+     * @param {Object} content - クリップボードの内容
+     * @returns {string}
+     */
+    describeClipboardContent(content) {
+        const parts = [];
+        if (content.areas.length > 0) parts.push(`エリア ${content.areas.length} 件`);
+        if (content.points.length > 0) parts.push(`ポイント ${content.points.length} 件`);
+        return parts.join('、');
+    }
+
+    /**
+     * ブラウザのコピー・切り取り・貼り付けイベントの処理
+     * 入力欄での操作や対象がない場合は通常の動作に任せる
+     * @param {ClipboardEvent} event - クリップボードイベント
+     */
+    handleClipboardEvent(event) {
+        const tagName = event.target && event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+        if (!this.currentImage || !event.clipboardData) return;
+
+        if (event.type === 'paste') {
+            const content = this.clipboardManager.parse(event.clipboardData.getData('text/plain')) ||
+                this.clipboardManager.getContent();
+            if (!content) return;
+            event.preventDefault();
+            this.pasteClipboardContent(content);
+            return;
+        }
+
+        const content = this.createClipboardContent();
+        if (!content) return;
+        event.preventDefault();
+        event.clipboardData.setData('text/plain', this.clipboardManager.serialize(content));
+        this.clipboardManager.setContent(content);
+
+        if (event.type === 'cut') {
+            this.removeCopiedObjects(content);
+        } else {
+            UIHelper.showMessage(`${this.describeClipboardContent(content)}をコピーしました`);
+        }
+    }
+
+    /**
+     * 選択中のオブジェクトをコピー（ボタン操作用）
+     * @returns {Promise<Object|null>} コピーした内容
+     */
+    async handleCopy() {
+        const content = this.createClipboardContent();
+        if (!content) {
+            UIHelper.showError(this.layoutManager.getCurrentEditingMode() === 'area'
+                ? 'エリアが選択されていません'
+                : 'コピーするポイントを範囲選択してください');
+            return null;
+        }
+
+        this.clipboardManager.setContent(content);
+        // システムのクリップボードが使えない環境ではアプリ内のみに保持する
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            try {
+                await navigator.clipboard.writeText(this.clipboardManager.serialize(content));
+            } catch (error) {
+                console.warn('システムのクリップボードに書き込めませんでした:', error);
+            }
+        }
+        UIHelper.showMessage(`${this.describeClipboardContent(content)}をコピーしました`);
+        return content;
+    }
+
+    /**
+     * 選択中のオブジェクトを切り取り（ボタン操作用）
+     */
+    async handleCut() {
+        const content = await this.handleCopy();
+        if (content) {
+            await this.removeCopiedObjects(content);
+        }
+    }
+
+    /**
+     * 切り取ったオブジェクトを削除
+     * @param {Object} content - クリップボードの内容
+     */
+    async removeCopiedObjects(content) {
+        const label = this.describeClipboardContent(content);
+        if (content.areas.length > 0) {
+            await this.deleteAreaWithDescendants(this.areaManager.selectedAreaIndex);
+        } else {
+            const { candidates, objects } = this.getMultiSelection();
+            this.firebaseSyncManager.deletePointsFromFirebase(objects.map(point => ({ x: point.x, y: point.y })));
+            this.pointManager.removePoints(objects.map(point => candidates.indexOf(point)));
+            this.multiSelectManager.clear();
+        }
+        UIHelper.showMessage(`${label}を切り取りました`);
+    }
+
+    /**
+     * クリップボードの内容を貼り付け（ボタン操作用）
+     * システムのクリップボードにこのアプリの形式のデータがあればそちらを優先する
+     */
+    async handlePaste() {
+        if (!this.currentImage) {
+            UIHelper.showError('画像を読み込んでから貼り付けてください');
+            return;
+        }
+
+        let content = null;
+        if (navigator.clipboard && navigator.clipboard.readText) {
+            try {
+                content = this.clipboardManager.parse(await navigator.clipboard.readText());
+            } catch (error) {
+                console.warn('システムのクリップボードを読み取れませんでした:', error);
+            }
+        }
+        content = content || this.clipboardManager.getContent();
+        if (!content) {
+            UIHelper.showError('貼り付けるデータがありません');
+            return;
+        }
+        this.pasteClipboardContent(content);
+    }
+
+    /**
+     * 選択中のオブジェクトを複製（クリップボードは変更しない）
+     */
+    handleDuplicate() {
+        const content = this.createClipboardContent();
+        if (!content) {
+            UIHelper.showError(this.layoutManager.getCurrentEditingMode() === 'area'
+                ? 'エリアが選択されていません'
+                : '複製するポイントを範囲選択してください');
+            return;
+        }
+        this.pasteClipboardContent(content, this.clipboardManager.PASTE_OFFSET);
+    }
+
+    /**
+     * クリップボードの内容をエリア・ポイントとして追加
+     * 親子関係は貼り付けたエリアの間でのみ保持し、ポイントIDが重複する場合は空にする
+     * @param {Object} content - クリップボードの内容
+     * @param {number|null} offset - ずらす距離（画像のピクセル、nullの場合は貼り付け回数から決める）
+     */
+    pasteClipboardContent(content, offset = null) {
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        const pasteOffset = offset !== null ? offset : this.clipboardManager.nextPasteOffset(content, projectId);
+        const objects = this.clipboardManager.toCanvasObjects(content, this.getCoordinateSize(), pasteOffset);
+
+        // コピー元のエリアID → 貼り付けたエリアのID（コピー元は親が子より先に並ぶ）
+        const areaIdMap = new Map();
+        const newAreaIndices = [];
+        objects.areas.forEach(area => {
+            this.areaManager.addArea({
+                areaName: area.areaName,
+                vertices: area.vertices,
+                holes: area.holes,
+                attributes: area.attributes,
+                style: area.style,
+                shape: area.shape,
+                parentId: area.parentId && areaIdMap.has(area.parentId) ? areaIdMap.get(area.parentId) : null
+            });
+            const newIndex = this.areaManager.getAllAreas().length - 1;
+            if (area.areaId) {
+                areaIdMap.set(area.areaId, this.areaManager.getAllAreas()[newIndex].areaId);
+            }
+            this.areaManager.checkAndUpdateModifiedState(newIndex);
+            newAreaIndices.push(newIndex);
+        });
+
+        const registeredIds = this.pointManager.getRegisteredIds();
+        let clearedIdCount = 0;
+        objects.points.forEach(point => {
+            const id = point.id && !registeredIds.includes(point.id) ? point.id : '';
+            if (point.id && !id) clearedIdCount++;
+            this.pointManager.addPoint(point.x, point.y, id);
+            registeredIds.push(id);
+            this.firebaseSyncManager.updatePointToFirebase(this.pointManager.getPoints().length - 1);
+        });
+
+        if (newAreaIndices.length > 0) {
+            this.areaManager.selectArea(newAreaIndices[0]);
+            newAreaIndices.forEach(index => this.firebaseSyncManager.updateAreaToFirebase(index));
+        }
+
+        UIHelper.showMessage(`${this.describeClipboardContent(content)}を貼り付けました`);
+        if (clearedIdCount > 0) {
+            UIHelper.showWarning(`ポイントIDが重複するため ${clearedIdCount} 件のIDを空にしました`);
+        }
+    }
+
+    /**
+     * ルート選択ドロップダウンを更新
+     */
+    updateRouteDropdown() {
+        const dropdown = document.getElementById('routeSelectDropdown');
+        if (!dropdown) return;
+
+        dropdown.innerHTML = '<option value="">-- ルートを選択 --</option>';
+        this.routeManager.getAllRoutes().forEach((route, index) => {
+            const option = document.createElement('option');
+            option.value = index.toString();
+            option.textContent = `${this.routeManager.getRouteLabel(route)}（中間点${route.waypoints.length}）`;
+            dropdown.appendChild(option);
+        });
+        dropdown.value = this.routeManager.selectedRouteIndex >= 0 ? this.routeManager.selectedRouteIndex.toString() : '';
+    }
+
+    /**
+     * 開始・終了ポイントの入力欄と中間点数を選択中のルートに合わせる
+     */
+    updateRouteEndpointInputs() {
+        const { start, end } = this.routeManager.getStartEndPoints();
+        const startInput = document.getElementById('startPointInput');
+        const endInput = document.getElementById('endPointInput');
+        if (startInput) startInput.value = start;
+        if (endInput) endInput.value = end;
+
+        const countEl = document.getElementById('waypointCount');
+        if (countEl) countEl.textContent = this.routeManager.getRoutePoints().length;
+    }
+
+    /**
+     * 開始・終了ポイントの入力候補（登録済みのポイントID）を更新
+     */
+    updateRoutePointIdList() {
+        const datalist = document.getElementById('routePointIdList');
+        if (!datalist) return;
+
+        datalist.innerHTML = '';
+        this.pointManager.getRegisteredIds().forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * 新しいルートを追加
+     */
+    handleAddRoute() {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
+            return;
+        }
+        this.routeManager.createRoute();
+        UIHelper.showMessage('ルートを追加しました。開始・終了ポイントを設定し、キャンバスのクリックで中間点を追加してください');
+    }
+
+    /**
+     * 選択中のルートを削除
+     */
+    handleDeleteRoute() {
+        const index = this.routeManager.selectedRouteIndex;
+        const route = this.routeManager.getSelectedRoute();
+        if (!route) {
+            UIHelper.showError('削除するルートを選択してください');
+            return;
+        }
+        if (!confirm(`ルート "${this.routeManager.getRouteLabel(route)}" を削除しますか？`)) return;
+
+        this.firebaseSyncManager.deleteRouteFromFirebase(route);
+        this.routeManager.removeRoute(index);
+        UIHelper.showMessage('ルートを削除しました');
+    }
+
+    /**
+     * 選択中ルートの中間点をすべて削除
+     */
+    handleClearWaypoints() {
+        const route = this.routeManager.getSelectedRoute();
+        if (!route || route.waypoints.length === 0) return;
+        if (!confirm(`中間点 ${route.waypoints.length} 個を削除しますか？`)) return;
+
+        this.routeManager.clearWaypoints();
+        this.firebaseSyncManager.updateRouteToFirebase(this.routeManager.selectedRouteIndex);
+        UIHelper.showMessage('中間点を削除しました');
+    }
+
+    /**
+     * ルート編集中にポイントをクリックした場合、開始ポイント（設定済みなら終了ポイント）に設定
+     * @param {Object} point - クリックしたポイント
+     */
+    handleRoutePointClick(point) {
+        if (!point.id || point.id.trim() === '') {
+            UIHelper.showWarning('IDが未入力のポイントは開始・終了ポイントに設定できません');
+            return;
+        }
+
+        const route = this.routeManager.getSelectedRoute();
+        const which = route && route.startPoint ? 'end' : 'start';
+        this.handleRouteEndpointChange(which, point.id);
+    }
+
+    /**
+     * 選択中ルートの開始・終了ポイントを変更
+     * @param {string} which - 'start' | 'end'
+     * @param {string} pointId - ポイントID
+     */
+    async handleRouteEndpointChange(which, pointId) {
+        if (!this.currentImage) return;
+
+        const previous = this.routeManager.getStartEndPoints();
+        if (which === 'start') {
+            this.routeManager.setStartPoint(pointId);
+        } else {
+            this.routeManager.setEndPoint(pointId);
+        }
+
+        const { start, end } = this.routeManager.getStartEndPoints();
+        const newId = which === 'start' ? start : end;
+        this.updateRouteEndpointInputs();
+        if (newId && !this.pointManager.findPointById(newId)) {
+            UIHelper.showWarning(`ポイントID "${newId}" は登録されていません`);
+        } else if (newId) {
+            UIHelper.showMessage(`${which === 'start' ? '開始' : '終了'}ポイントを "${newId}" に設定しました`, 'info');
+        }
+
+        await this.resolveRouteDuplicate(previous);
+    }
+
+    /**
+     * 選択中のルートと開始・終了ポイントが同じルートがある場合、既存のルートを更新するか確認する
+     * 更新しない場合は開始・終了ポイントを変更前に戻す
+     * @param {{start: string, end: string}} previous - 変更前の開始・終了ポイント
+     */
+    async resolveRouteDuplicate(previous) {
+        const index = this.routeManager.selectedRouteIndex;
+        const route = this.routeManager.getSelectedRoute();
+        if (!route) return;
+
+        const duplicateIndex = this.routeManager.findRouteByEndpoints(route.startPoint, route.endPoint, index);
+        if (duplicateIndex < 0) {
+            this.firebaseSyncManager.updateRouteToFirebase(index);
+            return;
+        }
+
+        const existing = this.routeManager.getAllRoutes()[duplicateIndex];
+        const action = await this.duplicateDialog.showRouteDuplicateDialog(
+            { startPoint: existing.startPoint, endPoint: existing.endPoint, waypointCount: existing.waypoints.length },
+            { startPoint: route.startPoint, endPoint: route.endPoint, waypoints: route.waypoints }
+        );
+
+        if (action === 'update') {
+            // 既存のルートに中間点を移し、編集中のルートは削除する
+            existing.waypoints = route.waypoints.map(p => ({ x: p.x, y: p.y }));
+            this.firebaseSyncManager.deleteRouteFromFirebase(route);
+            this.routeManager.removeRoute(index);
+            const existingIndex = this.routeManager.getAllRoutes().indexOf(existing);
+            this.routeManager.selectRoute(existingIndex);
+            this.firebaseSyncManager.updateRouteToFirebase(existingIndex);
+            UIHelper.showMessage(`ルート "${this.routeManager.getRouteLabel(existing)}" を更新しました`);
+        } else {
+            this.routeManager.setStartPoint(previous.start);
+            this.routeManager.setEndPoint(previous.end);
+            this.updateRouteEndpointInputs();
+            UIHelper.showMessage('開始・終了ポイントの変更を取り消しました');
+        }
+    }
+
+    /**
+     * 選択中のルートをJSON出力
+     */
+    async handleExportRoute() {
+        if (!this.currentImage) return;
+
+        const route = this.routeManager.getSelectedRoute();
+        if (!route || route.waypoints.length === 0) {
+            UIHelper.showError('出力するルート（中間点のあるルート）を選択してください');
+            return;
+        }
+
+        const imageFileName = this.fileHandler.getCurrentImageFileName();
+        const suffix = [route.startPoint, route.endPoint].filter(id => id).join('_');
+        try {
+            await this.fileHandler.exportRouteData(
+                this.routeManager,
+                imageFileName,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                `${imageFileName || 'route'}_route${suffix ? '_' + suffix : ''}.json`,
+                this.geoReferenceManager.getGeoreference()
+            );
+        } catch (error) {
+            UIHelper.showError('ルートの出力に失敗しました: ' + error.message);
+        }
+    }
+
+    /**
+     * JSONファイルのルートを選択中のルートに読み込み（未選択の場合は新しいルート）
+     * @param {File} file - JSONファイル
+     */
+    async handleImportRoute(file) {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
+            return;
+        }
+
+        const route = this.routeManager.getSelectedRoute();
+        if (route && route.waypoints.length > 0 &&
+            !confirm(`ルート "${this.routeManager.getRouteLabel(route)}" の中間点を読み込んだルートで置き換えますか？`)) {
+            return;
+        }
+
+        const previous = this.routeManager.getStartEndPoints();
+        try {
+            await this.fileHandler.importRouteData(
+                this.routeManager,
+                file,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+        } catch (error) {
+            UIHelper.showError('ルートの読み込みに失敗しました: ' + error.message);
+            return;
+        }
+
+        this.updateRouteEndpointInputs();
+        UIHelper.showMessage(`ルートを読み込みました（中間点${this.routeManager.getRoutePoints().length}個）`);
+        await this.resolveRouteDuplicate(previous);
+    }
+
+    /**
+     * スポット名の入力・確定処理
+     * 確定時に名称が空白の場合はスポットを削除し、名称と座標が同じスポットがあれば重複として扱う
+     * @param {{index: number, spot: Object, name: string, previousName: string, skipFormatting: boolean}} data
+     */
+    async handleSpotNameChange(data) {
+        // 入力ボックスの作り直し後に古い入力ボックスのイベントが届いた場合は無視
+        if (this.spotManager.getSpots()[data.index] !== data.spot) return;
+
+        if (data.skipFormatting) {
+            this.spotManager.updateSpotName(data.index, data.name, true, true);
+            return;
+        }
+
+        if (data.name === '') {
+            this.firebaseSyncManager.deleteSpotFromFirebase(data.spot);
+            this.spotManager.removeSpot(data.index);
+            return;
+        }
+
+        this.spotManager.updateSpotName(data.index, data.name, false, true);
+        this.inputManager.updateSpotNameDisplay(data.index, data.spot.name);
+
+        await this.resolveSpotDuplicate(data.spot, () => {
+            const index = this.spotManager.getSpots().indexOf(data.spot);
+            this.spotManager.updateSpotName(index, data.previousName);
+            // 新規スポットの場合は名称を入力し直せるようにする
+            if (!data.previousName) {
+                setTimeout(() => UIHelper.focusInputForSpot(index), 30);
+            }
+        });
+    }
+
+    /**
+     * スポットのドラッグ終了処理
+     * @param {number} index - スポットのインデックス
+     * @param {{x: number, y: number}} origin - ドラッグ前の位置
+     */
+    async handleSpotDragEnd(index, origin) {
+        const spot = this.spotManager.getSpots()[index];
+        if (!spot) return;
+
+        this.inputManager.redrawSpotInputBoxes(this.spotManager.getSpots());
+        await this.resolveSpotDuplicate(spot, () => {
+            this.spotManager.updateSpotPosition(this.spotManager.getSpots().indexOf(spot), origin.x, origin.y);
+            this.inputManager.redrawSpotInputBoxes(this.spotManager.getSpots());
+        });
     }
 
     /**
-     * 新しいエリアを追加
+     * 名称と座標が同じスポットがある場合は重複ダイアログで対応を選択し、ない場合はFirestoreに保存
+     * @param {Object} spot - 名称・位置を変更したスポット
+     * @param {Function} revert - キャンセル時に変更を元に戻す処理
      */
-    handleAddArea() {
-        const defaultName = `エリア ${this.areaManager.getAllAreas().length + 1}`;
-        const areaName = window.prompt('エリア名を入力してください', defaultName);
+    async resolveSpotDuplicate(spot, revert) {
+        const spots = this.spotManager.getSpots();
+        const index = spots.indexOf(spot);
+        if (index < 0) return;
+
+        const duplicateIndex = this.spotManager.findDuplicateSpot(spot.name, spot.x, spot.y, index);
+        if (duplicateIndex < 0) {
+            this.firebaseSyncManager.updateSpotToFirebase(index);
+            return;
+        }
 
-        if (areaName === null) {
-            return; // Cancelled
+        const existing = spots[duplicateIndex];
+        const action = await this.duplicateDialog.showSpotDuplicateDialog(existing, spot);
+        if (action === 'keep') {
+            // 変更したスポットを破棄し、既存のスポットを残す
+            if (spot.firestoreId && spot.firestoreId !== existing.firestoreId) {
+                this.firebaseSyncManager.deleteSpotFromFirebase(spot);
+            }
+            this.spotManager.removeSpot(this.spotManager.getSpots().indexOf(spot));
+            UIHelper.showMessage(`既存のスポット "${existing.name}" を保持しました`);
+        } else {
+            revert();
         }
+    }
 
-        const newArea = {
-            areaName: areaName.trim() || defaultName,
-            vertices: []
-        };
-        this.areaManager.addArea(newArea);
-        const newIndex = this.areaManager.getAllAreas().length - 1;
-        this.areaManager.selectArea(newIndex);
+    /**
+     * スポットをJSON出力
+     */
+    async handleExportSpots() {
+        if (!this.currentImage) return;
 
-        UIHelper.showMessage('新しいエリアを追加しました。画像上で頂点をクリックして追加してください');
+        if (this.spotManager.getSpotCount() === 0) {
+            UIHelper.showError('出力するスポット（名称を入力したスポット）がありません');
+            return;
+        }
+
+        const imageFileName = this.fileHandler.getCurrentImageFileName();
+        try {
+            await this.fileHandler.exportSpotData(
+                this.spotManager,
+                imageFileName,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height,
+                `${imageFileName || 'spots'}_spots.json`,
+                this.geoReferenceManager.getGeoreference()
+            );
+        } catch (error) {
+            UIHelper.showError('スポットの出力に失敗しました: ' + error.message);
+        }
     }
 
     /**
-     * エリアを削除
+     * JSONファイルのスポットで現在のスポットを置き換え
+     * @param {File} file - JSONファイル
      */
-    async handleDeleteArea() {
+    async handleImportSpots(file) {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
+            return;
+        }
+
+        const previousSpots = [...this.spotManager.getSpots()];
+        if (previousSpots.length > 0 && !confirm('現在のスポットを読み込んだスポットで置き換えますか？')) {
+            return;
+        }
+
+        try {
+            await this.fileHandler.importSpotData(
+                this.spotManager,
+                file,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+        } catch (error) {
+            UIHelper.showError('スポットの読み込みに失敗しました: ' + error.message);
+            return;
+        }
+
+        // 置き換え前のスポットを削除してから保存する（同じ名称・座標のスポットを削除済みのものと取り違えないため）
+        for (const spot of previousSpots) {
+            await this.firebaseSyncManager.deleteSpotFromFirebase(spot);
+        }
+        for (let i = 0; i < this.spotManager.getSpots().length; i++) {
+            await this.firebaseSyncManager.updateSpotToFirebase(i);
+        }
+        UIHelper.showMessage(`スポットを読み込みました（${this.spotManager.getSpotCount()}件）`);
+    }
+
+    /**
+     * 選択中エリアの頂点を重心周りの角度順に自動整列
+     */
+    handleAutoOrderVertices() {
         const index = this.areaManager.selectedAreaIndex;
         if (index < 0) {
             UIHelper.showError('エリアが選択されていません');
             return;
         }
 
+        if (!this.areaManager.reorderVertices(index, this.areaManager.selectedRingIndex)) {
+            UIHelper.showWarning('自動整列には3つ以上の頂点が必要です');
+            return;
+        }
+
+        this.firebaseSyncManager.updateAreaToFirebase(index);
+        UIHelper.showMessage('頂点を自動整列しました');
+    }
+
+    /**
+     * 縮尺キャリブレーションの開始/中止
+     */
+    handleCalibrateScale() {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
+            return;
+        }
+
+        if (this.measurementManager.isPicking) {
+            this.measurementManager.cancelCalibration();
+            UIHelper.showMessage('縮尺設定を中止しました');
+            return;
+        }
+
+        this.geoReferenceManager.cancelPicking();
+        this.measurementManager.startCalibration();
+        UIHelper.showMessage('距離が分かっている2点を画像上でクリックしてください');
+    }
+
+    /**
+     * 縮尺キャリブレーション用の点を選択
+     * @param {{x: number, y: number}} coords - キャンバス座標
+     */
+    handleCalibrationPointPick(coords) {
+        const count = this.measurementManager.addCalibrationPoint(coords.x, coords.y);
+        if (count < 2) {
+            UIHelper.showMessage('2点目をクリックしてください');
+            return;
+        }
+
+        // 描画を反映してから距離を入力
+        setTimeout(() => {
+            const input = window.prompt('2点間の実際の距離（メートル）を入力してください', '');
+            if (input === null) {
+                this.measurementManager.cancelCalibration();
+                UIHelper.showMessage('縮尺設定を中止しました');
+                return;
+            }
+
+            try {
+                const calibration = this.measurementManager.completeCalibration(parseFloat(input));
+                this.firebaseSyncManager.saveProjectSettingsToFirebase({ scaleCalibration: calibration });
+                UIHelper.showMessage('縮尺を設定しました');
+            } catch (error) {
+                this.measurementManager.cancelCalibration();
+                UIHelper.showError(error.message);
+            }
+        }, 30);
+    }
+
+    /**
+     * 位置合わせの基準点の追加を開始/中止
+     */
+    handleAddControlPoint() {
+        if (!this.currentImage) {
+            UIHelper.showError('先に画像を読み込んでください');
+            return;
+        }
+
+        if (this.geoReferenceManager.isPicking) {
+            this.geoReferenceManager.cancelPicking();
+            UIHelper.showMessage('基準点の追加を中止しました');
+            return;
+        }
+
+        this.measurementManager.cancelCalibration();
+        this.geoReferenceManager.startPicking();
+        UIHelper.showMessage('緯度・経度が分かっている地点を画像上でクリックしてください');
+    }
+
+    /**
+     * 位置合わせの基準点を選択して緯度・経度を入力
+     * @param {{x: number, y: number}} coords - キャンバス座標
+     */
+    handleControlPointPick(coords) {
+        const latLon = this.promptLatLon('この地点の緯度・経度を入力してください（例: 35.681236, 139.767125）', '');
+        if (!latLon) {
+            this.geoReferenceManager.cancelPicking();
+            UIHelper.showMessage('基準点の追加を中止しました');
+            return;
+        }
+
+        this.geoReferenceManager.addControlPoint(coords.x, coords.y, latLon.lat, latLon.lon);
+        this.saveGeoReferenceToFirebase();
+
+        const required = GeoTransform.MIN_POINTS[this.geoReferenceManager.method];
+        const count = this.geoReferenceManager.controlPoints.length;
+        UIHelper.showMessage(count < required
+            ? `基準点を追加しました（あと${required - count}点で位置合わせできます）`
+            : '基準点を追加しました');
+    }
+
+    /**
+     * 緯度・経度の入力を求める（形式が正しくない場合は再入力）
+     * @param {string} message - 入力欄のメッセージ
+     * @param {string} defaultValue - 初期値
+     * @returns {{lat: number, lon: number}|null} キャンセルした場合はnull
+     */
+    promptLatLon(message, defaultValue) {
+        let value = defaultValue;
+        for (;;) {
+            const input = window.prompt(message, value);
+            if (input === null) return null;
+
+            const latLon = Validators.parseLatLon(input);
+            if (latLon) return latLon;
+
+            UIHelper.showError('「緯度, 経度」の形式で、緯度は-90〜90、経度は-180〜180の範囲で入力してください');
+            value = input;
+        }
+    }
+
+    /**
+     * 基準点の緯度・経度を変更
+     * @param {number} index - 基準点のインデックス
+     */
+    handleEditControlPoint(index) {
+        const controlPoint = this.geoReferenceManager.controlPoints[index];
+        if (!controlPoint) return;
+
+        const latLon = this.promptLatLon(
+            `基準点${index + 1}の緯度・経度を入力してください`,
+            `${controlPoint.lat}, ${controlPoint.lon}`
+        );
+        if (!latLon) return;
+
+        this.geoReferenceManager.updateControlPoint(index, latLon.lat, latLon.lon);
+        this.saveGeoReferenceToFirebase();
+    }
+
+    /**
+     * 基準点を削除
+     * @param {number} index - 基準点のインデックス
+     */
+    handleRemoveControlPoint(index) {
+        if (!confirm(`基準点${index + 1}を削除しますか？`)) return;
+
+        this.geoReferenceManager.removeControlPoint(index);
+        this.saveGeoReferenceToFirebase();
+        UIHelper.showMessage(`基準点${index + 1}を削除しました`);
+    }
+
+    /**
+     * 位置合わせの基準点と変換方法をプロジェクトメタデータに保存
+     */
+    saveGeoReferenceToFirebase() {
+        // 保存済みの位置合わせを読み込めていない場合は、基準点の一覧ごと上書きしないよう保存しない
+        if (!this.geoReferenceManager.isLoaded) return;
+
+        this.firebaseSyncManager.saveProjectSettingsToFirebase({
+            georeference: this.geoReferenceManager.getGeoReferenceData()
+        });
+    }
+
+    /**
+     * 基準点一覧（残差付き）と位置合わせの状態表示を更新
+     */
+    updateControlPointList() {
+        const manager = this.geoReferenceManager;
+
+        const methodSelect = document.getElementById('georeferenceMethodSelect');
+        if (methodSelect) {
+            methodSelect.value = manager.method;
+        }
+
+        const list = document.getElementById('controlPointList');
+        if (list) {
+            list.innerHTML = '';
+            list.style.display = manager.controlPoints.length > 0 ? 'block' : 'none';
+
+            manager.controlPoints.forEach((controlPoint, index) => {
+                const item = document.createElement('li');
+                item.className = 'control-point-item';
+
+                const label = document.createElement('span');
+                label.className = 'control-point-label';
+                label.textContent = `${index + 1}: ${controlPoint.lat.toFixed(6)}, ${controlPoint.lon.toFixed(6)}`;
+                label.title = `画像座標 (${controlPoint.imageX}, ${controlPoint.imageY})`;
+                item.appendChild(label);
+
+                const residual = document.createElement('span');
+                residual.className = 'control-point-residual';
+                residual.textContent = manager.isGeoreferenced() ? `誤差 ${this.formatMeters(manager.residuals[index])}` : '-';
+                residual.title = '求めた変換で換算した位置と入力した緯度・経度の差';
+                item.appendChild(residual);
+
+                const editBtn = document.createElement('button');
+                editBtn.type = 'button';
+                editBtn.textContent = '編集';
+                editBtn.title = '緯度・経度を変更';
+                editBtn.addEventListener('click', () => this.handleEditControlPoint(index));
+                item.appendChild(editBtn);
+
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.textContent = '削除';
+                removeBtn.title = '基準点を削除';
+                removeBtn.addEventListener('click', () => this.handleRemoveControlPoint(index));
+                item.appendChild(removeBtn);
+
+                list.appendChild(item);
+            });
+        }
+
+        const status = document.getElementById('georeferenceStatus');
+        if (status) {
+            const required = GeoTransform.MIN_POINTS[manager.method];
+            if (manager.isGeoreferenced()) {
+                status.textContent = `${GeoTransform.METHODS[manager.method]}（RMS誤差 ${this.formatMeters(manager.getRmsError())}）`;
+            } else if (manager.fitError) {
+                status.textContent = manager.fitError;
+            } else {
+                status.textContent = manager.controlPoints.length > 0
+                    ? `基準点 ${manager.controlPoints.length}/${required} 点`
+                    : '未設定';
+            }
+            status.parentElement.classList.toggle('error', !!manager.fitError);
+        }
+    }
+
+    /**
+     * 距離を表示用の文字列に整形
+     * @param {number} meters - 距離（メートル）
+     * @returns {string}
+     */
+    formatMeters(meters) {
+        return meters >= 1000
+            ? `${(meters / 1000).toLocaleString(undefined, { maximumFractionDigits: 2 })} km`
+            : `${meters.toLocaleString(undefined, { maximumFractionDigits: 1 })} m`;
+    }
+
+    /**
+     * カーソル位置の表示を更新（位置合わせ済みの場合は緯度・経度を併記）
+     * @param {{x: number, y: number}|null} coords - キャンバス座標（nullで非表示）
+     */
+    updateCursorReadout(coords) {
+        const readout = document.getElementById('cursorReadout');
+        if (!readout) return;
+
+        if (!coords || !this.currentImage) {
+            readout.style.display = 'none';
+            return;
+        }
+
+        const imageCoords = CoordinateUtils.canvasToImage(
+            coords.x, coords.y,
+            this.canvas.width, this.canvas.height,
+            this.currentImage.width, this.currentImage.height
+        );
+        const world = this.geoReferenceManager.canvasToWorld(coords.x, coords.y);
+        readout.textContent = world
+            ? `x ${imageCoords.x}, y ${imageCoords.y} px | ${world.lat.toFixed(6)}, ${world.lon.toFixed(6)}`
+            : `x ${imageCoords.x}, y ${imageCoords.y} px`;
+        readout.style.display = 'block';
+    }
+
+    /**
+     * 選択中エリアの面積・周長表示を更新
+     */
+    updateAreaMeasurementDisplay() {
+        const areaSizeEl = document.getElementById('areaSizeValue');
+        const perimeterEl = document.getElementById('areaPerimeterValue');
+        if (!areaSizeEl || !perimeterEl) return;
+
+        const measurement = this.measurementManager.measureArea(this.areaManager.getSelectedArea());
+        if (!measurement) {
+            areaSizeEl.textContent = '-';
+            perimeterEl.textContent = '-';
+            return;
+        }
+
+        const { areaText, perimeterText } = this.measurementManager.formatMeasurement(measurement);
+        areaSizeEl.textContent = areaText;
+        perimeterEl.textContent = perimeterText;
+    }
+
+    /**
+     * 選択中エリアの形状検証メッセージを更新
+     */
+    updateAreaValidationDisplay() {
+        const messageEl = document.getElementById('areaValidationMessage');
+        if (!messageEl) return;
+
         const area = this.areaManager.getSelectedArea();
-        if (confirm(`エリア「${area.areaName}」を削除しますか？`)) {
-            // Firebaseから削除
-            await this.firebaseSyncManager.deleteAreaFromFirebase(index);
-            this.areaManager.deleteArea(index);
-            UIHelper.showMessage('エリアを削除しました');
+        const issues = area ? this.areaManager.getCachedGeometryIssues(area) : null;
+        const messages = issues ? [...issues.errors, ...issues.warnings] : [];
+        if (area) {
+            messages.push(...this.areaManager.getHierarchyIssues(this.areaManager.selectedAreaIndex));
+        }
+
+        messageEl.textContent = messages.join(' / ');
+        messageEl.style.display = messages.length > 0 ? 'block' : 'none';
+        messageEl.classList.toggle('has-error', !!issues && !issues.isValid);
+    }
+
+    /**
+     * 頂点編集中の選択エリアが図形の場合、その編集用ハンドルを取得
+     * @returns {Array|null} ハンドル（表示しない場合はnull）
+     */
+    getSelectedShapeHandles() {
+        const area = this.areaManager.getSelectedArea();
+        if (!area || !area.shape ||
+            this.layoutManager.getCurrentEditingMode() !== 'area' ||
+            this.areaToolManager.getCurrentTool() !== 'vertex') {
+            return null;
+        }
+        return ShapePrimitives.getHandles(area.shape, 24 / this.canvasRenderer.getScale());
+    }
+
+    /**
+     * 変形ツールの選択中は、選択エリアの外接矩形とハンドルを取得
+     * @returns {{bounds: Object, handles: Array}|null} 表示しない場合はnull
+     */
+    getSelectedTransformBox() {
+        if (this.layoutManager.getCurrentEditingMode() !== 'area' ||
+            this.areaToolManager.getCurrentTool() !== 'transform') {
+            return null;
         }
+        const bounds = AreaTransform.getBounds(this.areaManager.getRings(this.areaManager.getSelectedArea()));
+        if (!bounds) return null;
+        return { bounds, handles: AreaTransform.getHandles(bounds, 24 / this.canvasRenderer.getScale()) };
+    }
+
+    /**
+     * エリアの頂点・図形をドラッグ中かどうか（ドラッグ中は共有辺を求め直さない）
+     * @returns {boolean}
+     */
+    isDraggingAreaGeometry() {
+        const dragged = this.dragDropHandler.getDraggedObjectInfo();
+        return (!!dragged && dragged.type === 'vertex') ||
+            !!this.areaToolManager.getTransformDrag() ||
+            !!this.areaToolManager.handleDrag;
     }
 
     /**
@@ -691,9 +3588,45 @@ export class PointMarkerApp {
             this.areaManager.getAllAreas(),
             {
                 selectedAreaIndex: this.areaManager.selectedAreaIndex,
-                showAreaEditMode: this.layoutManager.getCurrentEditingMode() === 'area'
+                selectedRingIndex: this.areaManager.selectedRingIndex,
+                calibrationPoints: this.measurementManager.isPicking ? this.measurementManager.pickedPoints : null,
+                controlPoints: this.geoReferenceManager.getControlPointsForDisplay(),
+                draft: this.areaToolManager.getDraftPoints().length > 0 ? {
+                    points: this.areaToolManager.getDraftPoints(),
+                    previewPoint: this.areaToolManager.previewPoint,
+                    // 投げ縄・図形は閉じた図形として輪郭のみ表示
+                    closed: this.areaToolManager.isLassoDrawing || this.areaToolManager.isDrawingShape(),
+                    showPoints: !this.areaToolManager.isLassoDrawing && !this.areaToolManager.isDrawingShape()
+                } : null,
+                areaIssues: this.areaManager.getAllAreas().map(area => this.areaManager.getCachedGeometryIssues(area)),
+                snapIndicator: this.snapManager.getCurrentSnap(),
+                shapeHandles: this.getSelectedShapeHandles(),
+                multiSelection: this.getMultiSelection().objects,
+                transformBox: this.getSelectedTransformBox(),
+                edgeMidpoints: this.layoutManager.getCurrentEditingMode() === 'area' &&
+                    this.areaToolManager.getCurrentTool() === 'vertex'
+                    ? this.areaManager.getEdgeMidpoints()
+                    : null,
+                coverageShapes: this.coverageManager.getOverlayShapes(),
+                areaStyles: this.areaManager.getAllAreas().map(area => this.areaStyleManager.resolveStyle(area)),
+                sharedEdges: this.areaManager.getSelectedSharedEdges(!this.isDraggingAreaGeometry()),
+                showAreaEditMode: this.layoutManager.getCurrentEditingMode() === 'area',
+                routes: this.routeManager.getAllRoutes().map((route, index) => ({
+                    ...this.routeManager.getRoutePath(route, this.pointManager),
+                    waypoints: route.waypoints,
+                    isSelected: index === this.routeManager.selectedRouteIndex
+                })),
+                showRouteWaypoints: this.layoutManager.getCurrentEditingMode() === 'route',
+                spots: this.spotManager.getSpots(),
+                showSpotEditMode: this.layoutManager.getCurrentEditingMode() === 'spot'
             }
         );
+
+        // 範囲選択中の矩形
+        const band = this.multiSelectManager.getBandRect();
+        if (band) {
+            this.canvasRenderer.drawDeletionRectangle(band.x1, band.y1, band.x2, band.y2);
+        }
     }
 
     /**
@@ -707,6 +3640,9 @@ export class PointMarkerApp {
      * ウィンドウリサイズ処理
      */
     handleWindowResize() {
+        const oldWidth = this.canvas.width;
+        const oldHeight = this.canvas.height;
+
         this.resizeHandler.handleResize(
             this.currentImage,
             this.canvas,
@@ -714,8 +3650,16 @@ export class PointMarkerApp {
             this.layoutManager,
             this.pointManager,
             this.areaManager,
+            this.routeManager,
+            this.spotManager,
+            this.measurementManager,
             this.viewportManager,
             () => this.redrawCanvas()
         );
+
+        // 重なり・隙間の検査結果はキャンバス座標のため、キャンバスの大きさが変わった場合は消す
+        if (this.canvas.width !== oldWidth || this.canvas.height !== oldHeight) {
+            this.coverageManager.clear();
+        }
     }
 }
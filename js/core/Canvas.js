@@ -1,3 +1,6 @@
+import { LabelPlacement } from '../utils/LabelPlacement.js';
+import { GeometryUtils } from '../utils/Geometry.js';
+
 /**
  * キャンバス描画を管理するクラス
  */
@@ -31,6 +34,19 @@ export class CanvasRenderer {
             unselectedWaypoint: 4,
             spot: 12
         };
+
+        // ハッチングパターンのキャッシュ（種類と色ごと）
+        this.hatchPatterns = new Map();
+
+        // エリア名ラベルの配置設定
+        // position: 'pole'（内部の最も広い位置）| 'centroid'（頂点の平均）
+        // overlap: 'auto'（移動・縮小・非表示）| 'hide'（非表示のみ）| 'none'（重なりを解消しない）
+        this.labelSettings = {
+            position: 'pole',
+            overlap: 'auto'
+        };
+        // ラベル基準位置のキャッシュ（形状が変わらない限り再計算しない）
+        this.labelAnchorCache = new Map();
     }
 
     /**
@@ -41,6 +57,14 @@ export class CanvasRenderer {
         this.markerSizes = { ...sizes };
     }
 
+    /**
+     * エリア名ラベルの配置設定を変更
+     * @param {Object} settings - {position, overlap}
+     */
+    setLabelSettings(settings) {
+        this.labelSettings = { ...this.labelSettings, ...settings };
+    }
+
     /**
      * 現在の画像を設定
      * @param {HTMLImageElement} image - 設定する画像
@@ -153,73 +177,316 @@ export class CanvasRenderer {
         this.ctx.stroke();
     }
 
+    /**
+     * 頂点列をパスとして追加（3頂点以上の場合は閉じる）
+     * @param {Array} ring - 頂点配列
+     */
+    addRingPath(ring) {
+        if (!ring || ring.length < 2) return;
+
+        this.ctx.moveTo(ring[0].x, ring[0].y);
+        for (let i = 1; i < ring.length; i++) {
+            this.ctx.lineTo(ring[i].x, ring[i].y);
+        }
+
+        if (ring.length >= 3) {
+            this.ctx.closePath();
+        }
+    }
+
+    /**
+     * #rrggbb 形式の色を rgba() 形式に変換
+     * @param {string} hex - 色（#rrggbb）
+     * @param {number} alpha - 不透明度（0〜1）
+     * @returns {string} rgba() 形式の色
+     */
+    hexToRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    /**
+     * ハッチングの塗りつぶしパターンを取得
+     * @param {string} type - 'diagonal' | 'crossDiagonal' | 'horizontal' | 'vertical' | 'dots'
+     * @param {string} color - 線の色
+     * @returns {CanvasPattern|null} パターン
+     */
+    getHatchPattern(type, color) {
+        const key = `${type}:${color}`;
+        if (this.hatchPatterns.has(key)) {
+            return this.hatchPatterns.get(key);
+        }
+
+        const size = 10;
+        const tile = document.createElement('canvas');
+        tile.width = size;
+        tile.height = size;
+        const tileCtx = tile.getContext('2d');
+        tileCtx.strokeStyle = color;
+        tileCtx.fillStyle = color;
+        tileCtx.lineWidth = 1.5;
+
+        // タイルの継ぎ目で線が途切れないよう、斜線は隣のタイルにはみ出す分も描く
+        const drawDiagonal = (reverse) => {
+            tileCtx.beginPath();
+            [-size, 0, size].forEach(offset => {
+                if (reverse) {
+                    tileCtx.moveTo(offset, 0);
+                    tileCtx.lineTo(offset + size, size);
+                } else {
+                    tileCtx.moveTo(offset, size);
+                    tileCtx.lineTo(offset + size, 0);
+                }
+            });
+            tileCtx.stroke();
+        };
+
+        switch (type) {
+            case 'diagonal':
+                drawDiagonal(false);
+                break;
+            case 'crossDiagonal':
+                drawDiagonal(false);
+                drawDiagonal(true);
+                break;
+            case 'horizontal':
+                tileCtx.beginPath();
+                tileCtx.moveTo(0, size / 2);
+                tileCtx.lineTo(size, size / 2);
+                tileCtx.stroke();
+                break;
+            case 'vertical':
+                tileCtx.beginPath();
+                tileCtx.moveTo(size / 2, 0);
+                tileCtx.lineTo(size / 2, size);
+                tileCtx.stroke();
+                break;
+            case 'dots':
+                tileCtx.beginPath();
+                tileCtx.arc(size / 2, size / 2, 1.5, 0, 2 * Math.PI);
+                tileCtx.fill();
+                break;
+            default:
+                return null;
+        }
+
+        const pattern = this.ctx.createPattern(tile, 'repeat');
+        this.hatchPatterns.set(key, pattern);
+        return pattern;
+    }
+
     /**
      * エリア（多角形）を描画
-     * @param {Array} vertices - 頂点配列
+     * @param {Array} vertices - 頂点配列（外周）
      * @param {string} areaName - エリア名
      * @param {boolean} isSelected - 選択中かどうか
      * @param {number} canvasScale - キャンバスのスケール値
+     * @param {Array<Array>} holes - 穴（内側リング）の頂点配列の配列
+     * @param {number} activeRingIndex - 編集対象リング（0 = 外周, 1以上 = 穴, -1 = なし）
+     * @param {Object|null} style - 表示スタイル {fillColor, strokeColor, strokeWidth, opacity, hatch}
+     * @param {boolean} showVertices - 頂点マーカーを描画するかどうか（図形エリアはハンドルで編集するため描画しない）
      */
-    drawArea(vertices, areaName = '', isSelected = false, canvasScale = 1.0) {
+    drawArea(vertices, areaName = '', isSelected = false, canvasScale = 1.0, holes = [], activeRingIndex = -1, style = null, showVertices = true) {
         if (!vertices || vertices.length < 2) return;
 
+        const areaStyle = style || { fillColor: '#ff9500', strokeColor: '#888888', strokeWidth: 2, opacity: 0.2, hatch: 'none' };
+        // 選択中は塗りを濃くして区別する
+        const fillOpacity = isSelected ? Math.min(1, areaStyle.opacity + 0.3) : areaStyle.opacity;
+
+        // 外周と穴を1つのパスにまとめ、even-oddで塗りつぶして穴を抜く
         this.ctx.beginPath();
-        this.ctx.moveTo(vertices[0].x, vertices[0].y);
-        for (let i = 1; i < vertices.length; i++) {
-            this.ctx.lineTo(vertices[i].x, vertices[i].y);
-        }
+        this.addRingPath(vertices);
+        holes.forEach(hole => this.addRingPath(hole));
 
-        if (vertices.length >= 3) {
-            this.ctx.closePath();
+        // 塗りつぶし
+        this.ctx.fillStyle = this.hexToRgba(areaStyle.fillColor, fillOpacity);
+        this.ctx.fill('evenodd');
+
+        // ハッチング
+        if (areaStyle.hatch && areaStyle.hatch !== 'none') {
+            const pattern = this.getHatchPattern(
+                areaStyle.hatch,
+                this.hexToRgba(areaStyle.fillColor, Math.min(1, fillOpacity + 0.4))
+            );
+            if (pattern) {
+                this.ctx.fillStyle = pattern;
+                this.ctx.fill('evenodd');
+            }
         }
 
-        // 塗りつぶし
-        this.ctx.fillStyle = isSelected ? 'rgba(255, 149, 0, 0.6)' : 'rgba(255, 149, 0, 0.2)';
-        this.ctx.fill();
+        // 選択中は枠線の外側をオレンジで縁取り
+        if (isSelected) {
+            this.ctx.strokeStyle = '#ff9500';
+            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(areaStyle.strokeWidth + 4, canvasScale);
+            this.ctx.stroke();
+        }
 
         // 枠線
-        this.ctx.strokeStyle = isSelected ? '#ff9500' : '#888888';
-        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(2, canvasScale);
-        this.ctx.stroke();
+        if (areaStyle.strokeWidth > 0) {
+            this.ctx.strokeStyle = areaStyle.strokeColor;
+            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(areaStyle.strokeWidth, canvasScale);
+            this.ctx.stroke();
+        }
 
-        // エリア名の表示（3頂点以上の場合）
+        // 編集中の穴は破線で強調
+        if (isSelected && activeRingIndex >= 1 && holes[activeRingIndex - 1]) {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.addRingPath(holes[activeRingIndex - 1]);
+            this.ctx.setLineDash([
+                this.applyDevicePixelRatioCorrection(6, canvasScale),
+                this.applyDevicePixelRatioCorrection(4, canvasScale)
+            ]);
+            this.ctx.strokeStyle = '#d35400';
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+
+        // エリア名の表示（3頂点以上の場合。重なりの解消は drawAllAreas で行う）
         if (vertices.length >= 3 && areaName) {
-            // 中心座標（重心）を計算
-            let centerX = 0;
-            let centerY = 0;
-            vertices.forEach(v => {
-                centerX += v.x;
-                centerY += v.y;
-            });
-            centerX /= vertices.length;
-            centerY /= vertices.length;
+            const anchor = this.getLabelAnchor(vertices, holes);
+            this.drawAreaLabel(areaName, anchor.x, anchor.y, isSelected);
+        }
 
-            const fontSize = Math.max(12, this.applyDevicePixelRatioCorrection(14, 1.0)); // ズームによらず読みやすいサイズ
-            this.ctx.font = `bold ${fontSize}px Arial`;
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
+        if (!showVertices) return;
+
+        // 頂点の描画（外周 → 穴の順）
+        [vertices, ...holes].forEach((ring, ringIndex) => {
+            const isActiveRing = isSelected && ringIndex === activeRingIndex;
+            ring.forEach(vertex => {
+                this.drawDiamond(
+                    vertex.x,
+                    vertex.y,
+                    isSelected ? this.markerSizes.selectedWaypoint : this.markerSizes.unselectedWaypoint,
+                    isActiveRing ? '#ff9500' : (isSelected ? '#ffc266' : '#888888'),
+                    '#ffffff',
+                    1,
+                    canvasScale
+                );
+            });
+        });
+    }
 
-            // 文字の縁取り（読みやすさのため）
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(3, 1.0);
-            this.ctx.strokeText(areaName, centerX, centerY);
+    /**
+     * エリア名ラベルのフォントサイズ
+     * @returns {number} フォントサイズ（等倍時）
+     */
+    getLabelFontSize() {
+        return Math.max(12, this.applyDevicePixelRatioCorrection(14, 1.0)); // ズームによらず読みやすいサイズ
+    }
 
-            // 文字本体
-            this.ctx.fillStyle = isSelected ? '#d35400' : '#555555'; // 選択時は濃いオレンジ、非選択時はグレー
-            this.ctx.fillText(areaName, centerX, centerY);
+    /**
+     * エリア名ラベルの基準位置を取得（形状ごとにキャッシュ）
+     * @param {Array} vertices - 外周の頂点配列
+     * @param {Array<Array>} holes - 穴の頂点配列の配列
+     * @returns {{x: number, y: number}}
+     */
+    getLabelAnchor(vertices, holes = []) {
+        const mode = this.labelSettings.position;
+        const key = `${mode}|${[vertices, ...holes].map(ring => ring.map(v => `${v.x},${v.y}`).join(' ')).join('|')}`;
+        let anchor = this.labelAnchorCache.get(key);
+        if (!anchor) {
+            // 編集で形状が変わるたびに増えるため、一定数を超えたら作り直す
+            if (this.labelAnchorCache.size > 500) this.labelAnchorCache.clear();
+            anchor = LabelPlacement.getAnchor(vertices, holes, mode);
+            this.labelAnchorCache.set(key, anchor);
         }
+        return anchor;
+    }
 
-        // 頂点の描画
-        vertices.forEach(vertex => {
-            this.drawDiamond(
-                vertex.x,
-                vertex.y,
-                isSelected ? this.markerSizes.selectedWaypoint : this.markerSizes.unselectedWaypoint,
-                isSelected ? '#ff9500' : '#888888',
-                '#ffffff',
-                1,
-                canvasScale
-            );
+    /**
+     * エリア名ラベルを描画
+     * @param {string} text - エリア名
+     * @param {number} x - 中心X座標
+     * @param {number} y - 中心Y座標
+     * @param {boolean} isSelected - 選択中のエリアかどうか
+     * @param {number} scale - 文字の縮小率（重なり回避用）
+     */
+    drawAreaLabel(text, x, y, isSelected = false, scale = 1) {
+        this.ctx.font = `bold ${this.getLabelFontSize() * scale}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        // 文字の縁取り（読みやすさのため）
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(3, 1.0) * scale;
+        this.ctx.strokeText(text, x, y);
+
+        // 文字本体
+        this.ctx.fillStyle = isSelected ? '#d35400' : '#555555'; // 選択時は濃いオレンジ、非選択時はグレー
+        this.ctx.fillText(text, x, y);
+    }
+
+    /**
+     * 全エリアの名前ラベルを、重なりを解消して描画
+     * 選択中のエリアを最優先とし、それ以外は面積の大きいエリアを優先する
+     * @param {Array} allAreas - 全エリア配列
+     * @param {number} selectedAreaIndex - 選択中のエリアインデックス
+     */
+    drawAreaLabels(allAreas, selectedAreaIndex) {
+        const fontSize = this.getLabelFontSize();
+        this.ctx.font = `bold ${fontSize}px Arial`;
+
+        const labels = [];
+        allAreas.forEach((area, index) => {
+            const vertices = area.vertices || [];
+            const holes = area.holes || [];
+            if (vertices.length < 3 || !area.areaName) return;
+
+            const anchor = this.getLabelAnchor(vertices, holes);
+            labels.push({
+                text: area.areaName,
+                isSelected: index === selectedAreaIndex,
+                x: anchor.x,
+                y: anchor.y,
+                width: this.ctx.measureText(area.areaName).width + 4,
+                height: fontSize,
+                priority: index === selectedAreaIndex ? Infinity : GeometryUtils.polygonArea(vertices, holes),
+                outer: vertices,
+                holes
+            });
+        });
+
+        const placements = LabelPlacement.resolveCollisions(labels, this.labelSettings.overlap);
+        labels.forEach((label, i) => {
+            const placement = placements[i];
+            if (placement.visible) {
+                this.drawAreaLabel(label.text, placement.x, placement.y, label.isSelected, placement.scale);
+            }
+        });
+    }
+
+    /**
+     * エリアの形状の問題箇所（交差・重複などの辺、冗長な頂点）を強調描画
+     * @param {Array<Array>} rings - リング配列（先頭が外周）
+     * @param {Object} issues - AreaManager.getGeometryIssues の結果
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawGeometryIssues(rings, issues, canvasScale = 1.0) {
+        if (!issues) return;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#e53935';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(4, canvasScale);
+        this.ctx.lineCap = 'round';
+
+        issues.invalidEdges.forEach(({ ring, edge }) => {
+            const vertices = rings[ring];
+            if (!vertices || vertices.length < 2) return;
+            const a = vertices[edge];
+            const b = vertices[(edge + 1) % vertices.length];
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+
+        issues.warningVertices.forEach(({ ring, index }) => {
+            const vertex = rings[ring] && rings[ring][index];
+            if (vertex) {
+                this.drawDiamond(vertex.x, vertex.y, this.markerSizes.selectedWaypoint + 2, '#fdd835', '#e53935', 1, canvasScale);
+            }
         });
     }
 
@@ -228,11 +495,27 @@ export class CanvasRenderer {
      * @param {Array} allAreas - 全エリア配列
      * @param {number} selectedAreaIndex - 選択中のエリアインデックス
      * @param {number} canvasScale - キャンバスのスケール値
+     * @param {number} selectedRingIndex - 選択中エリアの編集対象リング
+     * @param {Array} areaIssues - エリアごとの形状検証結果（エリア配列と同じ順序）
+     * @param {Array} areaStyles - エリアごとの表示スタイル（エリア配列と同じ順序）
      */
-    drawAllAreas(allAreas, selectedAreaIndex, canvasScale = 1.0) {
+    drawAllAreas(allAreas, selectedAreaIndex, canvasScale = 1.0, selectedRingIndex = 0, areaIssues = [], areaStyles = []) {
         allAreas.forEach((area, index) => {
-            this.drawArea(area.vertices || [], area.areaName || '', index === selectedAreaIndex, canvasScale);
+            const isSelected = index === selectedAreaIndex;
+            // ラベルは他エリアの塗りに隠れないよう最後にまとめて描画する
+            this.drawArea(
+                area.vertices || [],
+                '',
+                isSelected,
+                canvasScale,
+                area.holes || [],
+                isSelected ? selectedRingIndex : -1,
+                areaStyles[index] || null,
+                !area.shape
+            );
+            this.drawGeometryIssues([area.vertices || [], ...(area.holes || [])], areaIssues[index], canvasScale);
         });
+        this.drawAreaLabels(allAreas, selectedAreaIndex);
     }
 
 
@@ -263,6 +546,347 @@ export class CanvasRenderer {
 
 
 
+    /**
+     * 作図中の下書き（分割線・投げ縄など）を描画
+     * @param {Array} points - 下書き点の配列
+     * @param {{x: number, y: number}|null} previewPoint - マウス位置のプレビュー点
+     * @param {number} canvasScale - キャンバスのスケール値
+     * @param {boolean} closed - 閉じた図形として描画するかどうか
+     * @param {boolean} showPoints - 下書き点のマーカーを描画するかどうか（投げ縄の軌跡では描画しない）
+     */
+    drawDraftPath(points, previewPoint = null, canvasScale = 1.0, closed = false, showPoints = true) {
+        if (!points || points.length === 0) return;
+
+        const path = previewPoint ? [...points, previewPoint] : points;
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.moveTo(path[0].x, path[0].y);
+        for (let i = 1; i < path.length; i++) {
+            this.ctx.lineTo(path[i].x, path[i].y);
+        }
+        if (closed && path.length >= 3) {
+            this.ctx.closePath();
+        }
+        this.ctx.strokeStyle = '#e53935';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(2, canvasScale);
+        this.ctx.setLineDash([
+            this.applyDevicePixelRatioCorrection(8, canvasScale),
+            this.applyDevicePixelRatioCorrection(4, canvasScale)
+        ]);
+        this.ctx.stroke();
+        this.ctx.restore();
+
+        if (!showPoints) return;
+        points.forEach(point => {
+            this.drawPoint(point, '#e53935', this.markerSizes.unselectedWaypoint, 1, canvasScale);
+        });
+    }
+
+    /**
+     * ルートを折れ線で描画
+     * 選択中のルートは太線で表示し、中間点と開始・終了ポイントを強調する
+     * @param {Array<{path: Array, waypoints: Array, start: Object|null, end: Object|null, isSelected: boolean}>} routes
+     *        - ルートの経路（開始ポイント → 中間点 → 終了ポイント）
+     * @param {number} canvasScale - キャンバスのスケール値
+     * @param {boolean} showWaypoints - 選択中ルートの中間点を描画するかどうか（ルート編集モードのみ）
+     */
+    drawRoutes(routes, canvasScale = 1.0, showWaypoints = false) {
+        if (!routes || routes.length === 0) return;
+
+        // 選択中のルートを最前面に描画
+        const ordered = [...routes.filter(route => !route.isSelected), ...routes.filter(route => route.isSelected)];
+        ordered.forEach(route => {
+            if (route.path.length >= 2) {
+                this.ctx.save();
+                this.ctx.beginPath();
+                this.ctx.moveTo(route.path[0].x, route.path[0].y);
+                for (let i = 1; i < route.path.length; i++) {
+                    this.ctx.lineTo(route.path[i].x, route.path[i].y);
+                }
+                this.ctx.lineJoin = 'round';
+                this.ctx.lineCap = 'round';
+                this.ctx.strokeStyle = route.isSelected ? '#1e88e5' : 'rgba(30, 136, 229, 0.5)';
+                this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(route.isSelected ? 4 : 2.5, canvasScale);
+                this.ctx.stroke();
+                this.ctx.restore();
+            }
+
+            if (!route.isSelected) return;
+
+            // 開始ポイントは緑、終了ポイントは赤の輪で示す
+            const ringRadius = this.applyDevicePixelRatioCorrection(this.markerSizes.point + 4, canvasScale);
+            [[route.start, '#43a047'], [route.end, '#e53935']].forEach(([point, color]) => {
+                if (!point) return;
+                this.ctx.save();
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, ringRadius, 0, 2 * Math.PI);
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(3, canvasScale);
+                this.ctx.stroke();
+                this.ctx.restore();
+            });
+
+            if (showWaypoints) {
+                route.waypoints.forEach(point => {
+                    this.drawDiamond(point.x, point.y, this.markerSizes.selectedWaypoint, '#1e88e5', '#ffffff', 1, canvasScale);
+                });
+            }
+        });
+    }
+
+    /**
+     * スポットを四角形のマーカーで描画
+     * @param {Array<{x: number, y: number, name: string}>} spots - スポット配列
+     * @param {number} canvasScale - キャンバスのスケール値
+     * @param {boolean} isActive - スポット編集モードかどうか（それ以外のモードでは薄く表示）
+     */
+    drawSpots(spots, canvasScale = 1.0, isActive = true) {
+        if (!spots || spots.length === 0) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = isActive ? 1.0 : 0.6;
+        spots.forEach(spot => {
+            // 名称未入力のスポットは入力待ちであることが分かるよう橙色で表示
+            const fillColor = spot.name && spot.name.trim() !== '' ? '#1e40af' : '#ff9500';
+            this.drawSquare(spot.x, spot.y, this.markerSizes.spot, fillColor, '#ffffff', 1.5, canvasScale);
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * 複数選択中のポイント・頂点を強調表示
+     * @param {Array<{x: number, y: number}>} objects - 選択中のポイントまたは頂点
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawMultiSelection(objects, canvasScale = 1.0) {
+        if (!objects || objects.length === 0) return;
+
+        const radius = this.applyDevicePixelRatioCorrection(this.markerSizes.selectedWaypoint + 5, canvasScale);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#1e88e5';
+        this.ctx.fillStyle = 'rgba(30, 136, 229, 0.25)';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(2, canvasScale);
+        objects.forEach(object => {
+            this.ctx.beginPath();
+            this.ctx.arc(object.x, object.y, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * 選択中エリアの辺の中点ハンドルを描画（ドラッグで頂点を挿入できる位置）
+     * @param {Array<{x: number, y: number}>} midpoints - 辺の中点
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawEdgeMidpoints(midpoints, canvasScale = 1.0) {
+        if (!midpoints || midpoints.length === 0) return;
+
+        const radius = this.applyDevicePixelRatioCorrection(this.markerSizes.unselectedWaypoint * 0.7, canvasScale);
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.strokeStyle = '#ff9500';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(1.5, canvasScale);
+        midpoints.forEach(midpoint => {
+            this.ctx.beginPath();
+            this.ctx.arc(midpoint.x, midpoint.y, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * 変形ツールの外接矩形とハンドルを描画
+     * @param {{bounds: Object, handles: Array<{type: string, x: number, y: number}>}} box - 外接矩形とハンドル
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawTransformBox(box, canvasScale = 1.0) {
+        if (!box) return;
+        const { bounds, handles } = box;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#1e88e5';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(1.5, canvasScale);
+        this.ctx.setLineDash([
+            this.applyDevicePixelRatioCorrection(6, canvasScale),
+            this.applyDevicePixelRatioCorrection(4, canvasScale)
+        ]);
+        this.ctx.strokeRect(bounds.minX, bounds.minY, bounds.width, bounds.height);
+        this.ctx.restore();
+
+        // 回転・拡大縮小のハンドルは図形エリアのハンドルと同じ表示
+        this.drawShapeHandles(handles, canvasScale);
+    }
+
+    /**
+     * 図形エリアの編集用ハンドルを描画
+     * @param {Array<{type: string, x: number, y: number}>} handles - ハンドル（ShapePrimitives.getHandles の結果）
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawShapeHandles(handles, canvasScale = 1.0) {
+        if (!handles || handles.length === 0) return;
+
+        // 回転ハンドルは上辺のハンドルと線で結ぶ
+        const rotateHandle = handles.find(h => h.type === 'rotate');
+        const topHandle = handles.find(h => h.type === 'n');
+        if (rotateHandle && topHandle) {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.moveTo(topHandle.x, topHandle.y);
+            this.ctx.lineTo(rotateHandle.x, rotateHandle.y);
+            this.ctx.strokeStyle = '#1e88e5';
+            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(1.5, canvasScale);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+
+        handles.forEach(handle => {
+            if (handle.type === 'rotate') {
+                this.drawPoint(handle, '#1e88e5', 6, 1.5, canvasScale);
+            } else if (handle.type === 'move') {
+                this.drawDiamond(handle.x, handle.y, 7, '#1e88e5', '#ffffff', 1.5, canvasScale);
+            } else {
+                this.drawSquare(handle.x, handle.y, 10, '#ffffff', '#1e88e5', 1.5, canvasScale);
+            }
+        });
+    }
+
+    /**
+     * 重なり・隙間の検査結果を赤く重ねて描画
+     * @param {Array<{vertices: Array, holes: Array, isSelected: boolean}>} shapes - 検査結果の形状
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawCoverageOverlay(shapes, canvasScale = 1.0) {
+        if (!shapes || shapes.length === 0) return;
+
+        shapes.forEach(shape => {
+            this.ctx.save();
+            this.ctx.beginPath();
+            [shape.vertices, ...(shape.holes || [])].forEach(ring => this.addRingPath(ring));
+            this.ctx.fillStyle = shape.isSelected ? 'rgba(229, 57, 53, 0.6)' : 'rgba(229, 57, 53, 0.35)';
+            this.ctx.fill('evenodd');
+            this.ctx.strokeStyle = '#c62828';
+            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(shape.isSelected ? 3 : 1.5, canvasScale);
+            this.ctx.stroke();
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * 他エリアと共有している辺を強調表示
+     * @param {Array} rings - 選択中エリアのリング配列（外周、穴の順）
+     * @param {Array<{ring: number, edge: number}>} sharedEdges - 共有辺
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawSharedEdges(rings, sharedEdges, canvasScale = 1.0) {
+        if (!sharedEdges || sharedEdges.length === 0) return;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#00897b';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(5, canvasScale);
+        this.ctx.lineCap = 'round';
+        this.ctx.globalAlpha = 0.6;
+
+        sharedEdges.forEach(({ ring, edge }) => {
+            const vertices = rings[ring];
+            if (!vertices || vertices.length < 2) return;
+            const a = vertices[edge];
+            const b = vertices[(edge + 1) % vertices.length];
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * スナップ先の候補を描画
+     * @param {{x: number, y: number, type: string}|null} snap - スナップ先（type: 'point' | 'vertex' | 'edge'）
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawSnapIndicator(snap, canvasScale = 1.0) {
+        if (!snap) return;
+
+        const radius = this.applyDevicePixelRatioCorrection(9, canvasScale);
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#d81b60';
+        this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(2, canvasScale);
+        this.ctx.beginPath();
+        if (snap.type === 'edge') {
+            // 辺上の点は×印
+            this.ctx.moveTo(snap.x - radius, snap.y - radius);
+            this.ctx.lineTo(snap.x + radius, snap.y + radius);
+            this.ctx.moveTo(snap.x + radius, snap.y - radius);
+            this.ctx.lineTo(snap.x - radius, snap.y + radius);
+        } else if (snap.type === 'vertex') {
+            this.ctx.rect(snap.x - radius, snap.y - radius, radius * 2, radius * 2);
+        } else {
+            this.ctx.arc(snap.x, snap.y, radius, 0, 2 * Math.PI);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    /**
+     * 縮尺キャリブレーション用の選択点と基準線を描画
+     * @param {Array} points - 選択済みの点（キャンバス座標、最大2点）
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawCalibrationLine(points, canvasScale = 1.0) {
+        if (!points || points.length === 0) return;
+
+        if (points.length >= 2) {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x, points[0].y);
+            this.ctx.lineTo(points[1].x, points[1].y);
+            this.ctx.strokeStyle = '#007bff';
+            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(2, canvasScale);
+            this.ctx.setLineDash([
+                this.applyDevicePixelRatioCorrection(6, canvasScale),
+                this.applyDevicePixelRatioCorrection(4, canvasScale)
+            ]);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+
+        points.forEach(point => {
+            this.drawPoint(point, '#007bff', this.markerSizes.point, 1.5, canvasScale);
+        });
+    }
+
+    /**
+     * 位置合わせの基準点を番号付きで描画
+     * @param {Array<{x: number, y: number, label: string}>} controlPoints - 基準点（キャンバス座標）
+     * @param {number} canvasScale - キャンバスのスケール値
+     */
+    drawControlPoints(controlPoints, canvasScale = 1.0) {
+        const fontSize = this.applyDevicePixelRatioCorrection(12, canvasScale);
+        const offset = this.applyDevicePixelRatioCorrection(this.markerSizes.point + 3, canvasScale);
+
+        this.ctx.save();
+        this.ctx.font = `bold ${fontSize}px Arial`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        controlPoints.forEach(point => {
+            this.drawPoint(point, '#16a34a', this.markerSizes.point, 1.5, canvasScale);
+
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = this.applyDevicePixelRatioCorrection(3, canvasScale);
+            this.ctx.strokeText(point.label, point.x + offset, point.y - offset);
+            this.ctx.fillStyle = '#166534';
+            this.ctx.fillText(point.label, point.x + offset, point.y - offset);
+        });
+        this.ctx.restore();
+    }
+
     /**
      * 画像とすべての要素を再描画
      * @param {Array} points - 通常ポイント配列
@@ -282,7 +906,81 @@ export class CanvasRenderer {
 
         // エリアの描画
         if (Array.isArray(allAreas) && allAreas.length > 0) {
-            this.drawAllAreas(allAreas, options.selectedAreaIndex !== undefined ? options.selectedAreaIndex : -1, this.scale);
+            this.drawAllAreas(
+                allAreas,
+                options.selectedAreaIndex !== undefined ? options.selectedAreaIndex : -1,
+                this.scale,
+                options.selectedRingIndex || 0,
+                options.areaIssues || [],
+                options.areaStyles || []
+            );
+        }
+
+        // ルート
+        if (options.routes) {
+            this.drawRoutes(options.routes, this.scale, options.showRouteWaypoints);
+        }
+
+        // スポット
+        if (options.spots) {
+            this.drawSpots(options.spots, this.scale, options.showSpotEditMode !== false);
+        }
+
+        // 重なり・隙間の検査結果
+        if (options.coverageShapes) {
+            this.drawCoverageOverlay(options.coverageShapes, this.scale);
+        }
+
+        // 境界共有編集時の共有辺
+        if (options.sharedEdges && options.selectedAreaIndex >= 0 && allAreas[options.selectedAreaIndex]) {
+            const area = allAreas[options.selectedAreaIndex];
+            this.drawSharedEdges([area.vertices || [], ...(area.holes || [])], options.sharedEdges, this.scale);
+        }
+
+        // 作図中の下書き
+        if (options.draft) {
+            this.drawDraftPath(
+                options.draft.points,
+                options.draft.previewPoint,
+                this.scale,
+                options.draft.closed,
+                options.draft.showPoints !== false
+            );
+        }
+
+        // 複数選択中のポイント・頂点
+        if (options.multiSelection) {
+            this.drawMultiSelection(options.multiSelection, this.scale);
+        }
+
+        // 選択中エリアの辺の中点ハンドル
+        if (options.edgeMidpoints) {
+            this.drawEdgeMidpoints(options.edgeMidpoints, this.scale);
+        }
+
+        // 変形ツールの外接矩形とハンドル
+        if (options.transformBox) {
+            this.drawTransformBox(options.transformBox, this.scale);
+        }
+
+        // 選択中の図形エリアの編集用ハンドル
+        if (options.shapeHandles) {
+            this.drawShapeHandles(options.shapeHandles, this.scale);
+        }
+
+        // スナップ先の候補
+        if (options.snapIndicator) {
+            this.drawSnapIndicator(options.snapIndicator, this.scale);
+        }
+
+        // 位置合わせの基準点
+        if (options.controlPoints && options.controlPoints.length > 0) {
+            this.drawControlPoints(options.controlPoints, this.scale);
+        }
+
+        // 縮尺キャリブレーション中の選択点
+        if (options.calibrationPoints) {
+            this.drawCalibrationLine(options.calibrationPoints, this.scale);
         }
 
         this.ctx.restore();
@@ -1,4 +1,8 @@
 import { BaseManager } from '../core/BaseManager.js';
+import { GeometryUtils } from '../utils/Geometry.js';
+import { PolygonBoolean } from '../utils/PolygonBoolean.js';
+import { ShapePrimitives } from '../utils/ShapePrimitives.js';
+import { AreaTransform } from '../utils/AreaTransform.js';
 
 /**
  * エリアデータの管理を行うクラス（複数エリア対応）
@@ -10,6 +14,43 @@ export class AreaManager extends BaseManager {
         this.areas = [];
         // 現在選択されているエリアのインデックス（-1 = 未選択）
         this.selectedAreaIndex = -1;
+        // 選択中エリアの編集対象リング（0 = 外周, 1以上 = 穴のインデックス + 1）
+        this.selectedRingIndex = 0;
+        // 頂点の追加方法（'append' = 末尾に追加, 'nearestEdge' = 最寄りの辺に挿入）
+        this.vertexInsertMode = 'append';
+        // 境界共有編集（隣接エリアと一致する頂点・辺をまとめて編集）
+        this.topologyEditing = false;
+        // エリアID採番用の連番
+        this.areaIdSequence = 0;
+
+        // 形状検証の閾値（キャンバス座標）
+        this.DUPLICATE_TOLERANCE = 0.5; // この距離以内の頂点は重複とみなす
+        this.COLLINEAR_TOLERANCE = 0.5; // 前後の頂点を結ぶ直線からこの距離以内なら一直線上とみなす
+        this.MIN_AREA = 4;              // この面積（px²）未満はほぼゼロとみなす
+
+        // エリアごとの形状検証の結果（再描画のたびに検証しないよう、形状の変更時に求め直す）
+        this.geometryIssuesCache = new WeakMap();
+        // 境界共有編集で表示する選択中エリアの共有辺（null = 未計算）と、形状の変更後に求め直す必要があるかどうか
+        this.sharedEdgesCache = null;
+        this.isSharedEdgesStale = false;
+    }
+
+    /**
+     * 頂点の追加方法を設定
+     * @param {string} mode - 'append' | 'nearestEdge'
+     */
+    setVertexInsertMode(mode) {
+        this.vertexInsertMode = mode === 'nearestEdge' ? 'nearestEdge' : 'append';
+    }
+
+    /**
+     * 境界共有編集の有効/無効を設定
+     * @param {boolean} enabled - 有効にするかどうか
+     */
+    setTopologyEditing(enabled) {
+        this.topologyEditing = !!enabled;
+        this.sharedEdgesCache = null;
+        this.notify('onChange');
     }
 
     /**
@@ -31,13 +72,114 @@ export class AreaManager extends BaseManager {
         return null;
     }
 
+    /**
+     * エリアのリング（外周または穴）を取得
+     * @param {Object} area - エリアデータ
+     * @param {number} ringIndex - リングインデックス（0 = 外周, 1以上 = 穴）
+     * @returns {Array|null} 頂点配列、または null
+     */
+    getRing(area, ringIndex) {
+        if (!area) return null;
+        if (ringIndex === 0) {
+            return area.vertices || null;
+        }
+        const holes = area.holes || [];
+        return holes[ringIndex - 1] || null;
+    }
+
+    /**
+     * エリアの全リング（外周 + 穴）を取得
+     * @param {Object} area - エリアデータ
+     * @returns {Array<Array>} リング配列（先頭が外周）
+     */
+    getRings(area) {
+        if (!area) return [];
+        return [area.vertices || [], ...(area.holes || [])];
+    }
+
+    /**
+     * 選択中エリアの編集対象リングを取得
+     * @returns {Array|null} 頂点配列、または null
+     */
+    getActiveRing() {
+        const selectedArea = this.getSelectedArea();
+        if (!selectedArea) return null;
+        if (!selectedArea.vertices) {
+            selectedArea.vertices = [];
+        }
+        return this.getRing(selectedArea, this.selectedRingIndex);
+    }
+
+    /**
+     * 選択中エリアの編集対象リングを選択
+     * @param {number} ringIndex - リングインデックス（0 = 外周, 1以上 = 穴）
+     */
+    selectRing(ringIndex) {
+        const selectedArea = this.getSelectedArea();
+        if (!selectedArea || !this.getRing(selectedArea, ringIndex)) {
+            ringIndex = 0;
+        }
+
+        this.selectedRingIndex = ringIndex;
+        this.notify('onRingSelectionChange', ringIndex);
+
+        const ring = this.getActiveRing();
+        this.notify('onCountChange', ring ? ring.length : 0);
+        this.notify('onChange');
+    }
+
+    /**
+     * 選択中エリアに穴（内側リング）を追加し、編集対象にする
+     * @returns {number} 追加した穴のリングインデックス（失敗時は -1）
+     */
+    addHole() {
+        const selectedArea = this.getSelectedArea();
+        if (!selectedArea) {
+            this.notify('onNoAreaSelected', 'エリアを選択してから穴を追加してください');
+            return -1;
+        }
+
+        if (!selectedArea.holes) {
+            selectedArea.holes = [];
+        }
+        this.detachShape(this.selectedAreaIndex);
+        selectedArea.holes.push([]);
+        this.checkAndUpdateModifiedState();
+
+        const ringIndex = selectedArea.holes.length;
+        this.notify('onAreaListChange', this.areas);
+        this.selectRing(ringIndex);
+        return ringIndex;
+    }
+
+    /**
+     * 選択中エリアの穴を削除
+     * @param {number} ringIndex - 削除する穴のリングインデックス（1以上）
+     * @returns {boolean} 削除成功したかどうか
+     */
+    deleteHole(ringIndex) {
+        const selectedArea = this.getSelectedArea();
+        if (!selectedArea || !selectedArea.holes || ringIndex < 1 || ringIndex > selectedArea.holes.length) {
+            return false;
+        }
+
+        selectedArea.holes.splice(ringIndex - 1, 1);
+        this.checkAndUpdateModifiedState();
+        this.notify('onAreaListChange', this.areas);
+        this.selectRing(0);
+        return true;
+    }
+
     /**
      * エリアを選択
      * @param {number} index - エリアのインデックス（-1 = 未選択）
      */
     selectArea(index) {
         this.selectedAreaIndex = index;
+        this.selectedRingIndex = 0;
+        this.sharedEdgesCache = null;
         this.notify('onSelectionChange', index);
+        this.notify('onRingSelectionChange', 0);
 
         // 選択されたエリアの情報を通知
         if (index >= 0 && index < this.areas.length) {
@@ -56,7 +198,7 @@ export class AreaManager extends BaseManager {
 
     /**
      * エリアを追加
-     * @param {Object} area - エリアデータ {areaName, vertices}
+     * @param {Object} area - エリアデータ {areaName, vertices, holes, areaId, parentId}
      */
     addArea(area) {
         // isModifiedフラグを初期化（デフォルト: false）
@@ -66,15 +208,236 @@ export class AreaManager extends BaseManager {
         if (!area.vertices) {
             area.vertices = [];
         }
+        if (!area.holes) {
+            area.holes = [];
+        }
+        if (!area.attributes) {
+            area.attributes = {};
+        }
+        if (area.style === undefined) {
+            area.style = null;
+        }
+        if (!area.shape) {
+            area.shape = null;
+        }
+        if (!area.areaId) {
+            area.areaId = this.generateAreaId();
+        }
+        if (!area.parentId) {
+            area.parentId = null;
+        }
         if (!area.areaName) {
             area.areaName = `エリア ${this.areas.length + 1}`;
         }
         this.areas.push(area);
+        this.isSharedEdgesStale = true;
+        this.notify('onAreaListChange', this.areas);
+    }
+
+    /**
+     * 既存エリアの名称・形状・属性などをまとめて置き換え（FirestoreのIDと選択状態は維持）
+     * @param {number} index - 対象エリアのインデックス
+     * @param {Object} data - 置き換える項目 {areaName, vertices, holes, attributes, style, shape, parentId}
+     */
+    updateAreaData(index, data) {
+        const area = this.areas[index];
+        if (!area) return;
+
+        Object.assign(area, data);
+        this.geometryIssuesCache.delete(area);
+        this.isSharedEdgesStale = true;
+        if (index === this.selectedAreaIndex) {
+            // 穴が減った場合に備えて編集対象を外周に戻す
+            this.selectedRingIndex = 0;
+            this.notify('onRingSelectionChange', 0);
+            this.notify('onAreaInfoChange', { name: area.areaName });
+            this.notify('onCountChange', area.vertices.length);
+        }
+        this.notify('onAreaListChange', this.areas);
+        this.notify('onChange');
+    }
+
+    /**
+     * 元のエリア名から派生エリア名を生成（例: "エリア 3" → "エリア 3-a", "エリア 3-b"）
+     * @param {string} baseName - 元のエリア名
+     * @param {number} count - 生成する名前の数
+     * @returns {Array<string>} 派生エリア名の配列（1件の場合は元の名前のまま）
+     */
+    createDerivedAreaNames(baseName, count) {
+        if (count <= 1) return [baseName];
+
+        return Array.from({ length: count }, (_, i) => {
+            // a〜z を使い切った場合は aa, ab... と続ける
+            let suffix = '';
+            let n = i;
+            do {
+                suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+                n = Math.floor(n / 26) - 1;
+            } while (n >= 0);
+            return `${baseName}-${suffix}`;
+        });
+    }
+
+    /**
+     * エリアIDを生成（親子関係の参照に使う。Firestore保存前でも一意になるようにする）
+     * @returns {string} エリアID
+     */
+    generateAreaId() {
+        this.areaIdSequence++;
+        return `area_${Date.now().toString(36)}_${this.areaIdSequence}`;
+    }
+
+    /**
+     * エリアIDからインデックスを取得
+     * @param {string|null} areaId - エリアID
+     * @returns {number} インデックス（見つからない場合は-1）
+     */
+    findAreaIndexById(areaId) {
+        if (!areaId) return -1;
+        return this.areas.findIndex(area => area.areaId === areaId);
+    }
+
+    /**
+     * 親エリアのインデックスを取得
+     * @param {number} index - エリアのインデックス
+     * @returns {number} 親エリアのインデックス（最上位または親が存在しない場合は-1）
+     */
+    getParentIndex(index) {
+        const area = this.areas[index];
+        return area ? this.findAreaIndexById(area.parentId) : -1;
+    }
+
+    /**
+     * 直下の子エリアのインデックスを取得
+     * @param {number} index - エリアのインデックス
+     * @returns {Array<number>} 子エリアのインデックス
+     */
+    getChildIndices(index) {
+        const area = this.areas[index];
+        if (!area) return [];
+        return this.areas
+            .map((child, childIndex) => (child.parentId === area.areaId ? childIndex : -1))
+            .filter(childIndex => childIndex >= 0);
+    }
+
+    /**
+     * 子孫エリア（子・孫…）のインデックスを取得
+     * @param {number} index - エリアのインデックス
+     * @returns {Array<number>} 子孫エリアのインデックス
+     */
+    getDescendantIndices(index) {
+        const result = [];
+        const visit = (parentIndex) => {
+            this.getChildIndices(parentIndex).forEach(childIndex => {
+                if (result.includes(childIndex)) return;
+                result.push(childIndex);
+                visit(childIndex);
+            });
+        };
+        visit(index);
+        return result;
+    }
+
+    /**
+     * 親子関係をツリー構造で取得
+     * 親が存在しないエリアと、循環参照でたどれないエリアは最上位として扱う
+     * @returns {Array<{index: number, area: Object, children: Array}>} 最上位エリアのノード配列
+     */
+    getHierarchy() {
+        const visited = new Set();
+        const createNode = (index) => {
+            visited.add(index);
+            return {
+                index,
+                area: this.areas[index],
+                children: this.getChildIndices(index)
+                    .filter(childIndex => !visited.has(childIndex))
+                    .map(childIndex => createNode(childIndex))
+            };
+        };
+
+        const roots = this.areas
+            .map((area, index) => index)
+            .filter(index => this.getParentIndex(index) < 0)
+            .map(index => createNode(index));
+        this.areas.forEach((area, index) => {
+            if (!visited.has(index)) roots.push(createNode(index));
+        });
+        return roots;
+    }
+
+    /**
+     * 親エリアに設定できるかどうか（自分自身・子孫は親にできない）
+     * @param {number} index - 子にするエリアのインデックス
+     * @param {number} parentIndex - 親にするエリアのインデックス（-1 = 最上位）
+     * @returns {boolean}
+     */
+    canSetParent(index, parentIndex) {
+        if (parentIndex < 0) return true;
+        if (index === parentIndex || !this.areas[parentIndex]) return false;
+        return !this.getDescendantIndices(index).includes(parentIndex);
+    }
+
+    /**
+     * エリアの親を設定
+     * @param {number} index - エリアのインデックス
+     * @param {number} parentIndex - 親エリアのインデックス（-1 = 最上位）
+     * @returns {boolean} 設定できたかどうか
+     */
+    setAreaParent(index, parentIndex) {
+        const area = this.areas[index];
+        if (!area || !this.canSetParent(index, parentIndex)) {
+            console.warn('Invalid parent area:', index, parentIndex);
+            return false;
+        }
+
+        area.parentId = parentIndex >= 0 ? this.areas[parentIndex].areaId : null;
         this.notify('onAreaListChange', this.areas);
+        this.notify('onChange');
+        return true;
+    }
+
+    /**
+     * エリアが親エリアの内側に収まっているか判定
+     * 境界の共有は許容し、はみ出した部分の面積がほぼゼロなら内側とみなす
+     * @param {Object} child - 子エリア
+     * @param {Object} parent - 親エリア
+     * @returns {boolean|null} 判定結果（形状が未完成・不正で判定できない場合はnull）
+     */
+    isAreaInside(child, parent) {
+        const isComplete = (area) => area.vertices.length >= 3 && this.getCachedGeometryIssues(area).isValid;
+        if (!isComplete(child) || !isComplete(parent)) return null;
+
+        try {
+            const outside = PolygonBoolean.difference(child, parent);
+            const outsideArea = outside.reduce((sum, shape) => sum + GeometryUtils.polygonArea(shape.vertices, shape.holes), 0);
+            return outsideArea < this.MIN_AREA;
+        } catch (error) {
+            console.warn('Containment check failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 親子関係の問題点（親エリアからのはみ出し）を検出
+     * @param {number} index - エリアのインデックス
+     * @returns {Array<string>} 警告メッセージ
+     */
+    getHierarchyIssues(index) {
+        const area = this.areas[index];
+        const parentIndex = this.getParentIndex(index);
+        if (!area || parentIndex < 0) return [];
+
+        const parent = this.areas[parentIndex];
+        if (this.isAreaInside(area, parent) === false) {
+            return [`親エリア「${parent.areaName}」の外にはみ出しています`];
+        }
+        return [];
     }
 
     /**
      * エリアを削除
+     * 子エリアは削除したエリアの親（最上位の場合は最上位）に付け替える
      * @param {number} index - 削除するエリアのインデックス
      */
     deleteArea(index) {
@@ -83,11 +446,20 @@ export class AreaManager extends BaseManager {
             return;
         }
 
+        const deletedArea = this.areas[index];
+        const orphans = this.areas.filter(area => area.parentId === deletedArea.areaId);
+        orphans.forEach(area => {
+            area.parentId = deletedArea.parentId || null;
+        });
+
         this.areas.splice(index, 1);
+        // インデックスがずれるため共有辺は求め直す
+        this.sharedEdgesCache = null;
 
         // 削除したエリアが選択中だった場合、選択を解除
         if (this.selectedAreaIndex === index) {
             this.selectedAreaIndex = -1;
+            this.selectedRingIndex = 0;
             this.notify('onAreaInfoChange', { name: '' });
             this.notify('onCountChange', 0);
             this.notify('onSelectionChange', -1);
@@ -97,12 +469,31 @@ export class AreaManager extends BaseManager {
             this.notify('onSelectionChange', this.selectedAreaIndex);
         }
 
+        this.notify('onAreaListChange', this.areas);
+        if (orphans.length > 0) {
+            this.notify('onLinkedAreasChange', orphans.map(area => this.areas.indexOf(area)));
+        }
+        this.notify('onChange');
+    }
+
+    /**
+     * すべてのエリアを削除
+     */
+    clearAreas() {
+        this.areas = [];
+        this.sharedEdgesCache = null;
+        this.selectedAreaIndex = -1;
+        this.selectedRingIndex = 0;
+        this.notify('onAreaInfoChange', { name: '' });
+        this.notify('onCountChange', 0);
+        this.notify('onSelectionChange', -1);
         this.notify('onAreaListChange', this.areas);
         this.notify('onChange');
     }
 
     /**
-     * 頂点を追加（選択中のエリアにのみ追加）
+     * 頂点を追加（選択中のエリアの編集対象リングにのみ追加）
+     * 描画順をそのまま保持し、追加方法に応じて末尾または最寄りの辺に挿入する
      * @param {number} x - X座標
      * @param {number} y - Y座標
      * @returns {Object} 追加されたポイント
@@ -120,38 +511,53 @@ export class AreaManager extends BaseManager {
             y: Math.round(y)
         };
 
-        if (!selectedArea.vertices) {
-            selectedArea.vertices = [];
-        }
-        selectedArea.vertices.push(point);
+        const ring = this.getActiveRing();
+        let linkedAreaIndices = [];
+        this.detachShape(this.selectedAreaIndex);
+
+        // 3頂点未満の場合は辺が定まらないため常に末尾に追加
+        if (this.vertexInsertMode === 'nearestEdge' && ring.length >= 3) {
+            const nearestEdge = GeometryUtils.findNearestEdge(ring, point.x, point.y);
+            const edgeStart = ring[nearestEdge.edgeIndex];
+            const edgeEnd = ring[(nearestEdge.edgeIndex + 1) % ring.length];
+            ring.splice(nearestEdge.edgeIndex + 1, 0, point);
 
-        // 頂点の順序を再定義（面積最大化/シンプルポリゴン化）
-        this.reorderVertices(this.selectedAreaIndex);
+            // 隣接エリアと共有する辺であれば同じ位置に頂点を挿入
+            if (this.topologyEditing) {
+                linkedAreaIndices = this.insertIntoSharedEdges(edgeStart, edgeEnd, point);
+            }
+        } else {
+            ring.push(point);
+        }
 
         this.notify('onChange');
-        this.notify('onCountChange', selectedArea.vertices.length);
+        this.notify('onCountChange', ring.length);
 
         // 更新状態をチェック
         this.checkAndUpdateModifiedState();
 
+        if (linkedAreaIndices.length > 0) {
+            this.notify('onLinkedAreasChange', linkedAreaIndices);
+        }
+
         return point;
     }
 
     /**
-     * 指定位置に最も近い頂点を検索（選択中のエリアのみ）
+     * 指定位置に最も近い頂点を検索（選択中のエリアの編集対象リングのみ）
      * @param {number} x - X座標（キャンバス座標）
      * @param {number} y - Y座標（キャンバス座標）
      * @param {number} threshold - 判定閾値（デフォルト: 10px）
      * @returns {{index: number, point: Object} | null} 見つかった頂点と配列インデックス、見つからない場合はnull
      */
     findVertexAt(x, y, threshold = 10) {
-        const selectedArea = this.getSelectedArea();
-        if (!selectedArea || !selectedArea.vertices) {
+        const ring = this.getActiveRing();
+        if (!ring) {
             return null;
         }
 
-        for (let i = 0; i < selectedArea.vertices.length; i++) {
-            const point = selectedArea.vertices[i];
+        for (let i = 0; i < ring.length; i++) {
+            const point = ring[i];
             const dx = point.x - x;
             const dy = point.y - y;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -164,33 +570,119 @@ export class AreaManager extends BaseManager {
     }
 
     /**
-     * 指定インデックスの頂点を取得（選択中のエリアのみ）
+     * 編集対象リングの各辺の中点を取得（中点ハンドルの表示・判定用）
+     * 図形エリアはハンドルで編集するため対象外
+     * @returns {Array<{edgeIndex: number, x: number, y: number}>} 辺のインデックスと中点
+     */
+    getEdgeMidpoints() {
+        const area = this.getSelectedArea();
+        const ring = this.getActiveRing();
+        if (!area || area.shape || !ring || ring.length < 2) return [];
+
+        // 2頂点の場合は閉じる辺が同じ線分になるため1本のみ
+        const edgeCount = ring.length >= 3 ? ring.length : 1;
+        const midpoints = [];
+        for (let i = 0; i < edgeCount; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            midpoints.push({ edgeIndex: i, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        }
+        return midpoints;
+    }
+
+    /**
+     * 指定位置にある辺の中点を検索（選択中のエリアの編集対象リングのみ）
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @param {number} threshold - 判定閾値
+     * @returns {{edgeIndex: number, point: {x: number, y: number}} | null}
+     */
+    findMidpointAt(x, y, threshold = 8) {
+        const midpoint = this.getEdgeMidpoints().find(m => Math.hypot(m.x - x, m.y - y) <= threshold);
+        return midpoint ? { edgeIndex: midpoint.edgeIndex, point: { x: midpoint.x, y: midpoint.y } } : null;
+    }
+
+    /**
+     * 指定位置に最も近い辺を検索（選択中のエリアの編集対象リングのみ）
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @param {number} threshold - 判定閾値
+     * @returns {{edgeIndex: number, point: {x: number, y: number}} | null} 辺のインデックスと辺上の最近接点
+     */
+    findEdgeAt(x, y, threshold = 6) {
+        const area = this.getSelectedArea();
+        const ring = this.getActiveRing();
+        if (!area || area.shape || !ring || ring.length < 2) return null;
+
+        const nearest = GeometryUtils.findNearestEdge(ring, x, y);
+        if (!nearest || nearest.distance > threshold) return null;
+        return { edgeIndex: nearest.edgeIndex, point: nearest.point };
+    }
+
+    /**
+     * 辺上の指定位置に頂点を挿入（選択中のエリアの編集対象リングのみ）
+     * 位置は辺上に保つため整数に丸めない
+     * @param {number} edgeIndex - 辺のインデックス（頂点edgeIndexから次の頂点への辺）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {number} 挿入した頂点のインデックス（挿入できない場合は-1）
+     */
+    insertVertexOnEdge(edgeIndex, x, y) {
+        const ring = this.getActiveRing();
+        if (!ring || edgeIndex < 0 || edgeIndex >= ring.length) {
+            return -1;
+        }
+
+        const edgeStart = ring[edgeIndex];
+        const edgeEnd = ring[(edgeIndex + 1) % ring.length];
+        const point = { x, y };
+        this.detachShape(this.selectedAreaIndex);
+        ring.splice(edgeIndex + 1, 0, point);
+
+        // 隣接エリアと共有する辺であれば同じ位置に頂点を挿入
+        const linkedAreaIndices = this.topologyEditing
+            ? this.insertIntoSharedEdges(edgeStart, edgeEnd, point)
+            : [];
+
+        this.notify('onChange');
+        this.notify('onCountChange', ring.length);
+        this.checkAndUpdateModifiedState();
+
+        if (linkedAreaIndices.length > 0) {
+            this.notify('onLinkedAreasChange', linkedAreaIndices);
+        }
+        return edgeIndex + 1;
+    }
+
+    /**
+     * 指定インデックスの頂点を取得（選択中のエリアの編集対象リングのみ）
      * @param {number} index - 頂点の配列インデックス
      * @returns {Object|null} 頂点データ、またはnull
      */
     getAreaVertex(index) {
-        const selectedArea = this.getSelectedArea();
-        if (selectedArea && selectedArea.vertices && index >= 0 && index < selectedArea.vertices.length) {
-            return selectedArea.vertices[index];
+        const ring = this.getActiveRing();
+        if (ring && index >= 0 && index < ring.length) {
+            return ring[index];
         }
         return null;
     }
 
     /**
-     * 頂点の座標を更新（選択中のエリアのみ）
+     * 頂点の座標を更新（選択中のエリアの編集対象リングのみ）
      * @param {number} index - 頂点の配列インデックス
      * @param {number} x - 新しいX座標
      * @param {number} y - 新しいY座標
      */
     updateVertex(index, x, y) {
-        const selectedArea = this.getSelectedArea();
-        if (!selectedArea || !selectedArea.vertices) {
+        const ring = this.getActiveRing();
+        if (!ring) {
             return;
         }
 
-        if (index >= 0 && index < selectedArea.vertices.length) {
-            selectedArea.vertices[index].x = Math.round(x);
-            selectedArea.vertices[index].y = Math.round(y);
+        if (index >= 0 && index < ring.length) {
+            this.detachShape(this.selectedAreaIndex);
+            ring[index].x = Math.round(x);
+            ring[index].y = Math.round(y);
             this.notify('onChange');
 
             // 更新状態をチェック
@@ -199,89 +691,368 @@ export class AreaManager extends BaseManager {
     }
 
     /**
-     * 頂点を削除（選択中のエリアのみ）
+     * 頂点を削除（選択中のエリアの編集対象リングのみ）
      * @param {number} index - 削除する頂点の配列インデックス
      * @returns {boolean} 削除成功したかどうか
      */
     removeVertex(index) {
-        const selectedArea = this.getSelectedArea();
-        if (!selectedArea || !selectedArea.vertices) {
+        const ring = this.getActiveRing();
+        if (!ring) {
             return false;
         }
 
-        if (index >= 0 && index < selectedArea.vertices.length) {
-            selectedArea.vertices.splice(index, 1);
-
-            // 頂点の順序を再定義
-            this.reorderVertices(this.selectedAreaIndex);
+        if (index >= 0 && index < ring.length) {
+            // 隣接エリアと共有する頂点であれば共有先からも削除
+            const links = this.getLinkedVertices(this.selectedRingIndex, index);
+            this.detachShape(this.selectedAreaIndex);
+            ring.splice(index, 1);
+            const linkedAreaIndices = this.removeLinkedVertices(links);
 
             this.notify('onChange');
-            this.notify('onCountChange', selectedArea.vertices.length);
+            this.notify('onCountChange', ring.length);
 
             // 更新状態をチェック
             this.checkAndUpdateModifiedState();
+
+            if (linkedAreaIndices.length > 0) {
+                this.notify('onLinkedAreasChange', linkedAreaIndices);
+            }
             return true;
         }
         return false;
     }
 
     /**
-     * 頂点を一括削除（選択中のエリアのみ）
+     * 頂点を一括削除（選択中のエリアの編集対象リングのみ）
+     * 境界共有編集時は共有先の頂点も削除し、変更された他エリアを onLinkedAreasChange で通知する
      * @param {Array<number>} indices - 削除する頂点のインデックス配列
+     * @returns {number} 削除した頂点の数
      */
     removeVertices(indices) {
-        const selectedArea = this.getSelectedArea();
-        if (!selectedArea || !selectedArea.vertices) {
+        const ring = this.getActiveRing();
+        if (!ring) {
             return 0;
         }
 
         let deletedCount = 0;
-        const sortedIndices = [...indices].sort((a, b) => b - a);
+        const sortedIndices = [...new Set(indices)].sort((a, b) => b - a);
+        // 隣接エリアと共有する頂点は削除前に共有先を調べておく
+        const links = sortedIndices.flatMap(index => this.getLinkedVertices(this.selectedRingIndex, index));
 
         for (const index of sortedIndices) {
-            if (index >= 0 && index < selectedArea.vertices.length) {
-                selectedArea.vertices.splice(index, 1);
+            if (index >= 0 && index < ring.length) {
+                ring.splice(index, 1);
                 deletedCount++;
             }
         }
 
         if (deletedCount > 0) {
-            // 頂点の順序を再定義
-            this.reorderVertices(this.selectedAreaIndex);
-
+            this.detachShape(this.selectedAreaIndex);
+            const linkedAreaIndices = this.removeLinkedVertices(links);
             this.notify('onChange');
-            this.notify('onCountChange', selectedArea.vertices.length);
+            this.notify('onCountChange', ring.length);
             this.checkAndUpdateModifiedState();
+
+            if (linkedAreaIndices.length > 0) {
+                this.notify('onLinkedAreasChange', linkedAreaIndices);
+            }
         }
 
         return deletedCount;
     }
 
     /**
-     * 頂点の順序を面積が最大になるように（重心周りの角度順に）再定義
+     * 頂点の順序を重心周りの角度順に再定義（自動整列コマンド）
+     * 凹形状は崩れるため、ユーザーが明示的に実行した場合のみ使用する
      * @param {number} areaIndex - 対象エリアのインデックス
+     * @param {number} ringIndex - 対象リングのインデックス（0 = 外周, 1以上 = 穴）
+     * @returns {boolean} 並べ替えを実行したかどうか
      */
-    reorderVertices(areaIndex) {
-        if (areaIndex < 0 || areaIndex >= this.areas.length) return;
+    reorderVertices(areaIndex, ringIndex = 0) {
+        if (areaIndex < 0 || areaIndex >= this.areas.length) return false;
 
         const area = this.areas[areaIndex];
-        if (!area.vertices || area.vertices.length < 3) return;
+        const ring = this.getRing(area, ringIndex);
+        if (!ring || ring.length < 3) return false;
 
-        // 重心を計算
-        let cx = 0, cy = 0;
-        area.vertices.forEach(v => {
-            cx += v.x;
-            cy += v.y;
+        this.detachShape(areaIndex);
+        // 配列を置き換えずに並べ替え（ドラッグ中の参照を保持するため）
+        const sorted = GeometryUtils.sortByCentroidAngle(ring);
+        ring.splice(0, ring.length, ...sorted);
+
+        this.notify('onChange');
+        this.checkAndUpdateModifiedState(areaIndex);
+        return true;
+    }
+
+    /**
+     * 指定座標と一致する頂点を全エリアから検索
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} excludeAreaIndex - 検索対象外とするエリアのインデックス
+     * @returns {Array<{areaIndex: number, ringIndex: number, vertexIndex: number}>} 一致する頂点
+     */
+    findCoincidentVertices(x, y, excludeAreaIndex = -1) {
+        const result = [];
+        this.areas.forEach((area, areaIndex) => {
+            if (areaIndex === excludeAreaIndex) return;
+            this.getRings(area).forEach((ring, ringIndex) => {
+                ring.forEach((vertex, vertexIndex) => {
+                    if (Math.hypot(vertex.x - x, vertex.y - y) <= this.DUPLICATE_TOLERANCE) {
+                        result.push({ areaIndex, ringIndex, vertexIndex });
+                    }
+                });
+            });
         });
-        cx /= area.vertices.length;
-        cy /= area.vertices.length;
-
-        // 重心からの角度でソート
-        area.vertices.sort((a, b) => {
-            const angleA = Math.atan2(a.y - cy, a.x - cx);
-            const angleB = Math.atan2(b.y - cy, b.x - cx);
-            return angleA - angleB;
+        return result;
+    }
+
+    /**
+     * 選択中エリアの頂点と位置を共有する他エリアの頂点を取得（境界共有編集が無効なら空配列）
+     * @param {number} ringIndex - リングインデックス
+     * @param {number} vertexIndex - 頂点インデックス
+     * @returns {Array<{areaIndex: number, ringIndex: number, vertexIndex: number}>} 共有先の頂点
+     */
+    getLinkedVertices(ringIndex, vertexIndex) {
+        if (!this.topologyEditing) return [];
+
+        const ring = this.getRing(this.getSelectedArea(), ringIndex);
+        const vertex = ring && ring[vertexIndex];
+        if (!vertex) return [];
+
+        return this.findCoincidentVertices(vertex.x, vertex.y, this.selectedAreaIndex);
+    }
+
+    /**
+     * 共有先の頂点をまとめて移動
+     * @param {Array} links - getLinkedVertices で取得した共有先の頂点
+     * @param {number} x - 移動先X座標
+     * @param {number} y - 移動先Y座標
+     * @returns {Array<number>} 変更されたエリアのインデックス
+     */
+    moveLinkedVertices(links, x, y) {
+        const areaIndices = new Set();
+        links.forEach(({ areaIndex, ringIndex, vertexIndex }) => {
+            const ring = this.getRing(this.areas[areaIndex], ringIndex);
+            if (!ring || !ring[vertexIndex]) return;
+            ring[vertexIndex].x = Math.round(x);
+            ring[vertexIndex].y = Math.round(y);
+            areaIndices.add(areaIndex);
+            this.detachShape(areaIndex);
+        });
+
+        areaIndices.forEach(areaIndex => this.checkAndUpdateModifiedState(areaIndex));
+        if (areaIndices.size > 0) {
+            this.notify('onChange');
+        }
+        return [...areaIndices];
+    }
+
+    /**
+     * 共有先の頂点をまとめて削除
+     * @param {Array} links - getLinkedVertices で取得した共有先の頂点
+     * @returns {Array<number>} 変更されたエリアのインデックス
+     */
+    removeLinkedVertices(links) {
+        const areaIndices = new Set();
+        // 同じリング内のインデックスがずれないよう後ろから削除
+        [...links]
+            .sort((a, b) => b.vertexIndex - a.vertexIndex)
+            .forEach(({ areaIndex, ringIndex, vertexIndex }) => {
+                const ring = this.getRing(this.areas[areaIndex], ringIndex);
+                if (!ring || !ring[vertexIndex]) return;
+                ring.splice(vertexIndex, 1);
+                areaIndices.add(areaIndex);
+                this.detachShape(areaIndex);
+            });
+
+        areaIndices.forEach(areaIndex => this.checkAndUpdateModifiedState(areaIndex));
+        return [...areaIndices];
+    }
+
+    /**
+     * 選択中のエリアの複数の頂点をまとめて移動（範囲選択した頂点のドラッグ用）
+     * 通知は最後に1回だけ行う
+     * @param {Array<{vertex: Object, x: number, y: number, links: Array}>} moves
+     *        移動する頂点（編集対象リングの頂点の参照）、移動先、一緒に動かす他エリアの頂点
+     * @returns {Array<number>} 変更された他エリアのインデックス
+     */
+    moveVertices(moves) {
+        if (moves.length === 0) return [];
+
+        const linkedAreaIndices = new Set();
+        this.detachShape(this.selectedAreaIndex);
+        moves.forEach(({ vertex, x, y, links }) => {
+            vertex.x = Math.round(x);
+            vertex.y = Math.round(y);
+            (links || []).forEach(({ areaIndex, ringIndex, vertexIndex }) => {
+                const ring = this.getRing(this.areas[areaIndex], ringIndex);
+                if (!ring || !ring[vertexIndex]) return;
+                ring[vertexIndex].x = vertex.x;
+                ring[vertexIndex].y = vertex.y;
+                linkedAreaIndices.add(areaIndex);
+                this.detachShape(areaIndex);
+            });
+        });
+
+        this.checkAndUpdateModifiedState();
+        linkedAreaIndices.forEach(areaIndex => this.checkAndUpdateModifiedState(areaIndex));
+        this.notify('onChange');
+        return [...linkedAreaIndices];
+    }
+
+    /**
+     * 指定した2頂点を結ぶ辺を共有する他エリアに頂点を挿入
+     * @param {{x: number, y: number}} edgeStart - 辺の始点
+     * @param {{x: number, y: number}} edgeEnd - 辺の終点
+     * @param {{x: number, y: number}} point - 挿入する頂点
+     * @returns {Array<number>} 変更されたエリアのインデックス
+     */
+    insertIntoSharedEdges(edgeStart, edgeEnd, point) {
+        const isSame = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= this.DUPLICATE_TOLERANCE;
+        const areaIndices = new Set();
+
+        this.areas.forEach((area, areaIndex) => {
+            if (areaIndex === this.selectedAreaIndex) return;
+            this.getRings(area).forEach(ring => {
+                if (ring.length < 2) return;
+                for (let i = 0; i < ring.length; i++) {
+                    const a = ring[i];
+                    const b = ring[(i + 1) % ring.length];
+                    // 隣接エリアでは辺の向きが逆になることが多いため両方向を確認
+                    if ((isSame(a, edgeStart) && isSame(b, edgeEnd)) || (isSame(a, edgeEnd) && isSame(b, edgeStart))) {
+                        ring.splice(i + 1, 0, { x: point.x, y: point.y });
+                        areaIndices.add(areaIndex);
+                        this.detachShape(areaIndex);
+                        break;
+                    }
+                }
+            });
+        });
+
+        areaIndices.forEach(areaIndex => this.checkAndUpdateModifiedState(areaIndex));
+        return [...areaIndices];
+    }
+
+    /**
+     * 他エリアと共有している辺を取得
+     * @param {number} areaIndex - エリアのインデックス
+     * @returns {Array<{ring: number, edge: number}>} 共有辺（リングインデックスと辺の始点インデックス）
+     */
+    findSharedEdges(areaIndex) {
+        const area = this.areas[areaIndex];
+        if (!area) return [];
+
+        const result = [];
+
+        this.getRings(area).forEach((ring, ringIndex) => {
+            if (ring.length < 2) return;
+            const links = ring.map(vertex => this.findCoincidentVertices(vertex.x, vertex.y, areaIndex));
+            for (let i = 0; i < ring.length; i++) {
+                const next = (i + 1) % ring.length;
+                // 両端の頂点が同じエリアの同じリング上で隣り合っていれば共有辺
+                const shared = links[i].some(a => links[next].some(b => {
+                    if (a.areaIndex !== b.areaIndex || a.ringIndex !== b.ringIndex) return false;
+                    const length = this.getRing(this.areas[a.areaIndex], a.ringIndex).length;
+                    const diff = Math.abs(a.vertexIndex - b.vertexIndex);
+                    return diff === 1 || diff === length - 1;
+                }));
+                if (shared) {
+                    result.push({ ring: ringIndex, edge: i });
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 選択中エリアの共有辺を取得（境界共有編集が無効、またはエリアが未選択の場合はnull）
+     * 形状の変更後に初めて取得したときだけ求め直し、再描画のたびには計算しない
+     * @param {boolean} allowRefresh - 形状の変更後であれば求め直すかどうか（ドラッグ中は前回の結果を使う）
+     * @returns {Array<{ring: number, edge: number}>|null} 共有辺
+     */
+    getSelectedSharedEdges(allowRefresh = true) {
+        if (!this.topologyEditing || this.selectedAreaIndex < 0) return null;
+
+        if (this.sharedEdgesCache === null || (this.isSharedEdgesStale && allowRefresh)) {
+            this.sharedEdgesCache = this.findSharedEdges(this.selectedAreaIndex);
+            this.isSharedEdgesStale = false;
+        }
+        return this.sharedEdgesCache;
+    }
+
+    /**
+     * エリアの図形（矩形・円など）のパラメータを設定し、頂点を図形から作り直す
+     * @param {number} areaIndex - エリアのインデックス
+     * @param {Object} shape - 図形のパラメータ
+     */
+    setAreaShape(areaIndex, shape) {
+        const area = this.areas[areaIndex];
+        if (!area) {
+            console.warn('Invalid area index:', areaIndex);
+            return;
+        }
+
+        area.shape = { ...shape };
+        // ドラッグ中の参照を保持するため配列は置き換えない
+        area.vertices.splice(0, area.vertices.length, ...ShapePrimitives.toPolygon(shape));
+        area.holes = [];
+        if (areaIndex === this.selectedAreaIndex) {
+            this.selectedRingIndex = 0;
+            this.notify('onCountChange', area.vertices.length);
+        }
+        this.notify('onChange');
+        this.checkAndUpdateModifiedState(areaIndex);
+    }
+
+    /**
+     * エリア全体を変形（移動・回転・拡大縮小）
+     * ドラッグ中の誤差が積み重ならないよう、変形前の形状に対して毎回変形を適用する
+     * @param {number} areaIndex - エリアのインデックス
+     * @param {Array<Array>} originalRings - 変形前の頂点配列の配列（外周・穴）
+     * @param {Object|null} originalShape - 変形前の図形のパラメータ
+     * @param {Object} transform - 変形（AreaTransform の形式）
+     */
+    transformArea(areaIndex, originalRings, originalShape, transform) {
+        const area = this.areas[areaIndex];
+        if (!area) {
+            console.warn('Invalid area index:', areaIndex);
+            return;
+        }
+
+        // 図形として表せる変形であれば図形のパラメータを保つ
+        const shape = originalShape ? AreaTransform.applyToShape(originalShape, transform) : null;
+        if (shape) {
+            this.setAreaShape(areaIndex, shape);
+            return;
+        }
+
+        const transformed = AreaTransform.applyToRings(originalRings, transform);
+        // ドラッグ中の参照を保持するため頂点は置き換えずに座標のみ更新
+        this.getRings(area).forEach((ring, ringIndex) => {
+            ring.forEach((vertex, vertexIndex) => {
+                const point = transformed[ringIndex] && transformed[ringIndex][vertexIndex];
+                if (!point) return;
+                vertex.x = Math.round(point.x);
+                vertex.y = Math.round(point.y);
+            });
         });
+
+        this.detachShape(areaIndex);
+        this.notify('onChange');
+        this.checkAndUpdateModifiedState(areaIndex);
+    }
+
+    /**
+     * 頂点を直接編集したエリアを通常の多角形に戻す（図形のパラメータを解除）
+     * @param {number} areaIndex - エリアのインデックス
+     */
+    detachShape(areaIndex) {
+        const area = this.areas[areaIndex];
+        if (!area || !area.shape) return;
+
+        area.shape = null;
+        this.notify('onShapeDetached', areaIndex);
     }
 
     /**
@@ -301,21 +1072,158 @@ export class AreaManager extends BaseManager {
     }
 
     /**
-     * 更新状態をチェックして必要に応じてフラグを設定
+     * 選択中のエリアの属性を設定
+     * @param {Object} attributes - 属性値 {key: value}
      */
-    checkAndUpdateModifiedState() {
+    setAreaAttributes(attributes) {
         const selectedArea = this.getSelectedArea();
-        if (!selectedArea) return;
+        if (!selectedArea) {
+            console.warn('No area selected. Cannot set area attributes.');
+            return;
+        }
 
-        const hasName = selectedArea.areaName && selectedArea.areaName.trim().length > 0;
-        const hasVertices = selectedArea.vertices && selectedArea.vertices.length >= 3;
+        selectedArea.attributes = { ...attributes };
+        this.notify('onChange');
+    }
 
-        if (hasName && hasVertices) {
-            if (!selectedArea.isModified) {
-                selectedArea.isModified = true;
-                this.notify('onModifiedStateChange', { isModified: true, areaIndex: this.selectedAreaIndex });
-                this.notify('onAreaListChange', this.areas);
+    /**
+     * 選択中のエリアの個別スタイルを設定
+     * @param {Object|null} style - スタイル（nullの場合は個別設定を解除）
+     */
+    setAreaStyle(style) {
+        const selectedArea = this.getSelectedArea();
+        if (!selectedArea) {
+            console.warn('No area selected. Cannot set area style.');
+            return;
+        }
+
+        selectedArea.style = style ? { ...style } : null;
+        this.notify('onChange');
+    }
+
+    /**
+     * エリアの形状の問題点（自己交差・重複頂点・同一直線上の頂点・面積ほぼゼロ）を検出
+     * リングの指定は 0 = 外周, 1以上 = 穴
+     * @param {Object} area - エリアデータ
+     * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>,
+     *            invalidEdges: Array<{ring: number, edge: number}>,
+     *            warningVertices: Array<{ring: number, index: number}>}} 検出結果
+     */
+    getGeometryIssues(area) {
+        const errors = [];
+        const warnings = [];
+        const invalidEdges = [];
+        const warningVertices = [];
+        const addEdge = (ring, edge) => {
+            if (!invalidEdges.some(e => e.ring === ring && e.edge === edge)) {
+                invalidEdges.push({ ring, edge });
             }
+        };
+
+        const rings = this.getRings(area);
+        if (rings[0].length < 3) {
+            return { isValid: true, errors, warnings, invalidEdges, warningVertices };
+        }
+
+        rings.forEach((ring, ringIndex) => {
+            const ringLabel = ringIndex === 0 ? '外周' : `穴${ringIndex}`;
+            // 描きかけ・空の穴はエラーにせず、頂点が3つ以上になるまで保存・出力の対象外とする
+            if (ring.length < 3) {
+                warnings.push(`${ringLabel}は描画中です（頂点が3つ以上になるまで保存されません）`);
+                return;
+            }
+
+            const crossings = GeometryUtils.findSelfIntersections(ring);
+            if (crossings.length > 0) {
+                errors.push(`${ringLabel}の辺が交差しています`);
+                crossings.forEach(([i, j]) => {
+                    addEdge(ringIndex, i);
+                    addEdge(ringIndex, j);
+                });
+            }
+
+            const duplicates = GeometryUtils.findDuplicateVertices(ring, this.DUPLICATE_TOLERANCE);
+            if (duplicates.length > 0) {
+                errors.push(`${ringLabel}に重複した頂点があります`);
+                duplicates.forEach(index => {
+                    addEdge(ringIndex, (index - 1 + ring.length) % ring.length);
+                    addEdge(ringIndex, index);
+                });
+            }
+
+            const collinear = GeometryUtils.findCollinearVertices(ring, this.COLLINEAR_TOLERANCE);
+            if (collinear.length > 0) {
+                warnings.push(`${ringLabel}に一直線上の冗長な頂点があります`);
+                collinear.forEach(index => warningVertices.push({ ring: ringIndex, index }));
+            }
+
+            if (GeometryUtils.ringArea(ring) < this.MIN_AREA) {
+                errors.push(`${ringLabel}の面積がほぼゼロです`);
+                ring.forEach((v, index) => addEdge(ringIndex, index));
+            }
+
+            if (ringIndex > 0) {
+                // 穴が外周と交差している、または外周の外にある
+                const outerCrossings = GeometryUtils.findRingIntersections(rings[0], ring);
+                if (outerCrossings.length > 0) {
+                    errors.push(`${ringLabel}が外周と交差しています`);
+                    outerCrossings.forEach(([outerEdge, holeEdge]) => {
+                        addEdge(0, outerEdge);
+                        addEdge(ringIndex, holeEdge);
+                    });
+                } else if (!GeometryUtils.pointInRing(ring[0].x, ring[0].y, rings[0])) {
+                    errors.push(`${ringLabel}が外周の外側にあります`);
+                    ring.forEach((v, index) => addEdge(ringIndex, index));
+                }
+            }
+        });
+
+        return { isValid: errors.length === 0, errors, warnings, invalidEdges, warningVertices };
+    }
+
+    /**
+     * 形状検証の結果を取得（形状の変更時に求めた結果を使う。再描画など頻繁に呼ばれる処理用）
+     * @param {Object} area - エリアデータ
+     * @returns {Object} getGeometryIssues の結果
+     */
+    getCachedGeometryIssues(area) {
+        if (!this.geometryIssuesCache.has(area)) {
+            this.geometryIssuesCache.set(area, this.getGeometryIssues(area));
+        }
+        return this.geometryIssuesCache.get(area);
+    }
+
+    /**
+     * 形状検証の結果と共有辺を破棄（AreaManagerを経由せずに座標を変更した場合に呼び出す）
+     */
+    invalidateGeometryCache() {
+        this.geometryIssuesCache = new WeakMap();
+        this.isSharedEdgesStale = true;
+    }
+
+    /**
+     * 更新状態をチェックして必要に応じてフラグを設定
+     * 形状が変わった可能性があるため形状検証の結果も求め直す
+     * 形状に問題がある場合は完成扱いにしない
+     * @param {number} areaIndex - 対象エリアのインデックス（デフォルト: 選択中のエリア）
+     */
+    checkAndUpdateModifiedState(areaIndex = this.selectedAreaIndex) {
+        const area = this.areas[areaIndex];
+        if (!area) return;
+
+        const issues = this.getGeometryIssues(area);
+        this.geometryIssuesCache.set(area, issues);
+        // 他エリアとの共有辺も変わりうる
+        this.isSharedEdgesStale = true;
+
+        const hasName = area.areaName && area.areaName.trim().length > 0;
+        const hasVertices = area.vertices && area.vertices.length >= 3;
+        const isComplete = hasName && hasVertices && issues.isValid;
+
+        if (isComplete !== !!area.isModified) {
+            area.isModified = isComplete;
+            this.notify('onModifiedStateChange', { isModified: isComplete, areaIndex });
+            this.notify('onAreaListChange', this.areas);
         }
     }
 
@@ -336,6 +1244,16 @@ export class AreaManager extends BaseManager {
             return { isValid: false, message: 'エリアを作成するには少なくとも3つの頂点が必要です。' };
         }
 
+        const invalidHoleIndex = (selectedArea.holes || []).findIndex(hole => hole.length < 3);
+        if (invalidHoleIndex >= 0) {
+            return { isValid: false, message: `穴${invalidHoleIndex + 1}には少なくとも3つの頂点が必要です。` };
+        }
+
+        const issues = this.getGeometryIssues(selectedArea);
+        if (!issues.isValid) {
+            return { isValid: false, message: issues.errors.join('、') + '。' };
+        }
+
         return { isValid: true };
     }
 }
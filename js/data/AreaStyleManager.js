@@ -0,0 +1,115 @@
+import { BaseManager } from '../core/BaseManager.js';
+
+/**
+ * エリアの表示スタイル（塗り色・枠線色・枠線幅・不透明度・ハッチング）を管理するクラス
+ * スタイルは 既定 → カテゴリ別 → エリア個別 の順に上書きして決定する
+ */
+export class AreaStyleManager extends BaseManager {
+    constructor() {
+        super();
+        // ハッチングの種類
+        this.HATCH_TYPES = {
+            none: 'なし',
+            diagonal: '斜線',
+            crossDiagonal: '斜め格子',
+            horizontal: '横線',
+            vertical: '縦線',
+            dots: 'ドット'
+        };
+        this.DEFAULT_STYLE = {
+            fillColor: '#ff9500',
+            strokeColor: '#888888',
+            strokeWidth: 2,
+            opacity: 0.2,
+            hatch: 'none'
+        };
+        // カテゴリ別スタイルの判定に使う属性のキー
+        this.categoryKey = 'category';
+        // カテゴリ別スタイル {カテゴリ値: スタイル}
+        this.categoryStyles = {};
+    }
+
+    /**
+     * スタイルを正規化（不正な値は除外）
+     * @param {Object|null} style - スタイル（一部の項目のみでも可）
+     * @returns {Object} 正規化したスタイル
+     */
+    normalizeStyle(style) {
+        const result = {};
+        if (!style) return result;
+
+        const isColor = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+        if (isColor(style.fillColor)) result.fillColor = style.fillColor;
+        if (isColor(style.strokeColor)) result.strokeColor = style.strokeColor;
+
+        const strokeWidth = Number(style.strokeWidth);
+        if (style.strokeWidth !== undefined && Number.isFinite(strokeWidth) && strokeWidth >= 0 && strokeWidth <= 20) {
+            result.strokeWidth = strokeWidth;
+        }
+        const opacity = Number(style.opacity);
+        if (style.opacity !== undefined && Number.isFinite(opacity) && opacity >= 0 && opacity <= 1) {
+            result.opacity = opacity;
+        }
+        if (this.HATCH_TYPES[style.hatch]) result.hatch = style.hatch;
+        return result;
+    }
+
+    /**
+     * エリアのカテゴリ値を取得
+     * @param {Object} area - エリアデータ
+     * @returns {string} カテゴリ値（未設定の場合は空文字）
+     */
+    getCategory(area) {
+        const value = area && area.attributes ? area.attributes[this.categoryKey] : undefined;
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * エリアに適用するスタイルを決定
+     * @param {Object} area - エリアデータ
+     * @returns {Object} 既定・カテゴリ別・エリア個別のスタイルを合成したスタイル
+     */
+    resolveStyle(area) {
+        const category = this.getCategory(area);
+        return {
+            ...this.DEFAULT_STYLE,
+            ...(category ? this.categoryStyles[category] : null),
+            ...this.normalizeStyle(area ? area.style : null)
+        };
+    }
+
+    /**
+     * カテゴリ別スタイルを取得
+     * @returns {Object} {カテゴリ値: スタイル}
+     */
+    getCategoryStyles() {
+        return this.categoryStyles;
+    }
+
+    /**
+     * カテゴリ別スタイルをまとめて設定（Firestore読み込み時など）
+     * @param {Object|null} categoryStyles - {カテゴリ値: スタイル}
+     */
+    setCategoryStyles(categoryStyles) {
+        this.categoryStyles = {};
+        Object.entries(categoryStyles || {}).forEach(([category, style]) => {
+            this.categoryStyles[category] = this.normalizeStyle(style);
+        });
+        this.notify('onStyleChange', this.categoryStyles);
+    }
+
+    /**
+     * カテゴリのスタイルを設定（nullの場合は削除）
+     * @param {string} category - カテゴリ値
+     * @param {Object|null} style - スタイル
+     */
+    setCategoryStyle(category, style) {
+        if (!category) return;
+        if (style) {
+            this.categoryStyles[category] = this.normalizeStyle(style);
+        } else {
+            delete this.categoryStyles[category];
+        }
+        this.notify('onStyleChange', this.categoryStyles);
+    }
+}
@@ -0,0 +1,155 @@
+import { BaseManager } from '../core/BaseManager.js';
+
+/**
+ * エリア属性の項目定義（スキーマ）を管理するクラス
+ * スキーマはプロジェクトごとに定義し、プロジェクトメタデータに保存する
+ */
+export class AttributeSchemaManager extends BaseManager {
+    constructor() {
+        super();
+        // 項目の型
+        this.FIELD_TYPES = {
+            text: 'テキスト',
+            number: '数値',
+            select: '選択肢',
+            textarea: '複数行テキスト'
+        };
+        // 項目のキーに使える文字（半角英数字とアンダースコア、先頭は数字以外）
+        this.KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+        // スキーマ未定義のプロジェクトで使う既定の項目
+        this.DEFAULT_SCHEMA = [
+            { key: 'category', label: 'カテゴリ', type: 'text', required: false },
+            { key: 'zoneCode', label: 'ゾーンコード', type: 'text', required: false },
+            { key: 'capacity', label: '収容人数', type: 'number', required: false },
+            { key: 'notes', label: '備考', type: 'textarea', required: false }
+        ];
+
+        this.schema = this.normalizeSchema(this.DEFAULT_SCHEMA);
+    }
+
+    /**
+     * スキーマを取得
+     * @returns {Array<{key: string, label: string, type: string, options?: Array<string>, required: boolean}>}
+     */
+    getSchema() {
+        return this.schema;
+    }
+
+    /**
+     * スキーマを設定（未定義の場合は既定のスキーマ）
+     * @param {Array|null} schema - 項目定義の配列
+     */
+    setSchema(schema) {
+        this.schema = this.normalizeSchema(Array.isArray(schema) && schema.length > 0 ? schema : this.DEFAULT_SCHEMA);
+        this.notify('onSchemaChange', this.schema);
+    }
+
+    /**
+     * 項目定義を検証
+     * @param {Array} schema - 項目定義の配列
+     * @returns {Array<string>} エラーメッセージ（問題なければ空配列）
+     */
+    validateSchema(schema) {
+        const errors = [];
+        const keys = new Set();
+
+        schema.forEach((field, index) => {
+            const label = field.label || `${index + 1}番目の項目`;
+            if (!field.label || !field.label.trim()) {
+                errors.push(`${index + 1}番目の項目の表示名を入力してください`);
+            }
+            if (!this.KEY_PATTERN.test(field.key || '')) {
+                errors.push(`「${label}」のキーは半角英数字とアンダースコアで入力してください`);
+            } else if (keys.has(field.key)) {
+                errors.push(`キー「${field.key}」が重複しています`);
+            }
+            keys.add(field.key);
+            if (!this.FIELD_TYPES[field.type]) {
+                errors.push(`「${label}」の型が不正です`);
+            }
+            if (field.type === 'select' && (!field.options || field.options.length === 0)) {
+                errors.push(`「${label}」の選択肢を入力してください`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * 項目定義を正規化（キーが不正・重複した項目は除外）
+     * Firestoreから読み込んだスキーマは validateSchema を経ないため、キーの形式もここで確認する
+     * @param {Array} schema - 項目定義の配列
+     * @returns {Array} 正規化した項目定義
+     */
+    normalizeSchema(schema) {
+        const keys = new Set();
+        return schema
+            .map(field => ({
+                key: String(field.key || '').trim(),
+                label: String(field.label || field.key || '').trim(),
+                type: this.FIELD_TYPES[field.type] ? field.type : 'text',
+                options: field.type === 'select'
+                    ? (field.options || []).map(option => String(option).trim()).filter(option => option)
+                    : [],
+                required: !!field.required
+            }))
+            .filter(field => {
+                if (!this.KEY_PATTERN.test(field.key) || keys.has(field.key)) return false;
+                keys.add(field.key);
+                return true;
+            });
+    }
+
+    /**
+     * 属性値を検証
+     * @param {Object} attributes - 属性値 {key: value}
+     * @returns {Array<string>} エラーメッセージ（問題なければ空配列）
+     */
+    validateAttributes(attributes) {
+        const errors = [];
+        this.schema.forEach(field => {
+            const value = attributes[field.key];
+            const isEmpty = value === undefined || value === null || String(value).trim() === '';
+            if (field.required && isEmpty) {
+                errors.push(`「${field.label}」は必須です`);
+            }
+            if (!isEmpty && field.type === 'number' && !Number.isFinite(Number(value))) {
+                errors.push(`「${field.label}」には数値を入力してください`);
+            }
+            if (!isEmpty && field.type === 'select' && !field.options.includes(String(value))) {
+                errors.push(`「${field.label}」は選択肢から選んでください`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * 属性値を正規化（数値項目は数値に変換し、空の値は除外）
+     * スキーマにないキーの値は、項目定義を変更しても失われないようそのまま残す
+     * @param {Object} attributes - 属性値
+     * @returns {Object} 正規化した属性値
+     */
+    normalizeAttributes(attributes) {
+        const result = {};
+        Object.entries(attributes || {}).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            const text = typeof value === 'string' ? value.trim() : value;
+            if (text === '') return;
+
+            const field = this.schema.find(f => f.key === key);
+            result[key] = field && field.type === 'number' ? Number(text) : text;
+        });
+        return result;
+    }
+
+    /**
+     * 属性値の要約文字列を作成
+     * @param {Object} attributes - 属性値
+     * @returns {string} 「表示名: 値」を ' / ' で連結した文字列
+     */
+    formatSummary(attributes) {
+        return this.schema
+            .filter(field => attributes && attributes[field.key] !== undefined && attributes[field.key] !== '')
+            .map(field => `${field.label}: ${attributes[field.key]}`)
+            .join(' / ');
+    }
+}
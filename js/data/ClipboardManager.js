@@ -0,0 +1,187 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { CoordinateUtils } from '../utils/Coordinates.js';
+import { ShapePrimitives } from '../utils/ShapePrimitives.js';
+
+/**
+ * エリア・ポイントのコピー＆ペーストを管理するクラス
+ * 別の画像・プロジェクトにも貼り付けられるよう、座標は画像座標で保持する
+ * システムのクリップボードとは JSON 文字列でやり取りする
+ */
+export class ClipboardManager extends BaseManager {
+    constructor() {
+        super();
+        this.FORMAT = 'areamarker-clipboard';
+        this.VERSION = 1;
+        // 同じプロジェクトに繰り返し貼り付ける際にずらす距離（画像のピクセル）
+        this.PASTE_OFFSET = 10;
+        // アプリ内のクリップボード（システムのクリップボードが使えない場合にも使う）
+        this.content = null;
+        this.pasteCount = 0;
+    }
+
+    /**
+     * 座標変換の情報から、キャンバス座標 → 画像座標 の変換関数を作成
+     * @param {{canvasWidth: number, canvasHeight: number, imageWidth: number, imageHeight: number}} size - キャンバスと画像のサイズ
+     * @returns {Function} (x, y) => {x, y}
+     */
+    createToImage(size) {
+        return (x, y) => CoordinateUtils.canvasToImage(
+            x, y, size.canvasWidth, size.canvasHeight, size.imageWidth, size.imageHeight
+        );
+    }
+
+    /**
+     * 座標変換の情報から、画像座標 → キャンバス座標 の変換関数を作成
+     * @param {{canvasWidth: number, canvasHeight: number, imageWidth: number, imageHeight: number}} size - キャンバスと画像のサイズ
+     * @returns {Function} (x, y) => {x, y}
+     */
+    createToCanvas(size) {
+        return (x, y) => CoordinateUtils.imageToCanvas(
+            x, y, size.canvasWidth, size.canvasHeight, size.imageWidth, size.imageHeight
+        );
+    }
+
+    /**
+     * エリア・ポイントからクリップボードの内容を作成
+     * @param {Object} source - {areas: Array, points: Array}（キャンバス座標）
+     * @param {Object} size - キャンバスと画像のサイズ
+     * @param {string|null} projectId - コピー元のプロジェクトID
+     * @returns {Object} クリップボードの内容（画像座標）
+     */
+    createContent(source, size, projectId = null) {
+        const toImage = this.createToImage(size);
+        const ringToImage = (ring) => (ring || []).map(v => toImage(v.x, v.y));
+        const areaIds = new Set((source.areas || []).map(area => area.areaId));
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            source: { projectId, imageWidth: size.imageWidth, imageHeight: size.imageHeight },
+            areas: (source.areas || []).map(area => ({
+                areaId: area.areaId || null,
+                // 親が一緒にコピーされていない場合は最上位として貼り付ける
+                parentId: area.parentId && areaIds.has(area.parentId) ? area.parentId : null,
+                areaName: area.areaName,
+                vertices: ringToImage(area.vertices),
+                holes: (area.holes || []).map(ringToImage),
+                attributes: { ...(area.attributes || {}) },
+                style: area.style ? { ...area.style } : null,
+                shape: area.shape
+                    ? ShapePrimitives.transform(area.shape, toImage, size.imageWidth / size.canvasWidth)
+                    : null
+            })),
+            points: (source.points || []).map(point => ({ id: point.id || '', ...toImage(point.x, point.y) }))
+        };
+    }
+
+    /**
+     * クリップボードの内容をキャンバス座標のエリア・ポイントに変換
+     * @param {Object} content - クリップボードの内容
+     * @param {Object} size - 貼り付け先のキャンバスと画像のサイズ
+     * @param {number} offset - ずらす距離（画像のピクセル）
+     * @returns {{areas: Array, points: Array}} キャンバス座標のエリア・ポイント
+     */
+    toCanvasObjects(content, size, offset = 0) {
+        const toCanvas = this.createToCanvas(size);
+        const convert = (x, y) => toCanvas(x + offset, y + offset);
+        const ringToCanvas = (ring) => ring.map(v => convert(v.x, v.y));
+
+        return {
+            areas: content.areas.map(area => ({
+                ...area,
+                vertices: ringToCanvas(area.vertices),
+                holes: area.holes.map(ringToCanvas),
+                attributes: { ...area.attributes },
+                style: area.style ? { ...area.style } : null,
+                shape: area.shape
+                    ? ShapePrimitives.transform(area.shape, convert, size.canvasWidth / size.imageWidth)
+                    : null
+            })),
+            points: content.points.map(point => ({ id: point.id, ...convert(point.x, point.y) }))
+        };
+    }
+
+    /**
+     * アプリ内のクリップボードに保存
+     * @param {Object} content - クリップボードの内容
+     */
+    setContent(content) {
+        this.content = content;
+        this.pasteCount = 0;
+        this.notify('onContentChange', content);
+    }
+
+    /**
+     * アプリ内のクリップボードの内容を取得
+     * @returns {Object|null}
+     */
+    getContent() {
+        return this.content;
+    }
+
+    /**
+     * 貼り付けごとにずらす距離を取得
+     * 別のプロジェクトへの貼り付けは同じ位置に置く
+     * @param {Object} content - クリップボードの内容
+     * @param {string|null} projectId - 貼り付け先のプロジェクトID
+     * @returns {number} ずらす距離（画像のピクセル）
+     */
+    nextPasteOffset(content, projectId) {
+        if (content.source.projectId !== projectId) return 0;
+        this.pasteCount++;
+        return this.pasteCount * this.PASTE_OFFSET;
+    }
+
+    /**
+     * システムのクリップボード用の文字列に変換
+     * @param {Object} content - クリップボードの内容
+     * @returns {string} JSON文字列
+     */
+    serialize(content) {
+        return JSON.stringify(content, null, 2);
+    }
+
+    /**
+     * システムのクリップボードの文字列を読み取る
+     * @param {string} text - JSON文字列
+     * @returns {Object|null} クリップボードの内容（形式が異なる場合はnull）
+     */
+    parse(text) {
+        if (!text || typeof text !== 'string') return null;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (!data || data.format !== this.FORMAT || data.version !== this.VERSION) return null;
+
+        const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+        const isRing = (ring) => Array.isArray(ring) && ring.every(isPoint);
+        const areas = Array.isArray(data.areas) ? data.areas.filter(area => area && isRing(area.vertices)) : [];
+        const points = Array.isArray(data.points) ? data.points.filter(isPoint) : [];
+        const source = data.source || {};
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            source: {
+                projectId: source.projectId || null,
+                imageWidth: source.imageWidth || null,
+                imageHeight: source.imageHeight || null
+            },
+            areas: areas.map(area => ({
+                areaId: area.areaId || null,
+                parentId: area.parentId || null,
+                areaName: typeof area.areaName === 'string' ? area.areaName : '',
+                vertices: area.vertices.map(v => ({ x: v.x, y: v.y })),
+                holes: Array.isArray(area.holes) ? area.holes.filter(isRing).map(ring => ring.map(v => ({ x: v.x, y: v.y }))) : [],
+                attributes: area.attributes && typeof area.attributes === 'object' ? area.attributes : {},
+                style: area.style && typeof area.style === 'object' ? area.style : null,
+                shape: area.shape && ShapePrimitives.SHAPE_TYPES[area.shape.type] ? area.shape : null
+            })),
+            points: points.map(p => ({ id: typeof p.id === 'string' ? p.id : '', x: p.x, y: p.y }))
+        };
+    }
+}
@@ -0,0 +1,151 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { PolygonBoolean } from '../utils/PolygonBoolean.js';
+
+/**
+ * エリア同士の重なりと、外枠エリア内の隙間（どのエリアにも含まれない部分）を検査するクラス
+ */
+export class CoverageManager extends BaseManager {
+    constructor() {
+        super();
+        // 検査結果 [{type: 'overlap' | 'gap', areas: [エリア], shapes: [{vertices, holes}]}]
+        this.results = [];
+        // 一覧で選択中の結果のインデックス（-1 = 未選択）
+        this.selectedResultIndex = -1;
+    }
+
+    /**
+     * 外接矩形を取得
+     * @param {Object} area - エリアデータ
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getBounds(area) {
+        const xs = area.vertices.map(v => v.x);
+        const ys = area.vertices.map(v => v.y);
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+
+    /**
+     * 一方のエリアが他方の祖先（親・親の親…）かどうか判定
+     * @param {Object} areaA - エリアデータ
+     * @param {Object} areaB - エリアデータ
+     * @param {Map<string, Object>} areasById - エリアIDからエリアへの対応
+     * @returns {boolean}
+     */
+    isNestedPair(areaA, areaB, areasById) {
+        const isAncestor = (ancestor, area) => {
+            const visited = new Set();
+            let parentId = area.parentId;
+            while (parentId && !visited.has(parentId)) {
+                if (parentId === ancestor.areaId) return true;
+                visited.add(parentId);
+                const parent = areasById.get(parentId);
+                parentId = parent ? parent.parentId : null;
+            }
+            return false;
+        };
+        return isAncestor(areaA, areaB) || isAncestor(areaB, areaA);
+    }
+
+    /**
+     * 全エリアの重なりと隙間を検査
+     * 形状が不正なエリアは図形演算ができないため対象外とする
+     * 親子関係（祖先と子孫）にあるエリアは内側に含まれるのが前提のため、重なりとしては扱わない
+     * @param {Array<Object>} areas - 全エリア
+     * @param {number} boundaryIndex - 隙間検査の外枠とするエリアのインデックス（-1 = 隙間検査なし）
+     * @param {Function} isValidArea - エリアが検査対象かどうかを判定する関数
+     * @returns {{results: Array, skippedAreas: Array<Object>}} 検査結果と対象外としたエリア
+     */
+    analyze(areas, boundaryIndex, isValidArea) {
+        const targets = [];
+        const skippedAreas = [];
+        areas.forEach((area, index) => {
+            if (index === boundaryIndex) return;
+            if ((area.vertices || []).length >= 3 && isValidArea(area)) {
+                targets.push(area);
+            } else {
+                skippedAreas.push(area);
+            }
+        });
+
+        const results = [];
+        const bounds = targets.map(area => this.getBounds(area));
+        const areasById = new Map();
+        areas.forEach(area => {
+            if (area.areaId) areasById.set(area.areaId, area);
+        });
+
+        // 重なり：外接矩形が交わり、親子関係にない組み合わせのみ積を求める
+        for (let i = 0; i < targets.length; i++) {
+            for (let j = i + 1; j < targets.length; j++) {
+                const a = bounds[i];
+                const b = bounds[j];
+                if (a.maxX <= b.minX || b.maxX <= a.minX || a.maxY <= b.minY || b.maxY <= a.minY) continue;
+                if (this.isNestedPair(targets[i], targets[j], areasById)) continue;
+
+                const shapes = PolygonBoolean.intersection(targets[i], targets[j]);
+                if (shapes.length > 0) {
+                    results.push({ type: 'overlap', areas: [targets[i], targets[j]], shapes });
+                }
+            }
+        }
+
+        // 隙間：外枠から全エリアを差し引いた部分
+        const boundary = areas[boundaryIndex];
+        if (boundary) {
+            if (boundary.vertices.length < 3 || !isValidArea(boundary)) {
+                throw new Error(`外枠エリア「${boundary.areaName}」の形状が不正なため隙間を検査できません`);
+            }
+            const shapes = PolygonBoolean.subtractAll(boundary, targets);
+            shapes.forEach(shape => {
+                results.push({ type: 'gap', areas: [boundary], shapes: [shape] });
+            });
+        }
+
+        this.results = results;
+        this.selectedResultIndex = -1;
+        this.notify('onResultsChange', this.results);
+
+        return { results, skippedAreas };
+    }
+
+    /**
+     * 検査結果を取得
+     * @returns {Array} 検査結果
+     */
+    getResults() {
+        return this.results;
+    }
+
+    /**
+     * 一覧の結果を選択
+     * @param {number} index - 結果のインデックス
+     */
+    selectResult(index) {
+        this.selectedResultIndex = index >= 0 && index < this.results.length ? index : -1;
+        this.notify('onResultsChange', this.results);
+    }
+
+    /**
+     * 検査結果をクリア
+     */
+    clear() {
+        if (this.results.length === 0) return;
+        this.results = [];
+        this.selectedResultIndex = -1;
+        this.notify('onResultsChange', this.results);
+    }
+
+    /**
+     * 描画用に重なり・隙間の形状を取得
+     * @returns {Array<{vertices: Array, holes: Array, isSelected: boolean}>}
+     */
+    getOverlayShapes() {
+        const shapes = [];
+        this.results.forEach((result, index) => {
+            result.shapes.forEach(shape => {
+                shapes.push({ ...shape, isSelected: index === this.selectedResultIndex });
+            });
+        });
+        return shapes;
+    }
+}
@@ -1,5 +1,9 @@
 import { Validators } from '../utils/Validators.js';
 import { CoordinateUtils } from '../utils/Coordinates.js';
+import { AreaMembership } from '../utils/AreaMembership.js';
+import { ShapePrimitives } from '../utils/ShapePrimitives.js';
+import { GeoJSONUtils } from '../utils/GeoJSON.js';
+import { GeoTransform } from '../utils/GeoTransform.js';
 
 /**
  * ファイル操作を管理するクラス
@@ -113,10 +117,11 @@ export class FileHandler {
      * JSONデータをファイルとしてダウンロード
      * @param {Object} data - JSON data
      * @param {string} filename - ファイル名
+     * @param {string} mimeType - MIMEタイプ
      */
-    downloadJSON(data, filename) {
+    downloadJSON(data, filename, mimeType = 'application/json') {
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        const blob = new Blob([jsonString], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
@@ -133,20 +138,22 @@ export class FileHandler {
      * ユーザーが場所を指定してJSONファイルを保存
      * @param {Object} data - JSON data
      * @param {string} defaultFilename - デフォルトファイル名
+     * @param {{description: string, mimeType: string, extension: string}} fileType - 保存するファイルの種類
      * @returns {Promise<void>}
      */
-    async saveJSONWithUserChoice(data, defaultFilename) {
+    async saveJSONWithUserChoice(data, defaultFilename,
+        fileType = { description: 'JSON Files', mimeType: 'application/json', extension: '.json' }) {
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        const blob = new Blob([jsonString], { type: fileType.mimeType });
         
         try {
             if ('showSaveFilePicker' in window) {
                 let savePickerOptions = {
                     suggestedName: defaultFilename,
                     types: [{
-                        description: 'JSON Files',
+                        description: fileType.description,
                         accept: {
-                            'application/json': ['.json']
+                            [fileType.mimeType]: [fileType.extension]
                         }
                     }]
                 };
@@ -168,7 +175,7 @@ export class FileHandler {
                 console.log(`JSONファイルが保存されました: ${fileHandle.name}`);
                 return true;
             } else {
-                this.downloadJSON(data, defaultFilename);
+                this.downloadJSON(data, defaultFilename, fileType.mimeType);
                 return true;
             }
         } catch (error) {
@@ -178,7 +185,7 @@ export class FileHandler {
             }
             
             console.error('ファイル保存エラー:', error);
-            this.downloadJSON(data, defaultFilename);
+            this.downloadJSON(data, defaultFilename, fileType.mimeType);
             return true;
         }
     }
@@ -191,6 +198,57 @@ export class FileHandler {
         return this.currentImageFileName;
     }
 
+    /**
+     * 画像座標の出力データに経度・緯度を加える（位置合わせ済みの場合のみ）
+     * @param {Object} data - 出力データ
+     * @param {number} imageX - X座標（画像座標）
+     * @param {number} imageY - Y座標（画像座標）
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換
+     * @returns {Object} 出力データ
+     */
+    withWorldCoordinates(data, imageX, imageY, georeference) {
+        if (!georeference) return data;
+
+        const world = georeference.imageToWorld(imageX, imageY);
+        return {
+            ...data,
+            lat: GeoTransform.roundDegrees(world.lat),
+            lon: GeoTransform.roundDegrees(world.lon)
+        };
+    }
+
+    /**
+     * 出力ファイルに記録する位置合わせの情報
+     * @param {Object} georeference - 画像座標 ↔ 経度・緯度 の変換
+     * @returns {{method: string, controlPoints: Array, rmsErrorMeters: number}}
+     */
+    describeGeoreference(georeference) {
+        return {
+            method: georeference.method,
+            controlPoints: georeference.controlPoints,
+            rmsErrorMeters: Math.round(georeference.rmsErrorMeters * 100) / 100
+        };
+    }
+
+    /**
+     * 出力ファイルに記録するエリアの面積・周長（小数点以下2桁に丸める）
+     * @param {Object} measurementManager - MeasurementManagerインスタンス
+     * @param {Object} area - エリアデータ
+     * @returns {{areaPx: number, perimeterPx: number, areaM2: number|null, perimeterM: number|null}|null}
+     *          計測できない場合はnull（縮尺未設定の場合、メートル単位の値はnull）
+     */
+    describeMeasurement(measurementManager, area) {
+        const measurement = measurementManager.measureArea(area);
+        if (!measurement) return null;
+        const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+        return {
+            areaPx: round2(measurement.areaPx),
+            perimeterPx: round2(measurement.perimeterPx),
+            areaM2: round2(measurement.areaM2),
+            perimeterM: round2(measurement.perimeterM)
+        };
+    }
+
     /**
      * ポイントデータをJSONエクスポート
      * @param {Object} pointManager - PointManagerインスタンス
@@ -200,12 +258,17 @@ export class FileHandler {
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
+     * @param {Object|null} areaManager - AreaManagerインスタンス（指定時はエリア所属情報を出力）
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換（指定時は経度・緯度を併記）
+     * @param {Object|null} measurementManager - MeasurementManagerインスタンス（指定時はエリアごとの面積・周長を出力）
      * @returns {Promise<void>}
      */
-    async exportPointData(pointManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+    async exportPointData(pointManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename,
+        areaManager = null, georeference = null, measurementManager = null) {
         const points = pointManager.getPoints();
         // ポイントIDが空白でないポイントのみをフィルタリング
         const validPoints = points.filter(point => point.id && point.id.trim() !== '');
+        const areas = areaManager ? areaManager.getAllAreas() : [];
 
         const jsonData = {
             totalPoints: validPoints.length,
@@ -221,19 +284,173 @@ export class FileHandler {
                     imageWidth, imageHeight
                 );
 
-                return {
+                const pointData = this.withWorldCoordinates({
                     index: index + 1,
                     id: point.id,
                     imageX: Math.round(imageCoords.x),
                     imageY: Math.round(imageCoords.y),
                     isMarker: false
+                }, imageCoords.x, imageCoords.y, georeference);
+                if (areaManager) {
+                    pointData.areas = AreaMembership.getAreasForPoint(point, areas).map(area => area.areaName);
+                }
+                return pointData;
+            }),
+            exportedAt: new Date().toISOString()
+        };
+        if (areaManager) {
+            // エリアごとの所属ポイント一覧（エリア属性と面積・周長を併記）
+            jsonData.areaMembership = AreaMembership.buildTable(validPoints, areas).map((row, index) => {
+                const membership = { ...row, attributes: areas[index].attributes || {} };
+                if (measurementManager) {
+                    membership.measurements = this.describeMeasurement(measurementManager, areas[index]);
+                }
+                return membership;
+            });
+        }
+        if (georeference) {
+            jsonData.georeference = this.describeGeoreference(georeference);
+        }
+        await this.saveJSONWithUserChoice(jsonData, filename);
+    }
+
+    /**
+     * エリアデータをJSONエクスポート
+     * 頂点・穴・図形のパラメータは画像座標で出力する
+     * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {string} imageFileName - 画像ファイル名
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @param {string} filename - 出力ファイル名
+     * @param {Object|null} measurementManager - MeasurementManagerインスタンス（指定時は面積・周長を出力）
+     * @param {Object|null} pointManager - PointManagerインスタンス（指定時は所属ポイントIDを出力）
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換（指定時は頂点に経度・緯度を併記）
+     * @returns {Promise<void>}
+     */
+    async exportAreaData(areaManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename,
+        measurementManager = null, pointManager = null, georeference = null) {
+        // 名称のないエリア・頂点が3つ未満のエリアは出力しない
+        const validAreas = areaManager.getAllAreas()
+            .filter(area => area.areaName && area.areaName.trim() !== '' && area.vertices.length >= 3);
+        const exportedIds = new Set(validAreas.map(area => area.areaId));
+        const points = pointManager
+            ? pointManager.getPoints().filter(point => point.id && point.id.trim() !== '')
+            : [];
+
+        const ringToImage = (ring) => ring.map(vertex => {
+            const imageCoords = CoordinateUtils.canvasToImage(
+                vertex.x, vertex.y,
+                canvasWidth, canvasHeight,
+                imageWidth, imageHeight
+            );
+            return this.withWorldCoordinates(
+                { imageX: imageCoords.x, imageY: imageCoords.y },
+                imageCoords.x, imageCoords.y, georeference
+            );
+        });
+        const shapeToImage = (shape) => ShapePrimitives.transform(
+            shape,
+            (x, y) => ({
+                x: ShapePrimitives.round(x * imageWidth / canvasWidth),
+                y: ShapePrimitives.round(y * imageHeight / canvasHeight)
+            }),
+            imageWidth / canvasWidth
+        );
+        const jsonData = {
+            totalAreas: validAreas.length,
+            imageReference: imageFileName,
+            imageInfo: {
+                width: imageWidth,
+                height: imageHeight
+            },
+            areas: validAreas.map((area, index) => {
+                const areaData = {
+                    index: index + 1,
+                    areaId: area.areaId,
+                    // 親が出力対象外の場合は最上位として出力
+                    parentId: area.parentId && exportedIds.has(area.parentId) ? area.parentId : null,
+                    areaName: area.areaName.trim(),
+                    vertices: ringToImage(area.vertices),
+                    // 読み込み時と同じく、頂点が3つ未満の穴は出力しない
+                    holes: (area.holes || []).filter(hole => hole.length >= 3).map(ringToImage),
+                    attributes: area.attributes || {},
+                    style: area.style || null,
+                    shape: area.shape ? shapeToImage(area.shape) : null
                 };
+                if (measurementManager) {
+                    areaData.measurements = this.describeMeasurement(measurementManager, area);
+                }
+                if (pointManager) {
+                    areaData.pointIds = AreaMembership.getPointsInArea(area, points).map(point => point.id);
+                }
+                return areaData;
             }),
             exportedAt: new Date().toISOString()
         };
+        if (georeference) {
+            jsonData.georeference = this.describeGeoreference(georeference);
+        }
         await this.saveJSONWithUserChoice(jsonData, filename);
     }
 
+    /**
+     * ポイント・エリアをGeoJSON（FeatureCollection）でエクスポート
+     * 座標は画像座標で出力し、georeference を指定した場合は経度・緯度で出力する
+     * @param {Object} pointManager - PointManagerインスタンス
+     * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {string} imageFileName - 画像ファイル名
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @param {string} filename - 出力ファイル名
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換
+     * @returns {Promise<void>}
+     */
+    async exportGeoJSON(pointManager, areaManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename,
+        georeference = null) {
+        const toImage = (p) => CoordinateUtils.canvasToImage(
+            p.x, p.y,
+            canvasWidth, canvasHeight,
+            imageWidth, imageHeight
+        );
+        // エリアJSONと同じく、名称のないエリア・頂点が3つ未満のエリアは出力しない
+        const validAreas = areaManager.getAllAreas()
+            .filter(area => area.areaName && area.areaName.trim() !== '' && area.vertices.length >= 3);
+        const exportedIds = new Set(validAreas.map(area => area.areaId));
+
+        const featureCollection = GeoJSONUtils.toFeatureCollection({
+            points: pointManager.getPoints()
+                .filter(point => point.id && point.id.trim() !== '')
+                .map(point => ({ id: point.id, ...toImage(point) })),
+            areas: validAreas.map(area => ({
+                areaId: area.areaId,
+                parentId: area.parentId && exportedIds.has(area.parentId) ? area.parentId : null,
+                areaName: area.areaName.trim(),
+                vertices: area.vertices.map(toImage),
+                holes: (area.holes || []).map(hole => hole.map(toImage)),
+                attributes: area.attributes || {}
+            }))
+        }, georeference);
+
+        const geojson = {
+            ...featureCollection,
+            imageReference: imageFileName,
+            imageInfo: {
+                width: imageWidth,
+                height: imageHeight
+            },
+            exportedAt: new Date().toISOString()
+        };
+        if (georeference) {
+            geojson.georeference = this.describeGeoreference(georeference);
+        }
+        await this.saveJSONWithUserChoice(geojson, filename,
+            { description: 'GeoJSON Files', mimeType: 'application/geo+json', extension: '.geojson' });
+    }
+
     /**
      * ルートデータをJSONエクスポート
      * @param {Object} routeManager - RouteManagerインスタンス
@@ -243,9 +460,11 @@ export class FileHandler {
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換（指定時は経度・緯度を併記）
      * @returns {Promise<void>}
      */
-    async exportRouteData(routeManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+    async exportRouteData(routeManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename,
+        georeference = null) {
         const routePoints = routeManager.getRoutePoints();
         const startEndPoints = routeManager.getStartEndPoints();
         
@@ -267,15 +486,18 @@ export class FileHandler {
                     imageWidth, imageHeight
                 );
                 
-                return {
+                return this.withWorldCoordinates({
                     type: 'waypoint',
                     index: index + 1,
                     imageX: Math.round(imageCoords.x),
                     imageY: Math.round(imageCoords.y)
-                };
+                }, imageCoords.x, imageCoords.y, georeference);
             }),
             exportedAt: new Date().toISOString()
         };
+        if (georeference) {
+            jsonData.georeference = this.describeGeoreference(georeference);
+        }
         return await this.saveJSONWithUserChoice(jsonData, filename);
     }
 
@@ -288,9 +510,11 @@ export class FileHandler {
      * @param {number} imageWidth - 元画像幅
      * @param {number} imageHeight - 元画像高さ
      * @param {string} filename - 出力ファイル名
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換（指定時は経度・緯度を併記）
      * @returns {Promise<void>}
      */
-    async exportSpotData(spotManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename) {
+    async exportSpotData(spotManager, imageFileName, canvasWidth, canvasHeight, imageWidth, imageHeight, filename,
+        georeference = null) {
         const spots = spotManager.getSpots();
         const validSpots = spots.filter(spot => spot.name && spot.name.trim() !== '');
         
@@ -308,15 +532,18 @@ export class FileHandler {
                     imageWidth, imageHeight
                 );
                 
-                return {
+                return this.withWorldCoordinates({
                     index: index + 1,
                     name: spot.name.trim(),
                     imageX: Math.round(imageCoords.x),
                     imageY: Math.round(imageCoords.y)
-                };
+                }, imageCoords.x, imageCoords.y, georeference);
             }),
             exportedAt: new Date().toISOString()
         };
+        if (georeference) {
+            jsonData.georeference = this.describeGeoreference(georeference);
+        }
         await this.saveJSONWithUserChoice(jsonData, filename);
     }
 
@@ -355,6 +582,175 @@ export class FileHandler {
         });
     }
 
+    /**
+     * エリアデータをJSONインポート
+     * 'replace' は既存のエリアをすべて置き換え、'merge' は既存のエリアに追加する（エリアIDが同じエリアは上書き）
+     * 頂点が3つ未満のエリアは読み込まない
+     * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {File} file - JSONファイル
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @param {string} mode - 'replace' | 'merge'
+     * @returns {Promise<{importedAreas: Array, added: number, updated: number, skipped: number, removedAreas: Array}>}
+     *          読み込んだエリア・件数と、置き換えで削除したエリア（Firestoreからの削除用）
+     */
+    async importAreaData(areaManager, file, canvasWidth, canvasHeight, imageWidth, imageHeight, mode = 'replace') {
+        const jsonData = await this.loadJsonFile(file);
+
+        if (!Validators.isValidAreaData(jsonData)) {
+            throw new Error('JSONファイルにエリアデータが見つかりません');
+        }
+
+        const isVertex = (vertex) => vertex && typeof vertex.imageX === 'number' && typeof vertex.imageY === 'number';
+        const isRing = (ring) => Array.isArray(ring) && ring.length >= 3 && ring.every(isVertex);
+        const ringToCanvas = (ring) => ring.map(vertex => CoordinateUtils.imageToCanvas(
+            vertex.imageX, vertex.imageY,
+            canvasWidth, canvasHeight,
+            imageWidth, imageHeight
+        ));
+        const shapeToCanvas = (shape) => ShapePrimitives.transform(
+            shape,
+            (x, y) => ({
+                x: ShapePrimitives.round(x * canvasWidth / imageWidth),
+                y: ShapePrimitives.round(y * canvasHeight / imageHeight)
+            }),
+            canvasWidth / imageWidth
+        );
+
+        const areasData = jsonData.areas.filter(areaData => areaData && isRing(areaData.vertices));
+
+        const removedAreas = mode === 'replace' ? [...areaManager.getAllAreas()] : [];
+        if (mode === 'replace') {
+            areaManager.clearAreas();
+        }
+
+        // 親エリアは読み込むエリアか既存のエリアにある場合のみ保持
+        const knownIds = new Set([
+            ...areaManager.getAllAreas().map(area => area.areaId),
+            ...areasData.map(areaData => areaData.areaId).filter(id => id)
+        ]);
+
+        const importedAreas = [];
+        let added = 0;
+        let updated = 0;
+        areasData.forEach(areaData => {
+            const area = {
+                areaName: typeof areaData.areaName === 'string' ? areaData.areaName.trim() : '',
+                vertices: ringToCanvas(areaData.vertices),
+                holes: Array.isArray(areaData.holes) ? areaData.holes.filter(isRing).map(ringToCanvas) : [],
+                attributes: areaData.attributes && typeof areaData.attributes === 'object' ? { ...areaData.attributes } : {},
+                style: areaData.style && typeof areaData.style === 'object' ? { ...areaData.style } : null,
+                shape: areaData.shape && ShapePrimitives.SHAPE_TYPES[areaData.shape.type]
+                    ? shapeToCanvas(areaData.shape)
+                    : null,
+                parentId: areaData.parentId && areaData.parentId !== areaData.areaId && knownIds.has(areaData.parentId)
+                    ? areaData.parentId
+                    : null
+            };
+
+            const existingIndex = areaData.areaId ? areaManager.findAreaIndexById(areaData.areaId) : -1;
+            if (existingIndex >= 0) {
+                areaManager.updateAreaData(existingIndex, area);
+                updated++;
+            } else {
+                areaManager.addArea({ ...area, areaId: areaData.areaId || null });
+                added++;
+            }
+
+            const index = existingIndex >= 0 ? existingIndex : areaManager.getAllAreas().length - 1;
+            areaManager.checkAndUpdateModifiedState(index);
+            importedAreas.push(areaManager.getAllAreas()[index]);
+        });
+
+        return {
+            importedAreas,
+            added,
+            updated,
+            skipped: jsonData.areas.length - areasData.length,
+            removedAreas
+        };
+    }
+
+    /**
+     * GeoJSONのポイント・エリアをインポート
+     * ファイルに含まれる種類（ポイント・エリア）ごとに既存のデータを置き換える
+     * @param {Object} pointManager - PointManagerインスタンス
+     * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {File} file - GeoJSONファイル
+     * @param {number} canvasWidth - キャンバス幅
+     * @param {number} canvasHeight - キャンバス高さ
+     * @param {number} imageWidth - 元画像幅
+     * @param {number} imageHeight - 元画像高さ
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換（経度・緯度のGeoJSONの読み込みに必要）
+     * @returns {Promise<{pointCount: number, importedAreas: Array, skipped: number, removedPoints: Array, removedAreas: Array}>}
+     *          読み込んだ件数・エリアと、置き換えで削除したポイント・エリア（Firestoreからの削除用）
+     */
+    async importGeoJSON(pointManager, areaManager, file, canvasWidth, canvasHeight, imageWidth, imageHeight, georeference = null) {
+        const geojson = await this.loadJsonFile(file);
+
+        if (!GeoJSONUtils.isValidGeoJSON(geojson)) {
+            throw new Error('GeoJSONの形式が正しくありません（FeatureCollectionまたはFeatureが必要です）');
+        }
+        const isImageSpace = GeoJSONUtils.isImageSpace(geojson);
+        if (!isImageSpace && !georeference) {
+            throw new Error('経度・緯度のGeoJSONを読み込むには画像の位置合わせが必要です');
+        }
+
+        const { points, areas, skipped } = GeoJSONUtils.fromFeatureCollection(geojson, isImageSpace ? null : georeference);
+        if (points.length === 0 && areas.length === 0) {
+            throw new Error('GeoJSONに読み込めるポイント・エリアがありません');
+        }
+
+        const toCanvas = (p) => CoordinateUtils.imageToCanvas(
+            p.x, p.y,
+            canvasWidth, canvasHeight,
+            imageWidth, imageHeight
+        );
+
+        const removedPoints = points.length > 0 ? [...pointManager.getPoints()] : [];
+        if (points.length > 0) {
+            pointManager.clearPoints();
+            points.forEach(point => {
+                const canvasCoords = toCanvas(point);
+                pointManager.addPoint(canvasCoords.x, canvasCoords.y, point.id);
+            });
+        }
+
+        const removedAreas = areas.length > 0 ? [...areaManager.getAllAreas()] : [];
+        const importedAreas = [];
+        if (areas.length > 0) {
+            areaManager.clearAreas();
+            const knownIds = new Set(areas.map(area => area.areaId).filter(id => id));
+            areas.forEach(areaData => {
+                // MultiPolygon を分けたエリアなどでIDが重複する場合は新しいIDを割り当てる
+                const areaId = areaData.areaId && areaManager.findAreaIndexById(areaData.areaId) < 0 ? areaData.areaId : null;
+                areaManager.addArea({
+                    areaId,
+                    areaName: areaData.areaName,
+                    vertices: areaData.vertices.map(toCanvas),
+                    holes: areaData.holes.map(hole => hole.map(toCanvas)),
+                    attributes: areaData.attributes,
+                    parentId: areaData.parentId && areaData.parentId !== areaData.areaId && knownIds.has(areaData.parentId)
+                        ? areaData.parentId
+                        : null
+                });
+                const index = areaManager.getAllAreas().length - 1;
+                areaManager.checkAndUpdateModifiedState(index);
+                importedAreas.push(areaManager.getAllAreas()[index]);
+            });
+        }
+
+        return {
+            pointCount: points.length,
+            importedAreas,
+            skipped,
+            removedPoints,
+            removedAreas
+        };
+    }
+
     /**
      * ルートデータをJSONインポート
      * @param {Object} routeManager - RouteManagerインスタンス
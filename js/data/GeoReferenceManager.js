@@ -0,0 +1,268 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { CoordinateUtils } from '../utils/Coordinates.js';
+import { GeoTransform } from '../utils/GeoTransform.js';
+
+/**
+ * 画像の位置合わせ（ジオリファレンス）を管理するクラス
+ * 画像上の基準点と経度・緯度の対応から変換を求め、画像座標 ↔ 経度・緯度 の変換を提供する
+ * 基準点は画像座標で保持する: controlPoint {imageX, imageY, lat, lon}
+ */
+export class GeoReferenceManager extends BaseManager {
+    constructor() {
+        super();
+        this.currentImage = null;
+        this.canvas = null;
+
+        this.method = 'affine';
+        this.controlPoints = [];
+
+        // 求めた変換（基準点が不足・配置が偏っている場合はnull）
+        this.matrix = null;
+        this.inverseMatrix = null;
+        // 基準点ごとの残差（メートル）と、変換を求められなかった理由
+        this.residuals = [];
+        this.fitError = null;
+
+        // 基準点の選択状態
+        this.isPicking = false;
+
+        // プロジェクトの位置合わせを読み込み済みかどうか（読み込み前の保存で上書きしないため）
+        this.isLoaded = false;
+    }
+
+    setImageAndCanvas(image, canvas) {
+        this.currentImage = image;
+        this.canvas = canvas;
+    }
+
+    /**
+     * 位置合わせを設定（Firestore読み込み時など）
+     * @param {{method: string, controlPoints: Array}|null} data - 位置合わせデータ
+     */
+    setGeoReference(data) {
+        this.isLoaded = true;
+        const isValid = (p) => p && [p.imageX, p.imageY, p.lat, p.lon].every(Number.isFinite);
+        this.method = data && GeoTransform.METHODS[data.method] ? data.method : 'affine';
+        this.controlPoints = data && Array.isArray(data.controlPoints)
+            ? data.controlPoints.filter(isValid).map(p => ({ imageX: p.imageX, imageY: p.imageY, lat: p.lat, lon: p.lon }))
+            : [];
+        this.refit();
+    }
+
+    /**
+     * 位置合わせを消去し、未読み込みの状態に戻す（画像の切り替え時）
+     */
+    reset() {
+        this.setGeoReference(null);
+        this.isLoaded = false;
+    }
+
+    /**
+     * 保存用の位置合わせデータを取得
+     * @returns {{method: string, controlPoints: Array}}
+     */
+    getGeoReferenceData() {
+        return {
+            method: this.method,
+            controlPoints: this.controlPoints.map(p => ({ ...p }))
+        };
+    }
+
+    /**
+     * 変換の種類を設定
+     * @param {string} method - 'affine' | 'projective'
+     */
+    setMethod(method) {
+        if (!GeoTransform.METHODS[method]) return;
+        this.method = method;
+        this.refit();
+    }
+
+    /**
+     * 基準点の選択を開始
+     */
+    startPicking() {
+        this.isPicking = true;
+        this.notify('onPickingChange', this.isPicking);
+    }
+
+    /**
+     * 基準点の選択を中止
+     */
+    cancelPicking() {
+        this.isPicking = false;
+        this.notify('onPickingChange', this.isPicking);
+    }
+
+    /**
+     * 基準点を追加（選択は終了する）
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @param {number} lat - 緯度
+     * @param {number} lon - 経度
+     * @returns {number} 追加した基準点のインデックス
+     */
+    addControlPoint(x, y, lat, lon) {
+        const imageCoords = this.canvasToImage(x, y);
+        this.controlPoints.push({ imageX: imageCoords.x, imageY: imageCoords.y, lat, lon });
+        this.isPicking = false;
+        this.notify('onPickingChange', this.isPicking);
+        this.refit();
+        return this.controlPoints.length - 1;
+    }
+
+    /**
+     * 基準点の経度・緯度を変更
+     * @param {number} index - 基準点のインデックス
+     * @param {number} lat - 緯度
+     * @param {number} lon - 経度
+     */
+    updateControlPoint(index, lat, lon) {
+        if (index < 0 || index >= this.controlPoints.length) return;
+
+        this.controlPoints[index].lat = lat;
+        this.controlPoints[index].lon = lon;
+        this.refit();
+    }
+
+    /**
+     * 基準点を削除
+     * @param {number} index - 基準点のインデックス
+     */
+    removeControlPoint(index) {
+        if (index < 0 || index >= this.controlPoints.length) return;
+
+        this.controlPoints.splice(index, 1);
+        this.refit();
+    }
+
+    /**
+     * 基準点から変換を求め直し、残差を計算
+     */
+    refit() {
+        this.matrix = null;
+        this.inverseMatrix = null;
+        this.residuals = [];
+        this.fitError = null;
+
+        if (this.controlPoints.length >= GeoTransform.MIN_POINTS[this.method]) {
+            try {
+                this.matrix = GeoTransform.fit(
+                    this.controlPoints.map(p => ({ x: p.imageX, y: p.imageY, lon: p.lon, lat: p.lat })),
+                    this.method
+                );
+                this.inverseMatrix = GeoTransform.invert(this.matrix);
+                this.residuals = this.controlPoints.map(p => {
+                    const world = this.imageToWorld(p.imageX, p.imageY);
+                    return GeoTransform.distanceMeters(p.lat, p.lon, world.lat, world.lon);
+                });
+            } catch (error) {
+                this.matrix = null;
+                this.inverseMatrix = null;
+                this.fitError = error.message;
+            }
+        }
+        this.notify('onChange', this.controlPoints, this.residuals);
+    }
+
+    /**
+     * 位置合わせ済み（変換を求められている）かどうか
+     * @returns {boolean}
+     */
+    isGeoreferenced() {
+        return this.matrix !== null;
+    }
+
+    /**
+     * 残差の二乗平均平方根（メートル）
+     * @returns {number|null} 位置合わせ前はnull
+     */
+    getRmsError() {
+        if (!this.isGeoreferenced() || this.residuals.length === 0) return null;
+        const sumSquares = this.residuals.reduce((sum, r) => sum + r * r, 0);
+        return Math.sqrt(sumSquares / this.residuals.length);
+    }
+
+    /**
+     * 画像座標を経度・緯度に変換
+     * @param {number} x - X座標（画像座標）
+     * @param {number} y - Y座標（画像座標）
+     * @returns {{lon: number, lat: number}|null} 位置合わせ前はnull
+     */
+    imageToWorld(x, y) {
+        if (!this.matrix) return null;
+        const world = GeoTransform.applyMatrix(this.matrix, x, y);
+        return { lon: world.x, lat: world.y };
+    }
+
+    /**
+     * 経度・緯度を画像座標に変換
+     * @param {number} lon - 経度
+     * @param {number} lat - 緯度
+     * @returns {{x: number, y: number}|null} 位置合わせ前はnull
+     */
+    worldToImage(lon, lat) {
+        if (!this.inverseMatrix) return null;
+        return GeoTransform.applyMatrix(this.inverseMatrix, lon, lat);
+    }
+
+    /**
+     * キャンバス座標を経度・緯度に変換（カーソル位置の表示用）
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @returns {{lon: number, lat: number}|null} 位置合わせ前はnull
+     */
+    canvasToWorld(x, y) {
+        if (!this.matrix || !this.currentImage || !this.canvas) return null;
+        // 整数に丸めずに変換してカーソル位置の精度を保つ
+        return this.imageToWorld(
+            x * this.currentImage.width / this.canvas.width,
+            y * this.currentImage.height / this.canvas.height
+        );
+    }
+
+    /**
+     * エクスポート・インポート用の変換を取得
+     * @returns {{method: string, controlPoints: Array, rmsErrorMeters: number,
+     *            imageToWorld: Function, worldToImage: Function}|null} 位置合わせ前はnull
+     */
+    getGeoreference() {
+        if (!this.isGeoreferenced()) return null;
+        return {
+            ...this.getGeoReferenceData(),
+            rmsErrorMeters: this.getRmsError(),
+            imageToWorld: (x, y) => this.imageToWorld(x, y),
+            worldToImage: (lon, lat) => this.worldToImage(lon, lat)
+        };
+    }
+
+    /**
+     * 描画用に基準点をキャンバス座標で取得
+     * @returns {Array<{x: number, y: number, label: string}>}
+     */
+    getControlPointsForDisplay() {
+        if (!this.currentImage || !this.canvas) return [];
+        return this.controlPoints.map((p, index) => ({
+            ...CoordinateUtils.imageToCanvas(
+                p.imageX, p.imageY,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            ),
+            label: String(index + 1)
+        }));
+    }
+
+    /**
+     * キャンバス座標を画像座標に変換
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {{x: number, y: number}}
+     */
+    canvasToImage(x, y) {
+        return CoordinateUtils.canvasToImage(
+            x, y,
+            this.canvas.width, this.canvas.height,
+            this.currentImage.width, this.currentImage.height
+        );
+    }
+}
@@ -0,0 +1,176 @@
+import { BaseManager } from '../core/BaseManager.js';
+import { CoordinateUtils } from '../utils/Coordinates.js';
+import { GeometryUtils } from '../utils/Geometry.js';
+
+/**
+ * エリアの面積・周長の計測と縮尺キャリブレーションを管理するクラス
+ * 計測は元画像のピクセル座標で行い、キャリブレーション済みの場合はメートル換算値も返す
+ */
+export class MeasurementManager extends BaseManager {
+    constructor() {
+        super();
+        this.currentImage = null;
+        this.canvas = null;
+
+        // 縮尺キャリブレーション {p1, p2, distanceMeters, metersPerPixel}（p1, p2は画像座標）
+        this.calibration = null;
+
+        // キャリブレーション用の2点選択状態（キャンバス座標）
+        this.isPicking = false;
+        this.pickedPoints = [];
+    }
+
+    setImageAndCanvas(image, canvas) {
+        this.currentImage = image;
+        this.canvas = canvas;
+    }
+
+    /**
+     * キャリブレーションを設定（Firestore読み込み時など）
+     * @param {Object|null} calibration - キャリブレーションデータ
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration && calibration.metersPerPixel > 0 ? calibration : null;
+        this.notify('onCalibrationChange', this.calibration);
+    }
+
+    /**
+     * 現在のキャリブレーションを取得
+     * @returns {Object|null} キャリブレーションデータ
+     */
+    getCalibration() {
+        return this.calibration;
+    }
+
+    /**
+     * キャリブレーション済みかどうか
+     * @returns {boolean}
+     */
+    isCalibrated() {
+        return this.calibration !== null;
+    }
+
+    /**
+     * キャリブレーション用の2点選択を開始
+     */
+    startCalibration() {
+        this.isPicking = true;
+        this.pickedPoints = [];
+        this.notify('onPickingChange', this.pickedPoints);
+    }
+
+    /**
+     * キャリブレーション用の2点選択を中止
+     */
+    cancelCalibration() {
+        this.isPicking = false;
+        this.pickedPoints = [];
+        this.notify('onPickingChange', this.pickedPoints);
+    }
+
+    /**
+     * キャリブレーション用の点を追加
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @returns {number} 選択済みの点の数
+     */
+    addCalibrationPoint(x, y) {
+        if (!this.isPicking || this.pickedPoints.length >= 2) return this.pickedPoints.length;
+
+        this.pickedPoints.push({ x: Math.round(x), y: Math.round(y) });
+        this.notify('onPickingChange', this.pickedPoints);
+        return this.pickedPoints.length;
+    }
+
+    /**
+     * 選択済みの2点と実距離からキャリブレーションを確定
+     * @param {number} distanceMeters - 2点間の実距離（メートル）
+     * @returns {Object} 確定したキャリブレーションデータ
+     */
+    completeCalibration(distanceMeters) {
+        if (this.pickedPoints.length < 2) {
+            throw new Error('基準となる2点が選択されていません');
+        }
+        if (!(distanceMeters > 0)) {
+            throw new Error('距離には正の数値を入力してください');
+        }
+
+        const [p1, p2] = this.ringToImage(this.pickedPoints);
+        const pixelDistance = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        if (pixelDistance === 0) {
+            throw new Error('同じ位置の2点ではキャリブレーションできません');
+        }
+
+        this.isPicking = false;
+        this.pickedPoints = [];
+        this.notify('onPickingChange', this.pickedPoints);
+
+        this.setCalibration({
+            p1,
+            p2,
+            distanceMeters,
+            metersPerPixel: distanceMeters / pixelDistance
+        });
+        return this.calibration;
+    }
+
+    /**
+     * 頂点配列をキャンバス座標から画像座標に変換
+     * @param {Array} ring - 頂点配列（キャンバス座標）
+     * @returns {Array} 頂点配列（画像座標）
+     */
+    ringToImage(ring) {
+        return (ring || []).map(v => CoordinateUtils.canvasToImage(
+            v.x, v.y,
+            this.canvas.width, this.canvas.height,
+            this.currentImage.width, this.currentImage.height
+        ));
+    }
+
+    /**
+     * エリアの面積・周長を計測
+     * @param {Object} area - エリアデータ {vertices, holes}
+     * @returns {{areaPx: number, perimeterPx: number, areaM2: number|null, perimeterM: number|null} | null}
+     *          画像ピクセル単位の面積・周長と、キャリブレーション済みの場合のメートル換算値
+     */
+    measureArea(area) {
+        if (!area || !this.currentImage || !this.canvas) return null;
+
+        const outer = this.ringToImage(area.vertices);
+        // 描画中（頂点が3つ未満）の穴は計測に含めない
+        const holes = (area.holes || []).filter(hole => hole.length >= 3).map(hole => this.ringToImage(hole));
+
+        // 周長は外周と穴の境界線の合計
+        const areaPx = GeometryUtils.polygonArea(outer, holes);
+        const perimeterPx = [outer, ...holes].reduce((sum, ring) => sum + GeometryUtils.ringPerimeter(ring), 0);
+
+        const metersPerPixel = this.calibration ? this.calibration.metersPerPixel : null;
+
+        return {
+            areaPx,
+            perimeterPx,
+            areaM2: metersPerPixel ? areaPx * metersPerPixel * metersPerPixel : null,
+            perimeterM: metersPerPixel ? perimeterPx * metersPerPixel : null
+        };
+    }
+
+    /**
+     * 計測結果を表示用の文字列に整形
+     * @param {Object} measurement - measureArea の戻り値
+     * @returns {{areaText: string, perimeterText: string}} キャリブレーション済みの場合はメートル換算値を併記
+     */
+    formatMeasurement(measurement) {
+        const areaPxText = `${Math.round(measurement.areaPx).toLocaleString()} px²`;
+        const perimeterPxText = `${Math.round(measurement.perimeterPx).toLocaleString()} px`;
+
+        if (measurement.areaM2 === null) {
+            return { areaText: areaPxText, perimeterText: perimeterPxText };
+        }
+
+        const format = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+        return {
+            areaText: `${format(measurement.areaM2)} m² (${areaPxText})`,
+            perimeterText: `${format(measurement.perimeterM)} m (${perimeterPxText})`
+        };
+    }
+}
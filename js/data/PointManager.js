@@ -42,6 +42,29 @@ export class PointManager extends BaseManager {
         }
     }
 
+    /**
+     * 複数のポイントをまとめて削除（通知は1回のみ）
+     * @param {Array<number>} indices - 削除するポイントのインデックス配列
+     * @returns {number} 削除したポイントの数
+     */
+    removePoints(indices) {
+        let deletedCount = 0;
+        [...new Set(indices)]
+            .sort((a, b) => b - a)
+            .forEach(index => {
+                if (index >= 0 && index < this.points.length) {
+                    this.points.splice(index, 1);
+                    deletedCount++;
+                }
+            });
+
+        if (deletedCount > 0) {
+            this.notify('onChange', this.points);
+            this.notify('onCountChange', this.getUserPointCount());
+        }
+        return deletedCount;
+    }
+
     /**
      * ポイントIDを更新
      * @param {number} index - 更新するポイントのインデックス
@@ -0,0 +1,287 @@
+import { Validators } from '../utils/Validators.js';
+import { BaseManager } from '../core/BaseManager.js';
+
+/**
+ * ルートデータの管理を行うクラス
+ * ルートは開始・終了ポイントのIDと、その間の中間点（キャンバス座標）で表す
+ * route: {routeId, startPoint, endPoint, waypoints: [{x, y}], firestoreId}
+ */
+export class RouteManager extends BaseManager {
+    constructor() {
+        super();
+        this.routes = [];
+        this.selectedRouteIndex = -1;
+    }
+
+    /**
+     * ルートIDを生成
+     * @returns {string} ルートID
+     */
+    generateRouteId() {
+        return `route_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * 新しいルートを作成して選択
+     * @param {string} startPoint - 開始ポイントID
+     * @param {string} endPoint - 終了ポイントID
+     * @returns {number} 作成したルートのインデックス
+     */
+    createRoute(startPoint = '', endPoint = '') {
+        this.routes.push({
+            routeId: this.generateRouteId(),
+            startPoint: startPoint ? Validators.formatPointId(startPoint) : '',
+            endPoint: endPoint ? Validators.formatPointId(endPoint) : '',
+            waypoints: [],
+            firestoreId: null
+        });
+        this.notify('onRouteListChange', this.routes);
+        this.selectRoute(this.routes.length - 1);
+        return this.routes.length - 1;
+    }
+
+    /**
+     * 読み込んだルートを追加（選択は変更しない）
+     * @param {Object} routeData - ルートデータ
+     */
+    addRoute(routeData) {
+        this.routes.push({
+            routeId: routeData.routeId || this.generateRouteId(),
+            startPoint: routeData.startPoint || '',
+            endPoint: routeData.endPoint || '',
+            waypoints: (routeData.waypoints || []).map(p => ({ x: Math.round(p.x), y: Math.round(p.y) })),
+            firestoreId: routeData.firestoreId || null
+        });
+        this.notify('onRouteListChange', this.routes);
+        this.notify('onChange', this.routes);
+    }
+
+    /**
+     * 指定インデックスのルートを削除
+     * @param {number} index - 削除するルートのインデックス
+     * @returns {Object|null} 削除したルート
+     */
+    removeRoute(index) {
+        if (index < 0 || index >= this.routes.length) return null;
+
+        const [removed] = this.routes.splice(index, 1);
+        if (this.selectedRouteIndex === index) {
+            this.selectedRouteIndex = -1;
+        } else if (this.selectedRouteIndex > index) {
+            this.selectedRouteIndex--;
+        }
+        this.notify('onRouteListChange', this.routes);
+        this.notify('onSelectionChange', this.selectedRouteIndex);
+        this.notify('onChange', this.routes);
+        return removed;
+    }
+
+    /**
+     * すべてのルートをクリア
+     */
+    clearRoutes() {
+        this.routes = [];
+        this.selectedRouteIndex = -1;
+        this.notify('onRouteListChange', this.routes);
+        this.notify('onSelectionChange', this.selectedRouteIndex);
+        this.notify('onChange', this.routes);
+    }
+
+    /**
+     * ルートを選択
+     * @param {number} index - ルートのインデックス（-1で選択解除）
+     */
+    selectRoute(index) {
+        this.selectedRouteIndex = index >= 0 && index < this.routes.length ? index : -1;
+        this.notify('onSelectionChange', this.selectedRouteIndex);
+        this.notify('onChange', this.routes);
+    }
+
+    /**
+     * 全ルートを取得
+     * @returns {Array} ルート配列
+     */
+    getAllRoutes() {
+        return this.routes;
+    }
+
+    /**
+     * 選択中のルートを取得
+     * @returns {Object|null} ルート
+     */
+    getSelectedRoute() {
+        return this.routes[this.selectedRouteIndex] || null;
+    }
+
+    /**
+     * 選択中のルートを取得（未選択の場合は新しく作成）
+     * @returns {Object} ルート
+     */
+    ensureSelectedRoute() {
+        if (!this.getSelectedRoute()) {
+            this.createRoute();
+        }
+        return this.getSelectedRoute();
+    }
+
+    /**
+     * 選択中ルートの中間点を追加
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {Object} 追加した中間点
+     */
+    addRoutePoint(x, y) {
+        const route = this.ensureSelectedRoute();
+        const point = { x: Math.round(x), y: Math.round(y) };
+        route.waypoints.push(point);
+        this.notify('onChange', this.routes);
+        this.notify('onCountChange', route.waypoints.length);
+        return point;
+    }
+
+    /**
+     * 選択中ルートの中間点を移動
+     * @param {number} index - 中間点のインデックス
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     */
+    updateRoutePoint(index, x, y) {
+        const route = this.getSelectedRoute();
+        if (!route || index < 0 || index >= route.waypoints.length) return;
+
+        route.waypoints[index].x = Math.round(x);
+        route.waypoints[index].y = Math.round(y);
+        this.notify('onChange', this.routes);
+    }
+
+    /**
+     * 選択中ルートの中間点を削除
+     * @param {number} index - 中間点のインデックス
+     * @returns {boolean} 削除したかどうか
+     */
+    removeRoutePoint(index) {
+        const route = this.getSelectedRoute();
+        if (!route || index < 0 || index >= route.waypoints.length) return false;
+
+        route.waypoints.splice(index, 1);
+        this.notify('onChange', this.routes);
+        this.notify('onCountChange', route.waypoints.length);
+        return true;
+    }
+
+    /**
+     * 選択中ルートの中間点配列を取得
+     * @returns {Array} 中間点配列（ルート未選択の場合は空配列）
+     */
+    getRoutePoints() {
+        const route = this.getSelectedRoute();
+        return route ? route.waypoints : [];
+    }
+
+    /**
+     * 選択中ルートの開始・終了ポイントIDを取得
+     * @returns {{start: string, end: string}}
+     */
+    getStartEndPoints() {
+        const route = this.getSelectedRoute();
+        return { start: route ? route.startPoint : '', end: route ? route.endPoint : '' };
+    }
+
+    /**
+     * 選択中ルートの開始ポイントIDを設定
+     * @param {string} pointId - ポイントID
+     */
+    setStartPoint(pointId) {
+        const route = this.ensureSelectedRoute();
+        route.startPoint = Validators.formatPointId((pointId || '').trim());
+        this.notify('onRouteListChange', this.routes);
+        this.notify('onChange', this.routes);
+    }
+
+    /**
+     * 選択中ルートの終了ポイントIDを設定
+     * @param {string} pointId - ポイントID
+     */
+    setEndPoint(pointId) {
+        const route = this.ensureSelectedRoute();
+        route.endPoint = Validators.formatPointId((pointId || '').trim());
+        this.notify('onRouteListChange', this.routes);
+        this.notify('onChange', this.routes);
+    }
+
+    /**
+     * 選択中ルートの開始・終了ポイントと中間点をクリア（未選択の場合は新しく作成）
+     */
+    clearRoute() {
+        const route = this.ensureSelectedRoute();
+        route.startPoint = '';
+        route.endPoint = '';
+        route.waypoints = [];
+        this.notify('onRouteListChange', this.routes);
+        this.notify('onChange', this.routes);
+        this.notify('onCountChange', 0);
+    }
+
+    /**
+     * 選択中ルートの中間点のみをクリア
+     */
+    clearWaypoints() {
+        const route = this.getSelectedRoute();
+        if (!route) return;
+
+        route.waypoints = [];
+        this.notify('onChange', this.routes);
+        this.notify('onCountChange', 0);
+    }
+
+    /**
+     * 選択中ルートの中間点を検索
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} threshold - 検出閾値
+     * @returns {number} 中間点のインデックス（見つからない場合は-1）
+     */
+    findRoutePointAt(x, y, threshold = 8) {
+        return this.getRoutePoints().findIndex(p => Math.hypot(p.x - x, p.y - y) <= threshold);
+    }
+
+    /**
+     * 開始・終了ポイントが同じルートを検索
+     * @param {string} startPoint - 開始ポイントID
+     * @param {string} endPoint - 終了ポイントID
+     * @param {number} excludeIndex - 検索から除くルートのインデックス
+     * @returns {number} ルートのインデックス（見つからない場合は-1）
+     */
+    findRouteByEndpoints(startPoint, endPoint, excludeIndex = -1) {
+        if (!startPoint || !endPoint) return -1;
+        return this.routes.findIndex((route, index) =>
+            index !== excludeIndex && route.startPoint === startPoint && route.endPoint === endPoint);
+    }
+
+    /**
+     * ルートの表示名
+     * @param {Object} route - ルート
+     * @returns {string}
+     */
+    getRouteLabel(route) {
+        return `${route.startPoint || '(未設定)'} → ${route.endPoint || '(未設定)'}`;
+    }
+
+    /**
+     * ルートの経路（開始ポイント → 中間点 → 終了ポイント）を取得
+     * 開始・終了ポイントが登録されていない場合はその端を含めない
+     * @param {Object} route - ルート
+     * @param {Object} pointManager - PointManagerインスタンス
+     * @returns {{path: Array<{x: number, y: number}>, start: Object|null, end: Object|null}}
+     */
+    getRoutePath(route, pointManager) {
+        const start = route.startPoint ? pointManager.findPointById(route.startPoint) : null;
+        const end = route.endPoint ? pointManager.findPointById(route.endPoint) : null;
+        const path = [
+            ...(start ? [start] : []),
+            ...route.waypoints,
+            ...(end ? [end] : [])
+        ];
+        return { path, start, end };
+    }
+}
@@ -0,0 +1,149 @@
+import { Validators } from '../utils/Validators.js';
+import { BaseManager } from '../core/BaseManager.js';
+
+/**
+ * スポットデータの管理を行うクラス
+ * スポットは名称付きの地点（トイレ・案内所など）で、ポイントと異なり同じ名称を複数の位置に置ける
+ * spot: {x, y, name, firestoreId}
+ */
+export class SpotManager extends BaseManager {
+    constructor() {
+        super();
+        this.spots = [];
+    }
+
+    /**
+     * スポットを追加
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {string} name - スポット名
+     * @param {string|null} firestoreId - FirestoreのドキュメントID
+     * @returns {Object} 追加されたスポット
+     */
+    addSpot(x, y, name = '', firestoreId = null) {
+        const spot = {
+            x: Math.round(x),
+            y: Math.round(y),
+            name: name ? Validators.formatSpotName(name) : '',
+            firestoreId
+        };
+
+        this.spots.push(spot);
+        this.notify('onChange', this.spots);
+        this.notify('onCountChange', this.getSpotCount());
+        return spot;
+    }
+
+    /**
+     * 指定インデックスのスポットを削除
+     * @param {number} index - 削除するスポットのインデックス
+     * @returns {Object|null} 削除したスポット
+     */
+    removeSpot(index) {
+        if (index < 0 || index >= this.spots.length) return null;
+
+        const [removed] = this.spots.splice(index, 1);
+        this.notify('onChange', this.spots);
+        this.notify('onCountChange', this.getSpotCount());
+        return removed;
+    }
+
+    /**
+     * スポット名を更新
+     * @param {number} index - 更新するスポットのインデックス
+     * @param {string} newName - 新しい名称
+     * @param {boolean} skipFormatting - フォーマット処理をスキップするかどうか（入力中）
+     * @param {boolean} skipRedrawInput - 入力ボックスの再描画をスキップするかどうか（入力中のフォーカス保持のため）
+     */
+    updateSpotName(index, newName, skipFormatting = false, skipRedrawInput = false) {
+        if (index < 0 || index >= this.spots.length) return;
+
+        this.spots[index].name = skipFormatting ? newName : Validators.formatSpotName(newName);
+        // 名称の有無でマーカーの色が変わるため、入力中もキャンバスは再描画する
+        this.notify('onChange', this.spots, skipRedrawInput);
+        this.notify('onCountChange', this.getSpotCount());
+    }
+
+    /**
+     * スポットを移動
+     * @param {number} index - スポットのインデックス
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     */
+    updateSpotPosition(index, x, y) {
+        if (index < 0 || index >= this.spots.length) return;
+
+        this.spots[index].x = Math.round(x);
+        this.spots[index].y = Math.round(y);
+        // ドラッグ中は入力ボックスを作り直さない
+        this.notify('onChange', this.spots, true);
+    }
+
+    /**
+     * すべてのスポットをクリア
+     */
+    clearSpots() {
+        this.spots = [];
+        this.notify('onChange', this.spots);
+        this.notify('onCountChange', 0);
+    }
+
+    /**
+     * スポット配列を取得
+     * @returns {Array} スポット配列
+     */
+    getSpots() {
+        return this.spots;
+    }
+
+    /**
+     * 名称が入力されたスポットの数を取得
+     * @returns {number} スポット数
+     */
+    getSpotCount() {
+        return this.spots.filter(spot => spot.name && spot.name.trim() !== '').length;
+    }
+
+    /**
+     * 指定座標上のスポットを検索
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} threshold - 検出閾値
+     * @returns {number} スポットのインデックス（見つからない場合は-1）
+     */
+    findSpotAt(x, y, threshold = 8) {
+        return this.spots.findIndex(spot => Math.abs(spot.x - x) <= threshold && Math.abs(spot.y - y) <= threshold);
+    }
+
+    /**
+     * 名称と座標が同じスポットを検索
+     * @param {string} name - スポット名（フォーマット済み）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} excludeIndex - 検索から除くスポットのインデックス
+     * @param {number} tolerance - 同じ座標とみなす距離
+     * @returns {number} スポットのインデックス（見つからない場合は-1）
+     */
+    findDuplicateSpot(name, x, y, excludeIndex = -1, tolerance = 8) {
+        if (!name || name.trim() === '') return -1;
+        return this.spots.findIndex((spot, index) =>
+            index !== excludeIndex && spot.name === name &&
+            Math.hypot(spot.x - x, spot.y - y) <= tolerance);
+    }
+
+    /**
+     * 末尾の名称未入力スポットを削除
+     */
+    removeTrailingEmptySpots() {
+        let removed = false;
+        while (this.spots.length > 0 && (this.spots[this.spots.length - 1].name || '') === '') {
+            this.spots.pop();
+            removed = true;
+        }
+
+        if (removed) {
+            this.notify('onChange', this.spots);
+            this.notify('onCountChange', this.getSpotCount());
+        }
+    }
+}
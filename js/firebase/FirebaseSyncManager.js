@@ -1,13 +1,16 @@
 import { CoordinateUtils } from '../utils/Coordinates.js';
 import { UIHelper } from '../ui/UIHelper.js';
+import { ShapePrimitives } from '../utils/ShapePrimitives.js';
 
 /**
  * Firebase同期処理を管理するクラス
  */
 export class FirebaseSyncManager {
-    constructor(pointManager, areaManager, fileHandler) {
+    constructor(pointManager, areaManager, routeManager, spotManager, fileHandler) {
         this.pointManager = pointManager;
         this.areaManager = areaManager;
+        this.routeManager = routeManager;
+        this.spotManager = spotManager;
         this.fileHandler = fileHandler;
         this.currentImage = null;
         this.canvas = null;
@@ -18,6 +21,101 @@ export class FirebaseSyncManager {
         this.canvas = canvas;
     }
 
+    /**
+     * 頂点配列をキャンバス座標から画像座標に変換
+     * @param {Array} ring - 頂点配列（キャンバス座標）
+     * @returns {Array} 頂点配列（画像座標）
+     */
+    ringToImage(ring) {
+        return (ring || []).map(v => {
+            const imageCoords = CoordinateUtils.canvasToImage(
+                v.x, v.y,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+            return { x: imageCoords.x, y: imageCoords.y };
+        });
+    }
+
+    /**
+     * 頂点配列を画像座標からキャンバス座標に変換
+     * @param {Array} ring - 頂点配列（画像座標）
+     * @returns {Array} 頂点配列（キャンバス座標）
+     */
+    ringToCanvas(ring) {
+        return (ring || []).map(v => {
+            const canvasCoords = CoordinateUtils.imageToCanvas(
+                v.x, v.y,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+            return { x: canvasCoords.x, y: canvasCoords.y };
+        });
+    }
+
+    /**
+     * 図形のパラメータをキャンバス座標と画像座標の間で変換
+     * 頂点と異なり整数に丸めず、小数第2位まで保持する
+     * @param {Object|null} shape - 図形のパラメータ
+     * @param {boolean} toImage - trueの場合はキャンバス座標 → 画像座標、falseの場合はその逆
+     * @returns {Object|null} 変換後の図形
+     */
+    convertShape(shape, toImage) {
+        if (!shape) return null;
+        const ratio = toImage
+            ? this.currentImage.width / this.canvas.width
+            : this.canvas.width / this.currentImage.width;
+        const ratioY = toImage
+            ? this.currentImage.height / this.canvas.height
+            : this.canvas.height / this.currentImage.height;
+        return ShapePrimitives.transform(
+            shape,
+            (x, y) => ({ x: ShapePrimitives.round(x * ratio), y: ShapePrimitives.round(y * ratioY) }),
+            ratio
+        );
+    }
+
+    /**
+     * プロジェクトメタデータが未作成の場合は作成
+     * @param {string} projectId - プロジェクトID
+     * @param {Object} extraMetadata - 作成時に追加で書き込むメタデータ
+     * @returns {Promise<boolean>} 新規作成したかどうか
+     */
+    async ensureProjectMetadata(projectId, extraMetadata = {}) {
+        const existingProject = await window.firestoreManager.getProjectMetadata(projectId);
+        if (existingProject) return false;
+
+        await window.firestoreManager.createProjectMetadata(projectId, {
+            projectName: projectId,
+            imageName: projectId + '.png',
+            imageWidth: this.currentImage.width,
+            imageHeight: this.currentImage.height,
+            ...extraMetadata
+        });
+        return true;
+    }
+
+    /**
+     * プロジェクト単位の設定（縮尺キャリブレーション、属性の項目定義、カテゴリ別スタイル、位置合わせなど）を
+     * プロジェクトメタデータに保存
+     * @param {Object} settings - 保存する項目 {scaleCalibration, attributeSchema, categoryStyles, georeference, ...}
+     */
+    async saveProjectSettingsToFirebase(settings) {
+        if (!window.firestoreManager || !this.currentImage) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId) return;
+
+        try {
+            const created = await this.ensureProjectMetadata(projectId, settings);
+            if (!created) {
+                await window.firestoreManager.updateProjectMetadata(projectId, settings);
+            }
+        } catch (error) {
+            console.error('Project settings sync error:', error);
+        }
+    }
+
     async updatePointToFirebase(pointIndex) {
         if (!window.firestoreManager || !this.currentImage) return;
 
@@ -37,15 +135,7 @@ export class FirebaseSyncManager {
                 this.currentImage.width, this.currentImage.height
             );
 
-            const existingProject = await window.firestoreManager.getProjectMetadata(projectId);
-            if (!existingProject) {
-                await window.firestoreManager.createProjectMetadata(projectId, {
-                    projectName: projectId,
-                    imageName: projectId + '.png',
-                    imageWidth: this.currentImage.width,
-                    imageHeight: this.currentImage.height
-                });
-            }
+            await this.ensureProjectMetadata(projectId);
 
             const existingPoint = await window.firestoreManager.findPointById(projectId, point.id);
             if (existingPoint) {
@@ -96,6 +186,39 @@ export class FirebaseSyncManager {
         }
     }
 
+    /**
+     * 複数のポイントをFirestoreから削除（ポイント一覧の取得は1回のみ）
+     * @param {Array<{x: number, y: number}>} positions - 削除するポイントの座標（キャンバス座標）
+     */
+    async deletePointsFromFirebase(positions) {
+        if (!window.firestoreManager || !this.currentImage || positions.length === 0) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId) return;
+
+        try {
+            const firebasePoints = await window.firestoreManager.getPoints(projectId);
+            const tolerance = 1.0;
+            const deletedIds = new Set();
+
+            for (const position of positions) {
+                const imageCoords = CoordinateUtils.canvasToImage(
+                    position.x, position.y,
+                    this.canvas.width, this.canvas.height,
+                    this.currentImage.width, this.currentImage.height
+                );
+                const match = firebasePoints.find(p => !deletedIds.has(p.firestoreId) &&
+                    Math.abs(p.x - imageCoords.x) <= tolerance && Math.abs(p.y - imageCoords.y) <= tolerance);
+                if (match) {
+                    deletedIds.add(match.firestoreId);
+                    await window.firestoreManager.deletePoint(projectId, match.firestoreId);
+                }
+            }
+        } catch (error) {
+            console.error('Point delete sync error:', error);
+        }
+    }
+
     async updateAreaToFirebase(areaIndex) {
         if (!window.firestoreManager || !this.currentImage) return;
 
@@ -108,19 +231,27 @@ export class FirebaseSyncManager {
         const area = areas[areaIndex];
         if (!area.areaName || area.areaName.trim() === '') return;
 
-        try {
-            const convertedVertices = (area.vertices || []).map(v => {
-                const imageCoords = CoordinateUtils.canvasToImage(
-                    v.x, v.y,
-                    this.canvas.width, this.canvas.height,
-                    this.currentImage.width, this.currentImage.height
-                );
-                return { x: imageCoords.x, y: imageCoords.y };
-            });
+        // 形状に問題があるエリアは保存せず、ユーザーに通知する
+        const issues = this.areaManager.getGeometryIssues(area);
+        if (!issues.isValid) {
+            UIHelper.showWarning(`エリア「${area.areaName}」は形状に問題があるため保存を保留しました: ${issues.errors.join('、')}`);
+            return;
+        }
 
+        try {
+            // Firestoreは配列の入れ子を保存できないため、穴は {vertices} のマップで包む
+            // 描画中（頂点が3つ未満）の穴は保存しない
             const areaData = {
                 areaName: area.areaName,
-                vertices: convertedVertices
+                vertices: this.ringToImage(area.vertices),
+                holes: (area.holes || [])
+                    .filter(hole => hole.length >= 3)
+                    .map(hole => ({ vertices: this.ringToImage(hole) })),
+                attributes: area.attributes || {},
+                style: area.style || null,
+                areaId: area.areaId,
+                parentId: area.parentId || null,
+                shape: this.convertShape(area.shape, true)
             };
 
             if (area.firestoreId) {
@@ -152,7 +283,149 @@ export class FirebaseSyncManager {
         }
     }
 
-    async loadFromFirebase(onLoadComplete) {
+    /**
+     * 複数のエリアをFirestoreから削除
+     * @param {Array<Object>} areas - 削除するエリア（AreaManagerから削除済みでもよい）
+     */
+    async deleteAreasFromFirebase(areas) {
+        if (!window.firestoreManager || !this.currentImage) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId) return;
+
+        try {
+            for (const area of areas) {
+                if (area.firestoreId) {
+                    await window.firestoreManager.deleteArea(projectId, area.firestoreId);
+                }
+            }
+        } catch (error) {
+            console.error('Area delete sync error:', error);
+        }
+    }
+
+    /**
+     * ルートをFirestoreに保存（開始・終了ポイントが未設定のルートは保存しない）
+     * 開始・終了ポイントが同じルートが既に保存されている場合は、そのルートを更新する
+     * @param {number} routeIndex - ルートのインデックス
+     */
+    async updateRouteToFirebase(routeIndex) {
+        if (!window.firestoreManager || !this.currentImage) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId) return;
+
+        const route = this.routeManager.getAllRoutes()[routeIndex];
+        if (!route || !route.startPoint || !route.endPoint) return;
+
+        try {
+            const routeData = {
+                routeId: route.routeId,
+                startPoint: route.startPoint,
+                endPoint: route.endPoint,
+                waypoints: this.ringToImage(route.waypoints)
+            };
+
+            await this.ensureProjectMetadata(projectId);
+
+            if (route.firestoreId) {
+                await window.firestoreManager.updateRoute(projectId, route.firestoreId, routeData);
+                return;
+            }
+
+            const result = await window.firestoreManager.addRoute(projectId, routeData);
+            if (result.status === 'success') {
+                route.firestoreId = result.firestoreId;
+            } else if (result.status === 'duplicate') {
+                route.firestoreId = result.existing.firestoreId;
+                await window.firestoreManager.updateRoute(projectId, route.firestoreId, routeData);
+            }
+        } catch (error) {
+            console.error('Route sync error:', error);
+        }
+    }
+
+    /**
+     * ルートをFirestoreから削除
+     * @param {Object} route - 削除するルート（RouteManagerから削除済みでもよい）
+     */
+    async deleteRouteFromFirebase(route) {
+        if (!window.firestoreManager || !this.currentImage) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId || !route || !route.firestoreId) return;
+
+        try {
+            await window.firestoreManager.deleteRoute(projectId, route.firestoreId);
+        } catch (error) {
+            console.error('Route delete sync error:', error);
+        }
+    }
+
+    /**
+     * スポットをFirestoreに保存（名称が未入力のスポットは保存しない）
+     * 名称と座標が同じスポットが既に保存されている場合は、そのスポットとして扱う
+     * @param {number} spotIndex - スポットのインデックス
+     */
+    async updateSpotToFirebase(spotIndex) {
+        if (!window.firestoreManager || !this.currentImage) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId) return;
+
+        const spot = this.spotManager.getSpots()[spotIndex];
+        if (!spot || !spot.name || spot.name.trim() === '') return;
+
+        try {
+            const imageCoords = CoordinateUtils.canvasToImage(
+                spot.x, spot.y,
+                this.canvas.width, this.canvas.height,
+                this.currentImage.width, this.currentImage.height
+            );
+            const spotData = { name: spot.name.trim(), x: imageCoords.x, y: imageCoords.y };
+
+            await this.ensureProjectMetadata(projectId);
+
+            if (spot.firestoreId) {
+                await window.firestoreManager.updateSpot(projectId, spot.firestoreId, spotData);
+                return;
+            }
+
+            const result = await window.firestoreManager.addSpot(projectId, spotData);
+            if (result.status === 'success') {
+                spot.firestoreId = result.firestoreId;
+            } else if (result.status === 'duplicate') {
+                spot.firestoreId = result.existing.firestoreId;
+            }
+        } catch (error) {
+            console.error('Spot sync error:', error);
+        }
+    }
+
+    /**
+     * スポットをFirestoreから削除
+     * @param {Object} spot - 削除するスポット（SpotManagerから削除済みでもよい）
+     */
+    async deleteSpotFromFirebase(spot) {
+        if (!window.firestoreManager || !this.currentImage) return;
+
+        const projectId = this.fileHandler.getCurrentImageFileName();
+        if (!projectId || !spot || !spot.firestoreId) return;
+
+        try {
+            await window.firestoreManager.deleteSpot(projectId, spot.firestoreId);
+        } catch (error) {
+            console.error('Spot delete sync error:', error);
+        }
+    }
+
+    /**
+     * Firestoreからプロジェクトのデータを読み込み
+     * @param {Function} onLoadComplete - 読み込み完了時 (loadedPoints, loadedAreas, projectMetadata)
+     * @param {Function|null} onProjectMetadata - プロジェクトメタデータの取得時 (projectMetadata)
+     *        現在のデータを残して読み込みを取りやめた場合も呼ばれる
+     */
+    async loadFromFirebase(onLoadComplete, onProjectMetadata = null) {
         if (!window.firestoreManager) {
             UIHelper.showError('Firebase接続が利用できません');
             return;
@@ -168,17 +441,22 @@ export class FirebaseSyncManager {
             if (!projectId) return;
 
             const projectMetadata = await window.firestoreManager.getProjectMetadata(projectId);
+            // プロジェクト単位の設定は、読み込みを取りやめた場合も復元する
+            if (onProjectMetadata) onProjectMetadata(projectMetadata);
             if (!projectMetadata) {
-                if (onLoadComplete) onLoadComplete(0, 0);
+                if (onLoadComplete) onLoadComplete(0, 0, null);
                 return;
             }
 
-            if (this.pointManager.getPoints().length > 0 || this.areaManager.getAllAreas().length > 0) {
+            if (this.pointManager.getPoints().length > 0 || this.areaManager.getAllAreas().length > 0 ||
+                this.routeManager.getAllRoutes().length > 0 || this.spotManager.getSpots().length > 0) {
                 if (!confirm('現在のデータを削除して読み込みますか？')) return;
             }
 
             this.pointManager.clearPoints();
             this.areaManager.areas = []; // Directly clear for simplicity
+            this.routeManager.clearRoutes();
+            this.spotManager.clearSpots();
 
             const firebasePoints = await window.firestoreManager.getPoints(projectId);
             let loadedPoints = 0;
@@ -195,25 +473,44 @@ export class FirebaseSyncManager {
             const firebaseAreas = await window.firestoreManager.getAreas(projectId);
             let loadedAreas = 0;
             for (const a of firebaseAreas) {
-                const convertedVertices = (a.vertices || []).map(v => {
-                    const canvasCoords = CoordinateUtils.imageToCanvas(
-                        v.x, v.y,
-                        this.canvas.width, this.canvas.height,
-                        this.currentImage.width, this.currentImage.height
-                    );
-                    return { x: canvasCoords.x, y: canvasCoords.y };
-                });
-
                 this.areaManager.addArea({
                     firestoreId: a.firestoreId,
+                    // 親子関係導入前のデータはFirestoreのIDをエリアIDとして使う
+                    areaId: a.areaId || a.firestoreId,
+                    parentId: a.parentId || null,
                     areaName: a.areaName,
-                    vertices: convertedVertices
+                    vertices: this.ringToCanvas(a.vertices),
+                    holes: (a.holes || []).map(hole => this.ringToCanvas(hole.vertices)),
+                    attributes: a.attributes || {},
+                    style: a.style || null,
+                    shape: this.convertShape(a.shape, false)
                 });
                 loadedAreas++;
             }
 
-            if (onLoadComplete) onLoadComplete(loadedPoints, loadedAreas);
-            UIHelper.showMessage(`読み込み完了: ポイント${loadedPoints}件、エリア${loadedAreas}件`);
+            const firebaseRoutes = await window.firestoreManager.getRoutes(projectId);
+            for (const r of firebaseRoutes) {
+                this.routeManager.addRoute({
+                    firestoreId: r.firestoreId,
+                    routeId: r.routeId || r.firestoreId,
+                    startPoint: r.startPoint,
+                    endPoint: r.endPoint,
+                    waypoints: this.ringToCanvas(r.waypoints)
+                });
+            }
+
+            const firebaseSpots = await window.firestoreManager.getSpots(projectId);
+            for (const sp of firebaseSpots) {
+                const canvasCoords = CoordinateUtils.imageToCanvas(
+                    sp.x, sp.y,
+                    this.canvas.width, this.canvas.height,
+                    this.currentImage.width, this.currentImage.height
+                );
+                this.spotManager.addSpot(canvasCoords.x, canvasCoords.y, sp.name, sp.firestoreId);
+            }
+
+            if (onLoadComplete) onLoadComplete(loadedPoints, loadedAreas, projectMetadata);
+            UIHelper.showMessage(`読み込み完了: ポイント${loadedPoints}件、エリア${loadedAreas}件、ルート${firebaseRoutes.length}件、スポット${firebaseSpots.length}件`);
 
         } catch (error) {
             UIHelper.showError('読み込み中にエラーが発生しました: ' + error.message);
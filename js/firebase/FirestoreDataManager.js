@@ -33,13 +33,19 @@ export class FirestoreDataManager {
                     imageName: metadata.imageName || '',
                     imageWidth: metadata.imageWidth || 0,
                     imageHeight: metadata.imageHeight || 0,
+                    scaleCalibration: metadata.scaleCalibration || null,
+                    attributeSchema: metadata.attributeSchema || null,
+                    categoryStyles: metadata.categoryStyles || {},
+                    georeference: metadata.georeference || null,
                     createdBy: this.userId,
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                     updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
                     lastAccessedAt: firebase.firestore.FieldValue.serverTimestamp(),
                     lastUpdatedBy: this.userId,
                     pointCount: 0,
-                    areaCount: 0
+                    areaCount: 0,
+                    routeCount: 0,
+                    spotCount: 0
                 });
         } catch (error) {
             console.error('プロジェクトメタデータ作成失敗:', error);
@@ -190,6 +196,12 @@ export class FirestoreDataManager {
                     areaName: area.areaName || 'Unnamed Area',
                     vertices: area.vertices || [],
                     vertexCount: (area.vertices || []).length,
+                    holes: area.holes || [],
+                    attributes: area.attributes || {},
+                    style: area.style || null,
+                    areaId: area.areaId || null,
+                    parentId: area.parentId || null,
+                    shape: area.shape || null,
                     createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                     updatedAt: firebase.firestore.FieldValue.serverTimestamp()
                 });
@@ -251,6 +263,207 @@ export class FirestoreDataManager {
         }
     }
 
+    // ========================================
+    // ルート管理
+    // ========================================
+
+    async addRoute(projectId, route) {
+        try {
+            const existingRoute = await this.findRouteByEndpoints(projectId, route.startPoint, route.endPoint);
+            if (existingRoute) {
+                return { status: 'duplicate', type: 'route', existing: existingRoute, attempted: route };
+            }
+
+            const docRef = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('routes')
+                .add({
+                    routeId: route.routeId || null,
+                    startPoint: route.startPoint || '',
+                    endPoint: route.endPoint || '',
+                    waypoints: route.waypoints || [],
+                    waypointCount: (route.waypoints || []).length,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+            await this.incrementCounter(projectId, 'routeCount', 1);
+            return { status: 'success', firestoreId: docRef.id };
+        } catch (error) {
+            console.error('ルート追加失敗:', error);
+            throw error;
+        }
+    }
+
+    async findRouteByEndpoints(projectId, startPoint, endPoint) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('routes')
+                .where('startPoint', '==', startPoint)
+                .where('endPoint', '==', endPoint)
+                .limit(1)
+                .get();
+            if (snapshot.empty) return null;
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('ルート検索失敗:', error);
+            throw error;
+        }
+    }
+
+    async updateRoute(projectId, firestoreId, updates) {
+        try {
+            if (updates.waypoints) {
+                updates.waypointCount = updates.waypoints.length;
+            }
+            await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('routes')
+                .doc(firestoreId)
+                .update({
+                    ...updates,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+        } catch (error) {
+            console.error('ルート更新失敗:', error);
+            throw error;
+        }
+    }
+
+    async deleteRoute(projectId, firestoreId) {
+        try {
+            await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('routes')
+                .doc(firestoreId)
+                .delete();
+            await this.incrementCounter(projectId, 'routeCount', -1);
+        } catch (error) {
+            console.error('ルート削除失敗:', error);
+            throw error;
+        }
+    }
+
+    async getRoutes(projectId) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('routes')
+                .get();
+            return snapshot.docs.map(doc => ({ firestoreId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('ルート取得失敗:', error);
+            throw error;
+        }
+    }
+
+    // ========================================
+    // スポット管理
+    // ========================================
+
+    async addSpot(projectId, spot) {
+        try {
+            const existingSpot = await this.findSpotByNameAndPosition(projectId, spot.name, spot.x, spot.y);
+            if (existingSpot) {
+                return { status: 'duplicate', type: 'spot', existing: existingSpot, attempted: spot };
+            }
+
+            const docRef = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('spots')
+                .add({
+                    name: spot.name || '',
+                    x: spot.x,
+                    y: spot.y,
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+            await this.incrementCounter(projectId, 'spotCount', 1);
+            return { status: 'success', firestoreId: docRef.id };
+        } catch (error) {
+            console.error('スポット追加失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 名称と座標（画像座標）が同じスポットを検索
+     * 同じ名称のスポットは複数あり得るため、名称で絞り込んだ後に座標を比較する
+     */
+    async findSpotByNameAndPosition(projectId, name, x, y, tolerance = 1.0) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('spots')
+                .where('name', '==', name)
+                .get();
+            const doc = snapshot.docs.find(d => {
+                const data = d.data();
+                return Math.abs(data.x - x) <= tolerance && Math.abs(data.y - y) <= tolerance;
+            });
+            return doc ? { firestoreId: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            console.error('スポット検索失敗:', error);
+            throw error;
+        }
+    }
+
+    async updateSpot(projectId, firestoreId, updates) {
+        try {
+            await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('spots')
+                .doc(firestoreId)
+                .update({
+                    ...updates,
+                    updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+        } catch (error) {
+            console.error('スポット更新失敗:', error);
+            throw error;
+        }
+    }
+
+    async deleteSpot(projectId, firestoreId) {
+        try {
+            await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('spots')
+                .doc(firestoreId)
+                .delete();
+            await this.incrementCounter(projectId, 'spotCount', -1);
+        } catch (error) {
+            console.error('スポット削除失敗:', error);
+            throw error;
+        }
+    }
+
+    async getSpots(projectId) {
+        try {
+            const snapshot = await this.db
+                .collection('projects')
+                .doc(projectId)
+                .collection('spots')
+                .get();
+            return snapshot.docs.map(doc => ({ firestoreId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('スポット取得失敗:', error);
+            throw error;
+        }
+    }
+
     // ========================================
     // ユーティリティ
     // ========================================
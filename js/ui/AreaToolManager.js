@@ -0,0 +1,464 @@
+import { ShapePrimitives } from '../utils/ShapePrimitives.js';
+
+/**
+ * エリア編集モード内のツール（頂点編集・分割・投げ縄・図形）と作図中の下書きを管理するクラス
+ */
+export class AreaToolManager {
+    constructor() {
+        // 現在のツール（'vertex' = 頂点編集, 'split' = 分割線, 'lasso' = 投げ縄, 'shape' = 図形, 'transform' = 変形）
+        this.currentTool = 'vertex';
+        // 作図中の下書き点（キャンバス座標）
+        this.draftPoints = [];
+        // マウス位置に追従するプレビュー点
+        this.previewPoint = null;
+        // 投げ縄をドラッグ中かどうか
+        this.isLassoDrawing = false;
+        // 投げ縄の頂点を間引く許容距離（画面上のピクセル）
+        this.lassoTolerance = 3;
+        // 作成する図形の種類（ShapePrimitives.SHAPE_TYPES のキー）と円・楕円の分割数
+        this.shapeType = 'rectangle';
+        this.shapeSegments = ShapePrimitives.DEFAULT_SEGMENTS;
+        // 作図中の図形 {start, end, baselineEnd}（回転矩形は基準辺の確定後に baselineEnd を持つ）
+        this.shapeDraft = null;
+        // 図形のハンドルをドラッグ中の情報 {areaIndex, handleType, start, shape}
+        this.handleDrag = null;
+        // エリア全体の変形をドラッグ中の情報 {areaIndex, handleType, start, bounds, rings, shape}
+        this.transformDrag = null;
+        // 投げ縄・図形の設定の保存先（投げ縄の設定と同じキーにまとめる）
+        this.storageKey = 'areaMarkerLassoSettings';
+
+        this.callbacks = {
+            onToolChange: null,
+            onDraftChange: null,
+            onShapeSegmentsChange: null
+        };
+
+        this.loadSettings();
+        this.initializeEventListeners();
+        this.updateToolDisplay();
+    }
+
+    /**
+     * コールバック関数を設定
+     * @param {string} event - イベント名
+     * @param {Function} callback - コールバック関数
+     */
+    setCallback(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * 変更通知を発行
+     * @param {string} event - イベント名
+     * @param {any} data - イベントデータ
+     */
+    notify(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+
+    /**
+     * イベントリスナーを初期化
+     */
+    initializeEventListeners() {
+        const toolRadios = document.querySelectorAll('input[name="areaTool"]');
+        toolRadios.forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.setTool(e.target.value);
+                }
+            });
+        });
+
+        const toleranceSelect = document.getElementById('lassoToleranceSelect');
+        if (toleranceSelect) {
+            toleranceSelect.addEventListener('change', (e) => {
+                this.lassoTolerance = parseFloat(e.target.value);
+                this.saveSettings();
+            });
+        }
+
+        const shapeTypeSelect = document.getElementById('shapeTypeSelect');
+        if (shapeTypeSelect) {
+            Object.entries(ShapePrimitives.SHAPE_TYPES).forEach(([type, label]) => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = label;
+                shapeTypeSelect.appendChild(option);
+            });
+            shapeTypeSelect.addEventListener('change', (e) => {
+                this.shapeType = e.target.value;
+                this.clearDraft();
+                this.saveSettings();
+            });
+        }
+
+        const segmentsSelect = document.getElementById('shapeSegmentsSelect');
+        if (segmentsSelect) {
+            segmentsSelect.addEventListener('change', (e) => {
+                this.shapeSegments = parseInt(e.target.value);
+                this.saveSettings();
+                this.notify('onShapeSegmentsChange', this.shapeSegments);
+            });
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                lassoTolerance: this.lassoTolerance,
+                shapeType: this.shapeType,
+                shapeSegments: this.shapeSegments
+            }));
+        } catch (error) {
+            console.error('localStorage Error:', error);
+        }
+    }
+
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                if (parsed.lassoTolerance > 0) {
+                    this.lassoTolerance = parsed.lassoTolerance;
+                }
+                if (ShapePrimitives.SHAPE_TYPES[parsed.shapeType]) {
+                    this.shapeType = parsed.shapeType;
+                }
+                if (parsed.shapeSegments >= 8) {
+                    this.shapeSegments = parsed.shapeSegments;
+                }
+            }
+        } catch (error) {
+            console.error('localStorage Load Error:', error);
+        }
+    }
+
+    /**
+     * ツールを変更（作図中の下書きは破棄）
+     * @param {string} tool - ツール名
+     */
+    setTool(tool) {
+        this.currentTool = tool;
+        this.clearDraft();
+        this.updateToolDisplay();
+        this.notify('onToolChange', tool);
+    }
+
+    /**
+     * 現在のツールを取得
+     * @returns {string} ツール名
+     */
+    getCurrentTool() {
+        return this.currentTool;
+    }
+
+    /**
+     * ツール選択の表示を更新
+     */
+    updateToolDisplay() {
+        const radio = document.querySelector(`input[name="areaTool"][value="${this.currentTool}"]`);
+        if (radio) {
+            radio.checked = true;
+        }
+
+        // 数値指定の変形パネルは変形ツールの選択中のみ表示
+        const transformPanel = document.getElementById('transformPanel');
+        if (transformPanel) {
+            transformPanel.style.display = this.currentTool === 'transform' ? '' : 'none';
+        }
+
+        const toleranceSelect = document.getElementById('lassoToleranceSelect');
+        if (toleranceSelect) {
+            toleranceSelect.value = String(this.lassoTolerance);
+        }
+
+        const shapeTypeSelect = document.getElementById('shapeTypeSelect');
+        if (shapeTypeSelect) {
+            shapeTypeSelect.value = this.shapeType;
+        }
+
+        const segmentsSelect = document.getElementById('shapeSegmentsSelect');
+        if (segmentsSelect) {
+            segmentsSelect.value = String(this.shapeSegments);
+        }
+    }
+
+    /**
+     * 図形の作図を開始（ドラッグの始点）
+     * 回転矩形で基準辺が確定済みの場合は、この操作で図形を確定する
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {Object|null} 確定した図形（確定しない場合はnull）
+     */
+    startShape(x, y) {
+        if (this.shapeDraft && this.shapeDraft.baselineEnd) {
+            return this.finishShape({ x, y });
+        }
+
+        this.shapeDraft = { start: { x, y }, end: { x, y }, baselineEnd: null };
+        this.updateShapePreview();
+        return null;
+    }
+
+    /**
+     * 作図中の図形をマウス位置に合わせて更新
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     */
+    updateShape(x, y) {
+        if (!this.shapeDraft) return;
+        this.shapeDraft.end = { x, y };
+        this.updateShapePreview();
+    }
+
+    /**
+     * ドラッグ終了時の処理
+     * 回転矩形は基準辺を確定して奥行きの指定に移り、それ以外は図形を確定する
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {Object|null} 確定した図形（奥行きの指定に移る場合などはnull）
+     */
+    releaseShape(x, y) {
+        if (!this.shapeDraft || this.shapeDraft.baselineEnd) return null;
+
+        this.shapeDraft.end = { x, y };
+        if (this.shapeType === 'rotatedRectangle') {
+            const { start } = this.shapeDraft;
+            // 基準辺が短すぎる場合（単なるクリック）は作図を中止
+            if (Math.hypot(x - start.x, y - start.y) < 2) {
+                this.clearDraft();
+                return null;
+            }
+            this.shapeDraft.baselineEnd = { x, y };
+            this.updateShapePreview();
+            return null;
+        }
+        return this.finishShape({ x, y });
+    }
+
+    /**
+     * 作図中の図形のパラメータを取得
+     * @returns {Object|null} 図形
+     */
+    getShapeDraft() {
+        const draft = this.shapeDraft;
+        if (!draft) return null;
+
+        if (this.shapeType === 'rotatedRectangle') {
+            const baselineEnd = draft.baselineEnd || draft.end;
+            return ShapePrimitives.fromBaseline(draft.start, baselineEnd, draft.baselineEnd ? draft.end : null);
+        }
+        return ShapePrimitives.fromDrag(this.shapeType, draft.start, draft.end, this.shapeSegments);
+    }
+
+    /**
+     * 作図中の図形を下書きとして表示
+     */
+    updateShapePreview() {
+        const shape = this.getShapeDraft();
+        const draft = this.shapeDraft;
+        if (draft.baselineEnd || shape.width > 0 || shape.height > 0) {
+            // 回転矩形の基準辺を描いている間は線分として表示
+            this.draftPoints = this.shapeType === 'rotatedRectangle' && !draft.baselineEnd
+                ? [draft.start, draft.end]
+                : ShapePrimitives.toPolygon(shape);
+        } else {
+            this.draftPoints = [draft.start];
+        }
+        this.notify('onDraftChange', this.draftPoints);
+    }
+
+    /**
+     * 図形の作図を確定
+     * @param {{x: number, y: number}} point - 最後のマウス位置
+     * @returns {Object} 確定した図形（大きさの検証は呼び出し側で行う）
+     */
+    finishShape(point) {
+        this.shapeDraft.end = point;
+        const shape = this.getShapeDraft();
+        this.clearDraft();
+        return shape;
+    }
+
+    /**
+     * 図形を作図中かどうか
+     * @returns {boolean}
+     */
+    isDrawingShape() {
+        return this.shapeDraft !== null;
+    }
+
+    /**
+     * 図形をドラッグ中かどうか（回転矩形の奥行き指定中はボタンを離した状態で操作する）
+     * @returns {boolean}
+     */
+    isDraggingShape() {
+        return this.shapeDraft !== null && !this.shapeDraft.baselineEnd;
+    }
+
+    /**
+     * エリア全体の変形のドラッグを開始
+     * @param {number} areaIndex - エリアのインデックス
+     * @param {string} handleType - ハンドルの種類（'move' | 'rotate' | 'n' | 'ne' など）
+     * @param {{x: number, y: number}} start - ドラッグ開始位置
+     * @param {Object} bounds - ドラッグ開始時の外接矩形
+     * @param {Array<Array>} rings - ドラッグ開始時の頂点配列の配列（複製）
+     * @param {Object|null} shape - ドラッグ開始時の図形のパラメータ
+     */
+    startTransformDrag(areaIndex, handleType, start, bounds, rings, shape) {
+        this.transformDrag = { areaIndex, handleType, start, bounds, rings, shape, hasMoved: false };
+    }
+
+    /**
+     * 変形のドラッグ中の情報を取得
+     * @returns {Object|null}
+     */
+    getTransformDrag() {
+        return this.transformDrag;
+    }
+
+    /**
+     * 変形のドラッグを終了
+     * @returns {Object|null} 終了したドラッグの情報（ドラッグ中でなければnull）
+     */
+    endTransformDrag() {
+        const drag = this.transformDrag;
+        this.transformDrag = null;
+        return drag;
+    }
+
+    /**
+     * 図形のハンドルのドラッグを開始
+     * @param {number} areaIndex - エリアのインデックス
+     * @param {string} handleType - ハンドルの種類
+     * @param {{x: number, y: number}} start - ドラッグ開始位置
+     * @param {Object} shape - ドラッグ開始時の図形
+     */
+    startHandleDrag(areaIndex, handleType, start, shape) {
+        this.handleDrag = { areaIndex, handleType, start, shape: { ...shape }, hasMoved: false };
+    }
+
+    /**
+     * ハンドルのドラッグに合わせた図形を取得
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {Object|null} 変更後の図形（ドラッグ中でなければnull）
+     */
+    dragHandle(x, y) {
+        if (!this.handleDrag) return null;
+        this.handleDrag.hasMoved = true;
+        return ShapePrimitives.applyHandleDrag(this.handleDrag.shape, this.handleDrag.handleType, this.handleDrag.start, { x, y });
+    }
+
+    /**
+     * ハンドルのドラッグを終了
+     * @returns {{areaIndex: number, hasMoved: boolean}|null} ドラッグしていたエリア（ドラッグ中でなければnull）
+     */
+    endHandleDrag() {
+        if (!this.handleDrag) return null;
+        const { areaIndex, hasMoved } = this.handleDrag;
+        this.handleDrag = null;
+        return { areaIndex, hasMoved };
+    }
+
+    /**
+     * 投げ縄の作図を開始
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     */
+    startLasso(x, y) {
+        this.draftPoints = [];
+        this.previewPoint = null;
+        this.isLassoDrawing = true;
+        this.addDraftPoint(x, y);
+    }
+
+    /**
+     * 投げ縄の軌跡を延長（直前の点から一定距離以上動いた場合のみ点を追加）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} minDistance - 点を追加する最小移動距離（キャンバス座標）
+     */
+    extendLasso(x, y, minDistance = 1) {
+        if (!this.isLassoDrawing) return;
+        const last = this.draftPoints[this.draftPoints.length - 1];
+        if (last && Math.hypot(x - last.x, y - last.y) < minDistance) return;
+        this.addDraftPoint(x, y);
+    }
+
+    /**
+     * 投げ縄の作図を終了
+     * @returns {Array<{x: number, y: number}>} 描いた軌跡（下書きは破棄）
+     */
+    finishLasso() {
+        const path = [...this.draftPoints];
+        this.isLassoDrawing = false;
+        this.clearDraft();
+        return path;
+    }
+
+    /**
+     * 下書きに点を追加
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     */
+    addDraftPoint(x, y) {
+        const point = { x: Math.round(x), y: Math.round(y) };
+        const last = this.draftPoints[this.draftPoints.length - 1];
+        // 同じ位置の連続点（ダブルクリック時など）は追加しない
+        if (last && last.x === point.x && last.y === point.y) return;
+
+        this.draftPoints.push(point);
+        this.notify('onDraftChange', this.draftPoints);
+    }
+
+    /**
+     * 下書きの最後の点を削除
+     */
+    removeLastDraftPoint() {
+        // 図形は点単位で取り消せないため作図ごと中止
+        if (this.shapeDraft) {
+            this.clearDraft();
+            return;
+        }
+        if (this.draftPoints.length === 0) return;
+        this.draftPoints.pop();
+        this.notify('onDraftChange', this.draftPoints);
+    }
+
+    /**
+     * プレビュー点を設定
+     * @param {{x: number, y: number}|null} point - プレビュー点
+     */
+    setPreviewPoint(point) {
+        this.previewPoint = point;
+        if (this.draftPoints.length > 0) {
+            this.notify('onDraftChange', this.draftPoints);
+        }
+    }
+
+    /**
+     * 下書きを取得
+     * @returns {Array} 下書き点の配列
+     */
+    getDraftPoints() {
+        return this.draftPoints;
+    }
+
+    /**
+     * 下書きを破棄
+     */
+    clearDraft() {
+        const hadDraft = this.draftPoints.length > 0;
+        this.draftPoints = [];
+        this.previewPoint = null;
+        this.isLassoDrawing = false;
+        this.shapeDraft = null;
+        if (hadDraft) {
+            this.notify('onDraftChange', this.draftPoints);
+        }
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * AreaTreeView.js
+ * エリアの親子関係を折りたたみ可能なツリーとしてサイドバーに表示するクラス
+ */
+
+export class AreaTreeView {
+    /**
+     * @param {string} containerId - ツリーを表示する要素のID
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        // 折りたたみ中のエリアID
+        this.collapsedIds = new Set();
+
+        this.callbacks = {
+            onSelect: null
+        };
+
+        this.initializeEventListeners();
+        this.render([], -1);
+    }
+
+    /**
+     * コールバック関数を設定
+     * @param {string} event - イベント名
+     * @param {Function} callback - コールバック関数
+     */
+    setCallback(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * 変更通知を発行
+     * @param {string} event - イベント名
+     * @param {any} data - イベントデータ
+     */
+    notify(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+
+    /**
+     * イベントリスナーを初期化（項目は再描画されるためコンテナで受け取る）
+     */
+    initializeEventListeners() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.area-tree-toggle');
+            if (toggle) {
+                e.preventDefault();
+                this.toggleCollapsed(toggle.getAttribute('data-area-id'), toggle);
+                return;
+            }
+
+            const label = e.target.closest('.area-tree-label');
+            if (label) {
+                e.preventDefault();
+                this.notify('onSelect', parseInt(label.getAttribute('data-index')));
+            }
+        });
+    }
+
+    /**
+     * 子エリアの表示・非表示を切り替え
+     * @param {string} areaId - エリアID
+     * @param {HTMLElement} toggle - 切り替えボタン
+     */
+    toggleCollapsed(areaId, toggle) {
+        const collapsed = !this.collapsedIds.has(areaId);
+        if (collapsed) {
+            this.collapsedIds.add(areaId);
+        } else {
+            this.collapsedIds.delete(areaId);
+        }
+
+        const item = toggle.closest('.area-tree-item');
+        item.classList.toggle('collapsed', collapsed);
+        item.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+        toggle.textContent = collapsed ? '▸' : '▾';
+    }
+
+    /**
+     * 選択中のエリアが見えるよう祖先エリアを展開
+     * @param {Array<string>} areaIds - 祖先エリアのID
+     */
+    expand(areaIds) {
+        areaIds.forEach(areaId => this.collapsedIds.delete(areaId));
+    }
+
+    /**
+     * ツリーを描画
+     * @param {Array<{index: number, area: Object, children: Array}>} roots - 最上位エリアのノード配列
+     * @param {number} selectedIndex - 選択中のエリアのインデックス
+     * @param {Function} getWarnings - エリアのインデックスから警告メッセージ配列を返す関数
+     */
+    render(roots, selectedIndex, getWarnings) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        if (roots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'area-tree-empty';
+            empty.textContent = 'エリアがありません';
+            this.container.appendChild(empty);
+            return;
+        }
+
+        const list = this.createList(roots, selectedIndex, getWarnings);
+        list.setAttribute('role', 'tree');
+        this.container.appendChild(list);
+    }
+
+    /**
+     * ノード配列から項目リストを作成
+     * @param {Array} nodes - ノード配列
+     * @param {number} selectedIndex - 選択中のエリアのインデックス
+     * @param {Function} getWarnings - 警告メッセージ取得関数
+     * @returns {HTMLElement} リスト要素
+     */
+    createList(nodes, selectedIndex, getWarnings) {
+        const list = document.createElement('ul');
+        list.className = 'area-tree-list';
+
+        nodes.forEach(node => {
+            const { index, area, children } = node;
+            const item = document.createElement('li');
+            item.className = 'area-tree-item';
+            item.setAttribute('role', 'treeitem');
+
+            const row = document.createElement('div');
+            row.className = 'area-tree-row';
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'area-tree-toggle';
+            if (children.length > 0) {
+                const collapsed = this.collapsedIds.has(area.areaId);
+                item.classList.toggle('collapsed', collapsed);
+                item.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+                toggle.setAttribute('data-area-id', area.areaId);
+                toggle.textContent = collapsed ? '▸' : '▾';
+                toggle.title = '子エリアの表示を切り替え';
+            } else {
+                toggle.disabled = true;
+            }
+            row.appendChild(toggle);
+
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'area-tree-label';
+            label.setAttribute('data-index', index.toString());
+            label.textContent = area.areaName || `エリア ${index + 1}`;
+            if (index === selectedIndex) {
+                label.classList.add('selected');
+                item.setAttribute('aria-selected', 'true');
+            }
+
+            const warnings = getWarnings ? getWarnings(index) : [];
+            if (warnings.length > 0) {
+                label.classList.add('has-warning');
+                label.title = warnings.join(' / ');
+            }
+            row.appendChild(label);
+
+            if (children.length > 0) {
+                const count = document.createElement('span');
+                count.className = 'area-tree-count';
+                count.textContent = `(${children.length})`;
+                row.appendChild(count);
+            }
+
+            item.appendChild(row);
+            if (children.length > 0) {
+                const childList = this.createList(children, selectedIndex, getWarnings);
+                childList.setAttribute('role', 'group');
+                item.appendChild(childList);
+            }
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+}
@@ -0,0 +1,310 @@
+/**
+ * AttributeDialog.js
+ * エリアの名称・属性の入力ダイアログと、属性項目（スキーマ）の編集ダイアログを管理するクラス
+ * 子エリアを持つエリアの削除確認もこのダイアログで行う
+ */
+
+export class AttributeDialog {
+    constructor() {
+        this.dialog = null;
+        this.overlay = null;
+        this.resolveCallback = null;
+        this.escapeHandler = null;
+        this.createDialogElements();
+    }
+
+    /**
+     * ダイアログ要素を作成
+     */
+    createDialogElements() {
+        // オーバーレイ（見た目は重複ダイアログと共通）
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'attributeDialogOverlay';
+        this.overlay.className = 'duplicate-dialog-overlay';
+        this.overlay.style.display = 'none';
+
+        // ダイアログ
+        this.dialog = document.createElement('div');
+        this.dialog.id = 'attributeDialog';
+        this.dialog.className = 'duplicate-dialog attribute-dialog';
+
+        this.overlay.appendChild(this.dialog);
+        document.body.appendChild(this.overlay);
+
+        // オーバーレイのクリックでキャンセル
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) {
+                this.closeDialog(null);
+            }
+        });
+    }
+
+    /**
+     * HTML特殊文字をエスケープ
+     * @param {*} value - 値
+     * @returns {string} エスケープ済み文字列
+     */
+    escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * エリアの名称・属性入力ダイアログを表示
+     * @param {Object} options - {title, areaName, attributes}
+     * @param {Array} schema - 属性項目の定義
+     * @param {Function} validate - 入力値の検証関数 (attributes) => エラーメッセージ配列
+     * @returns {Promise<{areaName: string, attributes: Object}|null>} 入力値（キャンセル時はnull）
+     */
+    showAreaDialog(options, schema, validate) {
+        const attributes = options.attributes || {};
+        const fieldsHtml = schema.map(field => {
+            const id = this.escapeHtml(`areaAttr_${field.key}`);
+            const key = this.escapeHtml(field.key);
+            const value = attributes[field.key];
+            const label = `${this.escapeHtml(field.label)}${field.required ? ' <span class="attribute-required">*</span>' : ''}`;
+            let input;
+            if (field.type === 'textarea') {
+                input = `<textarea id="${id}" class="duplicate-dialog-input" data-key="${key}" rows="3">${this.escapeHtml(value)}</textarea>`;
+            } else if (field.type === 'select') {
+                const optionsHtml = field.options.map(option =>
+                    `<option value="${this.escapeHtml(option)}" ${String(value) === option ? 'selected' : ''}>${this.escapeHtml(option)}</option>`
+                ).join('');
+                input = `<select id="${id}" class="duplicate-dialog-input" data-key="${key}"><option value="">（未設定）</option>${optionsHtml}</select>`;
+            } else {
+                const type = field.type === 'number' ? 'number' : 'text';
+                input = `<input type="${type}" id="${id}" class="duplicate-dialog-input" data-key="${key}" value="${this.escapeHtml(value)}">`;
+            }
+            return `<div class="duplicate-dialog-input-group"><label for="${id}">${label}</label>${input}</div>`;
+        }).join('');
+
+        const html = `
+            <div class="duplicate-dialog-header">
+                <span class="duplicate-dialog-icon">📝</span>
+                <h3>${this.escapeHtml(options.title || 'エリアの属性')}</h3>
+            </div>
+            <div class="duplicate-dialog-body">
+                <div class="duplicate-dialog-input-group">
+                    <label for="areaAttrName">エリア名 <span class="attribute-required">*</span></label>
+                    <input type="text" id="areaAttrName" class="duplicate-dialog-input" value="${this.escapeHtml(options.areaName)}">
+                </div>
+                ${fieldsHtml}
+                <p class="attribute-dialog-error" style="display: none;"></p>
+            </div>
+            <div class="duplicate-dialog-footer">
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-primary" data-action="ok">OK</button>
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-cancel" data-action="cancel">キャンセル</button>
+            </div>
+        `;
+
+        return this.showDialog(html, () => {
+            const areaName = this.dialog.querySelector('#areaAttrName').value.trim();
+            const values = {};
+            this.dialog.querySelectorAll('[data-key]').forEach(input => {
+                values[input.getAttribute('data-key')] = input.value;
+            });
+
+            const errors = [];
+            if (!areaName) errors.push('エリア名を入力してください');
+            errors.push(...validate(values));
+            if (errors.length > 0) {
+                this.showErrors(errors);
+                return undefined;
+            }
+            // スキーマにない既存の属性値は保持する
+            return { areaName, attributes: { ...attributes, ...values } };
+        }, '#areaAttrName');
+    }
+
+    /**
+     * 属性項目（スキーマ）の編集ダイアログを表示
+     * @param {Array} schema - 現在の項目定義
+     * @param {Object} fieldTypes - 型名と表示名の対応
+     * @param {Function} validate - 項目定義の検証関数 (schema) => エラーメッセージ配列
+     * @returns {Promise<Array|null>} 編集後の項目定義（キャンセル時はnull）
+     */
+    showSchemaDialog(schema, fieldTypes, validate) {
+        const html = `
+            <div class="duplicate-dialog-header">
+                <span class="duplicate-dialog-icon">⚙️</span>
+                <h3>エリア属性の項目設定</h3>
+            </div>
+            <div class="duplicate-dialog-body">
+                <p class="duplicate-dialog-hint">項目はこのプロジェクト（画像）ごとに保存されます。選択肢はカンマ区切りで入力してください。</p>
+                <div class="attribute-schema-rows"></div>
+                <button class="duplicate-dialog-btn attribute-schema-add" data-role="add">＋ 項目を追加</button>
+                <p class="attribute-dialog-error" style="display: none;"></p>
+            </div>
+            <div class="duplicate-dialog-footer">
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-primary" data-action="ok">保存</button>
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-cancel" data-action="cancel">キャンセル</button>
+            </div>
+        `;
+
+        const promise = this.showDialog(html, () => {
+            const newSchema = [...this.dialog.querySelectorAll('.attribute-schema-row')].map(row => ({
+                label: row.querySelector('[data-field="label"]').value.trim(),
+                key: row.querySelector('[data-field="key"]').value.trim(),
+                type: row.querySelector('[data-field="type"]').value,
+                options: row.querySelector('[data-field="options"]').value
+                    .split(',').map(option => option.trim()).filter(option => option),
+                required: row.querySelector('[data-field="required"]').checked
+            }));
+
+            const errors = validate(newSchema);
+            if (errors.length > 0) {
+                this.showErrors(errors);
+                return undefined;
+            }
+            return newSchema;
+        });
+
+        const rowsContainer = this.dialog.querySelector('.attribute-schema-rows');
+        schema.forEach(field => rowsContainer.appendChild(this.createSchemaRow(field, fieldTypes)));
+        this.dialog.querySelector('[data-role="add"]').addEventListener('click', () => {
+            rowsContainer.appendChild(this.createSchemaRow({ key: '', label: '', type: 'text', options: [] }, fieldTypes));
+        });
+
+        return promise;
+    }
+
+    /**
+     * 子エリアを持つエリアの削除方法を選択するダイアログを表示
+     * @param {string} areaName - 削除するエリアの名前
+     * @param {number} childCount - 直下の子エリアの数
+     * @param {number} descendantCount - 子孫エリア（孫以下を含む）の数
+     * @returns {Promise<string|null>} 'promote'（子エリアを残す）| 'cascade'（子孫ごと削除）| null（キャンセル）
+     */
+    showDeleteParentDialog(areaName, childCount, descendantCount) {
+        const html = `
+            <div class="duplicate-dialog-header">
+                <span class="duplicate-dialog-icon">⚠️</span>
+                <h3>子エリアを持つエリアの削除</h3>
+            </div>
+            <div class="duplicate-dialog-body">
+                <p class="duplicate-dialog-message">
+                    エリア <strong>"${this.escapeHtml(areaName)}"</strong> には子エリアが ${childCount} 件
+                    （孫以下を含めて ${descendantCount} 件）あります。
+                </p>
+                <p class="duplicate-dialog-question">子エリアをどうしますか？</p>
+            </div>
+            <div class="duplicate-dialog-footer">
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-update" data-action="promote"
+                    title="子エリアは1つ上の階層に移動します">子エリアを残して削除</button>
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-rename" data-action="cascade">
+                    子エリアもすべて削除</button>
+                <button class="duplicate-dialog-btn duplicate-dialog-btn-cancel" data-action="cancel">キャンセル</button>
+            </div>
+        `;
+
+        return this.showDialog(html, (action) => action);
+    }
+
+    /**
+     * 項目定義の編集行を作成
+     * @param {Object} field - 項目定義
+     * @param {Object} fieldTypes - 型名と表示名の対応
+     * @returns {HTMLElement} 編集行
+     */
+    createSchemaRow(field, fieldTypes) {
+        const row = document.createElement('div');
+        row.className = 'attribute-schema-row';
+        const typeOptions = Object.entries(fieldTypes).map(([type, label]) =>
+            `<option value="${type}" ${field.type === type ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        row.innerHTML = `
+            <input type="text" class="duplicate-dialog-input" data-field="label" placeholder="表示名" value="${this.escapeHtml(field.label)}">
+            <input type="text" class="duplicate-dialog-input" data-field="key" placeholder="キー（英数字）" value="${this.escapeHtml(field.key)}">
+            <select class="duplicate-dialog-input" data-field="type">${typeOptions}</select>
+            <input type="text" class="duplicate-dialog-input" data-field="options" placeholder="選択肢" value="${this.escapeHtml((field.options || []).join(', '))}">
+            <label class="attribute-schema-required"><input type="checkbox" data-field="required" ${field.required ? 'checked' : ''}>必須</label>
+            <button type="button" class="duplicate-dialog-btn duplicate-dialog-btn-cancel" title="この項目を削除">×</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        return row;
+    }
+
+    /**
+     * 入力エラーを表示
+     * @param {Array<string>} errors - エラーメッセージ
+     */
+    showErrors(errors) {
+        const errorEl = this.dialog.querySelector('.attribute-dialog-error');
+        if (!errorEl) return;
+        errorEl.textContent = errors.join(' / ');
+        errorEl.style.display = 'block';
+    }
+
+    /**
+     * ダイアログを表示して、ユーザーの入力を待つ
+     * @param {string} html - ダイアログHTML
+     * @param {Function} collect - キャンセル以外のボタン押下時に入力値を取得する関数
+     *                             （押されたボタンのdata-actionを受け取る。undefinedを返すとダイアログを閉じない）
+     * @param {string|null} focusSelector - 表示時にフォーカスする要素のセレクタ
+     * @returns {Promise<*>} 入力値（キャンセル時はnull）
+     */
+    showDialog(html, collect, focusSelector = null) {
+        return new Promise((resolve) => {
+            this.resolveCallback = resolve;
+            this.dialog.innerHTML = html;
+
+            this.dialog.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (button.getAttribute('data-action') === 'cancel') {
+                        this.closeDialog(null);
+                        return;
+                    }
+                    const value = collect(button.getAttribute('data-action'));
+                    if (value !== undefined) {
+                        this.closeDialog(value);
+                    }
+                });
+            });
+
+            // Escapeキーでキャンセル
+            this.escapeHandler = (e) => {
+                if (e.key === 'Escape') {
+                    this.closeDialog(null);
+                }
+            };
+            document.addEventListener('keydown', this.escapeHandler);
+
+            this.overlay.style.display = 'flex';
+            this.dialog.style.animation = 'duplicateDialogSlideIn 0.3s ease-out';
+
+            if (focusSelector) {
+                const focusTarget = this.dialog.querySelector(focusSelector);
+                if (focusTarget) {
+                    setTimeout(() => {
+                        focusTarget.focus();
+                        focusTarget.select();
+                    }, 0);
+                }
+            }
+        });
+    }
+
+    /**
+     * ダイアログを閉じる
+     * @param {*} value - 返す値
+     */
+    closeDialog(value) {
+        if (!this.resolveCallback) return;
+
+        const resolve = this.resolveCallback;
+        this.resolveCallback = null;
+        document.removeEventListener('keydown', this.escapeHandler);
+        this.dialog.style.animation = 'duplicateDialogSlideOut 0.2s ease-in';
+
+        setTimeout(() => {
+            this.overlay.style.display = 'none';
+            this.dialog.innerHTML = '';
+            resolve(value);
+        }, 200);
+    }
+}
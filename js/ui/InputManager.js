@@ -8,8 +8,15 @@ export class InputManager {
     constructor(canvas) {
         this.canvas = canvas;
         this.inputElements = [];
+        this.spotInputElements = [];
+        this.spotRedrawTimer = null;
         this.isAreaEditMode = false;
+        this.isSpotEditMode = false;
         this.highlightedPointIds = new Set(); // 強調表示するポイントIDのセット
+        this.pointAreaNames = []; // ポイントごとの所属エリア名（ポイント配列と同じ順序）
+
+        // スポット名入力ボックスの幅（表示位置の計算用、CSSの .spot-name-input と合わせる）
+        this.SPOT_INPUT_WIDTH = 90;
 
         // ズーム・パン状態
         this.scale = 1.0;
@@ -18,7 +25,9 @@ export class InputManager {
 
         this.callbacks = {
             onPointIdChange: null,
-            onPointRemove: null
+            onPointRemove: null,
+            onSpotNameChange: null,
+            onSpotRemove: null
         };
     }
 
@@ -44,10 +53,12 @@ export class InputManager {
 
     /**
      * 編集モードを設定
-     * @param {string} mode - 編集モード ('point', 'area')
+     * @param {string} mode - 編集モード ('point', 'area', 'route', 'spot')
      */
     setEditMode(mode) {
         this.isAreaEditMode = (mode === 'area');
+        this.isSpotEditMode = (mode === 'spot');
+        this.updateSpotInputsState();
 
         if (mode !== 'area') {
             // エリア編集モード終了時は強調表示をクリア
@@ -73,6 +84,31 @@ export class InputManager {
         this.updateInputsState();
     }
 
+    /**
+     * ポイントごとの所属エリア名を設定し、入力ボックスのツールチップに表示
+     * @param {Array<Array<string>>} areaNamesByPoint - ポイント配列と同じ順序の所属エリア名配列
+     */
+    setPointAreaNames(areaNamesByPoint) {
+        this.pointAreaNames = areaNamesByPoint || [];
+        this.inputElements.forEach(input => {
+            this.updateAreaNameTitle(input);
+        });
+    }
+
+    /**
+     * 入力ボックスのツールチップに所属エリア名を表示
+     * @param {HTMLInputElement} input - 入力ボックス
+     */
+    updateAreaNameTitle(input) {
+        const index = parseInt(input.getAttribute('data-point-index'));
+        const names = this.pointAreaNames[index] || [];
+        const title = names.length > 0 ? `所属エリア: ${names.join(', ')}` : '所属エリアなし';
+        input.title = title;
+        if (input._container) {
+            input._container.title = title;
+        }
+    }
+
     /**
      * ポイント入力状態を更新
      */
@@ -163,6 +199,7 @@ export class InputManager {
         document.body.appendChild(container);
         this.inputElements.push(input);
         input._container = container;
+        this.updateAreaNameTitle(input);
 
         if (this.isAreaEditMode) {
             const isHighlighted = this.highlightedPointIds.has(point.id);
@@ -186,25 +223,102 @@ export class InputManager {
         }
     }
 
+    /**
+     * スポット用の名称入力ボックスを作成
+     * スポット編集モード以外では名称を表示のみ（編集不可）にする
+     * @param {Object} spot - スポットオブジェクト
+     * @param {number} index - スポットのインデックス
+     * @param {boolean} shouldFocus - フォーカスするかどうか
+     */
+    createSpotInputBox(spot, index, shouldFocus = false) {
+        const container = document.createElement('div');
+        container.className = 'point-id-popup spot-name-popup';
+        container.style.position = 'absolute';
+        container.style.zIndex = '1100';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 20;
+        input.className = 'point-id-input spot-name-input';
+        input.placeholder = '名称';
+        input.value = spot.name || '';
+
+        container.appendChild(input);
+        this.positionInputBox(container, spot, this.SPOT_INPUT_WIDTH);
+
+        input.addEventListener('input', (e) => {
+            this.notify('onSpotNameChange', { index, spot, name: e.target.value, skipFormatting: true });
+        });
+
+        input.addEventListener('blur', (e) => {
+            this.notify('onSpotNameChange', {
+                index,
+                spot,
+                name: e.target.value.trim(),
+                previousName: input._previousValue || '',
+                skipFormatting: false
+            });
+            container.classList.remove('is-editing');
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.notify('onSpotRemove', { index, spot });
+            }
+        });
+
+        input.addEventListener('focus', () => {
+            // 重複時に元の名称へ戻せるよう、編集前の名称を保持
+            input._previousValue = input.value;
+            container.classList.add('is-editing');
+        });
+
+        input.setAttribute('data-spot-index', index);
+        input.disabled = !this.isSpotEditMode;
+        document.body.appendChild(container);
+        this.spotInputElements.push(input);
+        input._container = container;
+
+        if (shouldFocus) {
+            setTimeout(() => {
+                input.focus();
+                input.setSelectionRange(input.value.length, input.value.length);
+            }, 0);
+        }
+    }
+
+    /**
+     * スポット入力ボックスの編集可否を更新
+     */
+    updateSpotInputsState() {
+        this.spotInputElements.forEach(input => {
+            input.disabled = !this.isSpotEditMode;
+        });
+    }
+
     /**
      * ズーム・パン状態を更新し、全ポップアップ位置を再計算
      */
-    updateTransform(scale, offsetX, offsetY, points = []) {
+    updateTransform(scale, offsetX, offsetY, points = [], spots = []) {
         this.scale = scale;
         this.offsetX = offsetX;
         this.offsetY = offsetY;
 
         this.clearInputBoxes();
+        this.clearSpotInputBoxes();
 
         points.forEach((point, index) => {
             this.createInputBox(point, index, false);
         });
+        spots.forEach((spot, index) => {
+            this.createSpotInputBox(spot, index, false);
+        });
     }
 
     /**
      * 入力ボックスの最適な表示位置を計算・設定
      */
-    positionInputBox(container, object) {
+    positionInputBox(container, object, inputWidth = 50) {
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = rect.width / this.canvas.width;
         const scaleY = rect.height / this.canvas.height;
@@ -212,15 +326,14 @@ export class InputManager {
         const transformedX = object.x * this.scale + this.offsetX;
         const transformedY = object.y * this.scale + this.offsetY;
 
-        const inputX = this.findOptimalInputPosition(transformedX, transformedY, scaleX, rect.left);
+        const inputX = this.findOptimalInputPosition(transformedX, transformedY, scaleX, rect.left, inputWidth);
         const inputY = transformedY * scaleY + rect.top - 15;
 
         container.style.left = inputX + 'px';
         container.style.top = inputY + 'px';
     }
 
-    findOptimalInputPosition(pointX, pointY, scaleX, canvasLeft) {
-        const inputWidth = 50;
+    findOptimalInputPosition(pointX, pointY, scaleX, canvasLeft, inputWidth = 50) {
         const margin = 10;
         const scaledPointX = pointX * scaleX + canvasLeft;
 
@@ -257,6 +370,40 @@ export class InputManager {
         }, 10);
     }
 
+    updateSpotNameDisplay(spotIndex, newName) {
+        const input = this.spotInputElements.find((element) => {
+            return element.getAttribute('data-spot-index') == spotIndex;
+        });
+        if (input && input.value !== newName) {
+            input.value = newName;
+        }
+    }
+
+    redrawSpotInputBoxes(spots) {
+        this.clearSpotInputBoxes();
+        // 連続して呼ばれた場合に入力ボックスが重複して作られないよう、最後の呼び出しのみ反映
+        this.spotRedrawTimer = setTimeout(() => {
+            this.spotRedrawTimer = null;
+            spots.forEach((spot, index) => {
+                this.createSpotInputBox(spot, index);
+            });
+        }, 10);
+    }
+
+    clearSpotInputBoxes() {
+        if (this.spotRedrawTimer) {
+            clearTimeout(this.spotRedrawTimer);
+            this.spotRedrawTimer = null;
+        }
+        this.spotInputElements.forEach(input => {
+            const container = input && input._container;
+            if (container && container.parentNode) {
+                container.parentNode.removeChild(container);
+            }
+        });
+        this.spotInputElements = [];
+    }
+
     clearInputBoxes() {
         this.inputElements.forEach(input => {
             const container = input && input._container;
@@ -269,6 +416,7 @@ export class InputManager {
 
     clearAllInputBoxes() {
         this.clearInputBoxes();
+        this.clearSpotInputBoxes();
     }
 
     setPointIdVisibility(visible) {
@@ -60,7 +60,7 @@ export class LayoutManager {
 
     /**
      * 編集モードを変更
-     * @param {string} mode - 編集モード ('point' | 'area')
+     * @param {string} mode - 編集モード ('point' | 'area' | 'route' | 'spot')
      */
     setEditingMode(mode) {
         this.currentEditingMode = mode;
@@ -98,16 +98,24 @@ export class LayoutManager {
     updateEditingModeDisplay() {
         const pointEditor = document.getElementById('pointEditor');
         const areaEditor = document.getElementById('areaEditor');
+        const routeEditor = document.getElementById('routeEditor');
+        const spotEditor = document.getElementById('spotEditor');
 
         // 全パネルを一旦非表示
         if (pointEditor) pointEditor.style.display = 'none';
         if (areaEditor) areaEditor.style.display = 'none';
+        if (routeEditor) routeEditor.style.display = 'none';
+        if (spotEditor) spotEditor.style.display = 'none';
 
         // 選択されたモードのパネルのみ表示
         if (this.currentEditingMode === 'point') {
             if (pointEditor) pointEditor.style.display = 'flex';
         } else if (this.currentEditingMode === 'area') {
             if (areaEditor) areaEditor.style.display = 'block';
+        } else if (this.currentEditingMode === 'route') {
+            if (routeEditor) routeEditor.style.display = 'block';
+        } else if (this.currentEditingMode === 'spot') {
+            if (spotEditor) spotEditor.style.display = 'flex';
         }
 
         const radio = document.querySelector(`input[name="editingMode"][value="${this.currentEditingMode}"]`);
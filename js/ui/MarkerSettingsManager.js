@@ -1,20 +1,32 @@
 /**
- * マーカーサイズ設定マネージャー
+ * マーカーサイズ・エリア名ラベル配置の設定マネージャー
  */
 export class MarkerSettingsManager {
     constructor() {
         this.defaultSizes = {
             point: 6,
             selectedWaypoint: 6,
-            unselectedWaypoint: 4
+            unselectedWaypoint: 4,
+            spot: 12
         };
 
         this.currentSizes = { ...this.defaultSizes };
+
+        // エリア名ラベルの配置（位置の決め方と重なりの解消方法）
+        this.labelPositions = ['pole', 'centroid'];
+        this.labelOverlaps = ['auto', 'hide', 'none'];
+        this.defaultLabelSettings = {
+            position: 'pole',
+            overlap: 'auto'
+        };
+        this.currentLabelSettings = { ...this.defaultLabelSettings };
+
         this.dialog = null;
         this.overlay = null;
         this.inputs = {};
         this.onSettingsChange = null;
         this.storageKey = 'areaMarkerSettings';
+        this.labelStorageKey = 'areaMarkerLabelSettings';
 
         this.init();
     }
@@ -28,13 +40,20 @@ export class MarkerSettingsManager {
         this.inputs = {
             point: document.getElementById('pointSizeInput'),
             selectedWaypoint: document.getElementById('selectedWaypointSizeInput'),
-            unselectedWaypoint: document.getElementById('unselectedWaypointSizeInput')
+            unselectedWaypoint: document.getElementById('unselectedWaypointSizeInput'),
+            spot: document.getElementById('spotSizeInput')
         };
 
         this.sliders = {
             point: document.getElementById('pointSizeSlider'),
             selectedWaypoint: document.getElementById('selectedWaypointSizeSlider'),
-            unselectedWaypoint: document.getElementById('unselectedWaypointSizeSlider')
+            unselectedWaypoint: document.getElementById('unselectedWaypointSizeSlider'),
+            spot: document.getElementById('spotSizeSlider')
+        };
+
+        this.labelSelects = {
+            position: document.getElementById('labelPositionSelect'),
+            overlap: document.getElementById('labelOverlapSelect')
         };
 
         this.okBtn = document.getElementById('settingsOkBtn');
@@ -55,6 +74,7 @@ export class MarkerSettingsManager {
         this.setupSliderSync('point');
         this.setupSliderSync('selectedWaypoint');
         this.setupSliderSync('unselectedWaypoint');
+        this.setupSliderSync('spot');
 
         this.overlay.addEventListener('click', (e) => {
             if (e.target === this.overlay) this.closeDialog();
@@ -94,6 +114,11 @@ export class MarkerSettingsManager {
         this.inputs.unselectedWaypoint.value = this.currentSizes.unselectedWaypoint.toFixed(1);
         this.sliders.unselectedWaypoint.value = this.currentSizes.unselectedWaypoint;
 
+        this.inputs.spot.value = this.currentSizes.spot.toFixed(1);
+        this.sliders.spot.value = this.currentSizes.spot;
+
+        this.setLabelSelectValues(this.currentLabelSettings);
+
         this.dialog.style.display = 'flex';
     }
 
@@ -105,7 +130,8 @@ export class MarkerSettingsManager {
         const newSizes = {
             point: parseFloat(this.inputs.point.value),
             selectedWaypoint: parseFloat(this.inputs.selectedWaypoint.value),
-            unselectedWaypoint: parseFloat(this.inputs.unselectedWaypoint.value)
+            unselectedWaypoint: parseFloat(this.inputs.unselectedWaypoint.value),
+            spot: parseFloat(this.inputs.spot.value)
         };
 
         if (!this.validateSizes(newSizes)) {
@@ -113,7 +139,13 @@ export class MarkerSettingsManager {
             return;
         }
 
+        const newLabelSettings = { ...this.currentLabelSettings };
+        Object.entries(this.labelSelects).forEach(([key, select]) => {
+            if (select) newLabelSettings[key] = select.value;
+        });
+
         this.currentSizes = newSizes;
+        this.currentLabelSettings = newLabelSettings;
         this.saveSettings();
 
         if (this.onSettingsChange) {
@@ -127,12 +159,35 @@ export class MarkerSettingsManager {
         if (sizes.point < 2 || sizes.point > 12) return false;
         if (sizes.selectedWaypoint < 2 || sizes.selectedWaypoint > 12) return false;
         if (sizes.unselectedWaypoint < 2 || sizes.unselectedWaypoint > 12) return false;
+        if (sizes.spot < 6 || sizes.spot > 20) return false;
         return true;
     }
 
+    /**
+     * ラベル配置設定を検証
+     * @param {Object} settings - {position, overlap}
+     * @returns {boolean}
+     */
+    validateLabelSettings(settings) {
+        return !!settings &&
+            this.labelPositions.includes(settings.position) &&
+            this.labelOverlaps.includes(settings.overlap);
+    }
+
+    /**
+     * ラベル配置設定をダイアログの選択肢に反映
+     * @param {Object} settings - {position, overlap}
+     */
+    setLabelSelectValues(settings) {
+        Object.entries(this.labelSelects).forEach(([key, select]) => {
+            if (select) select.value = settings[key];
+        });
+    }
+
     saveSettings() {
         try {
             localStorage.setItem(this.storageKey, JSON.stringify(this.currentSizes));
+            localStorage.setItem(this.labelStorageKey, JSON.stringify(this.currentLabelSettings));
         } catch (error) {
             console.error('localStorage Error:', error);
         }
@@ -142,11 +197,20 @@ export class MarkerSettingsManager {
         try {
             const saved = localStorage.getItem(this.storageKey);
             if (saved) {
-                const parsed = JSON.parse(saved);
+                // スポット追加前に保存された設定には spot がないため既定値で補う
+                const parsed = { ...this.defaultSizes, ...JSON.parse(saved) };
                 if (this.validateSizes(parsed)) {
                     this.currentSizes = parsed;
                 }
             }
+
+            const savedLabel = localStorage.getItem(this.labelStorageKey);
+            if (savedLabel) {
+                const parsedLabel = JSON.parse(savedLabel);
+                if (this.validateLabelSettings(parsedLabel)) {
+                    this.currentLabelSettings = parsedLabel;
+                }
+            }
         } catch (error) {
             console.error('localStorage Load Error:', error);
         }
@@ -156,6 +220,10 @@ export class MarkerSettingsManager {
         return { ...this.currentSizes };
     }
 
+    getLabelSettings() {
+        return { ...this.currentLabelSettings };
+    }
+
     setCallback(callback) {
         this.onSettingsChange = callback;
     }
@@ -169,5 +237,10 @@ export class MarkerSettingsManager {
 
         this.inputs.unselectedWaypoint.value = this.defaultSizes.unselectedWaypoint.toFixed(1);
         this.sliders.unselectedWaypoint.value = this.defaultSizes.unselectedWaypoint;
+
+        this.inputs.spot.value = this.defaultSizes.spot.toFixed(1);
+        this.sliders.spot.value = this.defaultSizes.spot;
+
+        this.setLabelSelectValues(this.defaultLabelSettings);
     }
 }
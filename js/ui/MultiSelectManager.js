@@ -0,0 +1,198 @@
+/**
+ * 範囲選択（ラバーバンド）によるポイント・エリア頂点の複数選択を管理するクラス
+ * 選択はオブジェクトの参照で保持するため、配列の並びが変わっても選択が崩れない
+ * Shiftキーで選択に追加、Ctrl（Macは⌘）キーで選択を反転する
+ */
+export class MultiSelectManager {
+    constructor() {
+        // 選択中のオブジェクトの種類（'point' | 'vertex' | null）
+        this.selectionType = null;
+        // 選択中のオブジェクト（ポイントまたは頂点の参照）
+        this.selected = new Set();
+        // 範囲選択中の矩形 {start, end, operation, isActive}
+        this.band = null;
+        // この距離以上ドラッグしたら範囲選択として扱う（キャンバス座標）
+        this.BAND_THRESHOLD = 3;
+
+        this.callbacks = {
+            onSelectionChange: null
+        };
+    }
+
+    /**
+     * コールバック関数を設定
+     * @param {string} event - イベント名
+     * @param {Function} callback - コールバック関数
+     */
+    setCallback(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * 変更通知を発行
+     * @param {string} event - イベント名
+     * @param {any} data - イベントデータ
+     */
+    notify(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+
+    /**
+     * 修飾キーから選択の操作を判定
+     * @param {MouseEvent|null} event - マウスイベント
+     * @returns {string} 'replace'（置き換え）| 'add'（追加）| 'toggle'（反転）
+     */
+    static getOperation(event) {
+        if (event && (event.ctrlKey || event.metaKey)) return 'toggle';
+        if (event && event.shiftKey) return 'add';
+        return 'replace';
+    }
+
+    /**
+     * 選択中のオブジェクトを取得
+     * @param {Array} candidates - 現在存在するオブジェクト（削除済みの参照を除くため）
+     * @returns {Array} 選択中のオブジェクト（candidates の順序）
+     */
+    getSelected(candidates) {
+        return candidates.filter(object => this.selected.has(object));
+    }
+
+    /**
+     * 選択中かどうか
+     * @param {Object} object - ポイントまたは頂点
+     * @returns {boolean}
+     */
+    isSelected(object) {
+        return this.selected.has(object);
+    }
+
+    /**
+     * 選択数
+     * @returns {number}
+     */
+    getCount() {
+        return this.selected.size;
+    }
+
+    /**
+     * 選択を変更
+     * 種類の異なるオブジェクトを選択した場合は既存の選択を破棄する
+     * @param {string} type - 'point' | 'vertex'
+     * @param {Array} objects - 対象のオブジェクト
+     * @param {string} operation - 'replace' | 'add' | 'toggle'
+     */
+    select(type, objects, operation = 'replace') {
+        if (operation === 'replace' || this.selectionType !== type) {
+            this.selected.clear();
+        }
+        this.selectionType = type;
+
+        objects.forEach(object => {
+            if (operation === 'toggle' && this.selected.has(object)) {
+                this.selected.delete(object);
+            } else {
+                this.selected.add(object);
+            }
+        });
+
+        if (this.selected.size === 0) {
+            this.selectionType = null;
+        }
+        this.notify('onSelectionChange', this.selected.size);
+    }
+
+    /**
+     * 選択を解除
+     * @returns {boolean} 解除したかどうか（もともと未選択の場合はfalse）
+     */
+    clear() {
+        if (this.selected.size === 0 && this.selectionType === null) return false;
+        this.selected.clear();
+        this.selectionType = null;
+        this.notify('onSelectionChange', 0);
+        return true;
+    }
+
+    /**
+     * 範囲選択を開始（一定距離ドラッグするまでは確定しない）
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {string} operation - 'replace' | 'add' | 'toggle'
+     */
+    startBand(x, y, operation = 'replace') {
+        this.band = { start: { x, y }, end: { x, y }, operation, isActive: false };
+    }
+
+    /**
+     * 範囲選択の矩形を更新
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {boolean} 範囲選択として扱っているかどうか
+     */
+    updateBand(x, y) {
+        if (!this.band) return false;
+        this.band.end = { x, y };
+        if (!this.band.isActive) {
+            const distance = Math.hypot(x - this.band.start.x, y - this.band.start.y);
+            this.band.isActive = distance > this.BAND_THRESHOLD;
+        }
+        return this.band.isActive;
+    }
+
+    /**
+     * 範囲選択中かどうか（ドラッグ距離が閾値未満の場合は含まない）
+     * @returns {boolean}
+     */
+    isBandActive() {
+        return !!this.band && this.band.isActive;
+    }
+
+    /**
+     * 範囲選択を開始済みかどうか（閾値未満を含む）
+     * @returns {boolean}
+     */
+    hasBand() {
+        return this.band !== null;
+    }
+
+    /**
+     * 範囲選択の矩形を取得
+     * @returns {{x1: number, y1: number, x2: number, y2: number}|null}
+     */
+    getBandRect() {
+        if (!this.isBandActive()) return null;
+        const { start, end } = this.band;
+        return { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+    }
+
+    /**
+     * 範囲選択を終了し、矩形内のオブジェクトを選択
+     * @param {string} type - 'point' | 'vertex'
+     * @param {Array} candidates - 選択候補のオブジェクト
+     * @returns {boolean} 範囲選択として処理したかどうか（閾値未満のドラッグはクリックとして扱う）
+     */
+    finishBand(type, candidates) {
+        const band = this.band;
+        this.band = null;
+        if (!band || !band.isActive) return false;
+
+        const left = Math.min(band.start.x, band.end.x);
+        const right = Math.max(band.start.x, band.end.x);
+        const top = Math.min(band.start.y, band.end.y);
+        const bottom = Math.max(band.start.y, band.end.y);
+        const inside = candidates.filter(object =>
+            object.x >= left && object.x <= right && object.y >= top && object.y <= bottom);
+
+        this.select(type, inside, band.operation);
+        return true;
+    }
+
+    /**
+     * 範囲選択を中止
+     */
+    cancelBand() {
+        this.band = null;
+    }
+}
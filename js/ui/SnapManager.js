@@ -0,0 +1,269 @@
+import { GeometryUtils } from '../utils/Geometry.js';
+
+/**
+ * 頂点追加・ドラッグ時のスナップ（ポイント・他エリアの頂点・他エリアの辺への吸着）を管理するクラス
+ * Altキーを押している間はスナップの有効/無効を一時的に反転する
+ */
+export class SnapManager {
+    constructor() {
+        this.enabled = true;
+        this.targets = {
+            points: true,
+            vertices: true,
+            edges: true
+        };
+        // 吸着距離（画面上のピクセル）
+        this.tolerance = 10;
+        // 現在のスナップ候補 {x, y, type}（表示用）
+        this.currentSnap = null;
+        this.storageKey = 'areaMarkerSnapSettings';
+
+        this.callbacks = {
+            onSettingsChange: null
+        };
+
+        this.loadSettings();
+        this.initializeEventListeners();
+        this.updateDisplay();
+    }
+
+    /**
+     * コールバック関数を設定
+     * @param {string} event - イベント名
+     * @param {Function} callback - コールバック関数
+     */
+    setCallback(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * 変更通知を発行
+     * @param {string} event - イベント名
+     * @param {any} data - イベントデータ
+     */
+    notify(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+
+    /**
+     * イベントリスナーを初期化
+     */
+    initializeEventListeners() {
+        const enabledCheckbox = document.getElementById('snapEnabledCheckbox');
+        if (enabledCheckbox) {
+            enabledCheckbox.addEventListener('change', (e) => {
+                this.enabled = e.target.checked;
+                this.applySettingsChange();
+            });
+        }
+
+        const targetCheckboxes = {
+            points: document.getElementById('snapToPointsCheckbox'),
+            vertices: document.getElementById('snapToVerticesCheckbox'),
+            edges: document.getElementById('snapToEdgesCheckbox')
+        };
+        Object.entries(targetCheckboxes).forEach(([key, checkbox]) => {
+            if (!checkbox) return;
+            checkbox.addEventListener('change', (e) => {
+                this.targets[key] = e.target.checked;
+                this.applySettingsChange();
+            });
+        });
+
+        const toleranceSelect = document.getElementById('snapToleranceSelect');
+        if (toleranceSelect) {
+            toleranceSelect.addEventListener('change', (e) => {
+                this.tolerance = parseInt(e.target.value);
+                this.applySettingsChange();
+            });
+        }
+    }
+
+    /**
+     * 設定の表示を更新
+     */
+    updateDisplay() {
+        const enabledCheckbox = document.getElementById('snapEnabledCheckbox');
+        if (enabledCheckbox) enabledCheckbox.checked = this.enabled;
+
+        const pointsCheckbox = document.getElementById('snapToPointsCheckbox');
+        if (pointsCheckbox) pointsCheckbox.checked = this.targets.points;
+
+        const verticesCheckbox = document.getElementById('snapToVerticesCheckbox');
+        if (verticesCheckbox) verticesCheckbox.checked = this.targets.vertices;
+
+        const edgesCheckbox = document.getElementById('snapToEdgesCheckbox');
+        if (edgesCheckbox) edgesCheckbox.checked = this.targets.edges;
+
+        const toleranceSelect = document.getElementById('snapToleranceSelect');
+        if (toleranceSelect) toleranceSelect.value = String(this.tolerance);
+    }
+
+    /**
+     * 設定変更を保存して通知
+     */
+    applySettingsChange() {
+        this.currentSnap = null;
+        this.saveSettings();
+        this.notify('onSettingsChange', this.getSettings());
+    }
+
+    /**
+     * 現在の設定を取得
+     * @returns {{enabled: boolean, targets: Object, tolerance: number}}
+     */
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            targets: { ...this.targets },
+            tolerance: this.tolerance
+        };
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings()));
+        } catch (error) {
+            console.error('localStorage Error:', error);
+        }
+    }
+
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                this.enabled = parsed.enabled !== false;
+                this.targets = { ...this.targets, ...(parsed.targets || {}) };
+                if (parsed.tolerance > 0) {
+                    this.tolerance = parsed.tolerance;
+                }
+            }
+        } catch (error) {
+            console.error('localStorage Load Error:', error);
+        }
+    }
+
+    /**
+     * マウスイベントの修飾キーを考慮してスナップが有効かどうかを判定
+     * @param {MouseEvent} event - マウスイベント
+     * @returns {boolean}
+     */
+    isActive(event) {
+        const inverted = !!(event && event.altKey);
+        return this.enabled !== inverted;
+    }
+
+    /**
+     * 指定座標に最も近いスナップ先を検索
+     * ポイント・頂点を辺より優先し、吸着距離内に候補がなければnullを返す
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @param {Object} managers - { pointManager, areaManager }
+     * @param {number} canvasScale - キャンバスのズーム倍率
+     * @param {Array} excludeVertices - 対象外とする頂点 {areaIndex, ringIndex, vertexIndex}（一緒に動く共有頂点など）
+     * @returns {{x: number, y: number, type: string} | null} スナップ先（type: 'point' | 'vertex' | 'edge'）
+     */
+    findSnapTarget(x, y, managers, canvasScale = 1.0, excludeVertices = []) {
+        const { pointManager, areaManager } = managers;
+        const tolerance = this.tolerance / canvasScale;
+        let best = null;
+        let bestDistance = tolerance;
+
+        const consider = (candidateX, candidateY, type) => {
+            const distance = Math.hypot(candidateX - x, candidateY - y);
+            if (distance <= bestDistance) {
+                best = { x: candidateX, y: candidateY, type };
+                bestDistance = distance;
+            }
+        };
+
+        if (this.targets.points && pointManager) {
+            pointManager.getPoints().forEach(point => consider(point.x, point.y, 'point'));
+        }
+
+        // 編集中のエリア自身は対象外（他エリアのみ）
+        const otherRings = [];
+        if (areaManager) {
+            areaManager.getAllAreas().forEach((area, areaIndex) => {
+                if (areaIndex === areaManager.selectedAreaIndex) return;
+                areaManager.getRings(area).forEach((ring, ringIndex) => {
+                    if (ring.length === 0) return;
+                    const excluded = new Set(excludeVertices
+                        .filter(v => v.areaIndex === areaIndex && v.ringIndex === ringIndex)
+                        .map(v => v.vertexIndex));
+                    otherRings.push({ ring, excluded });
+                });
+            });
+        }
+
+        if (this.targets.vertices) {
+            otherRings.forEach(({ ring, excluded }) => ring.forEach((vertex, i) => {
+                if (!excluded.has(i)) consider(vertex.x, vertex.y, 'vertex');
+            }));
+        }
+
+        if (best || !this.targets.edges) return best;
+
+        otherRings.forEach(({ ring, excluded }) => {
+            if (ring.length < 2) return;
+            for (let i = 0; i < ring.length; i++) {
+                const next = (i + 1) % ring.length;
+                // 対象外の頂点に接する辺も一緒に動くため除外
+                if (excluded.has(i) || excluded.has(next)) continue;
+                const point = GeometryUtils.closestPointOnSegment(x, y, ring[i], ring[next]);
+                consider(point.x, point.y, 'edge');
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 座標にスナップを適用し、表示用のスナップ候補を更新
+     * @param {number} x - X座標（キャンバス座標）
+     * @param {number} y - Y座標（キャンバス座標）
+     * @param {MouseEvent} event - マウスイベント（修飾キー判定用）
+     * @param {Object} managers - { pointManager, areaManager }
+     * @param {number} canvasScale - キャンバスのズーム倍率
+     * @param {Array} excludeVertices - 対象外とする頂点
+     * @returns {{x: number, y: number}} スナップ後の座標
+     */
+    snap(x, y, event, managers, canvasScale = 1.0, excludeVertices = []) {
+        this.currentSnap = this.isActive(event)
+            ? this.findSnapTarget(x, y, managers, canvasScale, excludeVertices)
+            : null;
+        return this.currentSnap ? { x: this.currentSnap.x, y: this.currentSnap.y } : { x, y };
+    }
+
+    /**
+     * 表示中のスナップ候補を取得
+     * @returns {{x: number, y: number, type: string} | null}
+     */
+    getCurrentSnap() {
+        return this.currentSnap;
+    }
+
+    /**
+     * 2つのスナップ候補が同じかどうか
+     * @param {Object|null} a - スナップ候補
+     * @param {Object|null} b - スナップ候補
+     * @returns {boolean}
+     */
+    isSameSnap(a, b) {
+        if (!a || !b) return a === b;
+        return a.x === b.x && a.y === b.y && a.type === b.type;
+    }
+
+    /**
+     * 表示中のスナップ候補をクリア
+     * @returns {boolean} クリアしたかどうか
+     */
+    clearCurrentSnap() {
+        const hadSnap = this.currentSnap !== null;
+        this.currentSnap = null;
+        return hadSnap;
+    }
+}
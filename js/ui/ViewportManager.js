@@ -8,13 +8,15 @@ export class ViewportManager {
      * @param {Object} canvasRenderer - CanvasRendererインスタンス
      * @param {Object} inputManager - InputManagerインスタンス
      * @param {Object} pointManager - PointManagerインスタンス
+     * @param {Object} areaManager - AreaManagerインスタンス
      * @param {Object} spotManager - SpotManagerインスタンス
      */
-    constructor(canvasRenderer, inputManager, pointManager, areaManager) {
+    constructor(canvasRenderer, inputManager, pointManager, areaManager, spotManager) {
         this.canvasRenderer = canvasRenderer;
         this.inputManager = inputManager;
         this.pointManager = pointManager;
         this.areaManager = areaManager;
+        this.spotManager = spotManager;
     }
 
     /**
@@ -81,8 +83,9 @@ export class ViewportManager {
         const scale = this.canvasRenderer.getScale();
         const offset = this.canvasRenderer.getOffset();
         const points = this.pointManager.getPoints();
+        const spots = this.spotManager.getSpots();
 
-        this.inputManager.updateTransform(scale, offset.x, offset.y, points);
+        this.inputManager.updateTransform(scale, offset.x, offset.y, points, spots);
 
         // チェックボックスの状態を反映（ポイントID）
         const checkbox = document.getElementById('showPointIdsCheckbox');
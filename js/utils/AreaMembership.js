@@ -0,0 +1,51 @@
+import { GeometryUtils } from './Geometry.js';
+
+/**
+ * ポイントとエリアの包含関係（どのポイントがどのエリアに含まれるか）を求めるユーティリティクラス
+ */
+export class AreaMembership {
+    /**
+     * ポイントがエリアに含まれるか判定
+     * @param {Object} area - エリアデータ {vertices, holes}
+     * @param {Object} point - ポイント {x, y}
+     * @returns {boolean}
+     */
+    static contains(area, point) {
+        return GeometryUtils.pointInPolygon(point.x, point.y, area.vertices || [], area.holes || []);
+    }
+
+    /**
+     * エリアに含まれるポイントを取得
+     * @param {Object} area - エリアデータ
+     * @param {Array} points - ポイント配列
+     * @returns {Array} 含まれるポイント
+     */
+    static getPointsInArea(area, points) {
+        if (!area) return [];
+        return points.filter(point => this.contains(area, point));
+    }
+
+    /**
+     * ポイントを含むエリアを取得（エリアは重なり得るため複数の場合あり）
+     * @param {Object} point - ポイント
+     * @param {Array} areas - 全エリア配列
+     * @returns {Array} ポイントを含むエリア
+     */
+    static getAreasForPoint(point, areas) {
+        return areas.filter(area => this.contains(area, point));
+    }
+
+    /**
+     * エリアごとの所属ポイントID一覧を作成（IDが空のポイントは対象外）
+     * @param {Array} points - ポイント配列
+     * @param {Array} areas - 全エリア配列
+     * @returns {Array<{areaName: string, pointIds: Array<string>}>} 所属表
+     */
+    static buildTable(points, areas) {
+        const namedPoints = points.filter(point => point.id && point.id.trim() !== '');
+        return areas.map(area => ({
+            areaName: area.areaName,
+            pointIds: this.getPointsInArea(area, namedPoints).map(point => point.id)
+        }));
+    }
+}
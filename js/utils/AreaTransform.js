@@ -0,0 +1,206 @@
+/**
+ * エリア全体の移動・回転・拡大縮小の計算ユーティリティクラス
+ * 変形は transform: {dx, dy, angle, scaleX, scaleY, originX, originY} で表し、
+ * 基準点まわりに 拡大縮小 → 回転 → 平行移動 の順に適用する
+ */
+export class AreaTransform {
+    /**
+     * 何もしない変形
+     * @param {number} originX - 基準点X座標
+     * @param {number} originY - 基準点Y座標
+     * @returns {Object} transform
+     */
+    static identity(originX = 0, originY = 0) {
+        return { dx: 0, dy: 0, angle: 0, scaleX: 1, scaleY: 1, originX, originY };
+    }
+
+    /**
+     * 頂点配列の配列を囲む外接矩形
+     * @param {Array<Array<{x: number, y: number}>>} rings - 頂点配列の配列（外周・穴）
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number, cx: number, cy: number,
+     *            width: number, height: number}|null} 外接矩形（頂点がない場合はnull）
+     */
+    static getBounds(rings) {
+        const points = rings.flat();
+        if (points.length === 0) return null;
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const maxX = Math.max(...xs);
+        const maxY = Math.max(...ys);
+        return {
+            minX, minY, maxX, maxY,
+            cx: (minX + maxX) / 2,
+            cy: (minY + maxY) / 2,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    }
+
+    /**
+     * 外接矩形の編集用ハンドルの位置を取得
+     * 四隅・各辺の中央は拡大縮小、上辺の上は回転のハンドル
+     * @param {Object} bounds - 外接矩形
+     * @param {number} rotateOffset - 回転ハンドルを上辺から離す距離
+     * @returns {Array<{type: string, x: number, y: number}>} ハンドル
+     *          （type: 'nw' | 'n' | 'ne' | 'e' | 'se' | 's' | 'sw' | 'w' | 'rotate'）
+     */
+    static getHandles(bounds, rotateOffset = 24) {
+        const { minX, minY, maxX, maxY, cx, cy } = bounds;
+        return [
+            { type: 'nw', x: minX, y: minY },
+            { type: 'n', x: cx, y: minY },
+            { type: 'ne', x: maxX, y: minY },
+            { type: 'e', x: maxX, y: cy },
+            { type: 'se', x: maxX, y: maxY },
+            { type: 's', x: cx, y: maxY },
+            { type: 'sw', x: minX, y: maxY },
+            { type: 'w', x: minX, y: cy },
+            { type: 'rotate', x: cx, y: minY - rotateOffset }
+        ];
+    }
+
+    /**
+     * 指定座標にあるハンドルを検索（ハンドル以外で外接矩形の内側は移動として扱う）
+     * @param {Object} bounds - 外接矩形
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} threshold - 判定距離
+     * @param {number} rotateOffset - 回転ハンドルを上辺から離す距離
+     * @returns {string|null} ハンドルの種類（'move' を含む）、該当しない場合はnull
+     */
+    static findHandleAt(bounds, x, y, threshold, rotateOffset = 24) {
+        const handle = this.getHandles(bounds, rotateOffset)
+            .find(h => Math.hypot(h.x - x, h.y - y) <= threshold);
+        if (handle) return handle.type;
+
+        const inside = x >= bounds.minX - threshold && x <= bounds.maxX + threshold &&
+            y >= bounds.minY - threshold && y <= bounds.maxY + threshold;
+        return inside ? 'move' : null;
+    }
+
+    /**
+     * ハンドルのドラッグから変形を求める
+     * 拡大縮小は反対側の隅・辺を、回転は外接矩形の中心を基準にする
+     * @param {string} handleType - ハンドルの種類
+     * @param {Object} bounds - ドラッグ開始時の外接矩形
+     * @param {{x: number, y: number}} start - ドラッグ開始位置
+     * @param {{x: number, y: number}} current - 現在のマウス位置
+     * @param {boolean} constrain - 制約（移動は水平・垂直、四隅の拡大縮小は縦横比を保持、回転は15度単位）
+     * @returns {Object} transform
+     */
+    static fromHandleDrag(handleType, bounds, start, current, constrain = false) {
+        const transform = this.identity(bounds.cx, bounds.cy);
+
+        if (handleType === 'move') {
+            let dx = current.x - start.x;
+            let dy = current.y - start.y;
+            if (constrain) {
+                if (Math.abs(dx) >= Math.abs(dy)) dy = 0;
+                else dx = 0;
+            }
+            transform.dx = dx;
+            transform.dy = dy;
+            return transform;
+        }
+
+        if (handleType === 'rotate') {
+            const startAngle = Math.atan2(start.y - bounds.cy, start.x - bounds.cx);
+            const currentAngle = Math.atan2(current.y - bounds.cy, current.x - bounds.cx);
+            let angle = currentAngle - startAngle;
+            if (constrain) {
+                const step = Math.PI / 12;
+                angle = Math.round(angle / step) * step;
+            }
+            transform.angle = angle;
+            return transform;
+        }
+
+        // 拡大縮小：ドラッグするハンドルの反対側を基準点にする
+        const moveX = handleType.includes('e') ? 1 : (handleType.includes('w') ? -1 : 0);
+        const moveY = handleType.includes('s') ? 1 : (handleType.includes('n') ? -1 : 0);
+        transform.originX = moveX === 1 ? bounds.minX : (moveX === -1 ? bounds.maxX : bounds.cx);
+        transform.originY = moveY === 1 ? bounds.minY : (moveY === -1 ? bounds.maxY : bounds.cy);
+
+        const ratio = (delta, size) => (size > 0 ? 1 + delta / size : 1);
+        if (moveX !== 0) {
+            transform.scaleX = ratio((current.x - start.x) * moveX, bounds.width);
+        }
+        if (moveY !== 0) {
+            transform.scaleY = ratio((current.y - start.y) * moveY, bounds.height);
+        }
+
+        // 四隅の制約は縦横比を保持（変化の大きい方に合わせる）
+        if (constrain && moveX !== 0 && moveY !== 0) {
+            const uniform = Math.abs(transform.scaleX - 1) >= Math.abs(transform.scaleY - 1)
+                ? transform.scaleX
+                : transform.scaleY;
+            transform.scaleX = uniform;
+            transform.scaleY = uniform;
+        }
+        return transform;
+    }
+
+    /**
+     * 点に変形を適用
+     * @param {{x: number, y: number}} point - 点
+     * @param {Object} transform - 変形
+     * @returns {{x: number, y: number}}
+     */
+    static applyToPoint(point, transform) {
+        const { dx, dy, angle, scaleX, scaleY, originX, originY } = transform;
+        const sx = (point.x - originX) * scaleX;
+        const sy = (point.y - originY) * scaleY;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: originX + sx * cos - sy * sin + dx,
+            y: originY + sx * sin + sy * cos + dy
+        };
+    }
+
+    /**
+     * 頂点配列の配列に変形を適用した新しい配列を返す
+     * @param {Array<Array<{x: number, y: number}>>} rings - 頂点配列の配列
+     * @param {Object} transform - 変形
+     * @returns {Array<Array<{x: number, y: number}>>}
+     */
+    static applyToRings(rings, transform) {
+        return rings.map(ring => ring.map(point => this.applyToPoint(point, transform)));
+    }
+
+    /**
+     * 図形（ShapePrimitives の形式）に変形を適用
+     * 回転した図形を縦横別の倍率で拡大縮小すると図形として表せないため、その場合はnullを返す
+     * @param {Object} shape - 図形のパラメータ
+     * @param {Object} transform - 変形
+     * @returns {Object|null} 変形後の図形（図形として表せない場合はnull）
+     */
+    static applyToShape(shape, transform) {
+        const isUniform = Math.abs(transform.scaleX - transform.scaleY) < 1e-9;
+        const quarterTurns = (shape.rotation || 0) / (Math.PI / 2);
+        const isAxisAligned = Math.abs(quarterTurns - Math.round(quarterTurns)) < 1e-9;
+        if (!isUniform && !isAxisAligned) return null;
+
+        const center = this.applyToPoint({ x: shape.cx, y: shape.cy }, transform);
+        // 90度単位で回転している図形は幅と高さの向きが入れ替わる
+        const swapped = Math.abs(Math.round(quarterTurns)) % 2 === 1;
+        const widthScale = Math.abs(swapped ? transform.scaleY : transform.scaleX);
+        const heightScale = Math.abs(swapped ? transform.scaleX : transform.scaleY);
+        const result = {
+            ...shape,
+            cx: center.x,
+            cy: center.y,
+            width: shape.width * widthScale,
+            height: shape.height * heightScale,
+            rotation: (shape.rotation || 0) + transform.angle
+        };
+        // 縦横別の倍率で拡大縮小した円は楕円になる
+        if (result.type === 'circle' && Math.abs(result.width - result.height) > 1e-9) {
+            result.type = 'ellipse';
+        }
+        return result;
+    }
+}
@@ -6,10 +6,14 @@ import { CoordinateUtils } from './Coordinates.js';
 export class DragDropHandler {
     constructor() {
         this.isDragging = false;
-        this.draggedObjectType = null;  // 'point' | 'vertex'
+        this.draggedObjectType = null;  // 'point' | 'vertex' | 'waypoint' | 'spot'
         this.draggedObjectIndex = -1;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
+        // 境界共有編集で一緒に動かす他エリアの頂点
+        this.linkedVertices = [];
+        // 複数選択をまとめてドラッグする場合の対象 [{object, originX, originY, links}]
+        this.groupItems = null;
 
         // ドラッグ移動判定用
         this.dragStartX = 0;
@@ -20,16 +24,18 @@ export class DragDropHandler {
 
     /**
      * ドラッグ開始処理
-     * @param {string} objectType - ドラッグするオブジェクトの種類（'point' | 'vertex'）
+     * @param {string} objectType - ドラッグするオブジェクトの種類（'point' | 'vertex' | 'waypoint' | 'spot'）
      * @param {number} objectIndex - オブジェクトのインデックス
      * @param {number} mouseX - マウスX座標
      * @param {number} mouseY - マウスY座標
      * @param {Object} object - ドラッグするオブジェクト
+     * @param {Array} linkedVertices - 一緒に動かす他エリアの頂点（境界共有編集時）
      */
-    startDrag(objectType, objectIndex, mouseX, mouseY, object) {
+    startDrag(objectType, objectIndex, mouseX, mouseY, object, linkedVertices = []) {
         this.isDragging = true;
         this.draggedObjectType = objectType;
         this.draggedObjectIndex = objectIndex;
+        this.linkedVertices = linkedVertices;
         this.dragOffsetX = mouseX - object.x;
         this.dragOffsetY = mouseY - object.y;
 
@@ -39,15 +45,43 @@ export class DragDropHandler {
         this.hasMoved = false;
     }
 
+    /**
+     * 複数選択したポイント・頂点のまとめてドラッグを開始
+     * @param {string} objectType - ドラッグするオブジェクトの種類（'point' | 'vertex'）
+     * @param {Array} objects - ドラッグするオブジェクト（ポイントまたは編集対象リングの頂点の参照）
+     * @param {number} mouseX - マウスX座標
+     * @param {number} mouseY - マウスY座標
+     * @param {Array<Array>} linkedVertices - 各頂点と一緒に動かす他エリアの頂点（objects と同じ順序）
+     */
+    startGroupDrag(objectType, objects, mouseX, mouseY, linkedVertices = []) {
+        this.isDragging = true;
+        this.draggedObjectType = objectType;
+        this.draggedObjectIndex = -1;
+        this.groupItems = objects.map((object, i) => ({
+            object,
+            originX: object.x,
+            originY: object.y,
+            links: linkedVertices[i] || []
+        }));
+        this.linkedVertices = this.groupItems.flatMap(item => item.links);
+
+        this.dragStartX = mouseX;
+        this.dragStartY = mouseY;
+        this.hasMoved = false;
+    }
+
     /**
      * ドラッグ中の更新処理
      * @param {number} mouseX - マウスX座標
      * @param {number} mouseY - マウスY座標
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {Function|null} snapPosition - 頂点の移動先を補正する関数 (x, y) => {x, y}
+     * @param {Object|null} routeManager - RouteManagerインスタンス（ルートの中間点をドラッグする場合）
+     * @param {Object|null} spotManager - SpotManagerインスタンス（スポットをドラッグする場合）
      * @returns {boolean} 位置が更新されたかどうか
      */
-    updateDrag(mouseX, mouseY, pointManager, areaManager) {
+    updateDrag(mouseX, mouseY, pointManager, areaManager, snapPosition = null, routeManager = null, spotManager = null) {
         if (!this.isDragging) return false;
 
         // 移動距離を計算
@@ -61,6 +95,26 @@ export class DragDropHandler {
             }
         }
 
+        // まとめてドラッグする場合は移動量を全体に適用（スナップは適用しない）
+        if (this.groupItems) {
+            const dx = mouseX - this.dragStartX;
+            const dy = mouseY - this.dragStartY;
+            if (this.draggedObjectType === 'point') {
+                this.groupItems.forEach(item => {
+                    item.object.x = Math.round(item.originX + dx);
+                    item.object.y = Math.round(item.originY + dy);
+                });
+            } else {
+                areaManager.moveVertices(this.groupItems.map(item => ({
+                    vertex: item.object,
+                    x: item.originX + dx,
+                    y: item.originY + dy,
+                    links: item.links
+                })));
+            }
+            return true;
+        }
+
         const newX = mouseX - this.dragOffsetX;
         const newY = mouseY - this.dragOffsetY;
 
@@ -72,7 +126,18 @@ export class DragDropHandler {
                 return true;
             }
         } else if (this.draggedObjectType === 'vertex') {
-            areaManager.updateVertex(this.draggedObjectIndex, newX, newY);
+            const position = snapPosition ? snapPosition(newX, newY) : { x: newX, y: newY };
+            areaManager.updateVertex(this.draggedObjectIndex, position.x, position.y);
+            if (this.linkedVertices.length > 0) {
+                const vertex = areaManager.getAreaVertex(this.draggedObjectIndex);
+                areaManager.moveLinkedVertices(this.linkedVertices, vertex.x, vertex.y);
+            }
+            return true;
+        } else if (this.draggedObjectType === 'waypoint' && routeManager) {
+            routeManager.updateRoutePoint(this.draggedObjectIndex, newX, newY);
+            return true;
+        } else if (this.draggedObjectType === 'spot' && spotManager) {
+            spotManager.updateSpotPosition(this.draggedObjectIndex, newX, newY);
             return true;
         }
 
@@ -85,22 +150,37 @@ export class DragDropHandler {
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {Function} onPointDragEndCallback - ポイントドラッグ終了時のコールバック
      * @param {Function} onVertexDragEndCallback - 頂点ドラッグ終了時のコールバック
+     * @param {Function|null} onWaypointDragEndCallback - ルートの中間点ドラッグ終了時のコールバック
+     * @param {Function|null} onSpotDragEndCallback - スポットドラッグ終了時のコールバック (index, {x, y}: ドラッグ前の位置)
      * @returns {{wasDragging: boolean, hasMoved: boolean}} ドラッグ情報
      */
-    endDrag(inputManager, pointManager, onPointDragEndCallback, onVertexDragEndCallback) {
+    endDrag(inputManager, pointManager, onPointDragEndCallback, onVertexDragEndCallback,
+        onWaypointDragEndCallback = null, onSpotDragEndCallback = null) {
         if (!this.isDragging) return { wasDragging: false, hasMoved: false };
 
         const wasDragging = true;
         const draggedIndex = this.draggedObjectIndex;
         const draggedType = this.draggedObjectType;
         const hasMoved = this.hasMoved;
+        const linkedAreaIndices = [...new Set(this.linkedVertices.map(link => link.areaIndex))];
 
         if (this.draggedObjectType === 'point') {
             inputManager.redrawInputBoxes(pointManager.getPoints());
             pointManager.notify('onChange', pointManager.getPoints());
-            if (onPointDragEndCallback) onPointDragEndCallback(draggedIndex);
+            // まとめてドラッグした場合はポイントごとに通知
+            const draggedIndices = this.groupItems
+                ? this.groupItems.map(item => pointManager.getPoints().indexOf(item.object)).filter(index => index >= 0)
+                : [draggedIndex];
+            if (onPointDragEndCallback) {
+                draggedIndices.forEach(index => onPointDragEndCallback(index));
+            }
         } else if (this.draggedObjectType === 'vertex') {
-            if (onVertexDragEndCallback) onVertexDragEndCallback(draggedIndex);
+            if (onVertexDragEndCallback) onVertexDragEndCallback(draggedIndex, linkedAreaIndices);
+        } else if (this.draggedObjectType === 'waypoint') {
+            if (onWaypointDragEndCallback && hasMoved) onWaypointDragEndCallback(draggedIndex);
+        } else if (this.draggedObjectType === 'spot') {
+            const origin = { x: this.dragStartX - this.dragOffsetX, y: this.dragStartY - this.dragOffsetY };
+            if (onSpotDragEndCallback && hasMoved) onSpotDragEndCallback(draggedIndex, origin);
         }
 
         this.reset();
@@ -113,6 +193,8 @@ export class DragDropHandler {
         this.draggedObjectIndex = -1;
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
+        this.linkedVertices = [];
+        this.groupItems = null;
         this.dragStartX = 0;
         this.dragStartY = 0;
         this.hasMoved = false;
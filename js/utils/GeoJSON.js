@@ -0,0 +1,236 @@
+import { GeometryUtils } from './Geometry.js';
+import { GeoTransform } from './GeoTransform.js';
+
+/**
+ * GeoJSON（RFC 7946）の FeatureCollection との変換を行うユーティリティクラス
+ * ポイントは Point、エリアは Polygon（外周＋穴）の Feature として扱う
+ * 座標は画像座標（ピクセル、Y軸下向き）で出力し、画像の位置合わせ（georeference）がある場合は経度・緯度で出力する
+ * georeference: {imageToWorld(x, y) => {lon, lat}, worldToImage(lon, lat) => {x, y}}
+ */
+export class GeoJSONUtils {
+    /**
+     * 座標系の識別子（FeatureCollection の coordinateSpace に出力）
+     */
+    static get COORDINATE_SPACES() {
+        return {
+            image: 'image',
+            wgs84: 'wgs84'
+        };
+    }
+
+    /**
+     * エリアの Feature で属性以外に使うプロパティ名
+     */
+    static get AREA_PROPERTY_KEYS() {
+        return ['featureType', 'areaId', 'parentId', 'areaName'];
+    }
+
+    /**
+     * ポイント・エリアから FeatureCollection を作成
+     * @param {{points: Array<{id: string, x: number, y: number}>,
+     *          areas: Array<{areaId: string, parentId: string|null, areaName: string, vertices: Array, holes: Array, attributes: Object}>}} data
+     *          出力するポイント・エリア（画像座標）
+     * @param {Object|null} georeference - 画像座標 ↔ 経度・緯度 の変換（nullの場合は画像座標で出力）
+     * @returns {Object} FeatureCollection
+     */
+    static toFeatureCollection(data, georeference = null) {
+        const toPosition = georeference
+            ? (p) => {
+                const world = georeference.imageToWorld(p.x, p.y);
+                return [GeoTransform.roundDegrees(world.lon), GeoTransform.roundDegrees(world.lat)];
+            }
+            : (p) => [p.x, p.y];
+
+        const pointFeatures = (data.points || []).map(point => ({
+            type: 'Feature',
+            id: point.id,
+            geometry: { type: 'Point', coordinates: toPosition(point) },
+            properties: { featureType: 'point', id: point.id }
+        }));
+
+        const areaFeatures = (data.areas || []).map(area => ({
+            type: 'Feature',
+            id: area.areaId,
+            geometry: {
+                type: 'Polygon',
+                coordinates: [
+                    this.toLinearRing(area.vertices.map(toPosition), true),
+                    // LinearRing は4点（閉じる点を含む）以上が必要なため、頂点が3つ未満の穴は出力しない
+                    ...(area.holes || [])
+                        .filter(hole => hole.length >= 3)
+                        .map(hole => this.toLinearRing(hole.map(toPosition), false))
+                ]
+            },
+            properties: {
+                ...(area.attributes || {}),
+                featureType: 'area',
+                areaId: area.areaId,
+                parentId: area.parentId || null,
+                areaName: area.areaName
+            }
+        }));
+
+        return {
+            type: 'FeatureCollection',
+            coordinateSpace: georeference ? this.COORDINATE_SPACES.wgs84 : this.COORDINATE_SPACES.image,
+            features: [...pointFeatures, ...areaFeatures]
+        };
+    }
+
+    /**
+     * 座標配列を閉じた LinearRing に変換
+     * RFC 7946 の右手の法則に合わせ、外周は反時計回り・穴は時計回り（出力する座標のY軸上向き）にそろえる
+     * @param {Array<Array<number>>} positions - 座標配列 [[x, y], ...]
+     * @param {boolean} isExterior - 外周かどうか
+     * @returns {Array<Array<number>>} 始点を末尾に加えた座標配列
+     */
+    static toLinearRing(positions, isExterior) {
+        const signedArea = GeometryUtils.signedRingArea(positions.map(([x, y]) => ({ x, y })));
+        const ordered = (signedArea < 0) === isExterior ? [...positions].reverse() : positions;
+        return ordered.length > 0 ? [...ordered, ordered[0]] : ordered;
+    }
+
+    /**
+     * GeoJSON が画像座標で記述されているか判定
+     * coordinateSpace の指定がない場合は RFC 7946 に従い経度・緯度とみなす
+     * @param {Object} geojson - GeoJSON
+     * @returns {boolean}
+     */
+    static isImageSpace(geojson) {
+        return !!geojson && geojson.coordinateSpace === this.COORDINATE_SPACES.image;
+    }
+
+    /**
+     * GeoJSON が読み込める形式（FeatureCollection または Feature）か判定
+     * @param {Object} geojson - GeoJSON
+     * @returns {boolean}
+     */
+    static isValidGeoJSON(geojson) {
+        if (!geojson || typeof geojson !== 'object') return false;
+        if (geojson.type === 'FeatureCollection') return Array.isArray(geojson.features);
+        return geojson.type === 'Feature';
+    }
+
+    /**
+     * GeoJSON からポイント・エリアを読み取る
+     * Point は ID（properties.id または Feature の id）のあるもののみ、Polygon・MultiPolygon はエリアとして読み取る
+     * MultiPolygon は構成する Polygon ごとに別のエリアにする
+     * @param {Object} geojson - FeatureCollection または Feature
+     * @param {Object|null} georeference - 経度・緯度 → 画像座標 の変換（画像座標のGeoJSONではnull）
+     * @returns {{points: Array<{id: string, x: number, y: number}>,
+     *            areas: Array<{areaId: string|null, parentId: string|null, areaName: string, vertices: Array, holes: Array, attributes: Object}>,
+     *            skipped: number}} 画像座標のポイント・エリアと、読み取れなかった Feature の数
+     */
+    static fromFeatureCollection(geojson, georeference = null) {
+        const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+        const toImage = georeference
+            ? ([lon, lat]) => georeference.worldToImage(lon, lat)
+            : ([x, y]) => ({ x, y });
+
+        const points = [];
+        const areas = [];
+        let skipped = 0;
+
+        features.forEach(feature => {
+            const geometry = feature && feature.geometry;
+            const properties = feature && feature.properties && typeof feature.properties === 'object'
+                ? feature.properties
+                : {};
+
+            if (geometry && geometry.type === 'Point' && this.isPosition(geometry.coordinates)) {
+                const id = this.getPointId(feature, properties);
+                if (id) {
+                    points.push({ id, ...toImage(geometry.coordinates) });
+                    return;
+                }
+            } else if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+                const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+                const rings = Array.isArray(polygons)
+                    ? polygons.map(polygon => this.readPolygon(polygon, toImage)).filter(polygon => polygon)
+                    : [];
+                if (rings.length > 0) {
+                    const area = this.readAreaProperties(feature, properties);
+                    rings.forEach((polygon, index) => {
+                        // 2つ目以降の Polygon は別のエリアとして新しいIDを割り当てる
+                        areas.push({ ...area, areaId: index === 0 ? area.areaId : null, attributes: { ...area.attributes }, ...polygon });
+                    });
+                    return;
+                }
+            }
+            skipped++;
+        });
+
+        return { points, areas, skipped };
+    }
+
+    /**
+     * 座標（[x, y]）として有効か判定
+     * @param {*} position - 座標
+     * @returns {boolean}
+     */
+    static isPosition(position) {
+        return Array.isArray(position) && position.length >= 2 &&
+            Number.isFinite(position[0]) && Number.isFinite(position[1]);
+    }
+
+    /**
+     * Point の Feature からポイントIDを取得
+     * @param {Object} feature - Feature
+     * @param {Object} properties - Feature のプロパティ
+     * @returns {string} ポイントID（ない場合は空文字）
+     */
+    static getPointId(feature, properties) {
+        const id = properties.id !== undefined && properties.id !== null ? properties.id : feature.id;
+        return id !== undefined && id !== null ? String(id).trim() : '';
+    }
+
+    /**
+     * Polygon の座標配列から外周・穴の頂点配列を読み取る（閉じるための末尾の重複点は除く）
+     * @param {Array} polygon - Polygon の座標配列 [外周, 穴, ...]
+     * @param {Function} toImage - 座標 → 画像座標 の変換関数
+     * @returns {{vertices: Array, holes: Array}|null} 外周の頂点が3つ未満の場合はnull
+     */
+    static readPolygon(polygon, toImage) {
+        if (!Array.isArray(polygon)) return null;
+
+        const readRing = (ring) => {
+            if (!Array.isArray(ring) || !ring.every(position => this.isPosition(position))) return null;
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            const isClosed = ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+            const positions = isClosed ? ring.slice(0, -1) : ring;
+            return positions.length >= 3 ? positions.map(toImage) : null;
+        };
+
+        const vertices = readRing(polygon[0]);
+        if (!vertices) return null;
+        return {
+            vertices,
+            holes: polygon.slice(1).map(readRing).filter(hole => hole)
+        };
+    }
+
+    /**
+     * Polygon の Feature からエリアの名称・ID・属性を読み取る
+     * AREA_PROPERTY_KEYS 以外のプロパティは属性として扱う（areaName がない場合は name を名称に使う）
+     * @param {Object} feature - Feature
+     * @param {Object} properties - Feature のプロパティ
+     * @returns {{areaId: string|null, parentId: string|null, areaName: string, attributes: Object}}
+     */
+    static readAreaProperties(feature, properties) {
+        const useNameProperty = typeof properties.areaName !== 'string' && typeof properties.name === 'string';
+        const attributes = {};
+        Object.keys(properties).forEach(key => {
+            if (this.AREA_PROPERTY_KEYS.includes(key) || (useNameProperty && key === 'name')) return;
+            attributes[key] = properties[key];
+        });
+
+        const areaId = properties.areaId || (typeof feature.id === 'string' ? feature.id : null);
+        return {
+            areaId: areaId ? String(areaId) : null,
+            parentId: properties.parentId ? String(properties.parentId) : null,
+            areaName: String(useNameProperty ? properties.name : (properties.areaName || '')).trim(),
+            attributes
+        };
+    }
+}
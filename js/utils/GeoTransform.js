@@ -0,0 +1,252 @@
+/**
+ * 画像座標 → 経度・緯度 の変換（アフィン変換・射影変換）を基準点から求めるユーティリティクラス
+ * 変換は 3x3 の行列（行優先の長さ9の配列）で表し、画像座標 (x, y) を (経度, 緯度) に写す
+ * アフィン変換は最後の行が [0, 0, 1] の行列になる
+ */
+export class GeoTransform {
+    /**
+     * 変換の種類と表示名
+     */
+    static get METHODS() {
+        return {
+            affine: 'アフィン変換',
+            projective: '射影変換'
+        };
+    }
+
+    /**
+     * 変換を求めるのに必要な基準点の数
+     */
+    static get MIN_POINTS() {
+        return {
+            affine: 3,
+            projective: 4
+        };
+    }
+
+    /**
+     * 出力する経度・緯度の小数点以下の桁数（約1cm）
+     */
+    static get DEGREE_PRECISION() {
+        return 7;
+    }
+
+    /**
+     * 地球の平均半径（メートル）
+     */
+    static get EARTH_RADIUS() {
+        return 6371008.8;
+    }
+
+    /**
+     * 基準点から変換行列を最小二乗法で求める
+     * 数値を安定させるため、画像座標・経度緯度をそれぞれ重心が原点・平均距離が√2になるよう正規化して解く
+     * @param {Array<{x: number, y: number, lon: number, lat: number}>} pairs - 基準点（画像座標と経度・緯度）
+     * @param {string} method - 'affine' | 'projective'
+     * @returns {Array<number>} 変換行列
+     */
+    static fit(pairs, method = 'affine') {
+        const minPoints = this.MIN_POINTS[method];
+        if (!minPoints) {
+            throw new Error(`不明な変換の種類です: ${method}`);
+        }
+        if (pairs.length < minPoints) {
+            throw new Error(`${this.METHODS[method]}には基準点が${minPoints}点以上必要です`);
+        }
+
+        const imageNorm = this.createNormalization(pairs.map(p => ({ x: p.x, y: p.y })));
+        const worldNorm = this.createNormalization(pairs.map(p => ({ x: p.lon, y: p.lat })));
+        const normalized = pairs.map(p => ({
+            source: this.applyMatrix(imageNorm, p.x, p.y),
+            target: this.applyMatrix(worldNorm, p.lon, p.lat)
+        }));
+
+        const matrix = method === 'affine' ? this.fitAffine(normalized) : this.fitProjective(normalized);
+        // 正規化を戻す: 画像座標 → 正規化 → 変換 → 正規化の逆
+        return this.multiply(this.invert(worldNorm), this.multiply(matrix, imageNorm));
+    }
+
+    /**
+     * 正規化した対応点からアフィン変換の行列を求める
+     * @param {Array<{source: {x, y}, target: {x, y}}>} pairs - 正規化した対応点
+     * @returns {Array<number>} 変換行列
+     */
+    static fitAffine(pairs) {
+        const rows = pairs.map(({ source }) => [source.x, source.y, 1]);
+        const [a, b, c] = this.solveLeastSquares(rows, pairs.map(({ target }) => target.x));
+        const [d, e, f] = this.solveLeastSquares(rows, pairs.map(({ target }) => target.y));
+        return [a, b, c, d, e, f, 0, 0, 1];
+    }
+
+    /**
+     * 正規化した対応点から射影変換の行列を求める（右下の要素を1に固定した線形最小二乗）
+     * @param {Array<{source: {x, y}, target: {x, y}}>} pairs - 正規化した対応点
+     * @returns {Array<number>} 変換行列
+     */
+    static fitProjective(pairs) {
+        const rows = [];
+        const values = [];
+        pairs.forEach(({ source: { x, y }, target: { x: u, y: v } }) => {
+            rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u]);
+            values.push(u);
+            rows.push([0, 0, 0, x, y, 1, -x * v, -y * v]);
+            values.push(v);
+        });
+        return [...this.solveLeastSquares(rows, values), 1];
+    }
+
+    /**
+     * 点群を正規化する行列（重心を原点に移し、原点からの平均距離を√2にする）
+     * @param {Array<{x: number, y: number}>} points - 点群
+     * @returns {Array<number>} 正規化の行列
+     */
+    static createNormalization(points) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        const meanDistance = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+        if (!(meanDistance > 0)) {
+            throw new Error('基準点がすべて同じ位置にあるため変換を求められません');
+        }
+        const s = Math.SQRT2 / meanDistance;
+        return [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1];
+    }
+
+    /**
+     * 線形最小二乗問題 rows · x = values を正規方程式で解く
+     * @param {Array<Array<number>>} rows - 係数行列の各行
+     * @param {Array<number>} values - 右辺
+     * @returns {Array<number>} 解
+     */
+    static solveLeastSquares(rows, values) {
+        const n = rows[0].length;
+        const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+        const atb = new Array(n).fill(0);
+        rows.forEach((row, k) => {
+            for (let i = 0; i < n; i++) {
+                atb[i] += row[i] * values[k];
+                for (let j = 0; j < n; j++) {
+                    ata[i][j] += row[i] * row[j];
+                }
+            }
+        });
+        return this.solveLinear(ata, atb);
+    }
+
+    /**
+     * 連立一次方程式を部分ピボット選択付きのガウスの消去法で解く
+     * @param {Array<Array<number>>} matrix - 係数行列（n×n）
+     * @param {Array<number>} vector - 右辺
+     * @returns {Array<number>} 解
+     */
+    static solveLinear(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-10) {
+                throw new Error('基準点が一直線上に並んでいるなど、配置が偏っているため変換を求められません');
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
+        }
+
+        const result = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= a[row][k] * result[k];
+            }
+            result[row] = sum / a[row][row];
+        }
+        return result;
+    }
+
+    /**
+     * 行列で点を変換
+     * @param {Array<number>} m - 変換行列
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {{x: number, y: number}} 変換後の座標
+     */
+    static applyMatrix(m, x, y) {
+        const w = m[6] * x + m[7] * y + m[8];
+        return {
+            x: (m[0] * x + m[1] * y + m[2]) / w,
+            y: (m[3] * x + m[4] * y + m[5]) / w
+        };
+    }
+
+    /**
+     * 行列の積 a · b
+     * @param {Array<number>} a - 行列
+     * @param {Array<number>} b - 行列
+     * @returns {Array<number>}
+     */
+    static multiply(a, b) {
+        const result = new Array(9).fill(0);
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                for (let k = 0; k < 3; k++) {
+                    result[i * 3 + j] += a[i * 3 + k] * b[k * 3 + j];
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 逆行列（右下の要素が1になるよう正規化）
+     * @param {Array<number>} m - 行列
+     * @returns {Array<number>}
+     */
+    static invert(m) {
+        const [a, b, c, d, e, f, g, h, i] = m;
+        const cofactors = [
+            e * i - f * h, c * h - b * i, b * f - c * e,
+            f * g - d * i, a * i - c * g, c * d - a * f,
+            d * h - e * g, b * g - a * h, a * e - b * d
+        ];
+        const det = a * cofactors[0] + b * cofactors[3] + c * cofactors[6];
+        if (Math.abs(det) < 1e-300) {
+            throw new Error('変換の逆変換を求められません');
+        }
+        const scale = cofactors[8] !== 0 ? cofactors[8] : det;
+        return cofactors.map(value => value / scale);
+    }
+
+    /**
+     * 2地点間の距離（メートル、ハーバーサイン公式）
+     * @param {number} lat1 - 地点1の緯度
+     * @param {number} lon1 - 地点1の経度
+     * @param {number} lat2 - 地点2の緯度
+     * @param {number} lon2 - 地点2の経度
+     * @returns {number} 距離
+     */
+    static distanceMeters(lat1, lon1, lat2, lon2) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * this.EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /**
+     * 経度・緯度を出力用の桁数に丸める
+     * @param {number} value - 経度または緯度
+     * @returns {number}
+     */
+    static roundDegrees(value) {
+        const factor = Math.pow(10, this.DEGREE_PRECISION);
+        return Math.round(value * factor) / factor;
+    }
+}
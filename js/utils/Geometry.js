@@ -0,0 +1,386 @@
+/**
+ * 多角形・線分の幾何計算ユーティリティクラス
+ */
+export class GeometryUtils {
+    /**
+     * 線分上で指定点に最も近い点を取得
+     * @param {number} px - 点X座標
+     * @param {number} py - 点Y座標
+     * @param {{x: number, y: number}} a - 線分の始点
+     * @param {{x: number, y: number}} b - 線分の終点
+     * @returns {{x: number, y: number, t: number}} 最近接点と線分上の位置（0〜1）
+     */
+    static closestPointOnSegment(px, py, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+
+        if (lengthSq === 0) {
+            return { x: a.x, y: a.y, t: 0 };
+        }
+
+        let t = ((px - a.x) * dx + (py - a.y) * dy) / lengthSq;
+        t = Math.max(0, Math.min(1, t));
+
+        return { x: a.x + t * dx, y: a.y + t * dy, t };
+    }
+
+    /**
+     * 点と線分の距離を計算
+     * @param {number} px - 点X座標
+     * @param {number} py - 点Y座標
+     * @param {{x: number, y: number}} a - 線分の始点
+     * @param {{x: number, y: number}} b - 線分の終点
+     * @returns {number} 距離
+     */
+    static distanceToSegment(px, py, a, b) {
+        const closest = this.closestPointOnSegment(px, py, a, b);
+        return Math.hypot(px - closest.x, py - closest.y);
+    }
+
+    /**
+     * 閉じた頂点列で指定点に最も近い辺を検索
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列（閉じた多角形として扱う）
+     * @param {number} px - 点X座標
+     * @param {number} py - 点Y座標
+     * @returns {{edgeIndex: number, distance: number, point: {x: number, y: number}} | null}
+     *          辺のインデックス（頂点edgeIndexから次の頂点への辺）、距離、辺上の最近接点
+     */
+    static findNearestEdge(ring, px, py) {
+        if (!ring || ring.length < 2) return null;
+
+        let nearest = null;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            const closest = this.closestPointOnSegment(px, py, a, b);
+            const distance = Math.hypot(px - closest.x, py - closest.y);
+
+            if (!nearest || distance < nearest.distance) {
+                nearest = { edgeIndex: i, distance, point: { x: closest.x, y: closest.y } };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * 重心周りの角度順に頂点を並べ替えた新しい配列を返す
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @returns {Array<{x: number, y: number}>} 並べ替え後の頂点配列
+     */
+    static sortByCentroidAngle(ring) {
+        let cx = 0, cy = 0;
+        ring.forEach(v => {
+            cx += v.x;
+            cy += v.y;
+        });
+        cx /= ring.length;
+        cy /= ring.length;
+
+        return [...ring].sort((a, b) => {
+            const angleA = Math.atan2(a.y - cy, a.x - cx);
+            const angleB = Math.atan2(b.y - cy, b.x - cx);
+            return angleA - angleB;
+        });
+    }
+
+    /**
+     * 頂点列の符号付き面積を計算（シューレース公式）
+     * キャンバス座標系（Y軸下向き）では時計回りが正になる
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @returns {number} 符号付き面積
+     */
+    static signedRingArea(ring) {
+        if (!ring || ring.length < 3) return 0;
+
+        let sum = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return sum / 2;
+    }
+
+    /**
+     * 頂点列の面積を計算
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @returns {number} 面積
+     */
+    static ringArea(ring) {
+        return Math.abs(this.signedRingArea(ring));
+    }
+
+    /**
+     * 閉じた頂点列の周長を計算
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @returns {number} 周長（3頂点未満の場合は折れ線の長さ）
+     */
+    static ringPerimeter(ring) {
+        if (!ring || ring.length < 2) return 0;
+
+        let length = 0;
+        const edgeCount = ring.length >= 3 ? ring.length : ring.length - 1;
+        for (let i = 0; i < edgeCount; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            length += Math.hypot(b.x - a.x, b.y - a.y);
+        }
+        return length;
+    }
+
+    /**
+     * 穴を考慮した多角形の面積を計算
+     * @param {Array<{x: number, y: number}>} outer - 外周の頂点配列
+     * @param {Array<Array<{x: number, y: number}>>} holes - 穴の頂点配列の配列
+     * @returns {number} 面積（外周の面積から穴の面積を差し引いた値）
+     */
+    static polygonArea(outer, holes = []) {
+        const holeArea = holes.reduce((sum, hole) => sum + this.ringArea(hole), 0);
+        return Math.max(0, this.ringArea(outer) - holeArea);
+    }
+
+    /**
+     * 3点の向き（外積）を計算
+     * @returns {number} 正: 反時計回り（数学座標系）, 負: 時計回り, 0: 同一直線上
+     */
+    static cross(o, a, b) {
+        return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    }
+
+    /**
+     * 同一直線上にある点pが線分ab の範囲内にあるかどうか
+     */
+    static isOnSegment(a, b, p) {
+        return Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+            Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+    }
+
+    /**
+     * 2線分が交差（接触を含む）するかどうか
+     * @returns {boolean} 交差するかどうか
+     */
+    static segmentsIntersect(a, b, c, d) {
+        const d1 = this.cross(c, d, a);
+        const d2 = this.cross(c, d, b);
+        const d3 = this.cross(a, b, c);
+        const d4 = this.cross(a, b, d);
+
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+
+        return (d1 === 0 && this.isOnSegment(c, d, a)) ||
+            (d2 === 0 && this.isOnSegment(c, d, b)) ||
+            (d3 === 0 && this.isOnSegment(a, b, c)) ||
+            (d4 === 0 && this.isOnSegment(a, b, d));
+    }
+
+    /**
+     * 2線分の交点を計算
+     * @returns {{x: number, y: number} | null} 交点（平行な場合は null）
+     */
+    static segmentIntersectionPoint(a, b, c, d) {
+        const denominator = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+        if (denominator === 0) return null;
+
+        const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denominator;
+        const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denominator;
+        if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+        return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+    }
+
+    /**
+     * 隣接する2辺が折り返して重なっているかどうか（共有頂点でのスパイク）
+     * @param {{x: number, y: number}} prev - 前の頂点
+     * @param {{x: number, y: number}} vertex - 共有頂点
+     * @param {{x: number, y: number}} next - 次の頂点
+     * @returns {boolean}
+     */
+    static isSpike(prev, vertex, next) {
+        if (this.cross(prev, vertex, next) !== 0) return false;
+        const dot = (prev.x - vertex.x) * (next.x - vertex.x) + (prev.y - vertex.y) * (next.y - vertex.y);
+        return dot > 0;
+    }
+
+    /**
+     * 頂点列内で交差している辺の組を検出（隣接辺の共有頂点での接触は除く）
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列（閉じた多角形として扱う）
+     * @returns {Array<[number, number]>} 交差する辺インデックスの組
+     */
+    static findSelfIntersections(ring) {
+        const pairs = [];
+        const n = ring ? ring.length : 0;
+        if (n < 3) return pairs;
+
+        for (let i = 0; i < n; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % n];
+
+            for (let j = i + 1; j < n; j++) {
+                const c = ring[j];
+                const d = ring[(j + 1) % n];
+                const isAdjacentNext = j === i + 1;
+                const isAdjacentPrev = i === 0 && j === n - 1;
+
+                if (isAdjacentNext) {
+                    // 辺iの終点 = 辺jの始点
+                    if (this.isSpike(a, b, d)) pairs.push([i, j]);
+                    continue;
+                }
+                if (isAdjacentPrev) {
+                    // 辺jの終点 = 辺iの始点
+                    if (this.isSpike(c, a, b)) pairs.push([i, j]);
+                    continue;
+                }
+
+                if (this.segmentsIntersect(a, b, c, d)) {
+                    pairs.push([i, j]);
+                }
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * 2つの頂点列の間で交差している辺の組を検出
+     * @returns {Array<[number, number]>} [ringAの辺インデックス, ringBの辺インデックス] の配列
+     */
+    static findRingIntersections(ringA, ringB) {
+        const pairs = [];
+        if (!ringA || !ringB || ringA.length < 2 || ringB.length < 2) return pairs;
+
+        for (let i = 0; i < ringA.length; i++) {
+            const a = ringA[i];
+            const b = ringA[(i + 1) % ringA.length];
+            for (let j = 0; j < ringB.length; j++) {
+                const c = ringB[j];
+                const d = ringB[(j + 1) % ringB.length];
+                if (this.segmentsIntersect(a, b, c, d)) {
+                    pairs.push([i, j]);
+                }
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * 重複している（許容距離以内にある）頂点を検出
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @param {number} tolerance - 許容距離
+     * @returns {Array<number>} 重複している頂点のインデックス（後から現れた方）
+     */
+    static findDuplicateVertices(ring, tolerance = 0.5) {
+        const duplicates = [];
+        if (!ring) return duplicates;
+
+        for (let i = 0; i < ring.length; i++) {
+            for (let j = 0; j < i; j++) {
+                if (Math.hypot(ring[i].x - ring[j].x, ring[i].y - ring[j].y) <= tolerance) {
+                    duplicates.push(i);
+                    break;
+                }
+            }
+        }
+        return duplicates;
+    }
+
+    /**
+     * 前後の頂点と同一直線上にある（冗長な）頂点を検出
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @param {number} tolerance - 前後の頂点を結ぶ直線からの許容距離
+     * @returns {Array<number>} 同一直線上にある頂点のインデックス
+     */
+    static findCollinearVertices(ring, tolerance = 0.5) {
+        const collinear = [];
+        const n = ring ? ring.length : 0;
+        if (n < 3) return collinear;
+
+        for (let i = 0; i < n; i++) {
+            const prev = ring[(i - 1 + n) % n];
+            const vertex = ring[i];
+            const next = ring[(i + 1) % n];
+            const baseLength = Math.hypot(next.x - prev.x, next.y - prev.y);
+            if (baseLength === 0) continue;
+
+            const distance = Math.abs(this.cross(prev, next, vertex)) / baseLength;
+            if (distance <= tolerance && !this.isSpike(prev, vertex, next)) {
+                collinear.push(i);
+            }
+        }
+        return collinear;
+    }
+
+    /**
+     * 点が頂点列（閉じた多角形）の内側にあるかどうか（レイキャスティング法）
+     * @param {number} px - 点X座標
+     * @param {number} py - 点Y座標
+     * @param {Array<{x: number, y: number}>} ring - 頂点配列
+     * @returns {boolean} 内側にあるかどうか
+     */
+    static pointInRing(px, py, ring) {
+        if (!ring || ring.length < 3) return false;
+
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a.y > py) !== (b.y > py) &&
+                px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * 折れ線の頂点を間引く（Douglas-Peucker法）
+     * 始点と終点を結ぶ線分から最も離れた頂点が許容距離を超える限り、その頂点で分けて再帰的に処理する
+     * @param {Array<{x: number, y: number}>} points - 頂点配列
+     * @param {number} tolerance - 許容距離（これ以下のずれの頂点は除く）
+     * @returns {Array<{x: number, y: number}>} 間引き後の頂点配列
+     */
+    static simplifyPath(points, tolerance) {
+        if (!points || points.length <= 2) return points ? [...points] : [];
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+
+        // 再帰の深さを避けるためスタックで処理
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [start, end] = stack.pop();
+            let maxDistance = 0;
+            let maxIndex = -1;
+            for (let i = start + 1; i < end; i++) {
+                const distance = this.distanceToSegment(points[i].x, points[i].y, points[start], points[end]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    maxIndex = i;
+                }
+            }
+            if (maxIndex >= 0 && maxDistance > tolerance) {
+                keep[maxIndex] = true;
+                stack.push([start, maxIndex], [maxIndex, end]);
+            }
+        }
+
+        return points.filter((point, i) => keep[i]);
+    }
+
+    /**
+     * 点が穴付き多角形の内部にあるか判定（外周の内側かつどの穴の内側でもない）
+     * @param {number} px - X座標
+     * @param {number} py - Y座標
+     * @param {Array} outer - 外周の頂点配列
+     * @param {Array<Array>} holes - 穴の頂点配列の配列
+     * @returns {boolean}
+     */
+    static pointInPolygon(px, py, outer, holes = []) {
+        if (!this.pointInRing(px, py, outer)) return false;
+        return !holes.some(hole => this.pointInRing(px, py, hole));
+    }
+}
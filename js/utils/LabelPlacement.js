@@ -0,0 +1,197 @@
+import { GeometryUtils } from './Geometry.js';
+
+/**
+ * エリア名ラベルの配置位置を求めるユーティリティクラス
+ * 多角形内部の最も広い位置（到達不能極）の計算と、ラベル同士の重なりの解消を行う
+ */
+export class LabelPlacement {
+    /**
+     * 点から多角形の境界までの符号付き距離（内側が正、外側が負）
+     * @param {number} px - X座標
+     * @param {number} py - Y座標
+     * @param {Array} outer - 外周の頂点配列
+     * @param {Array<Array>} holes - 穴の頂点配列の配列
+     * @returns {number} 符号付き距離
+     */
+    static signedDistance(px, py, outer, holes = []) {
+        let minDistance = Infinity;
+        [outer, ...holes].forEach(ring => {
+            for (let i = 0; i < ring.length; i++) {
+                const distance = GeometryUtils.distanceToSegment(px, py, ring[i], ring[(i + 1) % ring.length]);
+                if (distance < minDistance) minDistance = distance;
+            }
+        });
+        return GeometryUtils.pointInPolygon(px, py, outer, holes) ? minDistance : -minDistance;
+    }
+
+    /**
+     * 頂点の平均座標（従来のラベル位置）
+     * @param {Array} ring - 頂点配列
+     * @returns {{x: number, y: number}}
+     */
+    static vertexAverage(ring) {
+        const sum = ring.reduce((acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y }), { x: 0, y: 0 });
+        return { x: sum.x / ring.length, y: sum.y / ring.length };
+    }
+
+    /**
+     * 面積重心（面積がほぼゼロの場合は頂点の平均）
+     * @param {Array} ring - 頂点配列
+     * @returns {{x: number, y: number}}
+     */
+    static areaCentroid(ring) {
+        let x = 0;
+        let y = 0;
+        let area = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            const cross = a.x * b.y - b.x * a.y;
+            x += (a.x + b.x) * cross;
+            y += (a.y + b.y) * cross;
+            area += cross;
+        }
+        if (Math.abs(area) < 1e-9) return this.vertexAverage(ring);
+        return { x: x / (3 * area), y: y / (3 * area) };
+    }
+
+    /**
+     * 多角形内部で境界から最も遠い点（到達不能極）を求める
+     * 格子状のセルを、そのセル内で得られる最大距離の見込みが大きい順に細分化して探索する（polylabel方式）
+     * @param {Array} outer - 外周の頂点配列
+     * @param {Array<Array>} holes - 穴の頂点配列の配列
+     * @param {number} precision - 求める精度（キャンバス座標）
+     * @returns {{x: number, y: number, distance: number}} 位置と境界までの距離
+     */
+    static poleOfInaccessibility(outer, holes = [], precision = 1) {
+        const xs = outer.map(v => v.x);
+        const ys = outer.map(v => v.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const cellSize = Math.min(width, height);
+        if (cellSize === 0) {
+            return { x: minX, y: minY, distance: 0 };
+        }
+
+        const createCell = (x, y, half) => {
+            const distance = this.signedDistance(x, y, outer, holes);
+            return { x, y, half, distance, max: distance + half * Math.SQRT2 };
+        };
+
+        // 初期の候補は面積重心と外接矩形の中心
+        const centroid = this.areaCentroid(outer);
+        let best = createCell(centroid.x, centroid.y, 0);
+        const center = createCell(minX + width / 2, minY + height / 2, 0);
+        if (center.distance > best.distance) best = center;
+
+        const cells = [];
+        const half = cellSize / 2;
+        for (let x = minX; x < minX + width; x += cellSize) {
+            for (let y = minY; y < minY + height; y += cellSize) {
+                cells.push(createCell(x + half, y + half, half));
+            }
+        }
+
+        while (cells.length > 0) {
+            // 最大距離の見込みが最も大きいセルを取り出す
+            let maxIndex = 0;
+            for (let i = 1; i < cells.length; i++) {
+                if (cells[i].max > cells[maxIndex].max) maxIndex = i;
+            }
+            const cell = cells.splice(maxIndex, 1)[0];
+
+            if (cell.distance > best.distance) best = cell;
+            // これ以上細分化しても精度分しか改善しないセルは捨てる
+            if (cell.max - best.distance <= precision) continue;
+
+            const h = cell.half / 2;
+            cells.push(
+                createCell(cell.x - h, cell.y - h, h),
+                createCell(cell.x + h, cell.y - h, h),
+                createCell(cell.x - h, cell.y + h, h),
+                createCell(cell.x + h, cell.y + h, h)
+            );
+        }
+
+        return { x: best.x, y: best.y, distance: best.distance };
+    }
+
+    /**
+     * ラベルの基準位置を取得
+     * @param {Array} outer - 外周の頂点配列
+     * @param {Array<Array>} holes - 穴の頂点配列の配列
+     * @param {string} mode - 'pole'（内部の最も広い位置）| 'centroid'（頂点の平均）
+     * @returns {{x: number, y: number}}
+     */
+    static getAnchor(outer, holes = [], mode = 'pole') {
+        if (mode === 'centroid') {
+            return this.vertexAverage(outer);
+        }
+
+        const xs = outer.map(v => v.x);
+        const ys = outer.map(v => v.y);
+        const size = Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        const pole = this.poleOfInaccessibility(outer, holes, Math.max(0.5, size / 100));
+        // 自己交差などで内部の点が得られない場合は頂点の平均
+        return pole.distance > 0 ? { x: pole.x, y: pole.y } : this.vertexAverage(outer);
+    }
+
+    /**
+     * 2つの矩形が重なるか判定
+     * @param {{x: number, y: number, width: number, height: number}} a - 中心座標とサイズ
+     * @param {{x: number, y: number, width: number, height: number}} b - 中心座標とサイズ
+     * @returns {boolean}
+     */
+    static boxesOverlap(a, b) {
+        return Math.abs(a.x - b.x) * 2 < a.width + b.width &&
+            Math.abs(a.y - b.y) * 2 < a.height + b.height;
+    }
+
+    /**
+     * ラベル同士の重なりを解消
+     * 優先度の高いラベルから配置し、重なる場合は移動 → 縮小 → 非表示の順で解消する
+     * 移動先・縮小後もラベルの中心はエリアの内側に保つ
+     * @param {Array<{x: number, y: number, width: number, height: number, priority: number,
+     *                outer: Array, holes: Array}>} labels - ラベル（基準位置と等倍時のサイズ）
+     * @param {string} mode - 'auto'（移動・縮小・非表示）| 'hide'（非表示のみ）| 'none'（解消しない）
+     * @returns {Array<{x: number, y: number, scale: number, visible: boolean}>} 配置結果（labelsと同じ順序）
+     */
+    static resolveCollisions(labels, mode = 'auto') {
+        const results = labels.map(label => ({ x: label.x, y: label.y, scale: 1, visible: true }));
+        if (mode === 'none') return results;
+
+        const scales = mode === 'auto' ? [1, 0.8, 0.65] : [1];
+        // 移動候補（ラベルの幅・高さに対する倍率）
+        const offsets = mode === 'auto'
+            ? [[0, 0], [0, -1.1], [0, 1.1], [-0.6, 0], [0.6, 0], [0, -2.2], [0, 2.2]]
+            : [[0, 0]];
+
+        const placed = [];
+        const order = labels
+            .map((label, index) => index)
+            .sort((a, b) => labels[b].priority - labels[a].priority);
+
+        order.forEach(index => {
+            const label = labels[index];
+            for (const scale of scales) {
+                const width = label.width * scale;
+                const height = label.height * scale;
+                for (const [dx, dy] of offsets) {
+                    const box = { x: label.x + dx * width, y: label.y + dy * height, width, height };
+                    const moved = dx !== 0 || dy !== 0;
+                    if (moved && !GeometryUtils.pointInPolygon(box.x, box.y, label.outer, label.holes)) continue;
+                    if (placed.some(other => this.boxesOverlap(box, other))) continue;
+
+                    placed.push(box);
+                    results[index] = { x: box.x, y: box.y, scale, visible: true };
+                    return;
+                }
+            }
+            results[index].visible = false;
+        });
+
+        return results;
+    }
+}
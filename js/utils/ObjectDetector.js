@@ -3,15 +3,43 @@
  */
 export class ObjectDetector {
     /**
-     * 指定座標上のオブジェクト（ポイント/エリア頂点）を検出
+     * 指定座標上のオブジェクト（ポイント/エリア頂点/辺の中点/辺/ルートの中間点/スポット）を検出
+     * エリア編集モードでは 頂点 → 辺の中点 → 辺 の順に、ルート編集モードでは選択中ルートの中間点を、
+     * スポット編集モードではスポットを優先する
+     * 中点・辺の場合、index は辺のインデックス、object は辺上の位置
      * @param {number} x - X座標（キャンバス座標）
      * @param {number} y - Y座標（キャンバス座標）
-     * @param {Object} managers - { pointManager, areaManager }
-     * @param {string} mode - 編集モード ('point' | 'area')
+     * @param {Object} managers - { pointManager, areaManager, routeManager, spotManager }
+     * @param {string} mode - 編集モード ('point' | 'area' | 'route' | 'spot')
      * @returns {{type: string, index: number, object: Object} | null} 検出されたオブジェクト情報
+     *          （type: 'point' | 'vertex' | 'midpoint' | 'edge' | 'waypoint' | 'spot'）
      */
     static findObjectAt(x, y, managers, mode = null) {
-        const { pointManager, areaManager } = managers;
+        const { pointManager, areaManager, routeManager, spotManager } = managers;
+
+        // スポット編集モード時はスポットを優先チェック
+        if (mode === 'spot' && spotManager) {
+            const spotIndex = spotManager.findSpotAt(x, y, 8);
+            if (spotIndex !== -1) {
+                return {
+                    type: 'spot',
+                    index: spotIndex,
+                    object: spotManager.getSpots()[spotIndex]
+                };
+            }
+        }
+
+        // ルート編集モード時は選択中ルートの中間点を優先チェック
+        if (mode === 'route' && routeManager) {
+            const waypointIndex = routeManager.findRoutePointAt(x, y, 8);
+            if (waypointIndex !== -1) {
+                return {
+                    type: 'waypoint',
+                    index: waypointIndex,
+                    object: routeManager.getRoutePoints()[waypointIndex]
+                };
+            }
+        }
 
         // エリア編集モード時は頂点を優先チェック
         if (mode === 'area' && areaManager) {
@@ -23,6 +51,24 @@ export class ObjectDetector {
                     object: vertexInfo.point
                 };
             }
+
+            const midpointInfo = areaManager.findMidpointAt(x, y, 8);
+            if (midpointInfo) {
+                return {
+                    type: 'midpoint',
+                    index: midpointInfo.edgeIndex,
+                    object: midpointInfo.point
+                };
+            }
+
+            const edgeInfo = areaManager.findEdgeAt(x, y, 6);
+            if (edgeInfo) {
+                return {
+                    type: 'edge',
+                    index: edgeInfo.edgeIndex,
+                    object: edgeInfo.point
+                };
+            }
         }
 
         // ポイントをチェック
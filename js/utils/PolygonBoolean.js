@@ -0,0 +1,194 @@
+import { GeometryUtils } from './Geometry.js';
+
+/**
+ * エリア同士の図形演算（和・積・差）を行うユーティリティクラス
+ * 演算本体は index.html で読み込む polygon-clipping ライブラリ（グローバル変数 polygonClipping）を使用
+ */
+export class PolygonBoolean {
+    /**
+     * polygon-clipping ライブラリを取得
+     * @returns {Object} polygonClipping
+     */
+    static getLibrary() {
+        if (typeof window === 'undefined' || !window.polygonClipping) {
+            throw new Error('図形演算ライブラリ（polygon-clipping）が読み込まれていません');
+        }
+        return window.polygonClipping;
+    }
+
+    /**
+     * エリアを polygon-clipping の Polygon 形式（[[x, y], ...] のリング配列）に変換
+     * @param {Object} area - エリアデータ {vertices, holes}
+     * @returns {Array} Polygon
+     */
+    static toGeom(area) {
+        const rings = [area.vertices || [], ...(area.holes || [])].filter(ring => ring.length >= 3);
+        return rings.map(ring => ring.map(v => [v.x, v.y]));
+    }
+
+    /**
+     * polygon-clipping の MultiPolygon をエリア形状（{vertices, holes}）の配列に変換
+     * 座標は整数に丸め、丸めで生じた重複頂点と面積ほぼゼロの部分は除去する
+     * @param {Array} multiPolygon - MultiPolygon
+     * @param {number} minArea - 除去する面積の閾値
+     * @returns {Array<{vertices: Array, holes: Array}>} エリア形状の配列
+     */
+    static fromGeom(multiPolygon, minArea = 1) {
+        const toRing = (coords) => {
+            const ring = [];
+            coords.forEach(([x, y]) => {
+                const point = { x: Math.round(x), y: Math.round(y) };
+                const last = ring[ring.length - 1];
+                if (!last || last.x !== point.x || last.y !== point.y) {
+                    ring.push(point);
+                }
+            });
+            // 閉じたリングの終点（始点と同じ）を除去
+            while (ring.length > 1 &&
+                ring[0].x === ring[ring.length - 1].x && ring[0].y === ring[ring.length - 1].y) {
+                ring.pop();
+            }
+            return ring;
+        };
+        const isValidRing = (ring) => ring.length >= 3 && GeometryUtils.ringArea(ring) >= minArea;
+
+        return multiPolygon
+            .map(polygon => {
+                const [outer, ...holes] = polygon.map(toRing);
+                return { vertices: outer, holes: holes.filter(isValidRing) };
+            })
+            .filter(shape => isValidRing(shape.vertices));
+    }
+
+    /**
+     * 演算を実行
+     * @param {string} operation - 'union' | 'intersection' | 'difference'
+     * @param {Object} areaA - エリアA
+     * @param {Object} areaB - エリアB
+     * @returns {Array<{vertices: Array, holes: Array}>} 演算結果（複数の部分に分かれる場合あり）
+     */
+    static compute(operation, areaA, areaB) {
+        const library = this.getLibrary();
+        if (typeof library[operation] !== 'function') {
+            throw new Error(`未対応の図形演算です: ${operation}`);
+        }
+
+        try {
+            const result = library[operation](this.toGeom(areaA), this.toGeom(areaB));
+            return this.fromGeom(result);
+        } catch (error) {
+            console.error('図形演算エラー:', error);
+            throw new Error('図形演算に失敗しました。エリアの形状（自己交差など）を確認してください');
+        }
+    }
+
+    /**
+     * 自己交差を含む形状を、自己交差のない形状に分解
+     * @param {Object} area - エリアデータ {vertices, holes}
+     * @returns {Array<{vertices: Array, holes: Array}>} 分解後の形状（交差で分かれた場合は複数）
+     */
+    static resolveSelfIntersections(area) {
+        const library = this.getLibrary();
+        try {
+            return this.fromGeom(library.union(this.toGeom(area)));
+        } catch (error) {
+            console.error('図形演算エラー:', error);
+            throw new Error('形状の自己交差を解消できませんでした');
+        }
+    }
+
+    /**
+     * エリアから複数のエリアを差し引いた部分を取得
+     * @param {Object} area - 元のエリア
+     * @param {Array<Object>} others - 差し引くエリアの配列
+     * @returns {Array<{vertices: Array, holes: Array}>} 残った部分
+     */
+    static subtractAll(area, others) {
+        const library = this.getLibrary();
+        const subtrahends = others.map(other => this.toGeom(other)).filter(geom => geom.length > 0);
+
+        try {
+            return this.fromGeom(library.difference(this.toGeom(area), ...subtrahends));
+        } catch (error) {
+            console.error('図形演算エラー:', error);
+            throw new Error('図形演算に失敗しました。エリアの形状（自己交差など）を確認してください');
+        }
+    }
+
+    /**
+     * 折れ線でエリアを分割
+     * 折れ線の両端を延長してエリアを横断させ、折れ線の片側を覆う大きな多角形との積と差から分割片を得る
+     * @param {Object} area - エリアデータ {vertices, holes}
+     * @param {Array<{x: number, y: number}>} polyline - 分割線（2点以上）
+     * @returns {Array<{vertices: Array, holes: Array}>} 分割後の形状（分割できない場合は1件以下）
+     */
+    static split(area, polyline) {
+        const library = this.getLibrary();
+        if (!polyline || polyline.length < 2) {
+            throw new Error('分割線には2点以上が必要です');
+        }
+
+        // エリアの外接矩形から十分な延長距離を求める
+        const xs = area.vertices.map(v => v.x).concat(polyline.map(p => p.x));
+        const ys = area.vertices.map(v => v.y).concat(polyline.map(p => p.y));
+        const extent = (Math.max(...xs) - Math.min(...xs)) + (Math.max(...ys) - Math.min(...ys)) + 100;
+
+        const extend = (from, to) => {
+            const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+            return {
+                x: to.x + (to.x - from.x) / length * extent,
+                y: to.y + (to.y - from.y) / length * extent
+            };
+        };
+
+        const first = polyline[0];
+        const last = polyline[polyline.length - 1];
+        const start = extend(polyline[1], first);
+        const end = extend(polyline[polyline.length - 2], last);
+
+        // 延長した始点・終点を結ぶ弦の片側（法線方向）に大きく張り出した多角形を作る
+        const chordLength = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+        const normal = {
+            x: -(end.y - start.y) / chordLength * extent * 2,
+            y: (end.x - start.x) / chordLength * extent * 2
+        };
+        const cutter = [
+            start,
+            ...polyline,
+            end,
+            { x: end.x + normal.x, y: end.y + normal.y },
+            { x: start.x + normal.x, y: start.y + normal.y }
+        ].map(p => [p.x, p.y]);
+
+        try {
+            const areaGeom = this.toGeom(area);
+            const inside = library.intersection(areaGeom, [cutter]);
+            const outside = library.difference(areaGeom, [cutter]);
+            return [...this.fromGeom(inside), ...this.fromGeom(outside)];
+        } catch (error) {
+            console.error('分割エラー:', error);
+            throw new Error('エリアの分割に失敗しました。分割線の形状を確認してください');
+        }
+    }
+
+    /**
+     * 和（結合）
+     */
+    static union(areaA, areaB) {
+        return this.compute('union', areaA, areaB);
+    }
+
+    /**
+     * 積（重なり部分）
+     */
+    static intersection(areaA, areaB) {
+        return this.compute('intersection', areaA, areaB);
+    }
+
+    /**
+     * 差（AからBを除いた部分）
+     */
+    static difference(areaA, areaB) {
+        return this.compute('difference', areaA, areaB);
+    }
+}
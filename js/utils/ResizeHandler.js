@@ -1,3 +1,5 @@
+import { ShapePrimitives } from './ShapePrimitives.js';
+
 /**
  * ウィンドウリサイズ処理を管理するクラス
  */
@@ -14,11 +16,14 @@ export class ResizeHandler {
      * @param {Object} layoutManager - LayoutManagerインスタンス
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {Object} routeManager - RouteManagerインスタンス
+     * @param {Object} spotManager - SpotManagerインスタンス
+     * @param {Object} measurementManager - MeasurementManagerインスタンス
      * @param {Object} viewportManager - ViewportManagerインスタンス（オプション）
      * @param {Function} redrawCallback - 再描画コールバック
      */
     handleResize(currentImage, canvas, canvasRenderer, layoutManager,
-        pointManager, areaManager, viewportManager, redrawCallback) {
+        pointManager, areaManager, routeManager, spotManager, measurementManager, viewportManager, redrawCallback) {
         if (!currentImage) return;
 
         const oldWidth = canvas.width;
@@ -31,7 +36,7 @@ export class ResizeHandler {
 
         if (oldWidth !== newWidth || oldHeight !== newHeight) {
             this.scaleCoordinates(oldWidth, oldHeight, newWidth, newHeight,
-                pointManager, areaManager);
+                pointManager, areaManager, routeManager, spotManager, measurementManager);
         }
 
         if (viewportManager) {
@@ -49,9 +54,12 @@ export class ResizeHandler {
      * @param {number} newHeight - 新しい高さ
      * @param {Object} pointManager - PointManagerインスタンス
      * @param {Object} areaManager - AreaManagerインスタンス
+     * @param {Object} routeManager - RouteManagerインスタンス
+     * @param {Object} spotManager - SpotManagerインスタンス
+     * @param {Object} measurementManager - MeasurementManagerインスタンス
      */
     scaleCoordinates(oldWidth, oldHeight, newWidth, newHeight,
-        pointManager, areaManager) {
+        pointManager, areaManager, routeManager, spotManager, measurementManager) {
         const scaleX = newWidth / oldWidth;
         const scaleY = newHeight / oldHeight;
 
@@ -61,16 +69,46 @@ export class ResizeHandler {
             point.y = Math.round(point.y * scaleY);
         });
 
-        // 全エリアの頂点座標をスケーリング
+        // 全エリアの頂点座標（外周・穴）をスケーリング
         const allAreas = areaManager.getAllAreas();
         allAreas.forEach(area => {
-            if (area.vertices) {
-                area.vertices.forEach(point => {
+            areaManager.getRings(area).forEach(ring => {
+                ring.forEach(point => {
                     point.x = Math.round(point.x * scaleX);
                     point.y = Math.round(point.y * scaleY);
                 });
+            });
+            // 図形エリアのパラメータ（キャンバスは画像の縦横比を保つため幅の倍率で大きさを変換）
+            if (area.shape) {
+                area.shape = ShapePrimitives.transform(
+                    area.shape,
+                    (x, y) => ({ x: x * scaleX, y: y * scaleY }),
+                    scaleX
+                );
             }
         });
+        // 丸めで形状が変わるため、形状検証の結果を求め直させる
+        areaManager.invalidateGeometryCache();
+
+        // 全ルートの中間点をスケーリング
+        routeManager.getAllRoutes().forEach(route => {
+            route.waypoints.forEach(point => {
+                point.x = Math.round(point.x * scaleX);
+                point.y = Math.round(point.y * scaleY);
+            });
+        });
+
+        // スポット座標のスケーリング
+        spotManager.getSpots().forEach(spot => {
+            spot.x = Math.round(spot.x * scaleX);
+            spot.y = Math.round(spot.y * scaleY);
+        });
+
+        // 縮尺キャリブレーションで選択済みの点をスケーリング
+        measurementManager.pickedPoints.forEach(point => {
+            point.x = Math.round(point.x * scaleX);
+            point.y = Math.round(point.y * scaleY);
+        });
     }
 
     /**
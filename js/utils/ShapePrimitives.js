@@ -0,0 +1,285 @@
+/**
+ * 図形プリミティブ（矩形・回転矩形・円・楕円）の計算ユーティリティクラス
+ * 図形は中心・幅・高さ・回転角のパラメータで表し、保存・出力用には多角形に変換する
+ * shape: {type: 'rectangle' | 'ellipse' | 'circle', cx, cy, width, height, rotation, segments}
+ * （回転矩形は rotation が0以外の rectangle として扱う）
+ */
+export class ShapePrimitives {
+    /**
+     * 図形の種類と表示名
+     */
+    static get SHAPE_TYPES() {
+        return {
+            rectangle: '矩形',
+            rotatedRectangle: '回転矩形',
+            circle: '円',
+            ellipse: '楕円'
+        };
+    }
+
+    /**
+     * 円・楕円の分割数の既定値
+     */
+    static get DEFAULT_SEGMENTS() {
+        return 32;
+    }
+
+    /**
+     * 座標を小数第2位に丸める
+     * @param {number} value - 値
+     * @returns {number}
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * 図形の局所座標軸（幅方向 u と高さ方向 v の単位ベクトル）
+     * @param {Object} shape - 図形
+     * @returns {{u: {x: number, y: number}, v: {x: number, y: number}}}
+     */
+    static getAxes(shape) {
+        const cos = Math.cos(shape.rotation || 0);
+        const sin = Math.sin(shape.rotation || 0);
+        return { u: { x: cos, y: sin }, v: { x: -sin, y: cos } };
+    }
+
+    /**
+     * 局所座標（図形の中心が原点、回転前）をキャンバス座標に変換
+     * @param {Object} shape - 図形
+     * @param {number} lx - 幅方向の位置
+     * @param {number} ly - 高さ方向の位置
+     * @returns {{x: number, y: number}}
+     */
+    static toWorld(shape, lx, ly) {
+        const { u, v } = this.getAxes(shape);
+        return {
+            x: shape.cx + u.x * lx + v.x * ly,
+            y: shape.cy + u.y * lx + v.y * ly
+        };
+    }
+
+    /**
+     * キャンバス座標を図形の局所座標に変換
+     * @param {Object} shape - 図形
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @returns {{x: number, y: number}}
+     */
+    static toLocal(shape, x, y) {
+        const { u, v } = this.getAxes(shape);
+        const dx = x - shape.cx;
+        const dy = y - shape.cy;
+        return { x: dx * u.x + dy * u.y, y: dx * v.x + dy * v.y };
+    }
+
+    /**
+     * 図形を多角形（頂点配列）に変換
+     * @param {Object} shape - 図形
+     * @returns {Array<{x: number, y: number}>} 頂点配列
+     */
+    static toPolygon(shape) {
+        const halfWidth = shape.width / 2;
+        const halfHeight = shape.height / 2;
+
+        let localPoints;
+        if (shape.type === 'rectangle') {
+            localPoints = [
+                { x: -halfWidth, y: -halfHeight },
+                { x: halfWidth, y: -halfHeight },
+                { x: halfWidth, y: halfHeight },
+                { x: -halfWidth, y: halfHeight }
+            ];
+        } else {
+            const segments = Math.max(8, Math.round(shape.segments || this.DEFAULT_SEGMENTS));
+            localPoints = Array.from({ length: segments }, (_, i) => {
+                const angle = (2 * Math.PI * i) / segments;
+                return { x: halfWidth * Math.cos(angle), y: halfHeight * Math.sin(angle) };
+            });
+        }
+
+        return localPoints.map(p => {
+            const world = this.toWorld(shape, p.x, p.y);
+            return { x: this.round(world.x), y: this.round(world.y) };
+        });
+    }
+
+    /**
+     * ドラッグの始点・終点から図形を作成
+     * 矩形・楕円は2点を対角とする外接矩形、円は始点を中心とし終点までを半径とする
+     * @param {string} type - 'rectangle' | 'ellipse' | 'circle'
+     * @param {{x: number, y: number}} start - 始点
+     * @param {{x: number, y: number}} end - 終点
+     * @param {number} segments - 円・楕円の分割数
+     * @returns {Object} 図形
+     */
+    static fromDrag(type, start, end, segments = this.DEFAULT_SEGMENTS) {
+        if (type === 'circle') {
+            const radius = Math.hypot(end.x - start.x, end.y - start.y);
+            return { type, cx: start.x, cy: start.y, width: radius * 2, height: radius * 2, rotation: 0, segments };
+        }
+
+        return {
+            type: type === 'ellipse' ? 'ellipse' : 'rectangle',
+            cx: (start.x + end.x) / 2,
+            cy: (start.y + end.y) / 2,
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y),
+            rotation: 0,
+            segments
+        };
+    }
+
+    /**
+     * 基準辺（始点→終点）と奥行きを決める点から回転矩形を作成
+     * @param {{x: number, y: number}} start - 基準辺の始点
+     * @param {{x: number, y: number}} end - 基準辺の終点
+     * @param {{x: number, y: number}} depthPoint - 奥行きを決める点（基準辺からの距離が高さになる）
+     * @returns {Object} 図形
+     */
+    static fromBaseline(start, end, depthPoint) {
+        const rotation = Math.atan2(end.y - start.y, end.x - start.x);
+        const width = Math.hypot(end.x - start.x, end.y - start.y);
+        const base = { cx: (start.x + end.x) / 2, cy: (start.y + end.y) / 2, rotation };
+        // 基準辺に垂直な方向の符号付き距離
+        const depth = depthPoint ? this.toLocal(base, depthPoint.x, depthPoint.y).y : 0;
+        const center = this.toWorld(base, 0, depth / 2);
+
+        return {
+            type: 'rectangle',
+            cx: center.x,
+            cy: center.y,
+            width,
+            height: Math.abs(depth),
+            rotation,
+            segments: this.DEFAULT_SEGMENTS
+        };
+    }
+
+    /**
+     * 図形の大きさが有効か（面積ゼロの図形は作成しない）
+     * @param {Object} shape - 図形
+     * @param {number} minSize - 幅・高さの最小値
+     * @returns {boolean}
+     */
+    static isValidSize(shape, minSize = 2) {
+        return shape.width >= minSize && shape.height >= minSize;
+    }
+
+    /**
+     * 編集用ハンドルの位置を取得
+     * 円は半径のハンドルのみ、矩形・楕円は4辺の大きさと回転のハンドルを持つ
+     * @param {Object} shape - 図形
+     * @param {number} rotateOffset - 回転ハンドルを上辺から離す距離
+     * @returns {Array<{type: string, x: number, y: number}>} ハンドル（type: 'move' | 'radius' | 'n' | 's' | 'e' | 'w' | 'rotate'）
+     */
+    static getHandles(shape, rotateOffset = 24) {
+        const halfWidth = shape.width / 2;
+        const halfHeight = shape.height / 2;
+        const handle = (type, lx, ly) => ({ type, ...this.toWorld(shape, lx, ly) });
+
+        if (shape.type === 'circle') {
+            return [handle('move', 0, 0), handle('radius', halfWidth, 0)];
+        }
+
+        return [
+            handle('move', 0, 0),
+            handle('e', halfWidth, 0),
+            handle('w', -halfWidth, 0),
+            handle('n', 0, -halfHeight),
+            handle('s', 0, halfHeight),
+            handle('rotate', 0, -halfHeight - rotateOffset)
+        ];
+    }
+
+    /**
+     * 指定座標にあるハンドルを検索
+     * @param {Object} shape - 図形
+     * @param {number} x - X座標
+     * @param {number} y - Y座標
+     * @param {number} threshold - 判定距離
+     * @param {number} rotateOffset - 回転ハンドルを上辺から離す距離
+     * @returns {{type: string, x: number, y: number}|null}
+     */
+    static findHandleAt(shape, x, y, threshold, rotateOffset = 24) {
+        // 中心の移動ハンドルは他のハンドルと重なった場合に後回しにする
+        const handles = this.getHandles(shape, rotateOffset);
+        const ordered = [...handles.filter(h => h.type !== 'move'), ...handles.filter(h => h.type === 'move')];
+        return ordered.find(h => Math.hypot(h.x - x, h.y - y) <= threshold) || null;
+    }
+
+    /**
+     * ハンドルのドラッグを図形に適用
+     * 辺のハンドルは反対側の辺を固定して大きさを変える
+     * @param {Object} shape - ドラッグ開始時の図形
+     * @param {string} handleType - ハンドルの種類
+     * @param {{x: number, y: number}} start - ドラッグ開始位置
+     * @param {{x: number, y: number}} current - 現在のマウス位置
+     * @returns {Object} 変更後の図形
+     */
+    static applyHandleDrag(shape, handleType, start, current) {
+        const result = { ...shape };
+        const minSize = 2;
+
+        if (handleType === 'move') {
+            result.cx = shape.cx + current.x - start.x;
+            result.cy = shape.cy + current.y - start.y;
+            return result;
+        }
+
+        if (handleType === 'radius') {
+            const radius = Math.max(minSize / 2, Math.hypot(current.x - shape.cx, current.y - shape.cy));
+            result.width = radius * 2;
+            result.height = radius * 2;
+            return result;
+        }
+
+        if (handleType === 'rotate') {
+            // 回転ハンドルは上辺の上（局所座標の -v 方向）にある
+            result.rotation = Math.atan2(current.y - shape.cy, current.x - shape.cx) + Math.PI / 2;
+            return result;
+        }
+
+        const local = this.toLocal(shape, current.x, current.y);
+        const halfWidth = shape.width / 2;
+        const halfHeight = shape.height / 2;
+        let centerLocal = { x: 0, y: 0 };
+
+        if (handleType === 'e' || handleType === 'w') {
+            // 反対側の辺（局所座標のX）を固定
+            const fixed = handleType === 'e' ? -halfWidth : halfWidth;
+            const moving = handleType === 'e' ? Math.max(local.x, fixed + minSize) : Math.min(local.x, fixed - minSize);
+            result.width = Math.abs(moving - fixed);
+            centerLocal = { x: (moving + fixed) / 2, y: 0 };
+        } else if (handleType === 'n' || handleType === 's') {
+            const fixed = handleType === 's' ? -halfHeight : halfHeight;
+            const moving = handleType === 's' ? Math.max(local.y, fixed + minSize) : Math.min(local.y, fixed - minSize);
+            result.height = Math.abs(moving - fixed);
+            centerLocal = { x: 0, y: (moving + fixed) / 2 };
+        }
+
+        const center = this.toWorld(shape, centerLocal.x, centerLocal.y);
+        result.cx = center.x;
+        result.cy = center.y;
+        return result;
+    }
+
+    /**
+     * 図形のパラメータを座標変換（キャンバス座標 ⇔ 画像座標）
+     * 中心は座標変換関数で、幅・高さは倍率で変換する（キャンバスは画像の縦横比を保つ前提）
+     * @param {Object} shape - 図形
+     * @param {Function} convertPoint - 座標変換関数 (x, y) => {x, y}
+     * @param {number} ratio - 大きさの倍率
+     * @returns {Object} 変換後の図形
+     */
+    static transform(shape, convertPoint, ratio) {
+        const center = convertPoint(shape.cx, shape.cy);
+        return {
+            ...shape,
+            cx: center.x,
+            cy: center.y,
+            width: this.round(shape.width * ratio),
+            height: this.round(shape.height * ratio)
+        };
+    }
+}
@@ -100,11 +100,12 @@ export class Validators {
 
     /**
      * ファイルがJSON形式かどうかをチェック
+     * .geojson はOSによってMIMEタイプが設定されないため拡張子でも判定する
      * @param {File} file - チェックするファイル
      * @returns {boolean} JSON形式かどうか
      */
     static isJsonFile(file) {
-        return file && file.type.includes('json');
+        return !!file && (file.type.includes('json') || /\.(geo)?json$/i.test(file.name || ''));
     }
 
     /**
@@ -125,6 +126,15 @@ export class Validators {
         return data && data.points && Array.isArray(data.points) && data.routeInfo;
     }
 
+    /**
+     * JSONデータがエリア形式として有効かどうかをチェック
+     * @param {Object} data - チェックするJSONデータ
+     * @returns {boolean} 有効なエリアデータかどうか
+     */
+    static isValidAreaData(data) {
+        return !!data && Array.isArray(data.areas);
+    }
+
     /**
      * JSONデータがスポット形式として有効かどうかをチェック
      * @param {Object} data - チェックするJSONデータ
@@ -166,4 +176,25 @@ export class Validators {
 
         return convertedValue;
     }
+
+    /**
+     * 「緯度, 経度」形式の文字列を解析（全角数字・全角カンマ、空白区切りも可）
+     * @param {string} value - 入力値（例: "35.681236, 139.767125"）
+     * @returns {{lat: number, lon: number}|null} 範囲外・形式が異なる場合はnull
+     */
+    static parseLatLon(value) {
+        if (!value || value.trim() === '') return null;
+
+        const normalized = this.convertFullWidthToHalfWidth(value)
+            .replace(/[，、]/g, ',')
+            .replace(/．/g, '.')
+            .trim();
+        const parts = normalized.split(/\s*,\s*|\s+/);
+        if (parts.length !== 2 || parts.some(part => part === '')) return null;
+
+        const [lat, lon] = parts.map(Number);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+        if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+        return { lat, lon };
+    }
 }
\ No newline at end of file